@@ -1,58 +1,451 @@
-const CACHE_NAME = 'bill-tracker-v7';
-const ASSETS_TO_CACHE = [
-    '/',
-    '/index.html',
-    '/index.css',
-    '/index.js',
-    '/payment-history.js',
-    '/manifest.json',
-    '/data/categories.json',
-    '/icons/icon-192x192.png', // Assuming these exist or will exist based on manifest
-    '/icons/icon-512x512.png',
-    // Modules
-    '/src/components/header.js',
-    '/src/components/sidebar.js',
-    '/src/components/billForm.js',
-    '/src/components/billGrid.js',
-    '/src/components/dashboard.js',
-    '/src/utils/storage.js',
-    '/src/utils/billHelpers.js'
-];
+// ============================================================================
+// Caching
+// Production builds point PRECACHE_MANIFEST_URL at the hashed manifest Vite emits
+// (see vite.config.js); every file in it is cached on install. The app shell and
+// other same-origin requests are served stale-while-revalidate. A new build installs
+// a new worker that waits until the app asks it to take over ("new version" prompt).
+// ============================================================================
+
+const PRECACHE_MANIFEST_URL = null;
+
+const CACHE_PREFIX = 'bill-tracker-';
+const RUNTIME_CACHE = `${CACHE_PREFIX}runtime-v1`;
+const APP_SHELL = '/index.html';
+
+// Requests the cache must never answer (cloud data and auth)
+const NETWORK_ONLY_PATTERNS = ['/rest/v1/', '/auth/v1/'];
+
+let precacheName = null;
+
+/**
+ * Name of this build's precache, and the manifest listing its files
+ */
+const loadPrecacheManifest = async () => {
+    if (!PRECACHE_MANIFEST_URL) return null; // Development server: runtime caching only
+    const response = await fetch(PRECACHE_MANIFEST_URL, { cache: 'no-store' });
+    if (!response.ok) throw new Error(`Precache manifest missing (${response.status})`);
+    const manifest = await response.json();
+    precacheName = `${CACHE_PREFIX}precache-${manifest.version}`;
+    return manifest;
+};
+
+const getPrecacheName = async () => {
+    if (!precacheName && PRECACHE_MANIFEST_URL) {
+        await loadPrecacheManifest();
+    }
+    return precacheName;
+};
 
 self.addEventListener('install', (event) => {
-    event.waitUntil(
-        caches.open(CACHE_NAME)
-            .then((cache) => {
-                console.log('Opened cache');
-                return cache.addAll(ASSETS_TO_CACHE);
-            })
-    );
+    event.waitUntil((async () => {
+        const manifest = await loadPrecacheManifest();
+        if (!manifest) return;
+        const cache = await caches.open(precacheName);
+        await cache.addAll(manifest.files);
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const current = [RUNTIME_CACHE, await getPrecacheName()];
+        const cacheNames = await caches.keys();
+        // Removes older builds' precaches and caches from before versioned names
+        await Promise.all(cacheNames
+            .filter(cacheName => !current.includes(cacheName))
+            .map(cacheName => caches.delete(cacheName)));
+        await self.clients.claim();
+    })());
 });
 
+const staleWhileRevalidate = async (event, request = event.request) => {
+    const cache = await caches.open(RUNTIME_CACHE);
+    const cached = await caches.match(request);
+    const network = fetch(event.request).then(response => {
+        if (response.ok || response.type === 'opaque') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+};
+
 self.addEventListener('fetch', (event) => {
-    event.respondWith(
-        caches.match(event.request)
-            .then((response) => {
-                // Cache hit - return response
-                if (response) {
-                    return response;
-                }
-                return fetch(event.request);
-            })
-    );
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    if (NETWORK_ONLY_PATTERNS.some(pattern => request.url.includes(pattern))) return;
+
+    if (request.mode === 'navigate') {
+        // App shell: any page falls back to the cached shell while offline
+        event.respondWith(staleWhileRevalidate(event)
+            .catch(() => caches.match(APP_SHELL)));
+        return;
+    }
+
+    event.respondWith((async () => {
+        // Built files are content-hashed, so a cached copy is always current
+        const name = await getPrecacheName();
+        const precached = name ? await (await caches.open(name)).match(request) : null;
+        return precached || staleWhileRevalidate(event);
+    })());
 });
 
-self.addEventListener('activate', (event) => {
-    const cacheWhitelist = [CACHE_NAME];
-    event.waitUntil(
-        caches.keys().then((cacheNames) => {
-            return Promise.all(
-                cacheNames.map((cacheName) => {
-                    if (cacheWhitelist.indexOf(cacheName) === -1) {
-                        return caches.delete(cacheName);
-                    }
-                })
-            );
-        })
-    );
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// ============================================================================
+// Background Sync
+// Bill changes are queued in IndexedDB by the app (src/utils/indexedDBUtils.js).
+// When a sync event fires and the app is open, the app replays the queue itself
+// (it can merge and resolve conflicts). When the app is closed, the worker uploads
+// queued edits with the credentials the app shared, and leaves everything it
+// cannot upload safely (deletes, undo, edits another device changed) for the
+// next time the app opens.
+// ============================================================================
+
+// Tags must match src/serviceWorker.js
+const BACKGROUND_SYNC_TAG = 'sync-bills';
+const PERIODIC_SYNC_TAG = 'refresh-bills';
+
+const OFFLINE_DB_NAME = 'BillTrackerOfflineDB';
+const OFFLINE_STORE = 'offlineQueue';
+const WORKER_DB_NAME = 'BillTrackerWorkerDB';
+const WORKER_STORE = 'state';
+const BILL_RECORDS_TABLE = 'bill_records';
+// Longest "days before" reminder offered (REMINDER_DAY_OPTIONS in src/utils/reminders.js)
+const UPCOMING_DAYS = 14;
+const SNOOZE_HOURS = 24;
+const SENT_RETENTION_MS = 60 * 24 * 60 * 60 * 1000;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// Opened without a version so an upgraded app database is never downgraded
+const openOfflineDB = () => {
+    const request = indexedDB.open(OFFLINE_DB_NAME);
+    request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(OFFLINE_STORE)) {
+            request.result.createObjectStore(OFFLINE_STORE, { keyPath: 'id', autoIncrement: true });
+        }
+    };
+    return requestToPromise(request);
+};
+
+const openWorkerDB = () => {
+    const request = indexedDB.open(WORKER_DB_NAME, 1);
+    request.onupgradeneeded = () => {
+        request.result.createObjectStore(WORKER_STORE, { keyPath: 'key' });
+    };
+    return requestToPromise(request);
+};
+
+const getState = async (key) => {
+    const db = await openWorkerDB();
+    const entry = await requestToPromise(db.transaction(WORKER_STORE).objectStore(WORKER_STORE).get(key));
+    return entry ? entry.value : null;
+};
+
+const setState = async (key, value) => {
+    const db = await openWorkerDB();
+    await requestToPromise(db.transaction(WORKER_STORE, 'readwrite').objectStore(WORKER_STORE).put({ key, value }));
+};
+
+const deleteState = async (key) => {
+    const db = await openWorkerDB();
+    await requestToPromise(db.transaction(WORKER_STORE, 'readwrite').objectStore(WORKER_STORE).delete(key));
+};
+
+const readQueue = async () => {
+    const db = await openOfflineDB();
+    return requestToPromise(db.transaction(OFFLINE_STORE).objectStore(OFFLINE_STORE).getAll());
+};
+
+const removeFromQueue = async (ids) => {
+    const db = await openOfflineDB();
+    const store = db.transaction(OFFLINE_STORE, 'readwrite').objectStore(OFFLINE_STORE);
+    await Promise.all(ids.map(id => requestToPromise(store.delete(id))));
+};
+
+/**
+ * Tell open app windows to do the work themselves
+ * @returns {Promise<boolean>} True when at least one window is open
+ */
+const notifyClients = async (type) => {
+    const windows = await self.clients.matchAll({ type: 'window' });
+    windows.forEach(client => client.postMessage({ type }));
+    return windows.length > 0;
+};
+
+/**
+ * Credentials shared by the app, unless the access token expired
+ * (refreshing it here would sign the app out, so the app syncs on its next open)
+ */
+const getValidCredentials = async () => {
+    const credentials = await getState('credentials');
+    if (!credentials || !credentials.accessToken) return null;
+    if (credentials.expiresAt && credentials.expiresAt * 1000 < Date.now()) return null;
+    return credentials;
+};
+
+const supabaseFetch = (credentials, path, options = {}) => fetch(`${credentials.url}/rest/v1/${path}`, {
+    ...options,
+    headers: {
+        apikey: credentials.key,
+        Authorization: `Bearer ${credentials.accessToken}`,
+        'Content-Type': 'application/json',
+        Prefer: 'return=representation'
+    }
+});
+
+/**
+ * Upload one bill unless the cloud changed it since the app last synced
+ * (same version check and row as src/services/billSync.js)
+ * @param {number} schemaVersion - Schema version the app saved the bill at
+ * @returns {Promise<boolean>} True when uploaded
+ */
+const uploadBill = async (credentials, bill, schemaVersion) => {
+    const version = bill.version || 0;
+    const row = {
+        user_id: credentials.userId,
+        bill_id: bill.id,
+        data: bill,
+        version: version + 1,
+        schema_version: schemaVersion,
+        updated_at: bill.updatedAt || new Date().toISOString(),
+        deleted_at: null
+    };
+
+    const response = version > 0
+        ? await supabaseFetch(credentials,
+            `${BILL_RECORDS_TABLE}?user_id=eq.${credentials.userId}&bill_id=eq.${encodeURIComponent(bill.id)}&version=eq.${version}`,
+            { method: 'PATCH', body: JSON.stringify(row) })
+        : await supabaseFetch(credentials, BILL_RECORDS_TABLE, { method: 'POST', body: JSON.stringify(row) });
+
+    if (response.status >= 500) {
+        // Let the browser retry the sync later
+        throw new Error(`Upload failed with status ${response.status}`);
+    }
+    if (!response.ok) return false;
+    const rows = await response.json();
+    return Array.isArray(rows) && rows.length > 0;
+};
+
+const syncQueuedChanges = async () => {
+    if (await notifyClients('FLUSH_QUEUE')) return;
+
+    const credentials = await getValidCredentials();
+    if (!credentials) return;
+
+    // Only bills whose queued changes are all plain edits can be uploaded from here
+    const byBill = new Map();
+    (await readQueue()).forEach(item => {
+        const data = item.data || {};
+        const billIds = Array.isArray(data.ids) ? data.ids : [data.id];
+        // Changes queued before the schema version was recorded wait for the app
+        const uploadable = (item.action === 'add' || item.action === 'update') && !Array.isArray(data.ids) &&
+            Number.isInteger(item.schemaVersion);
+        billIds.filter(Boolean).forEach(billId => {
+            const entry = byBill.get(billId) || { bill: null, schemaVersion: null, uploadable: true, queueIds: [] };
+            entry.bill = uploadable ? data : entry.bill;
+            entry.schemaVersion = uploadable ? item.schemaVersion : entry.schemaVersion;
+            entry.uploadable = entry.uploadable && uploadable;
+            entry.queueIds.push(item.id);
+            byBill.set(billId, entry);
+        });
+    });
+
+    for (const entry of byBill.values()) {
+        if (!entry.uploadable || !entry.bill) continue;
+        if (await uploadBill(credentials, entry.bill, entry.schemaVersion)) {
+            await removeFromQueue(entry.queueIds);
+        }
+    }
+};
+
+const toDate = (value) => {
+    const [year, month, day] = String(value).split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+const toDateString = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+].join('-');
+
+/**
+ * Refresh the list of upcoming due bills from the cloud, then remind about them
+ */
+const refreshBills = async () => {
+    if (await notifyClients('REFRESH_BILLS')) return;
+
+    const credentials = await getValidCredentials();
+    if (!credentials) return;
+
+    const response = await supabaseFetch(credentials,
+        `${BILL_RECORDS_TABLE}?select=data&deleted_at=is.null&user_id=eq.${credentials.userId}`);
+    if (!response.ok) return;
+    const rows = await response.json();
+
+    const today = new Date();
+    const horizon = new Date(today.getFullYear(), today.getMonth(), today.getDate() + UPCOMING_DAYS);
+    const bills = rows
+        .map(row => row.data)
+        .filter(bill => bill && !bill.isPaid && toDate(bill.dueDate) <= horizon)
+        .sort((a, b) => toDate(a.dueDate) - toDate(b.dueDate))
+        .map(bill => ({
+            id: bill.id,
+            name: bill.name,
+            category: bill.category,
+            dueDate: bill.dueDate,
+            plannedPayDate: bill.plannedPayDate || null,
+            amount: bill.balance || bill.amountDue || 0,
+            reminder: bill.reminder || null
+        }));
+
+    await setState('upcomingBills', { bills, refreshedAt: Date.now() });
+    await showDueReminders();
+};
+
+// ============================================================================
+// Reminders
+// The app shares its reminder settings and upcoming bills; the worker shows each
+// reminder once (overdue reminders once a day). Mirrors getDueReminders() in
+// src/utils/reminders.js.
+// ============================================================================
+
+const getDueReminders = (bills, settings, now, sent, snoozedUntil) => {
+    if (!settings || !settings.enabled) return [];
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const { categories = {}, ...global } = settings;
+
+    return bills.flatMap(bill => {
+        if (snoozedUntil[bill.id] && snoozedUntil[bill.id] > now.getTime()) return [];
+        const rule = { ...global, ...(categories[bill.category] || {}), ...(bill.reminder || {}) };
+        if (!rule.enabled) return [];
+
+        const daysLeft = Math.round((toDate(bill.dueDate) - today) / (24 * 60 * 60 * 1000));
+        const planned = bill.plannedPayDate && bill.plannedPayDate !== bill.dueDate ? `, planned for ${bill.plannedPayDate}` : '';
+        const amount = `$${Number(bill.amount || 0).toFixed(2)} due ${bill.dueDate}${planned}`;
+        let reminder = null;
+        if (daysLeft < 0 && rule.overdue) {
+            reminder = {
+                key: `${bill.id}|overdue|${toDateString(today)}`,
+                title: `${bill.name} is overdue`,
+                body: `${amount} (${-daysLeft} day${daysLeft === -1 ? '' : 's'} ago)`
+            };
+        } else if (daysLeft === 0 && rule.onDueDate) {
+            reminder = { key: `${bill.id}|due|${bill.dueDate}`, title: `${bill.name} is due today`, body: amount };
+        } else if (daysLeft > 0 && daysLeft <= rule.daysBefore) {
+            reminder = {
+                key: `${bill.id}|before|${bill.dueDate}`,
+                title: `${bill.name} is due in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`,
+                body: amount
+            };
+        }
+        return reminder && !sent[reminder.key] ? [{ ...reminder, billId: bill.id }] : [];
+    });
+};
+
+const showDueReminders = async () => {
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+
+    const upcoming = await getState('upcomingBills');
+    const settings = await getState('reminderSettings');
+    if (!upcoming || !settings) return;
+
+    const now = new Date();
+    const sent = (await getState('remindersSent')) || {};
+    const snoozedUntil = (await getState('snoozedUntil')) || {};
+
+    for (const reminder of getDueReminders(upcoming.bills, settings, now, sent, snoozedUntil)) {
+        await self.registration.showNotification(reminder.title, {
+            body: reminder.body,
+            tag: `bill-${reminder.billId}`,
+            icon: '/icons/icon-192x192.png',
+            data: { billId: reminder.billId, key: reminder.key },
+            actions: [
+                { action: 'mark-paid', title: 'Mark paid' },
+                { action: 'snooze', title: 'Snooze' }
+            ]
+        });
+        sent[reminder.key] = now.getTime();
+    }
+
+    Object.keys(sent).forEach(key => {
+        if (now.getTime() - sent[key] > SENT_RETENTION_MS) delete sent[key];
+    });
+    await setState('remindersSent', sent);
+};
+
+const snoozeReminder = async (billId, key) => {
+    const snoozedUntil = (await getState('snoozedUntil')) || {};
+    snoozedUntil[billId] = Date.now() + SNOOZE_HOURS * 60 * 60 * 1000;
+    await setState('snoozedUntil', snoozedUntil);
+
+    // Show it again once the snooze ends
+    const sent = (await getState('remindersSent')) || {};
+    delete sent[key];
+    await setState('remindersSent', sent);
+};
+
+/**
+ * Hand a reminder action to the app, opening it when it is closed
+ */
+const openApp = async (type, billId) => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length > 0) {
+        await windows[0].focus();
+        windows[0].postMessage({ type, billId });
+        return;
+    }
+    const reminder = type === 'MARK_PAID' ? 'mark-paid' : 'open';
+    await self.clients.openWindow(`./?reminder=${reminder}&billId=${encodeURIComponent(billId)}`);
+};
+
+self.addEventListener('notificationclick', (event) => {
+    const { billId, key } = event.notification.data || {};
+    event.notification.close();
+    if (!billId) return;
+
+    if (event.action === 'snooze') {
+        event.waitUntil(snoozeReminder(billId, key));
+    } else {
+        event.waitUntil(openApp(event.action === 'mark-paid' ? 'MARK_PAID' : 'OPEN_BILL', billId));
+    }
+});
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === BACKGROUND_SYNC_TAG) {
+        event.waitUntil(syncQueuedChanges());
+    }
+});
+
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === PERIODIC_SYNC_TAG) {
+        event.waitUntil(refreshBills());
+    }
+});
+
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+    if (message.type === 'SYNC_CREDENTIALS') {
+        event.waitUntil(setState('credentials', message.credentials));
+    } else if (message.type === 'CLEAR_CREDENTIALS') {
+        event.waitUntil(deleteState('credentials'));
+    } else if (message.type === 'REMINDER_DATA') {
+        event.waitUntil(Promise.all([
+            setState('upcomingBills', { bills: message.bills, refreshedAt: Date.now() }),
+            setState('reminderSettings', message.settings)
+        ]).then(showDueReminders));
+    }
 });
@@ -67,6 +67,71 @@ ALTER TABLE user_data
 CREATE INDEX IF NOT EXISTS idx_user_data_user_id 
     ON user_data(user_id);
 
+-- Step 9: Store each bill as its own row
+-- Devices sync bills record by record. "version" is bumped on every upload and an
+-- upload only succeeds when the row still has the version the device pulled.
+-- Deleted bills keep their row with deleted_at set so other devices drop them too.
+CREATE TABLE IF NOT EXISTS bill_records (
+    user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    bill_id text NOT NULL,
+    data jsonb,
+    version integer NOT NULL DEFAULT 1,
+    schema_version integer NOT NULL DEFAULT 1,
+    updated_at timestamptz NOT NULL DEFAULT now(),
+    deleted_at timestamptz,
+    PRIMARY KEY (user_id, bill_id)
+);
+
+-- "schema_version" is the bill format the row was written with (see src/utils/schema.js).
+-- Rows from before the column existed get 1; the app migrates older bills when it pulls them.
+ALTER TABLE bill_records ADD COLUMN IF NOT EXISTS schema_version integer NOT NULL DEFAULT 1;
+
+ALTER TABLE bill_records ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own bill records" ON bill_records;
+DROP POLICY IF EXISTS "Users can insert own bill records" ON bill_records;
+DROP POLICY IF EXISTS "Users can update own bill records" ON bill_records;
+
+CREATE POLICY "Users can view own bill records" ON bill_records
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own bill records" ON bill_records
+    FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own bill records" ON bill_records
+    FOR UPDATE
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+-- Step 10: Private bucket for attachment files
+-- Files are stored as <user id>/<attachment id>; users can only reach their own folder.
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('attachments', 'attachments', false)
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "Users can view own attachments" ON storage.objects;
+DROP POLICY IF EXISTS "Users can upload own attachments" ON storage.objects;
+DROP POLICY IF EXISTS "Users can update own attachments" ON storage.objects;
+DROP POLICY IF EXISTS "Users can delete own attachments" ON storage.objects;
+
+CREATE POLICY "Users can view own attachments" ON storage.objects
+    FOR SELECT
+    USING (bucket_id = 'attachments' AND auth.uid()::text = (storage.foldername(name))[1]);
+
+CREATE POLICY "Users can upload own attachments" ON storage.objects
+    FOR INSERT
+    WITH CHECK (bucket_id = 'attachments' AND auth.uid()::text = (storage.foldername(name))[1]);
+
+CREATE POLICY "Users can update own attachments" ON storage.objects
+    FOR UPDATE
+    USING (bucket_id = 'attachments' AND auth.uid()::text = (storage.foldername(name))[1]);
+
+CREATE POLICY "Users can delete own attachments" ON storage.objects
+    FOR DELETE
+    USING (bucket_id = 'attachments' AND auth.uid()::text = (storage.foldername(name))[1]);
+
 -- ============================================================================
 -- VERIFICATION QUERIES
 -- Run these to verify the policies are working correctly
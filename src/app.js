@@ -10,13 +10,15 @@ import { paycheckManager } from './utils/paycheckManager.js';
 import { createLocalDate } from './utils/dates.js';
 import StorageManager from './utils/StorageManager.js';
 import logger from './utils/logger.js';
-import { STORAGE_KEYS } from './utils/constants.js';
+import { STORAGE_KEYS, TRASH, ATTACHMENTS } from './utils/constants.js';
 
-import { initializeHeader, updateHeaderUI } from './components/header.js';
-import { initializeSidebar } from './components/sidebar.js';
+import { initializeHeader, updateHeaderUI, updatePendingChanges } from './components/header.js';
+import { initializeSidebar, updateTrashCount } from './components/sidebar.js';
 import { initializeBillGrid, renderBillGrid } from './components/billGrid.js';
 import { initializeDashboard, renderDashboard } from './components/dashboard.js';
-import { initializeBillForm, openBillForm, resetBillForm, closeBillForm } from './components/billForm.js';
+import { initializeBillForm, openBillForm, resetBillForm, closeBillForm, getRecurrenceRuleFromForm } from './components/billForm.js';
+import { showSeriesEditScopeModal } from './components/seriesEditModal.js';
+import { showTrashModal } from './components/trashModal.js';
 import { initializeAuthModal, openAuthModal, closeAuthModal, setAuthMessage } from './components/authModal.js';
 
 import { initializeCalendarView, renderCalendar } from './views/calendarView.js';
@@ -27,9 +29,14 @@ import {
     validateBill,
     bulkDelete,
     bulkMarkAsPaid,
-    migrateBillsToPaymentHistory
+    restoreBill,
+    purgeBills
 } from './handlers/billActionHandlers.js';
-import { filterBillsByPeriod } from './utils/billHelpers.js';
+import { filterBillsByPeriod, getUpcomingBills } from './utils/billHelpers.js';
+import { DEFAULT_REMINDER_SETTINGS, REMINDER_DAY_OPTIONS, parseReminderChoice } from './utils/reminders.js';
+import { createSeriesFromBill } from './utils/billSeries.js';
+import { getImportFormat } from './utils/csvImport.js';
+import { alignToRule, validateRecurrenceRule } from './utils/recurrence.js';
 
 import { settingsHandlers } from './handlers/settingsHandler.js';
 
@@ -40,12 +47,37 @@ import {
     signUp,
     signOut,
     resetPassword,
-    syncBills,
-    syncUserData,
+    getSupabase,
+    getSyncCredentials,
+    onAuthChange,
     syncPaymentSettings,
-    fetchCloudBills,
-    fetchCloudPaymentSettings
+    fetchCloudPaymentSettings,
+    supabaseAttachmentStorage
 } from './services/supabase.js';
+import { syncBillRecords, loadSyncBase, saveSyncBase } from './services/billSync.js';
+import { syncEngine } from './services/syncEngine.js';
+import { takeRestorePoint, takeDailyRestorePoint, listRestorePoints } from './services/restorePointService.js';
+import { setAttachmentCloudStorage, pruneAttachments, uploadPendingAttachments } from './services/attachmentService.js';
+import {
+    registerServiceWorker,
+    requestBackgroundSync,
+    registerPeriodicSync,
+    postToServiceWorker,
+    listenToServiceWorker,
+    watchForUpdates
+} from './serviceWorker.js';
+import { toRecordMap, fromRecordMap, rebaseLocalEdits } from './utils/syncMerge.js';
+import { showSyncConflictModal } from './components/syncConflictModal.js';
+import { showUpdatePrompt } from './components/updatePrompt.js';
+import { showCsvImportModal } from './components/csvImportModal.js';
+import { showImportModal } from './components/importModal.js';
+import { showExportModal } from './components/exportModal.js';
+import { showPassphraseModal } from './components/passphraseModal.js';
+import { showRestorePointsModal } from './components/restorePointsModal.js';
+import { showPaymentChangeModal } from './components/paymentChangeModal.js';
+import { AUDIT_ACTIONS, isRefund, getRefundableAmount } from './utils/paymentLedger.js';
+import { formatFileSize } from './utils/attachments.js';
+import { formatAccountLabel, getDefaultAccountId } from './utils/paymentAccounts.js';
 
 import { safeJSONParse } from './utils/validation.js';
 
@@ -68,6 +100,9 @@ class AppOrchestrator {
                 return;
             }
 
+            // Move bills to IndexedDB (localStorage stays the fallback)
+            await billStore.init();
+
             // Load categories
             this.loadCategories();
 
@@ -114,9 +149,21 @@ class AppOrchestrator {
                 onLogout: () => this.handleLogout(),
                 onBulkDelete: () => this.handleBulkDelete(),
                 onBulkMarkPaid: () => this.handleBulkMarkPaid(),
-                onShowSettings: () => this.handleShowSettings()
+                onShowSettings: () => this.handleShowSettings(),
+                onShowTrash: () => this.handleShowTrash()
             });
 
+            // Purge trashed bills past the retention setting
+            billStore.purgeExpired(this.getTrashRetentionDays());
+
+            // Keep a restore point of each day the app is used
+            takeDailyRestorePoint();
+
+            // Attachment files go to Supabase Storage when cloud upload is on; files of
+            // attachments removed (or purged with their bill) are deleted
+            setAttachmentCloudStorage(supabaseAttachmentStorage);
+            pruneAttachments();
+
             // Fetch cloud data if logged in
             if (user) {
                 logger.info('User logged in', { email: user.email });
@@ -126,6 +173,11 @@ class AppOrchestrator {
                     const { data: cloudPaymentSettings, error: settingsError } = await fetchCloudPaymentSettings();
                     if (cloudPaymentSettings && typeof cloudPaymentSettings === 'object') {
                         logger.info('Found payment settings in cloud. Syncing locally.');
+                        // Cloud settings replace this device's, so keep a way back as on login
+                        const localSettings = StorageManager.get(STORAGE_KEYS.PAYMENT_SETTINGS, null);
+                        if (localSettings && JSON.stringify(localSettings) !== JSON.stringify(cloudPaymentSettings)) {
+                            await takeRestorePoint('cloud-sync');
+                        }
                         StorageManager.set(STORAGE_KEYS.PAYMENT_SETTINGS, cloudPaymentSettings);
                         // Reload paycheckManager to use cloud settings
                         paycheckManager.paymentSettings = cloudPaymentSettings;
@@ -134,33 +186,12 @@ class AppOrchestrator {
                         logger.info('No payment settings found in cloud');
                     }
 
-                    // Fetch bills from cloud
-                    const { data: cloudBills, error } = await fetchCloudBills();
-                    if (cloudBills && Array.isArray(cloudBills) && cloudBills.length > 0) {
-                        logger.info(`Found ${cloudBills.length} bills in cloud. Updating local store.`);
-                        billStore.setBills(cloudBills);
-                        // Ensure persisted to localStorage
-                        StorageManager.set(STORAGE_KEYS.BILLS, cloudBills);
-                    } else if (error) {
-                        logger.warn('Cloud fetch error', { error: error.message });
-                        billActionHandlers.showErrorNotification('Could not fetch bills from cloud', 'Sync Warning');
-                    } else {
-                        logger.info('No bills found in cloud.');
-                    }
-                    
-                    // If cloud is empty but we have local data, sync them to cloud
-                    const localBills = billStore.getAll();
+                    // Merge bills with the cloud record by record
+                    await this.syncBillsWithCloud();
+                    uploadPendingAttachments();
+
                     const localPaymentSettings = StorageManager.get(STORAGE_KEYS.PAYMENT_SETTINGS, null);
-                    if ((!cloudBills || cloudBills.length === 0) && localBills.length > 0) {
-                        logger.info(`Syncing ${localBills.length} local bills to cloud...`);
-                        const { error: syncError } = await syncUserData(localBills, localPaymentSettings);
-                        if (syncError) {
-                            logger.error('Failed to sync local data to cloud', syncError);
-                        } else {
-                            logger.info('Local data synced to cloud successfully');
-                        }
-                    } else if (!cloudPaymentSettings && localPaymentSettings) {
-                        // Sync local payment settings to cloud even if bills exist
+                    if (!cloudPaymentSettings && localPaymentSettings) {
                         logger.info('Syncing local payment settings to cloud...');
                         const { error: syncError } = await syncPaymentSettings(localPaymentSettings);
                         if (syncError) {
@@ -210,10 +241,42 @@ class AppOrchestrator {
             appState.subscribe(() => this.handleStateChange());
 
             // Subscribe to store changes for re-rendering AND Cloud Sync
-            billStore.subscribe((bills) => {
+            billStore.subscribe(() => {
                 this.rerender();
-                this.handleCloudSync(bills);
+                updateTrashCount(billStore.getTrash().length);
+                this.shareReminderData();
+                this.handleCloudSync();
             });
+            updateTrashCount(billStore.getTrash().length);
+
+            // Replay changes queued while offline, now and whenever the device reconnects.
+            // Background Sync also uploads them after the tab is closed; browsers without
+            // it replay the queue the next time the app opens.
+            registerServiceWorker();
+            registerPeriodicSync();
+            watchForUpdates(reload => showUpdatePrompt(reload));
+            listenToServiceWorker({
+                FLUSH_QUEUE: () => syncEngine.flush(),
+                REFRESH_BILLS: () => this.syncBillsWithCloud(),
+                MARK_PAID: ({ billId }) => this.handleReminderAction('mark-paid', billId),
+                OPEN_BILL: ({ billId }) => this.handleReminderAction('open', billId)
+            });
+            syncEngine.subscribe((count, online) => {
+                updatePendingChanges(count, online);
+                if (count > 0 && (!online || syncEngine.lastFailed)) {
+                    requestBackgroundSync();
+                }
+            });
+            syncEngine.start({ replay: (operations) => this.replayQueuedChanges(operations) });
+            if (user) {
+                this.shareSyncCredentials();
+                onAuthChange(event => {
+                    if (event === 'TOKEN_REFRESHED' || event === 'SIGNED_IN') this.shareSyncCredentials();
+                });
+            }
+            this.shareReminderData();
+
+            this.initializeUndoShortcuts();
 
             // Auto-select current pay period if none selected
             if (appState.getState('selectedPaycheck') === null) {
@@ -224,6 +287,9 @@ class AppOrchestrator {
             // Initial render
             this.rerender();
 
+            // Opened from a reminder notification
+            this.handleReminderLaunch();
+
             this.initialized = true;
             logger.info('App initialized successfully');
         } catch (error) {
@@ -234,29 +300,154 @@ class AppOrchestrator {
 
     /**
      * Handle Cloud Synchronization
-     * Debounced to prevent excessive API calls
+     * Debounced to prevent excessive API calls; the sync engine replays the queued changes
      */
-    async handleCloudSync(bills) {
-        if (this.isSyncing) return;
+    handleCloudSync() {
+        // Bills just written by a sync need no upload
+        if (this.applyingSync) return;
 
         // Simple debounce
         if (this.syncTimeout) clearTimeout(this.syncTimeout);
 
-        this.syncTimeout = setTimeout(async () => {
-            const user = await getUser();
-            if (user) {
-                this.isSyncing = true;
-                const { error } = await syncBills(bills);
-                this.isSyncing = false;
+        this.syncTimeout = setTimeout(() => syncEngine.flush(), 2000); // 2 second debounce
+    }
 
-                if (error) {
-                    logger.error('Cloud sync failed', error);
-                    // Silent fail or small indicator?
-                } else {
-                    logger.info('Cloud sync successful');
-                }
+    /**
+     * Let the service worker upload queued changes while the app is closed
+     */
+    async shareSyncCredentials() {
+        const credentials = await getSyncCredentials();
+        postToServiceWorker(credentials
+            ? { type: 'SYNC_CREDENTIALS', credentials }
+            : { type: 'CLEAR_CREDENTIALS' });
+    }
+
+    /**
+     * Keep the service worker's reminder settings and upcoming due bills current
+     * The worker shows any reminder that became due.
+     */
+    shareReminderData() {
+        postToServiceWorker({
+            type: 'REMINDER_DATA',
+            settings: { ...DEFAULT_REMINDER_SETTINGS, ...StorageManager.get(STORAGE_KEYS.REMINDER_SETTINGS, {}) },
+            bills: getUpcomingBills(billStore.getAll(), Math.max(...REMINDER_DAY_OPTIONS))
+        });
+    }
+
+    /**
+     * Handle a reminder notification action
+     * @param {string} action - 'mark-paid' or 'open'
+     * @param {string} billId - Bill the reminder was for
+     */
+    handleReminderAction(action, billId) {
+        const bill = billStore.getAll().find(b => b.id === billId);
+        if (!bill) {
+            billActionHandlers.showErrorNotification('This bill no longer exists.', 'Reminder');
+            return;
+        }
+        if (action === 'mark-paid') {
+            if (!bill.isPaid) this.handleTogglePayment(billId, true);
+        } else {
+            this.handleEditBill(billId);
+        }
+    }
+
+    /**
+     * Run the reminder action the app was opened with from a notification
+     */
+    handleReminderLaunch() {
+        const params = new URLSearchParams(window.location.search);
+        const action = params.get('reminder');
+        const billId = params.get('billId');
+        if (!action || !billId) return;
+
+        window.history.replaceState(null, '', window.location.pathname);
+        this.handleReminderAction(action, billId);
+    }
+
+    /**
+     * Upload changes replayed from the offline queue
+     * The record sync uploads the current state of every changed bill, so the queued
+     * operations only decide the upload order.
+     * @param {Array<Object>} operations - Deduplicated queued operations
+     * @returns {Promise<boolean>} True when uploaded (or not logged in), false to keep them queued
+     */
+    async replayQueuedChanges(operations) {
+        const client = getSupabase();
+        const user = client ? await getUser() : null;
+        // Without an account there is nothing to upload; logging in syncs every bill
+        if (!user) return true;
+        return this.runBillSync(client, user, operations.map(operation => operation.billId));
+    }
+
+    /**
+     * Sync bills with the cloud, logging failures
+     * @returns {Promise<boolean>} True when the sync finished
+     */
+    async syncBillsWithCloud() {
+        const client = getSupabase();
+        const user = client ? await getUser() : null;
+        if (!user) return false;
+        try {
+            return await this.runBillSync(client, user);
+        } catch (error) {
+            logger.error('Cloud sync failed', error);
+            return false;
+        }
+    }
+
+    /**
+     * Sync bills with the cloud record by record
+     * Bills both this device and another device changed are shown in the conflict
+     * dialog. Edits made while the sync runs are kept and synced afterwards.
+     * @param {Object} client - Supabase client
+     * @param {Object} user - Logged-in user
+     * @param {Array<string>} [order] - Bill ids to upload first
+     * @returns {Promise<boolean>} True when the sync finished, false when it was postponed
+     *   or another sync was running
+     * @throws {Error} When the cloud could not be reached
+     */
+    async runBillSync(client, user, order = []) {
+        if (this.isSyncing) {
+            this.syncPending = true;
+            return false;
+        }
+
+        this.isSyncing = true;
+        this.syncPending = false;
+        try {
+            const captured = toRecordMap({ bills: billStore.getAll(), tombstones: billStore.getTombstones() });
+            const result = await syncBillRecords(client, user.id, {
+                local: captured,
+                base: await loadSyncBase(billStore.storage),
+                resolveConflicts: (conflicts) => showSyncConflictModal(conflicts),
+                order
+            });
+            if (result.postponed) return false;
+
+            const current = toRecordMap({ bills: billStore.getAll(), tombstones: billStore.getTombstones() });
+            this.applyingSync = true;
+            try {
+                billStore.applySyncResult(fromRecordMap(rebaseLocalEdits(result.records, captured, current)));
+            } finally {
+                this.applyingSync = false;
             }
-        }, 2000); // 2 second debounce
+            await saveSyncBase(result.records, billStore.storage);
+
+            if (result.conflicts > 0) {
+                billActionHandlers.showSuccessNotification(
+                    `Resolved ${result.conflicts} sync conflict${result.conflicts === 1 ? '' : 's'}`
+                );
+            }
+            logger.info('Cloud sync successful', { uploaded: result.uploaded });
+            return true;
+        } finally {
+            this.isSyncing = false;
+            if (this.syncPending) {
+                this.syncPending = false;
+                this.handleCloudSync();
+            }
+        }
     }
 
     /**
@@ -423,16 +614,19 @@ class AppOrchestrator {
             const existingBill = id ? bills.find(b => b.id === id) : null;
 
             let dueDateString = document.getElementById('billDueDate').value;
-
-            // Only snap bill date to closest paycheck when CREATING new bills
-            // When editing existing bills, preserve the date as-is to allow editing past/unusual dates
-            if (!existingBill) {
-                const billDueDate = new Date(dueDateString);
-                const snappedDate = paycheckManager.snapBillDateToPaycheck(billDueDate);
-                dueDateString = snappedDate.toISOString().split('T')[0];
+            const recurrence = document.getElementById('billRecurrence').value;
+            const recurrenceRule = getRecurrenceRuleFromForm();
+
+            // The due date is kept as the biller gave it; the paycheck it is paid from is
+            // chosen separately (plannedPayDate). New custom schedules (e.g. last business
+            // day) start on their own first occurrence.
+            if (!existingBill && recurrence === 'Custom') {
+                if (dueDateString && validateRecurrenceRule(recurrenceRule).length === 0) {
+                    dueDateString = alignToRule(recurrenceRule, dueDateString);
+                }
             }
 
-            const bill = {
+            const formFields = {
                 id: id || Date.now().toString(),
                 category: document.getElementById('billCategory').value,
                 name: document.getElementById('billName').value,
@@ -441,13 +635,19 @@ class AppOrchestrator {
                 balance: document.getElementById('billBalance').value
                     ? parseFloat(document.getElementById('billBalance').value)
                     : parseFloat(document.getElementById('billAmountDue').value),
-                recurrence: document.getElementById('billRecurrence').value,
+                recurrence,
+                recurrenceRule,
                 notes: document.getElementById('billNotes').value,
                 website: document.getElementById('billWebsite').value,
-                isPaid: existingBill ? existingBill.isPaid || false : false,
-                lastPaymentDate: existingBill ? existingBill.lastPaymentDate || null : null,
-                paymentHistory: existingBill ? existingBill.paymentHistory || [] : []
+                incomeSourceId: document.getElementById('billIncomeSource').value || undefined,
+                defaultAccountId: document.getElementById('billDefaultAccount').value || undefined,
+                plannedPayDate: document.getElementById('billPlannedPayDate').value || undefined,
+                reminder: parseReminderChoice(document.getElementById('billReminder').value)
             };
+            // Fields the form doesn't show (payments, change log, sync version, ...) are kept
+            const bill = existingBill
+                ? { ...existingBill, ...formFields }
+                : { ...formFields, isPaid: false, lastPaymentDate: null, paymentHistory: [] };
 
             // Validate bill
             const validation = validateBill(bill);
@@ -457,43 +657,97 @@ class AppOrchestrator {
                 return;
             }
 
-            if (id) {
-                billStore.update(bill);
-            } else {
-                billStore.add(bill);
+            // Recurring occurrences ask which occurrences the edit applies to
+            if (existingBill && existingBill.seriesId) {
+                showSeriesEditScopeModal(existingBill).then(scope => {
+                    if (scope && billActionHandlers.editRecurringBill(existingBill.id, bill, scope)) {
+                        this.finishBillSave(bill, true);
+                    }
+                });
+                return;
+            }
 
-                // Generate recurring instances
+            // The bill, its series and generated occurrences are undone together
+            billStore.transaction(`${id ? 'Edit' : 'Add'} "${bill.name}"`, () => {
+                // New recurring bills (or bills switched to recurring) start a series
                 if (bill.recurrence !== 'One-time') {
-                    const generatedBills = paycheckManager.generateRecurringBillInstances(bill);
+                    const series = createSeriesFromBill(bill);
+                    bill.seriesId = series.seriesId;
+                    bill.originalDueDate = bill.dueDate;
+                    billStore.addSeries(series);
+                }
+
+                if (id) {
+                    billStore.update(bill);
+                } else {
+                    billStore.add(bill);
+                }
+
+                // Generate recurring instances
+                if (bill.seriesId) {
+                    const generatedBills = paycheckManager.generateRecurringBillInstances(billStore.getSeries(bill.seriesId));
                     if (generatedBills && generatedBills.length > 0) {
                         generatedBills.forEach(b => billStore.add(b));
                     }
                 }
-            }
+            });
 
-            // Auto-switch to bill's category
-            if (appState.getState('selectedCategory') !== bill.category) {
-                appState.setSelectedCategory(bill.category);
+            this.finishBillSave(bill, !!id);
+        } catch (error) {
+            logger.error('Error saving bill', error);
+            billActionHandlers.showErrorNotification(error.message, 'Save Failed');
+        }
+    }
 
-                // Sync sidebar UI
-                document.querySelectorAll('.category-btn').forEach(b => b.classList.remove('active'));
-                const newActiveBtn = document.querySelector(
-                    `.category-btn[data-category="${bill.category}"]`
-                );
-                if (newActiveBtn) newActiveBtn.classList.add('active');
+    /**
+     * Bind Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS, Ctrl+Y also redoes) to bill history
+     *
+     * @description Shortcuts are ignored while typing in a field so the browser's own
+     *   text undo keeps working there.
+     */
+    initializeUndoShortcuts() {
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+            const target = e.target;
+            if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+                return;
             }
 
-            closeBillForm();
-            document.getElementById('billFormElement').reset();
-            document.getElementById('billId').value = '';
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                billActionHandlers.undoLastAction();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                billActionHandlers.redoLastAction();
+            }
+        });
+    }
 
-            billActionHandlers.showSuccessNotification(
-                `Bill "${bill.name}" ${id ? 'updated' : 'created'} successfully`
+    /**
+     * Close the bill form and focus the saved bill's category
+     */
+    finishBillSave(bill, isEdit) {
+        // Auto-switch to bill's category
+        if (appState.getState('selectedCategory') !== bill.category) {
+            appState.setSelectedCategory(bill.category);
+
+            // Sync sidebar UI
+            document.querySelectorAll('.category-btn').forEach(b => b.classList.remove('active'));
+            const newActiveBtn = document.querySelector(
+                `.category-btn[data-category="${bill.category}"]`
             );
-        } catch (error) {
-            logger.error('Error saving bill', error);
-            billActionHandlers.showErrorNotification(error.message, 'Save Failed');
+            if (newActiveBtn) newActiveBtn.classList.add('active');
         }
+
+        closeBillForm();
+        document.getElementById('billFormElement').reset();
+        document.getElementById('billId').value = '';
+
+        billActionHandlers.showSuccessNotification(
+            `Bill "${bill.name}" ${isEdit ? 'updated' : 'created'} successfully`
+        );
     }
 
     handleUpdateBalance(billId, newBalance) {
@@ -538,6 +792,23 @@ class AppOrchestrator {
         document.getElementById('paymentDate').value = new Date()
             .toISOString()
             .split('T')[0];
+
+        // Payment accounts come first, with the bill's default account selected
+        const accounts = paycheckManager.getPaymentAccounts();
+        const accountOptions = document.getElementById('paymentAccountOptions');
+        accountOptions.innerHTML = '';
+        accounts.forEach(account => {
+            const option = document.createElement('option');
+            option.value = `account:${account.id}`;
+            option.textContent = formatAccountLabel(account);
+            accountOptions.appendChild(option);
+        });
+        accountOptions.hidden = accounts.length === 0;
+        const defaultAccountId = getDefaultAccountId(bill, accounts);
+        document.getElementById('paymentMethod').value = defaultAccountId
+            ? `account:${defaultAccountId}`
+            : accounts.length > 0 ? `account:${accounts[0].id}` : 'Credit Card';
+
         document.getElementById('recordPaymentModal').style.display = 'block';
     }
 
@@ -549,7 +820,7 @@ class AppOrchestrator {
         const totalDue = bill.amountDue || 0;
         const totalPaid = billActionHandlers.getTotalPaid(bill);
         const remaining = billActionHandlers.getRemainingBalance(bill);
-        const payments = (bill.paymentHistory || []).sort(
+        const payments = [...(bill.paymentHistory || [])].sort(
             (a, b) => new Date(b.date) - new Date(a.date)
         );
 
@@ -588,6 +859,7 @@ class AppOrchestrator {
 
         summaryCard.appendChild(statsDiv);
         historyContent.appendChild(summaryCard);
+        historyContent.appendChild(this.createAttachmentList(bill, bill.attachments || [], null));
 
         const listContainer = document.createElement('div');
         listContainer.style.maxHeight = '400px';
@@ -595,9 +867,11 @@ class AppOrchestrator {
 
         if (payments.length > 0) {
             payments.forEach(payment => {
+                const refund = isRefund(payment);
                 const item = document.createElement('div');
+                item.className = `payment-entry${payment.voided ? ' payment-voided' : ''}${refund ? ' payment-refund' : ''}`;
                 item.style.padding = '12px';
-                item.style.borderLeft = '3px solid #5eb3d6';
+                item.style.borderLeft = `3px solid ${refund ? '#e67e22' : '#5eb3d6'}`;
                 item.style.background = 'white';
                 item.style.marginBottom = '10px';
                 item.style.borderRadius = '4px';
@@ -618,8 +892,9 @@ class AppOrchestrator {
                 header.appendChild(dateStrong);
 
                 const amountStrong = document.createElement('strong');
-                amountStrong.style.color = '#27ae60';
-                amountStrong.textContent = `$${payment.amount.toFixed(2)}`;
+                amountStrong.className = 'payment-amount';
+                amountStrong.style.color = refund ? '#e67e22' : '#27ae60';
+                amountStrong.textContent = `${refund ? '−' : ''}$${(parseFloat(payment.amount) || 0).toFixed(2)}`;
                 header.appendChild(amountStrong);
 
                 item.appendChild(header);
@@ -628,13 +903,25 @@ class AppOrchestrator {
                 details.style.fontSize = '13px';
                 details.style.color = '#666';
 
-                let detailText = payment.method;
+                let detailText = refund ? `Refund · ${payment.method || ''}` : payment.method;
                 if (payment.confirmationNumber) {
                     detailText += ` | Conf: ${payment.confirmationNumber}`;
                 }
+                if (payment.notes) {
+                    detailText += ` | ${payment.notes}`;
+                }
                 details.textContent = detailText;
-
                 item.appendChild(details);
+
+                if (payment.voided) {
+                    const voided = document.createElement('div');
+                    voided.className = 'payment-void-reason';
+                    voided.textContent = `Voided: ${payment.voided.reason}`;
+                    item.appendChild(voided);
+                } else {
+                    item.appendChild(this.createPaymentActions(bill, payment));
+                }
+                item.appendChild(this.createAttachmentList(bill, payment.attachments || [], payment.id));
                 listContainer.appendChild(item);
             });
         } else {
@@ -647,9 +934,152 @@ class AppOrchestrator {
         }
 
         historyContent.appendChild(listContainer);
+
+        if ((bill.auditLog || []).length > 0) {
+            historyContent.appendChild(this.createAuditLog(bill.auditLog));
+        }
         document.getElementById('viewHistoryModal').style.display = 'block';
     }
 
+    /**
+     * Edit, refund and void buttons of a payment history entry
+     * @param {Object} bill - Bill
+     * @param {Object} payment - Payment history entry
+     * @returns {HTMLElement} Button row
+     */
+    createPaymentActions(bill, payment) {
+        const actions = document.createElement('div');
+        actions.className = 'payment-actions';
+        const refundable = getRefundableAmount(bill.paymentHistory, payment.id);
+
+        const addButton = (action, text, handler) => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = action === 'void' ? 'trash-purge-btn' : 'view-btn';
+            btn.textContent = text;
+            btn.setAttribute('aria-label', `${text} ${isRefund(payment) ? 'refund' : 'payment'} of ${payment.date.slice(0, 10)}`);
+            btn.addEventListener('click', async () => {
+                const values = await showPaymentChangeModal(payment, { action, refundable });
+                if (values && handler(values)) {
+                    this.rerender();
+                    this.handleViewHistory(bill.id);
+                }
+            });
+            actions.appendChild(btn);
+        };
+
+        addButton('edit', 'Edit', values => billActionHandlers.editPayment(bill.id, payment.id, values));
+        if (refundable > 0) {
+            addButton('refund', 'Refund', values => billActionHandlers.refundPayment(bill.id, payment.id, values));
+        }
+        addButton('void', 'Void', values => billActionHandlers.voidPayment(bill.id, payment.id, values.reason));
+        return actions;
+    }
+
+    /**
+     * Attachments of a bill or payment with View and Remove buttons, and an Attach button
+     * @param {Object} bill - Bill
+     * @param {Array<Object>} attachments - Attachment details (see attachments)
+     * @param {string|null} paymentId - Payment history entry, or null for the bill's own
+     * @returns {HTMLElement} Attachment list
+     */
+    createAttachmentList(bill, attachments, paymentId) {
+        const container = document.createElement('div');
+        container.className = 'attachment-list';
+        const reopen = () => {
+            this.rerender();
+            this.handleViewHistory(bill.id);
+        };
+
+        if (!paymentId) {
+            const heading = document.createElement('strong');
+            heading.textContent = 'Statements & receipts';
+            container.appendChild(heading);
+        }
+
+        const list = document.createElement('ul');
+        attachments.forEach(attachment => {
+            const li = document.createElement('li');
+            const name = document.createElement('span');
+            name.className = 'attachment-name';
+            name.textContent = `📎 ${attachment.name} (${formatFileSize(attachment.size)})`;
+            name.title = attachment.remotePath ? 'Also stored in the cloud' : 'Stored on this device';
+            li.appendChild(name);
+
+            const viewBtn = document.createElement('button');
+            viewBtn.type = 'button';
+            viewBtn.className = 'view-btn';
+            viewBtn.textContent = 'View';
+            viewBtn.setAttribute('aria-label', `View ${attachment.name}`);
+            viewBtn.addEventListener('click', () => billActionHandlers.openBillAttachment(attachment));
+            li.appendChild(viewBtn);
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'trash-purge-btn';
+            removeBtn.textContent = 'Remove';
+            removeBtn.setAttribute('aria-label', `Remove ${attachment.name}`);
+            removeBtn.addEventListener('click', () => {
+                if (billActionHandlers.removeBillAttachment(bill.id, attachment)) reopen();
+            });
+            li.appendChild(removeBtn);
+            list.appendChild(li);
+        });
+        container.appendChild(list);
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = ATTACHMENTS.ALLOWED_TYPES.join(',');
+        fileInput.hidden = true;
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (file && await billActionHandlers.addBillAttachment(bill.id, file, paymentId)) reopen();
+        });
+        container.appendChild(fileInput);
+
+        const attachBtn = document.createElement('button');
+        attachBtn.type = 'button';
+        attachBtn.className = 'view-btn attachment-add-btn';
+        attachBtn.textContent = paymentId ? 'Attach receipt' : 'Attach statement';
+        attachBtn.addEventListener('click', () => fileInput.click());
+        container.appendChild(attachBtn);
+        return container;
+    }
+
+    /**
+     * Collapsible list of the payment changes logged on a bill, newest first
+     * @param {Array<Object>} auditLog - Audit entries (see paymentLedger)
+     * @returns {HTMLElement} Details element
+     */
+    createAuditLog(auditLog) {
+        const details = document.createElement('details');
+        details.className = 'payment-audit-log';
+        const summary = document.createElement('summary');
+        summary.textContent = `Change log (${auditLog.length})`;
+        details.appendChild(summary);
+
+        const list = document.createElement('ul');
+        [...auditLog].reverse().forEach(entry => {
+            const li = document.createElement('li');
+            const when = new Date(entry.at).toLocaleString('en-US', {
+                month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit'
+            });
+            const parts = [AUDIT_ACTIONS[entry.action] || entry.action];
+            if (typeof entry.amount === 'number') parts.push(`$${entry.amount.toFixed(2)}`);
+            if (entry.changes) {
+                parts.push(Object.entries(entry.changes)
+                    .map(([field, { from, to }]) => `${field}: ${from === null || from === '' ? '—' : from} → ${to === '' ? '—' : to}`)
+                    .join(', '));
+            }
+            if (entry.reason) parts.push(`"${entry.reason}"`);
+            li.textContent = `${when} — ${parts.join(' · ')}`;
+            list.appendChild(li);
+        });
+        details.appendChild(list);
+        return details;
+    }
+
     handleRegenerateBills() {
         try {
             if (
@@ -660,10 +1090,9 @@ class AppOrchestrator {
                 return;
             }
 
+            takeRestorePoint('regenerate');
             paycheckManager.regenerateAllRecurringBills();
-            billActionHandlers.showSuccessNotification(
-                'Recurring bills regenerated successfully'
-            );
+            billActionHandlers.showUndoNotification('Recurring bills regenerated');
             this.rerender();
         } catch (error) {
             logger.error('Error regenerating bills', error);
@@ -671,12 +1100,90 @@ class AppOrchestrator {
         }
     }
 
-    handleExportData() {
-        billActionHandlers.exportData();
+    /**
+     * Export a backup, or bills, payments or due dates in another format
+     * Non-backup exports can be limited to the bills in the current view
+     * (category, pay period and payment filters).
+     */
+    async handleExportData() {
+        const choice = await showExportModal(this.describeCurrentView());
+        if (!choice) return;
+        if (choice.format === 'json') {
+            await billActionHandlers.exportData({
+                passphrase: choice.passphrase,
+                includeAttachments: choice.includeAttachments
+            });
+            return;
+        }
+
+        const bills = choice.currentViewOnly ? this.getVisibleBills() : billStore.getAll();
+        billActionHandlers.exportBills(choice.format, bills);
+    }
+
+    /**
+     * Bills shown by the current category, pay period and payment filters
+     * @returns {Array<Object>} Visible bills
+     */
+    getVisibleBills() {
+        const { viewMode, selectedPaycheck, selectedCategory, paymentFilter, showCarriedForward } = appState.getState();
+        return filterBillsByPeriod(billStore.getAll(), viewMode, selectedPaycheck, selectedCategory,
+            paymentFilter, paycheckManager.payCheckDates, showCarriedForward);
+    }
+
+    /**
+     * Describe the current filters for the export dialog
+     * @returns {{description: string, isFiltered: boolean}} View description
+     */
+    describeCurrentView() {
+        const { viewMode, selectedPaycheck, selectedCategory, paymentFilter } = appState.getState();
+        const parts = [];
+        if (viewMode !== 'all') {
+            parts.push(selectedCategory || 'No category');
+            const payDate = paycheckManager.payCheckDates[selectedPaycheck];
+            if (payDate) {
+                parts.push(`pay period starting ${payDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`);
+            }
+        }
+        if (paymentFilter === 'paid' || paymentFilter === 'unpaid') parts.push(`${paymentFilter} only`);
+
+        return {
+            description: parts.length > 0 ? parts.join(' · ') : 'All bills',
+            isFiltered: parts.length > 0
+        };
     }
 
-    handleImportData(file) {
-        billActionHandlers.importData(file);
+    /**
+     * Import a JSON, CSV or TSV file
+     * Encrypted backups ask for their passphrase first.
+     * CSV and TSV files go through the column mapping step first; every import is then
+     * reviewed in the import dialog (merge, append or replace) before anything changes.
+     */
+    async handleImportData(file) {
+        const format = file && getImportFormat(file.name);
+        let importFile;
+        if (format === 'csv' || format === 'tsv') {
+            const table = await billActionHandlers.readImportTable(file);
+            if (!table) return;
+            const bills = await showCsvImportModal(table, validateBill);
+            if (!bills) return;
+            importFile = { fileName: table.fileName, bills, customCategories: [], paymentSettings: null };
+        } else {
+            importFile = await billActionHandlers.readImportData(file, showPassphraseModal);
+            if (!importFile) return;
+        }
+
+        const choice = await showImportModal(importFile, billStore.getAll());
+        if (!choice) return;
+
+        const applied = billActionHandlers.applyImport(choice.plan, {
+            customCategories: importFile.customCategories,
+            paymentSettings: choice.includePaymentSettings ? importFile.paymentSettings : null,
+            attachments: importFile.attachments
+        });
+        if (applied) {
+            this.loadCategories();
+            this.rerender();
+        }
     }
 
     async handleLogin(email, password) {
@@ -695,6 +1202,8 @@ class AppOrchestrator {
 
             // Sync/Fetch on login
             let syncDone = false;
+            // Cloud settings and bills may replace this device's data
+            await takeRestorePoint('cloud-sync');
             try {
                 // Fetch payment settings from cloud first
                 const { data: cloudPaymentSettings } = await fetchCloudPaymentSettings();
@@ -707,34 +1216,16 @@ class AppOrchestrator {
                     syncDone = true;
                 }
 
-                // Fetch bills from cloud
-                const { data: bills, error: fetchError } = await fetchCloudBills();
-                if (bills && bills.length > 0) {
-                    logger.info(`Fetched ${bills.length} bills from cloud on login`);
-                    billStore.setBills(bills);
-                    // Ensure bills are saved to localStorage before reload
-                    try {
-                        StorageManager.set(STORAGE_KEYS.BILLS, bills);
-                        logger.info('Bills saved to localStorage');
-                    } catch (e) {
-                        logger.error('Failed to save bills to localStorage', e);
-                        billActionHandlers.showErrorNotification('Warning: Could not persist bills locally', 'Storage Error');
-                    }
-                    syncDone = true;
-                } else if (billStore.getAll().length > 0) {
-                    // If cloud empty but local has data, upload local with payment settings
-                    logger.info(`No cloud bills found, syncing ${billStore.getAll().length} local bills...`);
-                    const localPaymentSettings = StorageManager.get(STORAGE_KEYS.PAYMENT_SETTINGS, null);
-                    const { error: syncError } = await syncUserData(billStore.getAll(), localPaymentSettings);
+                // Merge bills with the cloud record by record
+                if (await this.syncBillsWithCloud()) syncDone = true;
+
+                const localPaymentSettings = StorageManager.get(STORAGE_KEYS.PAYMENT_SETTINGS, null);
+                if (!cloudPaymentSettings && localPaymentSettings) {
+                    const { error: syncError } = await syncPaymentSettings(localPaymentSettings);
                     if (syncError) {
-                        logger.error('Failed to sync local data', syncError);
+                        logger.error('Failed to sync payment settings', syncError);
                         billActionHandlers.showErrorNotification('Could not sync data to cloud', 'Sync Error');
-                    } else {
-                        logger.info('Local data synced to cloud');
                     }
-                    syncDone = true;
-                } else {
-                    logger.info('No bills found in cloud or locally');
                 }
             } catch (err) {
                 logger.error('Error syncing data on login', err);
@@ -743,6 +1234,7 @@ class AppOrchestrator {
             
             // Add small delay to ensure storage is written before reload
             // This is especially important on mobile devices
+            await billStore.whenSaved();
             setTimeout(() => {
                 window.location.reload(); // To refresh sidebar user state/icon and apply synced settings
             }, 500);
@@ -762,6 +1254,9 @@ class AppOrchestrator {
     async handleLogout() {
         await signOut();
         StorageManager.remove(STORAGE_KEYS.USER_EMAIL);
+        // The next account merges against its own cloud bills
+        await saveSyncBase(null, billStore.storage);
+        await postToServiceWorker({ type: 'CLEAR_CREDENTIALS' });
         window.location.reload();
     }
 
@@ -837,7 +1332,52 @@ class AppOrchestrator {
     }
 
     handleShowSettings() {
-        settingsHandlers.showSettingsModal(this.categories);
+        settingsHandlers.showSettingsModal(this.categories, {
+            onShowRestorePoints: () => this.handleShowRestorePoints()
+        });
+    }
+
+    /**
+     * List the restore points and roll back to the one the user picks
+     */
+    async handleShowRestorePoints() {
+        let points;
+        try {
+            points = await listRestorePoints();
+        } catch (error) {
+            logger.error('Error loading restore points', error);
+            billActionHandlers.showErrorNotification('Restore points could not be loaded.', 'Restore Points');
+            return;
+        }
+
+        const point = await showRestorePointsModal(points, billStore.getAll());
+        if (!point || !(await billActionHandlers.rollBackToRestorePoint(point))) return;
+
+        this.loadCategories();
+        this.rerender();
+
+        // Otherwise the cloud's pay settings replace the restored ones on the next login
+        const paymentSettings = point.data.paymentSettings;
+        if (paymentSettings && await getUser()) {
+            const { error } = await syncPaymentSettings(paymentSettings);
+            if (error) logger.error('Failed to sync restored payment settings', error);
+        }
+    }
+
+    /**
+     * Days trashed bills are kept before being purged (0 = until emptied)
+     */
+    getTrashRetentionDays() {
+        const days = StorageManager.get(STORAGE_KEYS.TRASH_RETENTION_DAYS, TRASH.DEFAULT_RETENTION_DAYS);
+        return Number.isInteger(days) && days >= 0 ? days : TRASH.DEFAULT_RETENTION_DAYS;
+    }
+
+    handleShowTrash() {
+        showTrashModal({
+            getTrash: () => billStore.getTrash(),
+            onRestore: (billId) => restoreBill(billId),
+            onPurge: (billIds) => purgeBills(billIds)
+        }, this.getTrashRetentionDays());
     }
 
     /**
@@ -856,14 +1396,17 @@ class AppOrchestrator {
                         <input type="hidden" id="paymentBillId">
                         <div class="form-group"><label>Amount Paid:</label><input type="number" id="paymentAmount" step="0.01" required></div>
                         <div class="form-group"><label>Payment Date:</label><input type="date" id="paymentDate" required></div>
-                        <div class="form-group"><label>Payment Method:</label><select id="paymentMethod">
-                            <option value="Credit Card">💳 Credit Card</option>
-                            <option value="Debit Card">💳 Debit Card</option>
-                            <option value="Bank Transfer">🏦 Bank Transfer</option>
-                            <option value="Cash">💵 Cash</option>
-                            <option value="Check">📝 Check</option>
-                            <option value="PayPal">💰 PayPal</option>
-                            <option value="Venmo">💸 Venmo</option>
+                        <div class="form-group"><label>Paid With:</label><select id="paymentMethod">
+                            <optgroup label="Accounts" id="paymentAccountOptions" hidden></optgroup>
+                            <optgroup label="Other methods">
+                                <option value="Credit Card">💳 Credit Card</option>
+                                <option value="Debit Card">💳 Debit Card</option>
+                                <option value="Bank Transfer">🏦 Bank Transfer</option>
+                                <option value="Cash">💵 Cash</option>
+                                <option value="Check">📝 Check</option>
+                                <option value="PayPal">💰 PayPal</option>
+                                <option value="Venmo">💸 Venmo</option>
+                            </optgroup>
                         </select></div>
                         <div class="form-group"><label>Confirmation # (Optional):</label><input type="text" id="paymentConfirmation"></div>
                         <button type="submit" class="submit-btn">💾 Record Payment</button>
@@ -885,12 +1428,16 @@ class AppOrchestrator {
         document.getElementById('recordPaymentForm').addEventListener('submit', e => {
             e.preventDefault();
             const billId = document.getElementById('paymentBillId').value;
+            const method = document.getElementById('paymentMethod').value;
             const paymentData = {
                 amount: document.getElementById('paymentAmount').value,
                 date: document.getElementById('paymentDate').value,
-                method: document.getElementById('paymentMethod').value,
+                method,
                 confirmationNumber: document.getElementById('paymentConfirmation').value
             };
+            if (method.startsWith('account:')) {
+                paymentData.accountId = method.slice('account:'.length);
+            }
 
             if (billActionHandlers.recordPayment(billId, paymentData)) {
                 document.getElementById('recordPaymentModal').style.display = 'none';
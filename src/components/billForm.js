@@ -8,6 +8,10 @@
  * @returns {void}
  * @description Creates a modal form with:
  *   - All required fields: category, name, due date, amount due, balance, recurrence, notes
+ *   - Custom recurrence editor (interval, weekdays, day of month, end after N times or on a date)
+ *   - "Paid From" income source picker when more than one income source is configured
+ *   - Default payment account picker when payment accounts are configured
+ *   - Reminder override (default, off, or a number of days before the due date)
  *   - Form validation with proper error messages
  *   - Proper dialog semantics and WCAG 2.1 Level AA accessibility
  *   - Close button and Escape key handler
@@ -17,10 +21,27 @@
  */
 
 import logger from '../utils/logger.js';
+import { paycheckManager } from '../utils/paycheckManager.js';
+import { RECURRENCE_PRESETS, BUSINESS_DAY_CODES, describeRecurrence, parseRRule, formatRRule } from '../utils/recurrence.js';
+import { REMINDER_DAY_OPTIONS, parseReminderChoice, reminderChoiceValue } from '../utils/reminders.js';
+import { formatAccountLabel } from '../utils/paymentAccounts.js';
+import { formatLocalDate } from '../utils/dates.js';
 
 // Module-level variable to store actions for use in openBillForm
 let formActions = {};
 
+// Rule of the bill being edited, kept as-is unless the custom schedule is changed
+let loadedRecurrenceRule = null;
+let recurrenceRuleTouched = false;
+
+const RULE_WEEKDAYS = [['MO', 'Mon'], ['TU', 'Tue'], ['WE', 'Wed'], ['TH', 'Thu'], ['FR', 'Fri'], ['SA', 'Sat'], ['SU', 'Sun']];
+const RULE_POSITIONS = [['1', 'first'], ['2', 'second'], ['3', 'third'], ['4', 'fourth'], ['-1', 'last']];
+const RULE_DAY_KINDS = [
+    ['day', 'day'], ['weekday', 'business day'],
+    ['MO', 'Monday'], ['TU', 'Tuesday'], ['WE', 'Wednesday'], ['TH', 'Thursday'],
+    ['FR', 'Friday'], ['SA', 'Saturday'], ['SU', 'Sunday']
+];
+
 export const initializeBillForm = (categories, actions) => {
     formActions = actions;
     const form = document.getElementById('billForm');
@@ -72,10 +93,99 @@ export const initializeBillForm = (categories, actions) => {
                         <option value="Bi-weekly">Bi-weekly</option>
                         <option value="Monthly">Monthly</option>
                         <option value="Yearly">Yearly</option>
+                        <option value="Custom">Custom…</option>
                     </select>
                     <span id="recurrenceHelp" class="sr-only">Select how often this bill recurs</span>
                 </div>
                 
+                <div class="form-group grid-full" id="billRecurrenceRuleGroup" style="display: none;">
+                    <fieldset class="recurrence-rule-editor">
+                        <legend>Custom Schedule</legend>
+                        <div class="rule-row">
+                            <label for="ruleRecurrencePreset">Quick pick:</label>
+                            <select id="ruleRecurrencePreset">
+                                <option value="">Choose a common schedule…</option>
+                                ${RECURRENCE_PRESETS.map((preset, index) => `<option value="${index}">${preset.label}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div class="rule-row">
+                            <label for="ruleInterval">Every</label>
+                            <input type="number" id="ruleInterval" min="1" max="999" step="1" value="1">
+                            <select id="ruleFreq" aria-label="Repeat unit">
+                                <option value="DAILY">day(s)</option>
+                                <option value="WEEKLY">week(s)</option>
+                                <option value="MONTHLY" selected>month(s)</option>
+                                <option value="YEARLY">year(s)</option>
+                            </select>
+                        </div>
+                        <div class="rule-row" id="ruleWeekdaysRow" role="group" aria-label="Repeat on weekdays">
+                            <span>On:</span>
+                            ${RULE_WEEKDAYS.map(([code, label]) => `<label class="rule-weekday"><input type="checkbox" value="${code}"> ${label}</label>`).join('')}
+                        </div>
+                        <div class="rule-row" id="ruleMonthlyRow">
+                            <select id="ruleMonthlyMode" aria-label="Day of the month">
+                                <option value="date">On the due date's day</option>
+                                <option value="nth">On the…</option>
+                            </select>
+                            <select id="ruleSetPos" aria-label="Which one">
+                                ${RULE_POSITIONS.map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                            </select>
+                            <select id="ruleDayKind" aria-label="Kind of day">
+                                ${RULE_DAY_KINDS.map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div class="rule-row">
+                            <label for="ruleEnds">Ends:</label>
+                            <select id="ruleEnds">
+                                <option value="never">Never</option>
+                                <option value="count">After a number of payments</option>
+                                <option value="until">On a date</option>
+                            </select>
+                            <input type="number" id="ruleCount" min="1" step="1" value="12" aria-label="Number of payments">
+                            <input type="date" id="ruleUntil" aria-label="Last payment date">
+                        </div>
+                        <div class="rule-row">
+                            <label for="ruleRRuleText">RRULE:</label>
+                            <input type="text" id="ruleRRuleText" placeholder="Paste a calendar rule, e.g. FREQ=MONTHLY;INTERVAL=3" aria-describedby="ruleSummary">
+                        </div>
+                        <p id="ruleSummary" class="rule-summary" aria-live="polite"></p>
+                    </fieldset>
+                </div>
+                
+                <div class="form-group" id="billIncomeSourceGroup" style="display: none;">
+                    <label for="billIncomeSource">Paid From:</label>
+                    <select id="billIncomeSource" aria-describedby="incomeSourceHelp">
+                        <option value="">Paycheck before due date</option>
+                    </select>
+                    <span id="incomeSourceHelp" class="sr-only">Choose which income source's paycheck covers this bill</span>
+                </div>
+                
+                <div class="form-group" id="billPlannedPayDateGroup" style="display: none;">
+                    <label for="billPlannedPayDate">Pay On Paycheck:</label>
+                    <select id="billPlannedPayDate" aria-describedby="plannedPayDateHelp">
+                        <option value="">Pay period of the due date</option>
+                    </select>
+                    <span id="plannedPayDateHelp" class="sr-only">Choose the paycheck this bill is paid from; the due date stays as it is</span>
+                </div>
+                
+                <div class="form-group" id="billDefaultAccountGroup" style="display: none;">
+                    <label for="billDefaultAccount">Pay With:</label>
+                    <select id="billDefaultAccount" aria-describedby="defaultAccountHelp">
+                        <option value="">No default account</option>
+                    </select>
+                    <span id="defaultAccountHelp" class="sr-only">Choose the account preselected when recording a payment for this bill</span>
+                </div>
+                
+                <div class="form-group">
+                    <label for="billReminder">Reminders:</label>
+                    <select id="billReminder" aria-describedby="reminderHelp">
+                        <option value="">Use default</option>
+                        <option value="off">No reminders</option>
+                        ${REMINDER_DAY_OPTIONS.map(days => `<option value="${days}">${days} day${days === 1 ? '' : 's'} before</option>`).join('')}
+                    </select>
+                    <span id="reminderHelp" class="sr-only">Override the reminder settings for this bill</span>
+                </div>
+                
                 <div class="form-group grid-full">
                     <label for="billWebsite">Website / Login URL:</label>
                     <input type="url" id="billWebsite" placeholder="https://..." aria-describedby="websiteHelp">
@@ -120,6 +230,33 @@ export const initializeBillForm = (categories, actions) => {
         }
     });
 
+    const recurrenceSelect = document.getElementById('billRecurrence');
+    const ruleGroup = document.getElementById('billRecurrenceRuleGroup');
+    recurrenceSelect.addEventListener('change', () => {
+        if (recurrenceSelect.value === 'Custom' && !loadedRecurrenceRule) {
+            recurrenceRuleTouched = true;
+        }
+        updateRecurrenceRuleEditor();
+    });
+    ruleGroup.addEventListener('change', (e) => {
+        if (e.target.id === 'ruleRRuleText') {
+            applyPastedRRule(e.target);
+            return;
+        }
+        if (e.target.id === 'ruleRecurrencePreset') {
+            if (e.target.value === '') return;
+            fillRecurrenceRuleEditor(RECURRENCE_PRESETS[Number(e.target.value)].rule);
+            e.target.value = '';
+        }
+        recurrenceRuleTouched = true;
+        updateRecurrenceRuleEditor();
+    });
+    ruleGroup.addEventListener('input', (e) => {
+        if (e.target.id === 'ruleRRuleText') return;
+        recurrenceRuleTouched = true;
+        updateRecurrenceRuleEditor();
+    });
+
     window.addEventListener('click', (e) => {
         if (e.target === modal) {
             form.style.display = 'none';
@@ -152,8 +289,13 @@ export const initializeBillForm = (categories, actions) => {
             amountDue: amount,
             balance: parseFloat(document.getElementById('billBalance').value),
             recurrence: document.getElementById('billRecurrence').value,
+            recurrenceRule: getRecurrenceRuleFromForm(),
             notes: document.getElementById('billNotes').value,
-            website: document.getElementById('billWebsite').value
+            website: document.getElementById('billWebsite').value,
+            incomeSourceId: document.getElementById('billIncomeSource').value,
+            defaultAccountId: document.getElementById('billDefaultAccount').value,
+            plannedPayDate: document.getElementById('billPlannedPayDate').value,
+            reminder: parseReminderChoice(document.getElementById('billReminder').value)
         };
         actions.onSaveBill(billData);
     });
@@ -162,7 +304,8 @@ export const initializeBillForm = (categories, actions) => {
 /**
  * Opens the bill form modal and populates it with bill data for editing
  * 
- * @param {Object} bill - Bill object to edit with properties: id, category, name, dueDate, amountDue, balance, recurrence, notes
+ * @param {Object} bill - Bill object to edit with properties: id, category, name, dueDate, amountDue, balance, recurrence, notes,
+ *   and optional recurrenceRule, incomeSourceId, defaultAccountId, plannedPayDate and reminder
  * @returns {void}
  * @description Displays the form modal, fills in all fields with the provided bill data,
  *   and sets focus to the category field for accessibility.
@@ -190,7 +333,7 @@ export const openBillForm = (bill) => {
     
     // Ensure all recurrence options are available (safeguard against caching issues)
     const recurrenceSelect = document.getElementById('billRecurrence');
-    const requiredOptions = ['One-time', 'Weekly', 'Bi-weekly', 'Monthly', 'Yearly'];
+    const requiredOptions = ['One-time', 'Weekly', 'Bi-weekly', 'Monthly', 'Yearly', 'Custom'];
     const currentOptions = Array.from(recurrenceSelect.options).map(o => o.value);
     
     // Add missing options
@@ -205,8 +348,16 @@ export const openBillForm = (bill) => {
     });
     
     recurrenceSelect.value = billData.recurrence;
+    loadedRecurrenceRule = billData.recurrence === 'Custom' ? billData.recurrenceRule || null : null;
+    recurrenceRuleTouched = false;
+    fillRecurrenceRuleEditor(loadedRecurrenceRule || { freq: 'MONTHLY', interval: 1 });
+    updateRecurrenceRuleEditor();
     document.getElementById('billNotes').value = billData.notes || '';
     document.getElementById('billWebsite').value = billData.website || '';
+    populateIncomeSourceOptions(billData.incomeSourceId || '');
+    populateDefaultAccountOptions(billData.defaultAccountId || '');
+    populatePlannedPayDateOptions(billData.plannedPayDate || '');
+    document.getElementById('billReminder').value = reminderChoiceValue(billData.reminder);
     
     // Update form title based on create vs edit
     const titleElement = document.getElementById('billFormTitle');
@@ -259,4 +410,229 @@ export const resetBillForm = () => {
 export const closeBillForm = () => {
     document.getElementById('billForm').style.display = 'none';
     resetBillForm();
-};
\ No newline at end of file
+};
+
+/**
+ * Fill the "Paid From" picker with the configured income sources
+ * 
+ * @param {string} selectedId - Income source id to select ('' for no assignment)
+ * @returns {void}
+ * @description The picker stays hidden for single-income households. A bill pinned to a
+ *   source that no longer exists falls back to no assignment.
+ */
+const populateIncomeSourceOptions = (selectedId) => {
+    const sources = paycheckManager.getIncomeSources();
+    const select = document.getElementById('billIncomeSource');
+
+    while (select.options.length > 1) {
+        select.remove(1);
+    }
+    sources.forEach(source => {
+        const option = document.createElement('option');
+        option.value = source.id;
+        option.textContent = source.name;
+        select.appendChild(option);
+    });
+
+    select.value = sources.some(source => source.id === selectedId) ? selectedId : '';
+    document.getElementById('billIncomeSourceGroup').style.display = sources.length > 1 ? '' : 'none';
+};
+
+/**
+ * Fill the "Pay With" picker with the configured payment accounts
+ * 
+ * @param {string} selectedId - Payment account id to select ('' for no default)
+ * @returns {void}
+ * @description The picker stays hidden until payment accounts are added in settings.
+ *   A bill whose default account was removed falls back to no default.
+ */
+const populateDefaultAccountOptions = (selectedId) => {
+    const accounts = paycheckManager.getPaymentAccounts();
+    const select = document.getElementById('billDefaultAccount');
+
+    while (select.options.length > 1) {
+        select.remove(1);
+    }
+    accounts.forEach(account => {
+        const option = document.createElement('option');
+        option.value = account.id;
+        option.textContent = formatAccountLabel(account);
+        select.appendChild(option);
+    });
+
+    select.value = accounts.some(account => account.id === selectedId) ? selectedId : '';
+    document.getElementById('billDefaultAccountGroup').style.display = accounts.length > 0 ? '' : 'none';
+};
+
+/**
+ * Fill the "Pay On Paycheck" picker with the shown paycheck dates
+ * 
+ * @param {string} selectedDate - Planned pay date to select ('' to follow the due date)
+ * @returns {void}
+ * @description A planned date outside the shown pay periods stays selectable so opening
+ *   and saving the form keeps it.
+ */
+const populatePlannedPayDateOptions = (selectedDate) => {
+    const select = document.getElementById('billPlannedPayDate');
+    const labels = paycheckManager.getPaycheckLabels();
+    const dates = paycheckManager.payCheckDates.map(formatLocalDate);
+
+    while (select.options.length > 1) {
+        select.remove(1);
+    }
+    dates.forEach((date, index) => {
+        const option = document.createElement('option');
+        option.value = date;
+        option.textContent = labels[index];
+        select.appendChild(option);
+    });
+    if (selectedDate && !dates.includes(selectedDate)) {
+        const option = document.createElement('option');
+        option.value = selectedDate;
+        option.textContent = selectedDate;
+        select.appendChild(option);
+    }
+
+    select.value = selectedDate;
+    document.getElementById('billPlannedPayDateGroup').style.display = dates.length > 0 || selectedDate ? '' : 'none';
+};
+
+/**
+ * Put a recurrence rule into the custom schedule editor
+ * 
+ * @param {Object} rule - Recurrence rule (see recurrence module)
+ * @returns {void}
+ * @description Rules the editor cannot show exactly (e.g. several days of the month) are
+ *   shown approximately; they are saved unchanged unless the user edits the schedule.
+ */
+const fillRecurrenceRuleEditor = (rule) => {
+    document.getElementById('ruleInterval').value = rule.interval || 1;
+    document.getElementById('ruleFreq').value = rule.freq;
+
+    document.querySelectorAll('#ruleWeekdaysRow input').forEach(checkbox => {
+        checkbox.checked = rule.freq === 'WEEKLY' && (rule.byDay || []).includes(checkbox.value);
+    });
+
+    let mode = 'date';
+    let position = '1';
+    let dayKind = 'day';
+    if (rule.freq === 'MONTHLY' && rule.byMonthDay) {
+        mode = 'nth';
+        position = String(rule.byMonthDay[0]);
+    } else if (rule.freq === 'MONTHLY' && rule.byDay) {
+        mode = 'nth';
+        if (rule.bySetPos) {
+            position = String(rule.bySetPos);
+            dayKind = rule.byDay.length === 1 ? rule.byDay[0].slice(-2) : 'weekday';
+        } else {
+            const match = /^([+-]?\d)?([A-Z]{2})$/.exec(rule.byDay[0]);
+            position = match[1] ? String(parseInt(match[1], 10)) : '1';
+            dayKind = match[2];
+        }
+    }
+    document.getElementById('ruleMonthlyMode').value = mode;
+    const setPosSelect = document.getElementById('ruleSetPos');
+    setPosSelect.value = RULE_POSITIONS.some(([value]) => value === position) ? position : '1';
+    document.getElementById('ruleDayKind').value = dayKind;
+
+    document.getElementById('ruleEnds').value = rule.count ? 'count' : rule.until ? 'until' : 'never';
+    if (rule.count) document.getElementById('ruleCount').value = rule.count;
+    document.getElementById('ruleUntil').value = rule.until || '';
+};
+
+/**
+ * Build a recurrence rule from the custom schedule editor
+ * 
+ * @returns {Object} Recurrence rule
+ */
+const readRecurrenceRuleEditor = () => {
+    const rule = {
+        freq: document.getElementById('ruleFreq').value,
+        interval: parseInt(document.getElementById('ruleInterval').value, 10) || 1
+    };
+
+    if (rule.freq === 'WEEKLY') {
+        const days = Array.from(document.querySelectorAll('#ruleWeekdaysRow input:checked')).map(c => c.value);
+        if (days.length > 0) rule.byDay = days;
+    }
+
+    if (rule.freq === 'MONTHLY' && document.getElementById('ruleMonthlyMode').value === 'nth') {
+        const position = parseInt(document.getElementById('ruleSetPos').value, 10);
+        const dayKind = document.getElementById('ruleDayKind').value;
+        if (dayKind === 'day') {
+            rule.byMonthDay = [position];
+        } else if (dayKind === 'weekday') {
+            rule.byDay = [...BUSINESS_DAY_CODES];
+            rule.bySetPos = position;
+        } else {
+            rule.byDay = [`${position}${dayKind}`];
+        }
+    }
+
+    const ends = document.getElementById('ruleEnds').value;
+    if (ends === 'count') {
+        rule.count = parseInt(document.getElementById('ruleCount').value, 10);
+    } else if (ends === 'until') {
+        rule.until = document.getElementById('ruleUntil').value;
+    }
+
+    return rule;
+};
+
+/**
+ * Load a pasted iCalendar RRULE into the custom schedule editor
+ * 
+ * @param {HTMLInputElement} input - RRULE text field
+ * @returns {void}
+ * @description The parsed rule is saved exactly as pasted, even when the editor can only
+ *   show it approximately. Invalid rules are flagged and leave the schedule unchanged.
+ */
+const applyPastedRRule = (input) => {
+    if (!input.value.trim()) return;
+    try {
+        const rule = parseRRule(input.value);
+        fillRecurrenceRuleEditor(rule);
+        loadedRecurrenceRule = rule;
+        recurrenceRuleTouched = false;
+        input.value = '';
+        input.removeAttribute('aria-invalid');
+        updateRecurrenceRuleEditor();
+    } catch (error) {
+        input.setAttribute('aria-invalid', 'true');
+        document.getElementById('ruleSummary').textContent = error.message;
+    }
+};
+
+/**
+ * Get the custom recurrence rule entered in the bill form
+ * 
+ * @returns {Object|undefined} Rule when "Custom…" recurrence is selected, otherwise undefined
+ */
+export const getRecurrenceRuleFromForm = () => {
+    if (document.getElementById('billRecurrence').value !== 'Custom') return undefined;
+    return !recurrenceRuleTouched && loadedRecurrenceRule ? loadedRecurrenceRule : readRecurrenceRuleEditor();
+};
+
+/**
+ * Show the custom schedule editor rows that apply and refresh its summary
+ * 
+ * @returns {void}
+ */
+const updateRecurrenceRuleEditor = () => {
+    const isCustom = document.getElementById('billRecurrence').value === 'Custom';
+    document.getElementById('billRecurrenceRuleGroup').style.display = isCustom ? '' : 'none';
+    if (!isCustom) return;
+
+    const freq = document.getElementById('ruleFreq').value;
+    const isNth = document.getElementById('ruleMonthlyMode').value === 'nth';
+    const ends = document.getElementById('ruleEnds').value;
+    document.getElementById('ruleWeekdaysRow').style.display = freq === 'WEEKLY' ? '' : 'none';
+    document.getElementById('ruleMonthlyRow').style.display = freq === 'MONTHLY' ? '' : 'none';
+    document.getElementById('ruleSetPos').style.display = isNth ? '' : 'none';
+    document.getElementById('ruleDayKind').style.display = isNth ? '' : 'none';
+    document.getElementById('ruleCount').style.display = ends === 'count' ? '' : 'none';
+    document.getElementById('ruleUntil').style.display = ends === 'until' ? '' : 'none';
+
+    const rule = getRecurrenceRuleFromForm();
+    document.getElementById('ruleSummary').textContent = `${describeRecurrence({ recurrence: 'Custom', recurrenceRule: rule })} (RRULE: ${formatRRule(rule)})`;
+};
@@ -1,6 +1,7 @@
 import { createLocalDate } from '../utils/dates.js';
 import { paycheckManager } from '../utils/paycheckManager.js';
 import { filterBillsByPeriod } from '../utils/billHelpers.js';
+import { describeRecurrence } from '../utils/recurrence.js';
 
 
 /**
@@ -115,8 +116,15 @@ export const renderBillGrid = ({ bills, viewMode, selectedPaycheck, selectedCate
             const dateCell = document.createElement('td');
             dateCell.setAttribute('role', 'cell');
             if (isOverdue) dateCell.className = 'overdue-date';
-            dateCell.setAttribute('aria-label', `Due date: ${bill.dueDate}${isOverdue ? ' (overdue)' : ''}`);
+            dateCell.setAttribute('aria-label', `Due date: ${bill.dueDate}${isOverdue ? ' (overdue)' : ''}` +
+                (bill.plannedPayDate ? `, planned to pay on ${bill.plannedPayDate}` : ''));
             dateCell.textContent = bill.dueDate + (isOverdue ? ' ⚠️' : '');
+            if (bill.plannedPayDate && bill.plannedPayDate !== bill.dueDate) {
+                const plannedLine = document.createElement('small');
+                plannedLine.className = 'planned-pay-date';
+                plannedLine.textContent = `Pay on ${bill.plannedPayDate}`;
+                dateCell.appendChild(plannedLine);
+            }
             row.appendChild(dateCell);
 
             // Category (conditional)
@@ -188,7 +196,7 @@ export const renderBillGrid = ({ bills, viewMode, selectedPaycheck, selectedCate
             // Recurrence
             const recurrenceCell = document.createElement('td');
             recurrenceCell.setAttribute('role', 'cell');
-            recurrenceCell.textContent = bill.recurrence;
+            recurrenceCell.textContent = describeRecurrence(bill);
             row.appendChild(recurrenceCell);
 
             // Actions
@@ -0,0 +1,183 @@
+import { IMPORT_FIELDS, detectColumnMapping, mapRowsToBills } from '../utils/csvImport.js';
+
+/** Rows shown in the preview grid; the rest are still checked and imported */
+const PREVIEW_ROW_LIMIT = 200;
+
+const PREVIEW_COLUMNS = [
+    ['name', 'Name'],
+    ['category', 'Category'],
+    ['dueDate', 'Due Date'],
+    ['amountDue', 'Amount'],
+    ['recurrence', 'Recurrence']
+];
+
+/**
+ * Asks how the columns of a CSV or TSV file map to bill fields and previews the result
+ *
+ * @param {Object} table - File contents from billActionHandlers.readImportTable()
+ * @param {string} table.fileName - Name of the file
+ * @param {Array<string>} table.headers - Header row
+ * @param {Array<Array<string>>} table.rows - Data rows
+ * @param {Function} validate - Bill validator returning { isValid, errors }
+ * @returns {Promise<Array<Object>|null>} Resolves to the valid bills, which then go to the
+ *   import dialog (see importModal.js), or null when cancelled
+ * @description Columns are matched to fields by their headers and can be changed with one
+ *   select per field. The preview grid lists each row as it will be imported, with the
+ *   problems that keep invalid rows out. Only valid rows continue.
+ *   Escape and Cancel close the dialog.
+ */
+export const showCsvImportModal = ({ fileName, headers, rows }, validate) => new Promise(resolve => {
+    const existing = document.getElementById('csvImportModal');
+    if (existing) existing.remove();
+
+    const mapping = detectColumnMapping(headers);
+    let results = [];
+
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'csvImportModal';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    modal.setAttribute('aria-labelledby', 'csvImportTitle');
+
+    const modalContent = document.createElement('div');
+    modalContent.className = 'modal-content';
+    modalContent.style.maxWidth = '760px';
+
+    const title = document.createElement('h3');
+    title.id = 'csvImportTitle';
+    title.textContent = `Import ${fileName}`;
+    modalContent.appendChild(title);
+
+    const description = document.createElement('p');
+    description.style.margin = '15px 0';
+    description.textContent = 'Choose which column holds each bill field. You can choose how to combine the bills with your current ones next.';
+    modalContent.appendChild(description);
+
+    const form = document.createElement('form');
+
+    const mappingGrid = document.createElement('div');
+    mappingGrid.className = 'csv-import-mapping';
+    IMPORT_FIELDS.forEach(field => {
+        const label = document.createElement('label');
+        label.textContent = field.required ? `${field.label} *` : field.label;
+
+        const select = document.createElement('select');
+        select.dataset.field = field.key;
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = '— Not imported —';
+        select.appendChild(none);
+        headers.forEach((header, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = header || `Column ${index + 1}`;
+            select.appendChild(option);
+        });
+        select.value = mapping[field.key] === null ? '' : String(mapping[field.key]);
+        select.addEventListener('change', () => {
+            mapping[field.key] = select.value === '' ? null : Number(select.value);
+            renderPreview();
+        });
+
+        label.appendChild(select);
+        mappingGrid.appendChild(label);
+    });
+    form.appendChild(mappingGrid);
+
+    const summary = document.createElement('p');
+    summary.className = 'csv-import-summary';
+    summary.setAttribute('aria-live', 'polite');
+    form.appendChild(summary);
+
+    const preview = document.createElement('div');
+    preview.className = 'csv-import-preview';
+    form.appendChild(preview);
+
+    const btnGroup = document.createElement('div');
+    btnGroup.style.display = 'flex';
+    btnGroup.style.gap = '10px';
+    btnGroup.style.marginTop = '20px';
+
+    const importBtn = document.createElement('button');
+    importBtn.type = 'submit';
+    importBtn.className = 'submit-btn';
+    importBtn.style.flex = '1';
+    btnGroup.appendChild(importBtn);
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'cancel-btn';
+    cancelBtn.textContent = 'Cancel';
+    btnGroup.appendChild(cancelBtn);
+
+    form.appendChild(btnGroup);
+    modalContent.appendChild(form);
+    modal.appendChild(modalContent);
+    document.body.appendChild(modal);
+
+    function renderPreview() {
+        results = mapRowsToBills(rows, mapping, validate);
+        const validCount = results.filter(result => result.errors.length === 0).length;
+        const invalidCount = results.length - validCount;
+
+        summary.textContent = invalidCount === 0
+            ? `${validCount} row${validCount === 1 ? '' : 's'} ready.`
+            : `${validCount} of ${results.length} rows ready. ${invalidCount} row${invalidCount === 1 ? '' : 's'} with problems will be skipped.`;
+        importBtn.textContent = `Continue with ${validCount} bill${validCount === 1 ? '' : 's'}`;
+        importBtn.disabled = validCount === 0;
+
+        const table = document.createElement('table');
+        table.className = 'csv-import-table';
+        const header = document.createElement('tr');
+        ['Row', ...PREVIEW_COLUMNS.map(([, label]) => label), 'Problems'].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            header.appendChild(th);
+        });
+        table.appendChild(header);
+
+        results.slice(0, PREVIEW_ROW_LIMIT).forEach(({ rowNumber, bill, errors }) => {
+            const tr = document.createElement('tr');
+            if (errors.length > 0) tr.className = 'csv-import-invalid';
+            const cells = [
+                String(rowNumber),
+                ...PREVIEW_COLUMNS.map(([key]) => (key === 'amountDue' ? `$${bill.amountDue.toFixed(2)}` : bill[key] || '—')),
+                errors.join('; ') || '✓'
+            ];
+            cells.forEach(text => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+            table.appendChild(tr);
+        });
+
+        preview.replaceChildren(table);
+        if (results.length > PREVIEW_ROW_LIMIT) {
+            const more = document.createElement('p');
+            more.className = 'csv-import-summary';
+            more.textContent = `Showing the first ${PREVIEW_ROW_LIMIT} of ${results.length} rows.`;
+            preview.appendChild(more);
+        }
+    }
+
+    const close = (bills) => {
+        document.removeEventListener('keydown', handleKeydown);
+        modal.remove();
+        resolve(bills);
+    };
+    const handleKeydown = (e) => {
+        if (e.key === 'Escape') close(null);
+    };
+
+    form.addEventListener('submit', e => {
+        e.preventDefault();
+        close(results.filter(result => result.errors.length === 0).map(result => result.bill));
+    });
+    cancelBtn.addEventListener('click', () => close(null));
+    document.addEventListener('keydown', handleKeydown);
+
+    renderPreview();
+    importBtn.focus();
+});
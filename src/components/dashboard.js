@@ -1,4 +1,6 @@
-import { filterBillsByPeriod } from '../utils/billHelpers.js';
+import { filterBillsByPeriod, calculatePeriodBudgets, calculateCashFlowProjection } from '../utils/billHelpers.js';
+import { createLocalDate } from '../utils/dates.js';
+import { paycheckManager } from '../utils/paycheckManager.js';
 
 /**
  * Dashboard Component
@@ -14,6 +16,8 @@ import { filterBillsByPeriod } from '../utils/billHelpers.js';
  * - Unpaid Amount: Sum of unpaid bill amounts
  * - Overdue Count: Bills past due date and unpaid
  * - Payment History: Pie chart of payment status
+ * - Paycheck Budget: Paycheck minus bills assigned to each period = leftover
+ * - Low Balance Warning: First day the projected checking balance drops below the buffer
  * 
  * @module dashboard
  */
@@ -93,7 +97,11 @@ export const renderDashboard = (bills, viewMode, selectedPaycheck, selectedCateg
         return dueDate < today && !b.isPaid;
     });
 
+    const warningHtml = renderCashFlowWarning(bills, payCheckDates);
+    const budgetHtml = renderPeriodBudgets(bills, payCheckDates, viewMode === 'filtered' ? selectedPaycheck : null);
+
     dashboard.innerHTML = `
+        ${warningHtml}
         <div class="dashboard">
             <div class="dashboard-card">
                 <div class="card-icon">📊</div>
@@ -131,6 +139,83 @@ export const renderDashboard = (bills, viewMode, selectedPaycheck, selectedCateg
                 </div>
             </div>
         </div>
+        ${budgetHtml}
+    `;
+};
+
+/**
+ * Build the per-period paycheck budget strip
+ * 
+ * @function renderPeriodBudgets
+ * @private
+ * @param {Array<Object>} bills - All bills (budget ignores category and payment filters)
+ * @param {Array<Date>} payCheckDates - Paycheck dates
+ * @param {number|null} selectedPaycheck - Period to highlight
+ * @returns {string} HTML for the budget strip, or empty string when there are no periods
+ */
+const renderPeriodBudgets = (bills, payCheckDates, selectedPaycheck) => {
+    const budgets = calculatePeriodBudgets(bills, payCheckDates);
+    if (budgets.length === 0) return '';
+
+    const hasIncome = budgets.some(b => b.income !== null);
+    const showSources = paycheckManager.getIncomeSources().length > 1;
+    const formatDate = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+    const periods = budgets.map((budget, index) => {
+        const isSelected = index === selectedPaycheck;
+        const isShort = budget.leftover !== null && budget.leftover < 0;
+        const incomeText = budget.income === null ? '—' : `$${budget.income.toFixed(2)}`;
+        const leftoverText = budget.leftover === null
+            ? '—'
+            : `${budget.leftover < 0 ? '-' : ''}$${Math.abs(budget.leftover).toFixed(2)}`;
+
+        return `
+            <div class="budget-period ${isSelected ? 'selected' : ''} ${isShort ? 'short' : ''}"
+                aria-label="Paycheck ${formatDate(budget.payDate)}: ${incomeText} minus bills $${budget.billsTotal.toFixed(2)} leaves ${leftoverText}">
+                <div class="budget-date">💵 ${formatDate(budget.payDate)}</div>
+                ${showSources ? `<div class="budget-sources">${budget.sourceNames.join(' + ')}</div>` : ''}
+                <div class="budget-line">${incomeText} − $${budget.billsTotal.toFixed(2)}</div>
+                <div class="budget-leftover">= ${leftoverText}</div>
+            </div>
+        `;
+    }).join('');
+
+    return `
+        <div class="period-budgets" role="region" aria-label="Paycheck budget by pay period">
+            ${periods}
+        </div>
+        ${hasIncome ? '' : '<p class="budget-hint">Add your net pay in ⚙️ Settings to see what is left over each paycheck.</p>'}
     `;
 };
 
+
+/**
+ * Build the warning shown when the projected checking balance runs low
+ * 
+ * @function renderCashFlowWarning
+ * @private
+ * @param {Array<Object>} bills - All bills
+ * @param {Array<Date>} payCheckDates - Paycheck dates
+ * @returns {string} HTML for the banner, or empty string when no balance is set or it stays above the buffer
+ */
+const renderCashFlowWarning = (bills, payCheckDates) => {
+    const cashFlowSettings = paycheckManager.getCashFlowSettings();
+    if (!cashFlowSettings) return '';
+
+    const projection = calculateCashFlowProjection(bills, payCheckDates, cashFlowSettings);
+    if (!projection || !projection.firstBelowBuffer) return '';
+
+    const formatDate = (date) => createLocalDate(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    const formatAmount = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+    const { firstBelowBuffer, firstNegative, lowest } = projection;
+
+    const message = firstNegative === firstBelowBuffer
+        ? `Your checking balance is projected to go negative on ${formatDate(firstNegative.date)} (${formatAmount(firstNegative.balance)}).`
+        : `Your checking balance is projected to drop below $${projection.buffer.toFixed(2)} on ${formatDate(firstBelowBuffer.date)} (${formatAmount(firstBelowBuffer.balance)})${firstNegative ? ` and go negative on ${formatDate(firstNegative.date)}` : ''}.`;
+
+    return `
+        <div class="cash-flow-warning ${firstNegative ? 'negative' : ''}" role="alert">
+            ⚠️ ${message} Lowest: ${formatAmount(lowest.balance)} on ${formatDate(lowest.date)}.
+        </div>
+    `;
+};
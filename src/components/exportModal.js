@@ -0,0 +1,210 @@
+import { EXPORT_FORMATS } from '../utils/exportFormats.js';
+import { MIN_PASSPHRASE_LENGTH } from '../utils/backupCrypto.js';
+
+/**
+ * Creates a password field for the encryption passphrase
+ * @param {string} text - Label text
+ * @returns {{label: HTMLLabelElement, input: HTMLInputElement}} Field
+ */
+const createPassphraseField = (text) => {
+    const label = document.createElement('label');
+    label.className = 'passphrase-field';
+    label.textContent = text;
+    const input = document.createElement('input');
+    input.type = 'password';
+    input.autocomplete = 'new-password';
+    input.minLength = MIN_PASSPHRASE_LENGTH;
+    label.appendChild(input);
+    return { label, input };
+};
+
+/**
+ * Asks which export to create
+ *
+ * @param {Object} view - What the current view shows
+ * @param {string} view.description - e.g. 'Utilities · pay period starting Oct 17' or 'All bills'
+ * @param {boolean} view.isFiltered - Whether the view hides any bills
+ * @returns {Promise<Object|null>} Resolves to { format, currentViewOnly, passphrase,
+ *   includeAttachments }, or null when cancelled; passphrase is only set for encrypted JSON
+ *   backups and includeAttachments only for JSON backups
+ * @description Lists the formats (JSON backup preselected) with what each one is for.
+ *   "Only bills in the current view" is offered when filters are active and does not
+ *   apply to the JSON backup, which always contains everything. The JSON backup can
+ *   include the attachment files and be encrypted with a passphrase, entered twice.
+ *   Escape and Cancel close the dialog.
+ */
+export const showExportModal = ({ description, isFiltered }) => new Promise(resolve => {
+    const existing = document.getElementById('exportModal');
+    if (existing) existing.remove();
+
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'exportModal';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    modal.setAttribute('aria-labelledby', 'exportTitle');
+
+    const modalContent = document.createElement('div');
+    modalContent.className = 'modal-content';
+    modalContent.style.maxWidth = '480px';
+
+    const title = document.createElement('h3');
+    title.id = 'exportTitle';
+    title.textContent = 'Export';
+    modalContent.appendChild(title);
+
+    const form = document.createElement('form');
+
+    const formatFieldset = document.createElement('fieldset');
+    formatFieldset.className = 'export-formats';
+    const legend = document.createElement('legend');
+    legend.textContent = 'Format';
+    formatFieldset.appendChild(legend);
+    EXPORT_FORMATS.forEach(format => {
+        const label = document.createElement('label');
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = 'exportFormat';
+        radio.value = format.id;
+        radio.checked = format.id === 'json';
+        radio.addEventListener('change', updateScope);
+        label.appendChild(radio);
+
+        const text = document.createElement('span');
+        const strong = document.createElement('strong');
+        strong.textContent = format.label;
+        text.appendChild(strong);
+        text.appendChild(document.createTextNode(` — ${format.description}`));
+        label.appendChild(text);
+        formatFieldset.appendChild(label);
+    });
+    form.appendChild(formatFieldset);
+
+    const scopeLabel = document.createElement('label');
+    scopeLabel.className = 'export-scope';
+    const scopeCheckbox = document.createElement('input');
+    scopeCheckbox.type = 'checkbox';
+    scopeCheckbox.checked = isFiltered;
+    scopeLabel.appendChild(scopeCheckbox);
+    scopeLabel.appendChild(document.createTextNode(` Only bills in the current view (${description})`));
+    if (isFiltered) form.appendChild(scopeLabel);
+
+    const attachmentsLabel = document.createElement('label');
+    attachmentsLabel.className = 'export-attachments';
+    const attachmentsCheckbox = document.createElement('input');
+    attachmentsCheckbox.type = 'checkbox';
+    attachmentsLabel.appendChild(attachmentsCheckbox);
+    attachmentsLabel.appendChild(document.createTextNode(' Include attachments (makes the backup larger)'));
+    form.appendChild(attachmentsLabel);
+
+    const encryption = document.createElement('div');
+    encryption.className = 'export-encryption';
+    const encryptLabel = document.createElement('label');
+    const encryptCheckbox = document.createElement('input');
+    encryptCheckbox.type = 'checkbox';
+    encryptCheckbox.addEventListener('change', updateEncryption);
+    encryptLabel.appendChild(encryptCheckbox);
+    encryptLabel.appendChild(document.createTextNode(' Encrypt with a passphrase'));
+    encryption.appendChild(encryptLabel);
+
+    const passphraseFields = document.createElement('div');
+    passphraseFields.className = 'export-passphrase';
+    const passphrase = createPassphraseField('Passphrase');
+    const confirmation = createPassphraseField('Repeat passphrase');
+    passphraseFields.appendChild(passphrase.label);
+    passphraseFields.appendChild(confirmation.label);
+    const hint = document.createElement('p');
+    hint.className = 'export-hint';
+    hint.textContent = `At least ${MIN_PASSPHRASE_LENGTH} characters. The passphrase cannot be recovered: without it the backup cannot be restored.`;
+    passphraseFields.appendChild(hint);
+    const passphraseError = document.createElement('p');
+    passphraseError.className = 'passphrase-error';
+    passphraseError.setAttribute('role', 'alert');
+    passphraseFields.appendChild(passphraseError);
+    encryption.appendChild(passphraseFields);
+    form.appendChild(encryption);
+
+    const btnGroup = document.createElement('div');
+    btnGroup.style.display = 'flex';
+    btnGroup.style.gap = '10px';
+    btnGroup.style.marginTop = '20px';
+
+    const exportBtn = document.createElement('button');
+    exportBtn.type = 'submit';
+    exportBtn.className = 'submit-btn';
+    exportBtn.style.flex = '1';
+    exportBtn.textContent = 'Export';
+    btnGroup.appendChild(exportBtn);
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'cancel-btn';
+    cancelBtn.textContent = 'Cancel';
+    btnGroup.appendChild(cancelBtn);
+
+    form.appendChild(btnGroup);
+    modalContent.appendChild(form);
+    modal.appendChild(modalContent);
+    document.body.appendChild(modal);
+
+    const selectedFormat = () => form.querySelector('input[name="exportFormat"]:checked').value;
+
+    function updateScope() {
+        // A backup always contains every bill; only backups carry attachments and can be encrypted
+        const isBackup = selectedFormat() === 'json';
+        scopeCheckbox.disabled = isBackup;
+        attachmentsLabel.hidden = !isBackup;
+        encryption.hidden = !isBackup;
+        updateEncryption();
+    }
+
+    function updateEncryption() {
+        passphraseFields.hidden = !encryptCheckbox.checked;
+        passphraseError.textContent = '';
+    }
+
+    /**
+     * Passphrase to encrypt with, '' when not encrypting, or null when the fields are invalid
+     */
+    function getPassphrase() {
+        if (selectedFormat() !== 'json' || !encryptCheckbox.checked) return '';
+        if (passphrase.input.value.length < MIN_PASSPHRASE_LENGTH) {
+            passphraseError.textContent = `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters.`;
+            passphrase.input.focus();
+            return null;
+        }
+        if (passphrase.input.value !== confirmation.input.value) {
+            passphraseError.textContent = 'The passphrases do not match.';
+            confirmation.input.focus();
+            return null;
+        }
+        return passphrase.input.value;
+    }
+
+    const close = (result) => {
+        document.removeEventListener('keydown', handleKeydown);
+        modal.remove();
+        resolve(result);
+    };
+    const handleKeydown = (e) => {
+        if (e.key === 'Escape') close(null);
+    };
+
+    form.addEventListener('submit', e => {
+        e.preventDefault();
+        const format = selectedFormat();
+        const chosenPassphrase = getPassphrase();
+        if (chosenPassphrase === null) return;
+        close({
+            format,
+            currentViewOnly: format !== 'json' && isFiltered && scopeCheckbox.checked,
+            passphrase: chosenPassphrase || null,
+            includeAttachments: format === 'json' && attachmentsCheckbox.checked
+        });
+    });
+    cancelBtn.addEventListener('click', () => close(null));
+    document.addEventListener('keydown', handleKeydown);
+
+    updateScope();
+    exportBtn.focus();
+});
@@ -21,6 +21,7 @@ export const initializeHeader = (paychecks, actions) => {
             <div class="header-title">
                 <h1>💰 Bill Tracker</h1>
                 <p class="header-subtitle" id="headerStatus" role="status" aria-live="polite" aria-atomic="true">Select a pay period to get started</p>
+                <span class="pending-changes" id="pendingChanges" role="status" aria-live="polite" hidden></span>
             </div>
             
             <div class="header-controls">
@@ -155,4 +156,23 @@ export const updateHeaderUI = (viewMode, selectedPaycheck, displayMode, showCarr
     if (carriedForwardToggle && typeof showCarriedForward !== 'undefined') {
         carriedForwardToggle.checked = showCarriedForward;
     }
-};
\ No newline at end of file
+};
+/**
+ * Shows how many bills have changes waiting to sync to the cloud
+ *
+ * @param {number} count - Number of bills with queued changes
+ * @param {boolean} online - Whether the device is online
+ * @returns {void}
+ */
+export const updatePendingChanges = (count, online) => {
+    const pendingChanges = document.getElementById('pendingChanges');
+    if (!pendingChanges) return;
+
+    const parts = [];
+    if (!online) parts.push('Offline');
+    if (count > 0) parts.push(`${count} change${count === 1 ? '' : 's'} waiting to sync`);
+
+    pendingChanges.textContent = parts.join(' · ');
+    pendingChanges.hidden = parts.length === 0;
+    pendingChanges.classList.toggle('offline', !online);
+};
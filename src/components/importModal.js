@@ -0,0 +1,226 @@
+import { IMPORT_MODES, planImport } from '../utils/importMerge.js';
+
+/** Names listed per summary section; the count always covers every bill */
+const LIST_LIMIT = 100;
+
+const MODE_LABELS = {
+    merge: ['Merge', 'Update matching bills and add the new ones'],
+    append: ['Append', 'Add only bills that are not here yet'],
+    replace: ['Replace', 'Replace all current bills with the file']
+};
+
+/** Readable names for the fields listed under updated bills */
+const FIELD_LABELS = {
+    name: 'name',
+    category: 'category',
+    dueDate: 'due date',
+    amountDue: 'amount',
+    balance: 'balance',
+    isPaid: 'paid',
+    recurrence: 'repeats',
+    recurrenceRule: 'repeat rule',
+    notes: 'notes',
+    website: 'website',
+    paymentHistory: 'payments',
+    auditLog: 'payment changes',
+    attachments: 'attachments',
+    plannedPayDate: 'planned pay date'
+};
+
+/**
+ * Creates a collapsible list of bills for one part of the import summary
+ * @param {string} title - Section title
+ * @param {Array<Object>} items - Entries to list
+ * @param {Function} describe - Returns the text for an entry
+ * @returns {HTMLElement|null} Section, or null when there is nothing to list
+ */
+const createSummarySection = (title, items, describe) => {
+    if (items.length === 0) return null;
+
+    const details = document.createElement('details');
+    details.className = 'import-summary-section';
+    const summary = document.createElement('summary');
+    summary.textContent = `${title} (${items.length})`;
+    details.appendChild(summary);
+
+    const list = document.createElement('ul');
+    items.slice(0, LIST_LIMIT).forEach(item => {
+        const li = document.createElement('li');
+        li.textContent = describe(item);
+        list.appendChild(li);
+    });
+    if (items.length > LIST_LIMIT) {
+        const li = document.createElement('li');
+        li.textContent = `…and ${items.length - LIST_LIMIT} more`;
+        list.appendChild(li);
+    }
+    details.appendChild(list);
+    return details;
+};
+
+const billLabel = bill => `${bill.name || 'Unnamed bill'}${bill.dueDate ? ` (${bill.dueDate})` : ''}`;
+
+/**
+ * Asks how to import a file and shows what each choice would change
+ *
+ * @param {Object} importFile - Bills read from the file
+ * @param {string} importFile.fileName - Name of the file
+ * @param {Array<Object>} importFile.bills - Bills as read from the file
+ * @param {Object|null} [importFile.paymentSettings] - Pay schedule in the file, if any
+ * @param {Array<Object>} existingBills - Current bills
+ * @returns {Promise<Object|null>} Resolves to { plan, includePaymentSettings } when the user
+ *   confirms, or null when cancelled
+ * @description Offers merge, append and replace (merge preselected) and lists the bills
+ *   that would be added, updated, skipped and removed, updating as the mode changes.
+ *   A pay schedule in the file is only used when its checkbox is ticked.
+ *   Nothing is changed until Import is clicked; Escape and Cancel close the dialog.
+ */
+export const showImportModal = ({ fileName, bills, paymentSettings }, existingBills) => new Promise(resolve => {
+    const existing = document.getElementById('importModal');
+    if (existing) existing.remove();
+
+    let plan = null;
+
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'importModal';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    modal.setAttribute('aria-labelledby', 'importTitle');
+
+    const modalContent = document.createElement('div');
+    modalContent.className = 'modal-content';
+    modalContent.style.maxWidth = '560px';
+
+    const title = document.createElement('h3');
+    title.id = 'importTitle';
+    title.textContent = `Import ${fileName}`;
+    modalContent.appendChild(title);
+
+    const description = document.createElement('p');
+    description.style.margin = '15px 0';
+    description.textContent = `The file has ${bills.length} bill${bills.length === 1 ? '' : 's'}. Bills match when they have the same ID, or the same name, category and due date.`;
+    modalContent.appendChild(description);
+
+    const form = document.createElement('form');
+
+    const modeFieldset = document.createElement('fieldset');
+    modeFieldset.className = 'import-modes';
+    const legend = document.createElement('legend');
+    legend.textContent = 'How to import';
+    modeFieldset.appendChild(legend);
+    IMPORT_MODES.forEach(mode => {
+        const label = document.createElement('label');
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = 'importMode';
+        radio.value = mode;
+        radio.checked = mode === 'merge';
+        radio.addEventListener('change', renderSummary);
+        label.appendChild(radio);
+
+        const [name, hint] = MODE_LABELS[mode];
+        const strong = document.createElement('strong');
+        strong.textContent = name;
+        label.appendChild(strong);
+        label.appendChild(document.createTextNode(` — ${hint}`));
+        modeFieldset.appendChild(label);
+    });
+    form.appendChild(modeFieldset);
+
+    let settingsCheckbox = null;
+    if (paymentSettings) {
+        const label = document.createElement('label');
+        label.className = 'import-settings-option';
+        settingsCheckbox = document.createElement('input');
+        settingsCheckbox.type = 'checkbox';
+        label.appendChild(settingsCheckbox);
+        label.appendChild(document.createTextNode(' Also use the pay schedule from this file (replaces your current pay settings)'));
+        form.appendChild(label);
+    }
+
+    const summary = document.createElement('div');
+    summary.className = 'import-summary';
+    summary.setAttribute('aria-live', 'polite');
+    form.appendChild(summary);
+
+    const btnGroup = document.createElement('div');
+    btnGroup.style.display = 'flex';
+    btnGroup.style.gap = '10px';
+    btnGroup.style.marginTop = '20px';
+
+    const importBtn = document.createElement('button');
+    importBtn.type = 'submit';
+    importBtn.className = 'submit-btn';
+    importBtn.style.flex = '1';
+    importBtn.textContent = 'Import';
+    btnGroup.appendChild(importBtn);
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'cancel-btn';
+    cancelBtn.textContent = 'Cancel';
+    btnGroup.appendChild(cancelBtn);
+
+    form.appendChild(btnGroup);
+    modalContent.appendChild(form);
+    modal.appendChild(modalContent);
+    document.body.appendChild(modal);
+
+    function renderSummary() {
+        const mode = form.querySelector('input[name="importMode"]:checked').value;
+        summary.replaceChildren();
+
+        try {
+            plan = planImport(existingBills, bills, mode);
+        } catch (error) {
+            plan = null;
+            const message = document.createElement('p');
+            message.className = 'import-summary-error';
+            message.textContent = error.message;
+            summary.appendChild(message);
+            importBtn.disabled = true;
+            return;
+        }
+
+        const counts = document.createElement('p');
+        counts.className = 'import-summary-counts';
+        counts.textContent = [
+            `${plan.added.length} to add`,
+            `${plan.updated.length} to update`,
+            `${plan.skipped.length} skipped`,
+            mode === 'replace' && `${plan.removed.length} current bill${plan.removed.length === 1 ? '' : 's'} removed`
+        ].filter(Boolean).join(' · ');
+        summary.appendChild(counts);
+
+        [
+            createSummarySection('Added', plan.added, billLabel),
+            createSummarySection('Updated', plan.updated, ({ after, fields }) =>
+                `${billLabel(after)}: ${fields.map(field => FIELD_LABELS[field] || field).join(', ')}`),
+            createSummarySection('Skipped', plan.skipped, ({ bill, reason }) => `${billLabel(bill)}: ${reason}`),
+            createSummarySection('Removed', plan.removed, billLabel)
+        ].filter(Boolean).forEach(section => summary.appendChild(section));
+
+        importBtn.disabled = plan.added.length + plan.updated.length + plan.removed.length === 0;
+    }
+
+    const close = (result) => {
+        document.removeEventListener('keydown', handleKeydown);
+        modal.remove();
+        resolve(result);
+    };
+    const handleKeydown = (e) => {
+        if (e.key === 'Escape') close(null);
+    };
+
+    form.addEventListener('submit', e => {
+        e.preventDefault();
+        if (!plan) return;
+        close({ plan, includePaymentSettings: Boolean(settingsCheckbox && settingsCheckbox.checked) });
+    });
+    cancelBtn.addEventListener('click', () => close(null));
+    document.addEventListener('keydown', handleKeydown);
+
+    renderSummary();
+    importBtn.focus();
+});
@@ -0,0 +1,97 @@
+/**
+ * Asks for the passphrase of an encrypted backup
+ *
+ * @param {Object} options
+ * @param {string} options.fileName - Name of the backup file
+ * @param {string|null} [options.error] - Message of the previous wrong attempt, shown above the field
+ * @returns {Promise<string|null>} Resolves to the passphrase, or null when cancelled
+ * @description The passphrase is only used to open this file and is not stored.
+ *   Escape and Cancel close the dialog.
+ */
+export const showPassphraseModal = ({ fileName, error = null }) => new Promise(resolve => {
+    const existing = document.getElementById('passphraseModal');
+    if (existing) existing.remove();
+
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'passphraseModal';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    modal.setAttribute('aria-labelledby', 'passphraseTitle');
+
+    const modalContent = document.createElement('div');
+    modalContent.className = 'modal-content';
+    modalContent.style.maxWidth = '420px';
+
+    const title = document.createElement('h3');
+    title.id = 'passphraseTitle';
+    title.textContent = 'Encrypted backup';
+    modalContent.appendChild(title);
+
+    const description = document.createElement('p');
+    description.style.margin = '15px 0';
+    description.textContent = `Enter the passphrase ${fileName} was exported with.`;
+    modalContent.appendChild(description);
+
+    const form = document.createElement('form');
+
+    if (error) {
+        const message = document.createElement('p');
+        message.className = 'passphrase-error';
+        message.setAttribute('role', 'alert');
+        message.textContent = error;
+        form.appendChild(message);
+    }
+
+    const label = document.createElement('label');
+    label.className = 'passphrase-field';
+    label.textContent = 'Passphrase';
+    const input = document.createElement('input');
+    input.type = 'password';
+    input.autocomplete = 'off';
+    input.required = true;
+    label.appendChild(input);
+    form.appendChild(label);
+
+    const btnGroup = document.createElement('div');
+    btnGroup.style.display = 'flex';
+    btnGroup.style.gap = '10px';
+    btnGroup.style.marginTop = '20px';
+
+    const unlockBtn = document.createElement('button');
+    unlockBtn.type = 'submit';
+    unlockBtn.className = 'submit-btn';
+    unlockBtn.style.flex = '1';
+    unlockBtn.textContent = 'Open backup';
+    btnGroup.appendChild(unlockBtn);
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'cancel-btn';
+    cancelBtn.textContent = 'Cancel';
+    btnGroup.appendChild(cancelBtn);
+
+    form.appendChild(btnGroup);
+    modalContent.appendChild(form);
+    modal.appendChild(modalContent);
+    document.body.appendChild(modal);
+
+    const close = (passphrase) => {
+        document.removeEventListener('keydown', handleKeydown);
+        modal.remove();
+        resolve(passphrase);
+    };
+    const handleKeydown = (e) => {
+        if (e.key === 'Escape') close(null);
+    };
+
+    form.addEventListener('submit', e => {
+        e.preventDefault();
+        if (!input.value) return;
+        close(input.value);
+    });
+    cancelBtn.addEventListener('click', () => close(null));
+    document.addEventListener('keydown', handleKeydown);
+
+    input.focus();
+});
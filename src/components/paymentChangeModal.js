@@ -0,0 +1,164 @@
+import { formatLocalDate } from '../utils/dates.js';
+
+/** Dialog title, submit label and description per action */
+const ACTIONS = {
+    edit: {
+        title: 'Edit payment',
+        submit: 'Save Changes',
+        description: 'Correct the payment. The bill balance is recalculated and the change is logged.'
+    },
+    void: {
+        title: 'Void payment',
+        submit: 'Void Payment',
+        description: 'A voided payment stays in the history but no longer counts toward the bill.'
+    },
+    refund: {
+        title: 'Record refund',
+        submit: 'Record Refund',
+        description: 'Money paid back to you. The refund is subtracted from what was paid on the bill.'
+    }
+};
+
+/**
+ * Creates a labelled form field
+ * @param {string} labelText - Label
+ * @param {HTMLElement} input - Input, select or textarea
+ * @returns {HTMLElement} Form group
+ */
+const createField = (labelText, input) => {
+    const group = document.createElement('div');
+    group.className = 'form-group';
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    label.appendChild(input);
+    group.appendChild(label);
+    return group;
+};
+
+const createInput = (type, value = '') => {
+    const input = document.createElement('input');
+    input.type = type;
+    input.value = value;
+    return input;
+};
+
+/**
+ * Asks for the changes to a recorded payment
+ *
+ * @param {Object} payment - Payment history entry
+ * @param {Object} options
+ * @param {string} options.action - 'edit', 'void' or 'refund'
+ * @param {number} [options.refundable] - Amount that can still be refunded (refund only)
+ * @returns {Promise<Object|null>} Resolves to { amount, date, method, confirmationNumber, notes }
+ *   for edits, { reason } for voids and { amount, date, reason } for refunds, or null when
+ *   cancelled
+ * @description Voids need a reason. Escape and Cancel close the dialog.
+ */
+export const showPaymentChangeModal = (payment, { action, refundable = 0 }) => new Promise(resolve => {
+    const existing = document.getElementById('paymentChangeModal');
+    if (existing) existing.remove();
+    const texts = ACTIONS[action];
+
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'paymentChangeModal';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    modal.setAttribute('aria-labelledby', 'paymentChangeTitle');
+
+    const modalContent = document.createElement('div');
+    modalContent.className = 'modal-content';
+    modalContent.style.maxWidth = '420px';
+
+    const title = document.createElement('h3');
+    title.id = 'paymentChangeTitle';
+    title.textContent = texts.title;
+    modalContent.appendChild(title);
+
+    const description = document.createElement('p');
+    description.style.margin = '15px 0';
+    description.textContent = `${texts.description} (${payment.date.slice(0, 10)}, $${(parseFloat(payment.amount) || 0).toFixed(2)})`;
+    modalContent.appendChild(description);
+
+    const form = document.createElement('form');
+    const fields = {};
+
+    if (action === 'edit') {
+        fields.amount = createInput('number', (parseFloat(payment.amount) || 0).toFixed(2));
+        fields.date = createInput('date', payment.date.slice(0, 10));
+        fields.method = createInput('text', payment.method || '');
+        fields.confirmationNumber = createInput('text', payment.confirmationNumber || '');
+        fields.notes = createInput('text', payment.notes || '');
+        form.appendChild(createField('Amount', fields.amount));
+        form.appendChild(createField('Date', fields.date));
+        form.appendChild(createField('Method', fields.method));
+        form.appendChild(createField('Confirmation #', fields.confirmationNumber));
+        form.appendChild(createField('Notes', fields.notes));
+    } else if (action === 'refund') {
+        fields.amount = createInput('number', refundable.toFixed(2));
+        fields.amount.max = refundable.toFixed(2);
+        fields.date = createInput('date', formatLocalDate(new Date()));
+        fields.reason = createInput('text');
+        form.appendChild(createField(`Amount (up to $${refundable.toFixed(2)})`, fields.amount));
+        form.appendChild(createField('Date', fields.date));
+        form.appendChild(createField('Reason (optional)', fields.reason));
+    } else {
+        fields.reason = createInput('text');
+        fields.reason.required = true;
+        fields.reason.placeholder = 'e.g. Duplicate entry';
+        form.appendChild(createField('Reason', fields.reason));
+    }
+    ['amount', 'date'].filter(name => fields[name]).forEach(name => {
+        fields[name].required = true;
+    });
+    if (fields.amount) {
+        fields.amount.step = '0.01';
+        fields.amount.min = '0';
+    }
+
+    const btnGroup = document.createElement('div');
+    btnGroup.style.display = 'flex';
+    btnGroup.style.gap = '10px';
+    btnGroup.style.marginTop = '20px';
+
+    const submitBtn = document.createElement('button');
+    submitBtn.type = 'submit';
+    submitBtn.className = 'submit-btn';
+    submitBtn.style.flex = '1';
+    submitBtn.textContent = texts.submit;
+    btnGroup.appendChild(submitBtn);
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'cancel-btn';
+    cancelBtn.textContent = 'Cancel';
+    btnGroup.appendChild(cancelBtn);
+
+    form.appendChild(btnGroup);
+    modalContent.appendChild(form);
+    modal.appendChild(modalContent);
+    document.body.appendChild(modal);
+
+    const close = (result) => {
+        document.removeEventListener('keydown', handleKeydown);
+        modal.remove();
+        resolve(result);
+    };
+    const handleKeydown = (e) => {
+        if (e.key === 'Escape') close(null);
+    };
+
+    form.addEventListener('submit', e => {
+        e.preventDefault();
+        const values = {};
+        Object.keys(fields).forEach(name => {
+            values[name] = fields[name].value.trim();
+        });
+        if (action === 'void' && !values.reason) return;
+        close(values);
+    });
+    cancelBtn.addEventListener('click', () => close(null));
+    document.addEventListener('keydown', handleKeydown);
+
+    (fields.amount || fields.reason).focus();
+});
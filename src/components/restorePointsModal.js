@@ -0,0 +1,198 @@
+import { RESTORE_POINT_REASONS, compareRestorePoint } from '../utils/restorePoints.js';
+
+/** Names listed per preview section; the count always covers every bill */
+const LIST_LIMIT = 50;
+
+const billLabel = bill => `${bill.name || 'Unnamed bill'}${bill.dueDate ? ` (${bill.dueDate})` : ''}`;
+
+const formatTime = iso => new Date(iso).toLocaleString('en-US', {
+    weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+});
+
+/**
+ * Creates the preview of what rolling back to a restore point would change
+ * @param {Object} point - Restore point
+ * @param {Array<Object>} currentBills - Current bills
+ * @returns {HTMLElement} Preview
+ */
+const createPreview = (point, currentBills) => {
+    const { restored, removed, changed } = compareRestorePoint(point.data.bills, currentBills);
+    const preview = document.createElement('div');
+    preview.className = 'restore-point-preview';
+
+    const counts = document.createElement('p');
+    counts.textContent = restored.length + removed.length + changed.length === 0
+        ? 'Your bills are the same as in this restore point.'
+        : [
+            `${restored.length} bill${restored.length === 1 ? '' : 's'} brought back`,
+            `${changed.length} changed back`,
+            `${removed.length} moved to the trash`
+        ].join(' · ');
+    preview.appendChild(counts);
+
+    [
+        ['Brought back', restored],
+        ['Changed back', changed],
+        ['Moved to the trash', removed]
+    ].filter(([, bills]) => bills.length > 0).forEach(([title, bills]) => {
+        const heading = document.createElement('strong');
+        heading.textContent = title;
+        preview.appendChild(heading);
+
+        const list = document.createElement('ul');
+        bills.slice(0, LIST_LIMIT).forEach(bill => {
+            const li = document.createElement('li');
+            li.textContent = billLabel(bill);
+            list.appendChild(li);
+        });
+        if (bills.length > LIST_LIMIT) {
+            const li = document.createElement('li');
+            li.textContent = `…and ${bills.length - LIST_LIMIT} more`;
+            list.appendChild(li);
+        }
+        preview.appendChild(list);
+    });
+
+    if (point.data.paymentSettings) {
+        const settings = document.createElement('p');
+        settings.textContent = 'Pay settings and categories are restored as well.';
+        preview.appendChild(settings);
+    }
+    return preview;
+};
+
+/**
+ * Lists the restore points and asks which one to roll back to
+ *
+ * @param {Array<Object>} points - Restore points, newest first
+ *   (see restorePointService.listRestorePoints())
+ * @param {Array<Object>} currentBills - Current bills, for the previews
+ * @returns {Promise<Object|null>} Resolves to the restore point to roll back to once the
+ *   user confirmed, or null when closed
+ * @description Each restore point shows when and why it was taken and how many bills it
+ *   holds. Preview lists the bills a roll back would bring back, change back and move to
+ *   the trash. Escape, Close and backdrop clicks close the dialog.
+ */
+export const showRestorePointsModal = (points, currentBills) => new Promise(resolve => {
+    const existing = document.getElementById('restorePointsModal');
+    if (existing) existing.remove();
+
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'restorePointsModal';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    modal.setAttribute('aria-labelledby', 'restorePointsTitle');
+
+    const modalContent = document.createElement('div');
+    modalContent.className = 'modal-content';
+    modalContent.style.maxWidth = '600px';
+
+    const title = document.createElement('h3');
+    title.id = 'restorePointsTitle';
+    title.textContent = '🕘 Restore Points';
+    modalContent.appendChild(title);
+
+    const note = document.createElement('p');
+    note.className = 'trash-note';
+    note.textContent = 'Rolling back replaces your bills, pay settings and categories with the restore point. Bills added since then move to the trash.';
+    modalContent.appendChild(note);
+
+    const list = document.createElement('ul');
+    list.className = 'restore-point-list';
+    list.setAttribute('aria-label', 'Restore points');
+    modalContent.appendChild(list);
+
+    if (points.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'trash-empty';
+        empty.textContent = 'No restore points yet. One is saved every day you open the app.';
+        list.appendChild(empty);
+    }
+
+    points.forEach(point => {
+        const item = document.createElement('li');
+        item.className = 'restore-point-item';
+
+        const row = document.createElement('div');
+        row.className = 'trash-item';
+
+        const info = document.createElement('div');
+        info.className = 'trash-item-info';
+        const when = document.createElement('strong');
+        when.textContent = formatTime(point.createdAt);
+        info.appendChild(when);
+        const details = document.createElement('small');
+        details.textContent = `${RESTORE_POINT_REASONS[point.reason] || point.reason} · ${point.billCount} bill${point.billCount === 1 ? '' : 's'}`;
+        info.appendChild(details);
+        row.appendChild(info);
+
+        const previewBtn = document.createElement('button');
+        previewBtn.type = 'button';
+        previewBtn.className = 'view-btn';
+        previewBtn.textContent = 'Preview';
+        previewBtn.setAttribute('aria-expanded', 'false');
+        previewBtn.setAttribute('aria-label', `Preview restore point from ${when.textContent}`);
+        row.appendChild(previewBtn);
+
+        const rollBackBtn = document.createElement('button');
+        rollBackBtn.type = 'button';
+        rollBackBtn.className = 'trash-purge-btn';
+        rollBackBtn.textContent = 'Roll Back';
+        rollBackBtn.setAttribute('aria-label', `Roll back to ${when.textContent}`);
+        row.appendChild(rollBackBtn);
+        item.appendChild(row);
+
+        let preview = null;
+        previewBtn.addEventListener('click', () => {
+            if (preview) {
+                preview.remove();
+                preview = null;
+            } else {
+                preview = createPreview(point, currentBills);
+                item.appendChild(preview);
+            }
+            previewBtn.setAttribute('aria-expanded', String(Boolean(preview)));
+        });
+        rollBackBtn.addEventListener('click', () => {
+            if (confirm(`Roll back to ${when.textContent}? Your current data is saved as a restore point first.`)) {
+                close(point);
+            }
+        });
+
+        list.appendChild(item);
+    });
+
+    const btnGroup = document.createElement('div');
+    btnGroup.style.display = 'flex';
+    btnGroup.style.gap = '10px';
+    btnGroup.style.marginTop = '20px';
+
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'cancel-btn';
+    closeBtn.style.marginLeft = 'auto';
+    closeBtn.textContent = 'Close';
+    btnGroup.appendChild(closeBtn);
+
+    modalContent.appendChild(btnGroup);
+    modal.appendChild(modalContent);
+    document.body.appendChild(modal);
+
+    function close(point) {
+        document.removeEventListener('keydown', handleKeydown);
+        modal.remove();
+        resolve(point);
+    }
+    const handleKeydown = (e) => {
+        if (e.key === 'Escape') close(null);
+    };
+
+    closeBtn.addEventListener('click', () => close(null));
+    modal.addEventListener('click', e => {
+        if (e.target === modal) close(null);
+    });
+    document.addEventListener('keydown', handleKeydown);
+
+    closeBtn.focus();
+});
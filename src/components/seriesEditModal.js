@@ -0,0 +1,111 @@
+/**
+ * Asks which occurrences of a recurring bill an edit applies to
+ *
+ * @param {Object} bill - The recurring bill being edited
+ * @returns {Promise<string|null>} Resolves to 'this', 'following' or 'all',
+ *   or null when the user cancels
+ * @description Shows a small dialog (like calendar apps) with:
+ *   - This occurrence: only the selected bill changes
+ *   - This and following: the series is split at the selected bill
+ *   - All occurrences: the whole series changes
+ *   Escape, Cancel and backdrop clicks all cancel.
+ */
+export const showSeriesEditScopeModal = (bill) => new Promise(resolve => {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'seriesEditScopeModal';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    modal.setAttribute('aria-labelledby', 'seriesEditScopeTitle');
+
+    const modalContent = document.createElement('div');
+    modalContent.className = 'modal-content';
+    modalContent.style.maxWidth = '400px';
+
+    const title = document.createElement('h3');
+    title.id = 'seriesEditScopeTitle';
+    title.textContent = 'Edit recurring bill';
+    modalContent.appendChild(title);
+
+    const description = document.createElement('p');
+    description.style.margin = '15px 0';
+    description.appendChild(document.createTextNode('"'));
+    const strongName = document.createElement('strong');
+    strongName.textContent = bill.name;
+    description.appendChild(strongName);
+    description.appendChild(document.createTextNode('" repeats. Apply your changes to:'));
+    modalContent.appendChild(description);
+
+    const form = document.createElement('form');
+
+    const options = [
+        ['this', 'This occurrence'],
+        ['following', 'This and following occurrences'],
+        ['all', 'All occurrences']
+    ];
+    options.forEach(([value, text], index) => {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+
+        const label = document.createElement('label');
+        label.style.display = 'flex';
+        label.style.alignItems = 'center';
+        label.style.gap = '10px';
+        label.style.cursor = 'pointer';
+
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = 'seriesEditScope';
+        radio.value = value;
+        radio.checked = index === 0;
+        label.appendChild(radio);
+        label.appendChild(document.createTextNode(text));
+
+        group.appendChild(label);
+        form.appendChild(group);
+    });
+
+    const btnGroup = document.createElement('div');
+    btnGroup.style.display = 'flex';
+    btnGroup.style.gap = '10px';
+    btnGroup.style.marginTop = '20px';
+
+    const confirmBtn = document.createElement('button');
+    confirmBtn.type = 'submit';
+    confirmBtn.className = 'submit-btn';
+    confirmBtn.style.flex = '1';
+    confirmBtn.textContent = 'Save';
+    btnGroup.appendChild(confirmBtn);
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'cancel-btn';
+    cancelBtn.textContent = 'Cancel';
+    btnGroup.appendChild(cancelBtn);
+
+    form.appendChild(btnGroup);
+    modalContent.appendChild(form);
+    modal.appendChild(modalContent);
+    document.body.appendChild(modal);
+
+    const close = (scope) => {
+        document.removeEventListener('keydown', handleKeydown);
+        modal.remove();
+        resolve(scope);
+    };
+    const handleKeydown = (e) => {
+        if (e.key === 'Escape') close(null);
+    };
+
+    form.addEventListener('submit', e => {
+        e.preventDefault();
+        close(form.querySelector('input[name="seriesEditScope"]:checked').value);
+    });
+    cancelBtn.addEventListener('click', () => close(null));
+    modal.addEventListener('click', e => {
+        if (e.target === modal) close(null);
+    });
+    document.addEventListener('keydown', handleKeydown);
+
+    form.querySelector('input[name="seriesEditScope"]').focus();
+});
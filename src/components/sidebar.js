@@ -12,10 +12,12 @@
  * @param {Function} actions.onOpenAuth - Called when user clicks "Login" button
  * @param {Function} actions.onBulkDelete - Called when user clicks "Clear All Data" button
  * @param {Function} actions.onBulkMarkPaid - Called when user clicks "Mark All Paid" button
+ * @param {Function} actions.onShowTrash - Called when user clicks "Trash" button
  * @returns {void}
  * @description Sets up the sidebar with:
  *   - Category list with keyboard navigation (arrow keys)
  *   - Action buttons (Add, Regenerate, Export, Import)
+ *   - Trash button showing how many deleted bills can be restored
  *   - Theme toggle with dark mode support and localStorage persistence
  *   - User authentication info and login/logout controls
  *   - Full WCAG 2.1 Level AA accessibility including aria-labels, keyboard nav, and semantic structure
@@ -95,7 +97,7 @@ export const initializeSidebar = (categories, actions) => {
     const exportBtn = document.createElement('button');
     exportBtn.id = 'exportDataBtn';
     exportBtn.className = 'action-btn';
-    exportBtn.ariaLabel = 'Export bills data to JSON file';
+    exportBtn.ariaLabel = 'Export a backup, bills, payments or due dates';
     exportBtn.textContent = '⬇️ Export';
     exportBtn.addEventListener('click', actions.onExportData);
     backupDiv.appendChild(exportBtn);
@@ -103,16 +105,16 @@ export const initializeSidebar = (categories, actions) => {
     const importBtn = document.createElement('button');
     importBtn.id = 'importDataBtn';
     importBtn.className = 'action-btn';
-    importBtn.ariaLabel = 'Import bills data from JSON file';
+    importBtn.ariaLabel = 'Import bills from a JSON, CSV or TSV file';
     importBtn.textContent = '⬆️ Import';
 
     // File Input
     const fileInput = document.createElement('input');
     fileInput.type = 'file';
     fileInput.id = 'importFileInput';
-    fileInput.accept = '.json';
+    fileInput.accept = '.json,.csv,.tsv';
     fileInput.style.display = 'none';
-    fileInput.ariaLabel = 'Select JSON file to import';
+    fileInput.ariaLabel = 'Select JSON, CSV or TSV file to import';
     fileInput.addEventListener('change', (e) => {
         if (e.target.files.length > 0) {
             actions.onImportData(e.target.files[0]);
@@ -146,11 +148,23 @@ export const initializeSidebar = (categories, actions) => {
     const bulkDelBtn = document.createElement('button');
     bulkDelBtn.id = 'bulkDeleteBtn';
     bulkDelBtn.className = 'action-btn bulk-btn danger';
-    bulkDelBtn.ariaLabel = 'Delete all bill data';
+    bulkDelBtn.ariaLabel = 'Move all bills to the trash';
     bulkDelBtn.textContent = '🗑️ Clear All Data';
     bulkDelBtn.addEventListener('click', actions.onBulkDelete);
     bulkDiv.appendChild(bulkDelBtn);
 
+    const trashBtn = document.createElement('button');
+    trashBtn.id = 'trashBtn';
+    trashBtn.className = 'action-btn';
+    trashBtn.ariaLabel = 'Open trash to restore or permanently delete bills';
+    trashBtn.textContent = '🗑️ Trash ';
+    const trashCount = document.createElement('span');
+    trashCount.id = 'trashCount';
+    trashCount.className = 'trash-count';
+    trashBtn.appendChild(trashCount);
+    trashBtn.addEventListener('click', actions.onShowTrash);
+    bulkDiv.appendChild(trashBtn);
+
     const settingsBtn = document.createElement('button');
     settingsBtn.id = 'settingsBtn';
     settingsBtn.className = 'action-btn';
@@ -281,4 +295,17 @@ export const initializeSidebar = (categories, actions) => {
             }
         });
     });
-};
\ No newline at end of file
+};
+
+/**
+ * Updates the number shown on the sidebar Trash button
+ *
+ * @param {number} count - Number of bills in the trash
+ * @returns {void}
+ */
+export const updateTrashCount = (count) => {
+    const trashCount = document.getElementById('trashCount');
+    if (trashCount) {
+        trashCount.textContent = count > 0 ? `(${count})` : '';
+    }
+};
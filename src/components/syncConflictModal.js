@@ -0,0 +1,193 @@
+import { newestSide } from '../utils/syncMerge.js';
+
+/** Readable names for bill fields shown in the conflict table */
+const FIELD_LABELS = {
+    name: 'Name',
+    category: 'Category',
+    dueDate: 'Due date',
+    amountDue: 'Amount',
+    balance: 'Balance',
+    isPaid: 'Paid',
+    recurrence: 'Repeats',
+    recurrenceRule: 'Repeat rule',
+    notes: 'Notes',
+    website: 'Website',
+    paymentHistory: 'Payments',
+    auditLog: 'Payment changes',
+    attachments: 'Attachments',
+    lastPaymentDate: 'Last payment',
+    incomeSourceId: 'Paid from',
+    defaultAccountId: 'Pay with',
+    plannedPayDate: 'Pay on paycheck'
+};
+
+/**
+ * Formats a bill field value for display
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @returns {string} Display text
+ */
+const formatValue = (field, value) => {
+    if (value === undefined || value === null || value === '') return '—';
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (field === 'paymentHistory' && Array.isArray(value)) {
+        return `${value.length} payment${value.length === 1 ? '' : 's'}`;
+    }
+    if (field === 'auditLog' && Array.isArray(value)) {
+        return `${value.length} change${value.length === 1 ? '' : 's'}`;
+    }
+    if (field === 'attachments' && Array.isArray(value)) {
+        return value.map(attachment => attachment.name).join(', ') || '—';
+    }
+    if ((field === 'amountDue' || field === 'balance') && typeof value === 'number') {
+        return `$${value.toFixed(2)}`;
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * Asks which version of each bill to keep when this device and another device
+ * both changed it since the last sync
+ *
+ * @param {Array<Object>} conflicts - Conflicts from syncMerge.mergeRecords()
+ * @returns {Promise<Object|null>} Resolves to an object of bill id to 'local' or 'remote',
+ *   or null when the user chooses to decide later
+ * @description For each bill shows the fields both devices changed side by side, with the
+ *   most recently changed version preselected. Changes only one device made are merged
+ *   automatically and not shown. "Decide later" and Escape postpone the sync.
+ */
+export const showSyncConflictModal = (conflicts) => new Promise(resolve => {
+    const existing = document.getElementById('syncConflictModal');
+    if (existing) existing.remove();
+
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'syncConflictModal';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    modal.setAttribute('aria-labelledby', 'syncConflictTitle');
+
+    const modalContent = document.createElement('div');
+    modalContent.className = 'modal-content';
+    modalContent.style.maxWidth = '640px';
+
+    const title = document.createElement('h3');
+    title.id = 'syncConflictTitle';
+    title.textContent = 'Resolve sync conflicts';
+    modalContent.appendChild(title);
+
+    const description = document.createElement('p');
+    description.style.margin = '15px 0';
+    description.textContent = conflicts.length === 1
+        ? 'This bill was changed on this device and on another device. Choose which version to keep.'
+        : `${conflicts.length} bills were changed on this device and on another device. Choose which version to keep.`;
+    modalContent.appendChild(description);
+
+    const form = document.createElement('form');
+    const list = document.createElement('div');
+    list.className = 'sync-conflict-list';
+
+    conflicts.forEach((conflict, index) => {
+        const bill = (conflict.local && conflict.local.bill) || (conflict.remote && conflict.remote.bill) || {};
+        const fieldset = document.createElement('fieldset');
+        fieldset.className = 'sync-conflict';
+
+        const legend = document.createElement('legend');
+        legend.textContent = bill.name || 'Bill';
+        fieldset.appendChild(legend);
+
+        const table = document.createElement('table');
+        table.className = 'sync-conflict-table';
+        const header = document.createElement('tr');
+        ['', 'This device', 'Other device'].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            header.appendChild(th);
+        });
+        table.appendChild(header);
+
+        const rows = conflict.merged
+            ? conflict.fields.map(field => [
+                FIELD_LABELS[field] || field,
+                formatValue(field, conflict.local.bill[field]),
+                formatValue(field, conflict.remote.bill[field])
+            ])
+            : [['Status', conflict.local && conflict.local.bill ? 'Edited' : 'Deleted',
+                conflict.remote && conflict.remote.bill ? 'Edited' : 'Deleted']];
+        rows.forEach(cells => {
+            const tr = document.createElement('tr');
+            cells.forEach((text, cellIndex) => {
+                const cell = document.createElement(cellIndex === 0 ? 'th' : 'td');
+                cell.textContent = text;
+                tr.appendChild(cell);
+            });
+            table.appendChild(tr);
+        });
+        fieldset.appendChild(table);
+
+        const preferred = newestSide(conflict);
+        const choices = document.createElement('div');
+        choices.className = 'sync-conflict-choices';
+        [['local', 'Keep this device'], ['remote', 'Keep other device']].forEach(([value, text]) => {
+            const label = document.createElement('label');
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = `syncConflict${index}`;
+            radio.value = value;
+            radio.dataset.billId = conflict.id;
+            radio.checked = value === preferred;
+            label.appendChild(radio);
+            label.appendChild(document.createTextNode(value === preferred ? `${text} (newer)` : text));
+            choices.appendChild(label);
+        });
+        fieldset.appendChild(choices);
+
+        list.appendChild(fieldset);
+    });
+    form.appendChild(list);
+
+    const btnGroup = document.createElement('div');
+    btnGroup.style.display = 'flex';
+    btnGroup.style.gap = '10px';
+    btnGroup.style.marginTop = '20px';
+
+    const applyBtn = document.createElement('button');
+    applyBtn.type = 'submit';
+    applyBtn.className = 'submit-btn';
+    applyBtn.style.flex = '1';
+    applyBtn.textContent = 'Apply';
+    btnGroup.appendChild(applyBtn);
+
+    const laterBtn = document.createElement('button');
+    laterBtn.type = 'button';
+    laterBtn.className = 'cancel-btn';
+    laterBtn.textContent = 'Decide later';
+    btnGroup.appendChild(laterBtn);
+
+    form.appendChild(btnGroup);
+    modalContent.appendChild(form);
+    modal.appendChild(modalContent);
+    document.body.appendChild(modal);
+
+    const close = (choices) => {
+        document.removeEventListener('keydown', handleKeydown);
+        modal.remove();
+        resolve(choices);
+    };
+    const handleKeydown = (e) => {
+        if (e.key === 'Escape') close(null);
+    };
+
+    form.addEventListener('submit', e => {
+        e.preventDefault();
+        const choices = {};
+        form.querySelectorAll('input[type="radio"]:checked').forEach(radio => {
+            choices[radio.dataset.billId] = radio.value;
+        });
+        close(choices);
+    });
+    laterBtn.addEventListener('click', () => close(null));
+    document.addEventListener('keydown', handleKeydown);
+
+    applyBtn.focus();
+});
@@ -0,0 +1,148 @@
+/**
+ * Shows the trash: bills that were deleted but can still be restored
+ *
+ * @param {Object} actions - Object containing data accessors and action handlers
+ * @param {Function} actions.getTrash - Returns the trashed bills (each with deletedAt)
+ * @param {Function} actions.onRestore - Called with a bill id; returns true when restored
+ * @param {Function} actions.onPurge - Called with an array of bill ids, or nothing to empty
+ *   the whole trash; returns true when bills were deleted
+ * @param {number} retentionDays - Days before trashed bills are purged automatically (0 = never)
+ * @returns {void}
+ * @description Lists trashed bills, newest first, with Restore and Delete Forever buttons
+ *   and an Empty Trash button. The list refreshes after every action.
+ *   Escape, Close and backdrop clicks close the dialog.
+ */
+export const showTrashModal = (actions, retentionDays) => {
+    const existing = document.getElementById('trashModal');
+    if (existing) existing.remove();
+
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'trashModal';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    modal.setAttribute('aria-labelledby', 'trashTitle');
+
+    const modalContent = document.createElement('div');
+    modalContent.className = 'modal-content';
+    modalContent.style.maxWidth = '560px';
+
+    const title = document.createElement('h3');
+    title.id = 'trashTitle';
+    title.textContent = '🗑️ Trash';
+    modalContent.appendChild(title);
+
+    const note = document.createElement('p');
+    note.className = 'trash-note';
+    note.textContent = retentionDays > 0
+        ? `Bills are permanently deleted ${retentionDays} days after they are moved to the trash.`
+        : 'Bills stay in the trash until you delete them.';
+    modalContent.appendChild(note);
+
+    const list = document.createElement('ul');
+    list.className = 'trash-list';
+    list.setAttribute('aria-label', 'Trashed bills');
+    modalContent.appendChild(list);
+
+    const btnGroup = document.createElement('div');
+    btnGroup.style.display = 'flex';
+    btnGroup.style.gap = '10px';
+    btnGroup.style.marginTop = '20px';
+
+    const emptyBtn = document.createElement('button');
+    emptyBtn.type = 'button';
+    emptyBtn.className = 'trash-purge-btn';
+    emptyBtn.id = 'emptyTrashBtn';
+    emptyBtn.textContent = 'Empty Trash';
+    emptyBtn.addEventListener('click', () => {
+        if (actions.onPurge()) render();
+    });
+    btnGroup.appendChild(emptyBtn);
+
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'cancel-btn';
+    closeBtn.style.marginLeft = 'auto';
+    closeBtn.textContent = 'Close';
+    btnGroup.appendChild(closeBtn);
+
+    modalContent.appendChild(btnGroup);
+    modal.appendChild(modalContent);
+    document.body.appendChild(modal);
+
+    function render() {
+        list.innerHTML = '';
+        const trash = [...actions.getTrash()].sort((a, b) => (b.deletedAt || '').localeCompare(a.deletedAt || ''));
+        emptyBtn.disabled = trash.length === 0;
+
+        if (trash.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'trash-empty';
+            empty.textContent = 'The trash is empty.';
+            list.appendChild(empty);
+            return;
+        }
+
+        trash.forEach(bill => {
+            const item = document.createElement('li');
+            item.className = 'trash-item';
+
+            const info = document.createElement('div');
+            info.className = 'trash-item-info';
+
+            const name = document.createElement('strong');
+            name.textContent = bill.name;
+            info.appendChild(name);
+
+            const details = document.createElement('small');
+            const payments = (bill.paymentHistory || []).length;
+            details.textContent = [
+                bill.category,
+                `$${(bill.amountDue || 0).toFixed(2)} due ${bill.dueDate}`,
+                payments > 0 ? `${payments} payment${payments === 1 ? '' : 's'}` : null,
+                `deleted ${new Date(bill.deletedAt).toLocaleDateString()}`
+            ].filter(Boolean).join(' · ');
+            info.appendChild(details);
+            item.appendChild(info);
+
+            const restoreBtn = document.createElement('button');
+            restoreBtn.type = 'button';
+            restoreBtn.className = 'view-btn';
+            restoreBtn.textContent = 'Restore';
+            restoreBtn.setAttribute('aria-label', `Restore ${bill.name}`);
+            restoreBtn.addEventListener('click', () => {
+                if (actions.onRestore(bill.id)) render();
+            });
+            item.appendChild(restoreBtn);
+
+            const purgeBtn = document.createElement('button');
+            purgeBtn.type = 'button';
+            purgeBtn.className = 'trash-purge-btn';
+            purgeBtn.textContent = 'Delete Forever';
+            purgeBtn.setAttribute('aria-label', `Permanently delete ${bill.name}`);
+            purgeBtn.addEventListener('click', () => {
+                if (actions.onPurge([bill.id])) render();
+            });
+            item.appendChild(purgeBtn);
+
+            list.appendChild(item);
+        });
+    }
+
+    const close = () => {
+        document.removeEventListener('keydown', handleKeydown);
+        modal.remove();
+    };
+    const handleKeydown = (e) => {
+        if (e.key === 'Escape') close();
+    };
+
+    closeBtn.addEventListener('click', close);
+    modal.addEventListener('click', e => {
+        if (e.target === modal) close();
+    });
+    document.addEventListener('keydown', handleKeydown);
+
+    render();
+    closeBtn.focus();
+};
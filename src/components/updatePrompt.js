@@ -0,0 +1,53 @@
+/**
+ * Tells the user a new version of the app is ready
+ *
+ * @param {Function} onReload - Activates the new version and reloads the page
+ * @returns {void}
+ * @description Shows a toast with a Reload button. It stays until the user reloads or
+ *   dismisses it; the new version is used the next time the app opens either way.
+ */
+export const showUpdatePrompt = (onReload) => {
+    if (document.querySelector('.update-notification')) return;
+
+    const notification = document.createElement('div');
+    notification.className = 'update-notification';
+    notification.setAttribute('role', 'status');
+    notification.style.cssText = `
+        position: fixed;
+        bottom: 20px;
+        left: 50%;
+        transform: translateX(-50%);
+        display: flex;
+        align-items: center;
+        gap: 15px;
+        background: var(--text-color);
+        color: var(--bg-color, white);
+        padding: 12px 20px;
+        border-radius: 6px;
+        box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+        z-index: 10000;
+    `;
+
+    const text = document.createElement('span');
+    text.textContent = 'New version available';
+    notification.appendChild(text);
+
+    const reloadBtn = document.createElement('button');
+    reloadBtn.type = 'button';
+    reloadBtn.className = 'update-btn';
+    reloadBtn.textContent = 'Reload';
+    reloadBtn.addEventListener('click', () => {
+        reloadBtn.disabled = true;
+        onReload();
+    });
+    notification.appendChild(reloadBtn);
+
+    const dismissBtn = document.createElement('button');
+    dismissBtn.type = 'button';
+    dismissBtn.className = 'update-btn';
+    dismissBtn.textContent = 'Later';
+    dismissBtn.addEventListener('click', () => notification.remove());
+    notification.appendChild(dismissBtn);
+
+    document.body.appendChild(notification);
+};
@@ -18,7 +18,7 @@
 
 import { billStore } from '../store/BillStore.js';
 import { appState } from '../store/appState.js';
-import { formatErrorMessage, ValidationError } from '../utils/errorHandling.js';
+import { formatErrorMessage, ValidationError, BackupDecryptionError } from '../utils/errorHandling.js';
 import {
     sanitizeInput,
     validateBillName,
@@ -30,10 +30,38 @@ import {
     isValidURL,
     safeJSONParse
 } from '../utils/validation.js';
-import { createLocalDate, formatLocalDate, calculateNextDueDate } from '../utils/dates.js';
+import { createLocalDate, formatLocalDate } from '../utils/dates.js';
+import {
+    getTotalPaid as getNetTotalPaid,
+    getAmountOwed,
+    getRemainingBalance as getBillRemainingBalance
+} from '../utils/billHelpers.js';
+import {
+    createAuditEntry,
+    editPayment as applyPaymentEdit,
+    voidPayment as applyPaymentVoid,
+    refundPayment as applyPaymentRefund
+} from '../utils/paymentLedger.js';
+import { planSeriesEdit } from '../utils/billSeries.js';
+import { formatAccountLabel } from '../utils/paymentAccounts.js';
+import { getNextOccurrence, toRRule } from '../utils/recurrence.js';
+import { paycheckManager } from '../utils/paycheckManager.js';
 import logger from '../utils/logger.js';
 import StorageManager from '../utils/StorageManager.js';
 import { STORAGE_KEYS } from '../utils/constants.js';
+import { getImportFormat, parseDelimited } from '../utils/csvImport.js';
+import { buildExport } from '../utils/exportFormats.js';
+import { CURRENT_SCHEMA_VERSION, getSchemaVersion, migrateBills } from '../utils/schema.js';
+import { isEncryptedBackup, encryptBackup, decryptBackup } from '../utils/backupCrypto.js';
+import { takeRestorePoint } from '../services/restorePointService.js';
+import {
+    attachFile,
+    detachFile,
+    getAttachmentFile,
+    exportAttachments,
+    importAttachments
+} from '../services/attachmentService.js';
+import { formatFileSize } from '../utils/attachments.js';
 
 /**
  * Display error notification to user with formatted message
@@ -123,12 +151,122 @@ export function showSuccessNotification(message) {
     }, 3000);
 }
 
+/**
+ * Show a notification with an Undo button after a destructive action
+ * 
+ * @param {string} message - What just happened (e.g. '"Rent" deleted')
+ * @returns {void}
+ * @description Replaces any undo notification already on screen and disappears after
+ *   8 seconds. Undo reverts the latest history entry; Ctrl+Z does the same later.
+ */
+export function showUndoNotification(message) {
+    document.querySelectorAll('.undo-notification').forEach(el => el.remove());
+
+    const notification = document.createElement('div');
+    notification.className = 'undo-notification';
+    notification.setAttribute('role', 'status');
+    notification.style.cssText = `
+        position: fixed;
+        bottom: 20px;
+        left: 50%;
+        transform: translateX(-50%);
+        display: flex;
+        align-items: center;
+        gap: 15px;
+        background: var(--text-color);
+        color: var(--bg-color, white);
+        padding: 12px 20px;
+        border-radius: 6px;
+        box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+        z-index: 10000;
+    `;
+
+    const text = document.createElement('span');
+    text.textContent = message;
+    notification.appendChild(text);
+
+    const undoBtn = document.createElement('button');
+    undoBtn.type = 'button';
+    undoBtn.className = 'undo-btn';
+    undoBtn.textContent = 'Undo';
+    undoBtn.addEventListener('click', () => {
+        notification.remove();
+        undoLastAction();
+    });
+    notification.appendChild(undoBtn);
+
+    document.body.appendChild(notification);
+
+    setTimeout(() => {
+        if (notification.parentNode) {
+            notification.remove();
+        }
+    }, 8000);
+}
+
+/**
+ * Undo the latest bill change and tell the user what was undone
+ * 
+ * @returns {boolean} True when an action was undone
+ */
+export function undoLastAction() {
+    try {
+        const label = billStore.undo();
+        if (!label) {
+            showErrorNotification('Nothing to undo.', 'Undo');
+            return false;
+        }
+        showSuccessNotification(`Undone: ${label}`);
+        return true;
+    } catch (error) {
+        logger.error('Error undoing action', error);
+        showErrorNotification(error.message, 'Undo Failed');
+        return false;
+    }
+}
+
+/**
+ * Redo the latest undone bill change and tell the user what was redone
+ * 
+ * @returns {boolean} True when an action was redone
+ */
+export function redoLastAction() {
+    try {
+        const label = billStore.redo();
+        if (!label) {
+            showErrorNotification('Nothing to redo.', 'Redo');
+            return false;
+        }
+        showSuccessNotification(`Redone: ${label}`);
+        return true;
+    } catch (error) {
+        logger.error('Error redoing action', error);
+        showErrorNotification(error.message, 'Redo Failed');
+        return false;
+    }
+}
+
 function advanceRecurringBillIfNeeded(bill, updated) {
     if (updated.isPaid && bill.recurrence && bill.recurrence !== 'One-time') {
         const currentDueDate = createLocalDate(bill.dueDate);
-        const nextDueDate = calculateNextDueDate(currentDueDate, bill.recurrence);
+        // Count-limited rules are counted from the start of the series
+        const series = bill.seriesId ? billStore.getSeries(bill.seriesId) : null;
+        const seriesStart = series ? createLocalDate(series.startDate) : currentDueDate;
+        const nextDueDate = getNextOccurrence(bill, currentDueDate, seriesStart);
         if (nextDueDate) {
             updated.dueDate = formatLocalDate(nextDueDate);
+            // Kept so a voided or refunded payment can move the bill back
+            updated.previousDueDate = bill.dueDate;
+            // The paycheck picked for this cycle does not carry over to the next one
+            delete updated.plannedPayDate;
+            delete updated.previousPlannedPayDate;
+            if (bill.plannedPayDate) {
+                updated.previousPlannedPayDate = bill.plannedPayDate;
+            }
+            if (bill.seriesId) {
+                // The bill now stands for the next occurrence of its series
+                updated.originalDueDate = updated.dueDate;
+            }
             logger.info('Recurring bill moved to next cycle', {
                 from: bill.dueDate,
                 to: updated.dueDate,
@@ -138,6 +276,62 @@ function advanceRecurringBillIfNeeded(bill, updated) {
     }
 }
 
+/**
+ * Move a recurring bill back to the cycle it was paid in when a payment change leaves
+ * it unpaid again
+ * @private
+ */
+function reopenRecurringBillIfNeeded(bill, updated) {
+    if (bill.isPaid && !updated.isPaid && bill.previousDueDate) {
+        updated.dueDate = bill.previousDueDate;
+        if (bill.seriesId) {
+            updated.originalDueDate = updated.dueDate;
+        }
+        delete updated.previousDueDate;
+        if (bill.previousPlannedPayDate) {
+            updated.plannedPayDate = bill.previousPlannedPayDate;
+            delete updated.previousPlannedPayDate;
+        }
+        logger.info('Recurring bill moved back to unpaid cycle', {
+            from: bill.dueDate,
+            to: updated.dueDate,
+            billId: bill.id
+        });
+    }
+}
+
+/**
+ * Apply a new payment history to a bill: recalculates the balance and paid state,
+ * moves recurring bills between cycles and adds the audit entry
+ * @private
+ * @param {Object} bill - Bill before the change
+ * @param {Array<Object>} paymentHistory - New payment history
+ * @param {Object} audit - Audit log entry (see paymentLedger.createAuditEntry)
+ * @returns {Object} Updated bill
+ */
+function settlePayments(bill, paymentHistory, audit) {
+    const owed = getAmountOwed(bill);
+    const updated = { ...bill, paymentHistory };
+    const remaining = Math.round((owed - getNetTotalPaid(updated)) * 100) / 100;
+
+    // Overpayments are not kept as credit, the balance stops at zero
+    updated.amountOwed = owed;
+    updated.balance = Math.max(0, remaining);
+    updated.isPaid = remaining <= 0;
+    const latest = paymentHistory
+        .filter(p => !p.voided && p.type !== 'refund' && p.date)
+        .reduce((date, p) => (!date || p.date > date ? p.date : date), null);
+    updated.lastPaymentDate = latest;
+    updated.auditLog = [...(bill.auditLog || []), audit];
+
+    if (!bill.isPaid) {
+        advanceRecurringBillIfNeeded(bill, updated);
+    } else {
+        reopenRecurringBillIfNeeded(bill, updated);
+    }
+    return updated;
+}
+
 /**
  * Update bill balance with validation
  */
@@ -176,23 +370,18 @@ export function togglePaymentStatus(billId, isPaid) {
             throw new Error('Bill not found.');
         }
 
-        const updated = { ...bill };
-        updated.isPaid = isPaid;
-        updated.lastPaymentDate = isPaid ? new Date().toISOString() : null;
-
-        // If marking as paid and bill is recurring, move to next payment cycle
-        advanceRecurringBillIfNeeded(bill, updated);
-
-        billStore.update(updated);
-
-        // If marking as paid, record payment automatically
         if (isPaid) {
-            const remaining = getRemainingBalance(updated);
-            recordPayment(billId, {
-                amount: remaining,
+            // Records the remaining balance, which marks the bill as paid and moves
+            // recurring bills to the next payment cycle
+            if (!recordPayment(billId, {
+                amount: getRemainingBalance(bill),
                 method: 'Quick Toggle',
                 notes: 'Marked as paid'
-            });
+            })) {
+                return false;
+            }
+        } else {
+            billStore.update({ ...bill, isPaid: false, lastPaymentDate: null });
         }
 
         showSuccessNotification(`Bill ${isPaid ? 'marked as paid' : 'marked as unpaid'}`);
@@ -205,7 +394,7 @@ export function togglePaymentStatus(billId, isPaid) {
 }
 
 /**
- * Delete bill with confirmation
+ * Move bill to the trash with confirmation
  */
 export function deleteBill(billId) {
     try {
@@ -216,12 +405,12 @@ export function deleteBill(billId) {
             throw new Error('Bill not found.');
         }
 
-        if (!confirm(`Delete "${bill.name}"? This action cannot be undone.`)) {
+        if (!confirm(`Move "${bill.name}" to the trash?`)) {
             return false;
         }
 
         billStore.delete(billId);
-        showSuccessNotification(`"${bill.name}" deleted successfully`);
+        showUndoNotification(`"${bill.name}" moved to trash`);
         return true;
     } catch (error) {
         logger.error('Error deleting bill', error);
@@ -231,7 +420,41 @@ export function deleteBill(billId) {
 }
 
 /**
- * Bulk delete bills
+ * Save an edit to a bill that belongs to a recurring series
+ *
+ * @param {string} billId - Id of the edited occurrence
+ * @param {Object} billData - Bill fields from the edit form
+ * @param {string} scope - 'this', 'following' or 'all' (see billSeries.planSeriesEdit)
+ * @returns {boolean} True when the edit was saved
+ */
+export function editRecurringBill(billId, billData, scope) {
+    try {
+        const plan = planSeriesEdit(
+            { bills: billStore.getAll(), series: billStore.getAllSeries() },
+            billId,
+            billData,
+            scope
+        );
+
+        // Fill the new schedule before saving so listeners see one consistent update
+        let bills = plan.bills;
+        plan.regenerate.forEach(seriesId => {
+            const series = plan.series.find(s => s.seriesId === seriesId);
+            bills = [...bills, ...paycheckManager.generateRecurringBillInstances(series, bills)];
+        });
+
+        billStore.setBills(bills, plan.series, { label: `Edit "${billData.name}"` });
+        logger.info('Recurring bill edited', { billId, scope, regenerated: plan.regenerate });
+        return true;
+    } catch (error) {
+        logger.error('Error editing recurring bill', error);
+        showErrorNotification(error.message, 'Save Failed');
+        return false;
+    }
+}
+
+/**
+ * Bulk move bills to the trash
  */
 export function bulkDelete(billIds) {
     try {
@@ -241,15 +464,13 @@ export function bulkDelete(billIds) {
             return false;
         }
 
-        if (!confirm(`Delete ${billIds.length} bills? This action cannot be undone.`)) {
+        if (!confirm(`Move ${billIds.length} bills to the trash?`)) {
             return false;
         }
 
-        const currentBills = billStore.getAll();
-        const updatedBills = currentBills.filter(b => !billIds.includes(b.id));
-
-        billStore.setBills(updatedBills);
-        showSuccessNotification(`Successfully deleted ${billIds.length} bills`);
+        takeRestorePoint('bulk-delete');
+        billStore.deleteMany(billIds, `Delete ${billIds.length} bills`);
+        showUndoNotification(`Moved ${billIds.length} bills to trash`);
         return true;
     } catch (error) {
         logger.error('Error in bulk delete', error);
@@ -258,6 +479,61 @@ export function bulkDelete(billIds) {
     }
 }
 
+/**
+ * Restore a bill from the trash
+ * 
+ * @param {string} billId - Id of the trashed bill
+ * @returns {boolean} True when the bill was restored
+ */
+export function restoreBill(billId) {
+    try {
+        const entry = billStore.getTrash().find(b => b.id === billId);
+        if (!entry) {
+            throw new Error('Bill not found in trash.');
+        }
+
+        billStore.restore(billId);
+        showSuccessNotification(`"${entry.name}" restored`);
+        return true;
+    } catch (error) {
+        logger.error('Error restoring bill', error);
+        showErrorNotification(error.message, 'Restore Failed');
+        return false;
+    }
+}
+
+/**
+ * Permanently delete bills from the trash with confirmation
+ * 
+ * @param {Array<string>} [billIds] - Ids of trashed bills (the whole trash when omitted)
+ * @returns {boolean} True when bills were purged
+ */
+export function purgeBills(billIds) {
+    try {
+        const trash = billStore.getTrash();
+        const ids = billIds || trash.map(b => b.id);
+        if (ids.length === 0) {
+            showErrorNotification('The trash is empty.', 'Trash');
+            return false;
+        }
+
+        const message = ids.length === 1
+            ? `Permanently delete "${(trash.find(b => b.id === ids[0]) || {}).name}" and its payment history?`
+            : `Permanently delete ${ids.length} bills and their payment history?`;
+        if (!confirm(message)) {
+            return false;
+        }
+
+        billStore.purge(ids);
+        showUndoNotification(ids.length === 1 ? 'Bill permanently deleted' : `${ids.length} bills permanently deleted`);
+        return true;
+    } catch (error) {
+        logger.error('Error purging bills', error);
+        showErrorNotification(error.message, 'Delete Failed');
+        return false;
+    }
+}
+
 /**
  * Bulk mark bills as paid
  */
@@ -288,14 +564,16 @@ export function bulkMarkAsPaid(billIds) {
                 // Record payment if there is balance
                 const remaining = getRemainingBalance(bill);
                 if (remaining > 0) {
-                    if (!bill.paymentHistory) bill.paymentHistory = [];
-                    bill.paymentHistory.push({
+                    const payment = {
                         id: 'bulk_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
                         date: todayStr,
                         amount: remaining,
                         method: 'Bulk Action',
                         notes: 'Marked as paid via bulk action'
-                    });
+                    };
+                    bill.paymentHistory = [...(bill.paymentHistory || []), payment];
+                    bill.auditLog = [...(bill.auditLog || []), createAuditEntry('payment-recorded', payment.id, { amount: remaining })];
+                    bill.amountOwed = getAmountOwed(currentBills[index]);
                     bill.balance = 0;
                 }
 
@@ -310,8 +588,8 @@ export function bulkMarkAsPaid(billIds) {
         });
 
         if (updateCount > 0) {
-            billStore.setBills(currentBills);
-            showSuccessNotification(`Marked ${updateCount} bills as paid`);
+            billStore.setBills(currentBills, undefined, { label: `Mark ${updateCount} bills as paid` });
+            showUndoNotification(`Marked ${updateCount} bills as paid`);
             return true;
         } else {
             showErrorNotification('All selected bills are already marked as paid.', 'Bulk Action');
@@ -325,17 +603,14 @@ export function bulkMarkAsPaid(billIds) {
 }
 
 /**
- * Get total paid from payment history
+ * Get total paid from payment history, net of refunds and voided payments
  */
 export function getTotalPaid(bill) {
     try {
         if (!bill || !bill.paymentHistory || !Array.isArray(bill.paymentHistory)) {
             return 0;
         }
-        return bill.paymentHistory.reduce((sum, p) => {
-            const amount = parseFloat(p.amount) || 0;
-            return sum + amount;
-        }, 0);
+        return getNetTotalPaid(bill);
     } catch (error) {
         logger.error('Error calculating total paid', error);
         return 0;
@@ -348,12 +623,7 @@ export function getTotalPaid(bill) {
 export function getRemainingBalance(bill) {
     try {
         if (!bill) return 0;
-
-        const totalDue = parseFloat(bill.balance || bill.amountDue || 0);
-        if (totalDue < 0) return 0;
-
-        const totalPaid = getTotalPaid(bill);
-        return Math.max(0, totalDue - totalPaid);
+        return getBillRemainingBalance(bill);
     } catch (error) {
         logger.error('Error calculating remaining balance', error);
         return bill.amountDue || 0;
@@ -364,6 +634,7 @@ export function getRemainingBalance(bill) {
  * Record payment with validation
  * Allows zero payments for bills that are already paid or have credit balances
  * Moves recurring bills to next payment cycle when fully paid
+ * Payments from a payment account (paymentData.accountId) keep the account's label as method
  */
 export function recordPayment(billId, paymentData) {
     try {
@@ -379,31 +650,44 @@ export function recordPayment(billId, paymentData) {
             throw new Error('Payment amount must be zero or a positive number.');
         }
 
-        const updated = { ...bill };
-        if (!updated.paymentHistory) {
-            updated.paymentHistory = [];
-        }
-
         const paymentDate = paymentData.date || new Date().toISOString().split('T')[0];
         if (!/^\d{4}-\d{2}-\d{2}$/.test(paymentDate)) {
             throw new Error('Invalid payment date format.');
         }
 
+        let account = null;
+        if (paymentData.accountId) {
+            account = paycheckManager.getPaymentAccounts().find(a => a.id === paymentData.accountId);
+            if (!account) {
+                throw new Error('Payment account not found. It may have been removed in settings.');
+            }
+        }
+
         const payment = {
             id: 'pmt_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
             date: paymentDate,
             amount: amount,
-            method: paymentData.method || 'Cash',
+            method: account ? formatAccountLabel(account) : paymentData.method || 'Cash',
             confirmationNumber: paymentData.confirmationNumber || '',
             notes: paymentData.notes || ''
         };
+        if (account) {
+            payment.accountId = account.id;
+        }
 
-        updated.paymentHistory.push(payment);
-        updated.lastPaymentDate = payment.date;
-
-        const remaining = getRemainingBalance(updated);
-        updated.balance = remaining;
-        updated.isPaid = remaining <= 0;
+        // The balance is what is left after the payments, so it is recalculated from the
+        // amount owed rather than reduced by every payment again
+        const owed = getAmountOwed(bill);
+        const remaining = Math.max(0, Math.round((owed - getTotalPaid(bill) - amount) * 100) / 100);
+        const updated = {
+            ...bill,
+            paymentHistory: [...(bill.paymentHistory || []), payment],
+            auditLog: [...(bill.auditLog || []), createAuditEntry('payment-recorded', payment.id, { amount })],
+            lastPaymentDate: payment.date,
+            amountOwed: owed,
+            balance: remaining,
+            isPaid: remaining <= 0
+        };
 
         // If fully paid and bill is recurring, move to next payment cycle
         advanceRecurringBillIfNeeded(bill, updated);
@@ -425,66 +709,214 @@ export function recordPayment(billId, paymentData) {
 }
 
 /**
- * Migrate legacy bills to payment history format
+ * Change one payment history entry (see paymentLedger) and save the bill
+ * @private
+ * @param {string} billId - Bill ID
+ * @param {Function} change - Receives the payment history, returns { paymentHistory, audit }
+ * @returns {Object|null} Updated bill, the bill unchanged when there was nothing to change
  */
-export function migrateBillsToPaymentHistory() {
+function changePayment(billId, change) {
+    const bill = billStore.getAll().find(b => b.id === billId);
+    if (!bill) {
+        throw new Error('Bill not found.');
+    }
+
+    const { paymentHistory, audit } = change(bill.paymentHistory || []);
+    if (!audit) return bill;
+
+    const updated = settlePayments(bill, paymentHistory, audit);
+    billStore.update(updated);
+    return updated;
+}
+
+/**
+ * Edit a recorded payment
+ *
+ * @param {string} billId - Bill ID
+ * @param {string} paymentId - Payment history entry to edit
+ * @param {Object} changes - { amount, date, method, confirmationNumber, notes }
+ * @returns {boolean} True when saved
+ * @description The balance and paid state are recalculated; a bill that becomes fully
+ *   paid moves to its next cycle, one that is no longer paid moves back. The edit is
+ *   added to the bill's audit log.
+ */
+export function editPayment(billId, paymentId, changes) {
     try {
-        const currentBills = billStore.getAll();
-        let migrationCount = 0;
-
-        currentBills.forEach(bill => {
-            if (!bill.paymentHistory) {
-                bill.paymentHistory = [];
-                if (bill.lastPaymentDate && bill.isPaid) {
-                    bill.paymentHistory.push({
-                        id: 'legacy_' + Date.now(),
-                        date: bill.lastPaymentDate,
-                        amount: bill.amountDue || 0,
-                        method: 'Legacy Toggle',
-                        notes: 'Migrated from toggle'
-                    });
-                    migrationCount++;
-                }
-            }
-        });
+        const updated = changePayment(billId, history => applyPaymentEdit(history, paymentId, changes));
+        showSuccessNotification(`Payment updated for "${updated.name}"`);
+        return true;
+    } catch (error) {
+        logger.error('Error editing payment', error);
+        showErrorNotification(error.message, 'Payment Edit Failed');
+        return false;
+    }
+}
+
+/**
+ * Void a recorded payment, keeping it in the history with the reason
+ *
+ * @param {string} billId - Bill ID
+ * @param {string} paymentId - Payment history entry to void
+ * @param {string} reason - Why the payment no longer counts
+ * @returns {boolean} True when saved
+ */
+export function voidPayment(billId, paymentId, reason) {
+    try {
+        const updated = changePayment(billId, history => applyPaymentVoid(history, paymentId, reason));
+        showSuccessNotification(`Payment voided for "${updated.name}"`);
+        return true;
+    } catch (error) {
+        logger.error('Error voiding payment', error);
+        showErrorNotification(error.message, 'Void Failed');
+        return false;
+    }
+}
 
-        if (migrationCount > 0) {
-            billStore.setBills(currentBills);
-            logger.info('Migrated bills to payment history format', { count: migrationCount });
+/**
+ * Record a refund of a payment
+ *
+ * @param {string} billId - Bill ID
+ * @param {string} paymentId - Payment refunded
+ * @param {Object} refund - { amount, date, reason }
+ * @returns {boolean} True when saved
+ */
+export function refundPayment(billId, paymentId, refund) {
+    try {
+        const updated = changePayment(billId, history => applyPaymentRefund(history, paymentId, refund));
+        showSuccessNotification(`Refund of $${parseFloat(refund.amount).toFixed(2)} recorded for "${updated.name}"`);
+        return true;
+    } catch (error) {
+        logger.error('Error recording refund', error);
+        showErrorNotification(error.message, 'Refund Failed');
+        return false;
+    }
+}
+
+/**
+ * Attach a statement, receipt or screenshot to a bill or one of its payments
+ *
+ * @param {string} billId - Bill ID
+ * @param {File} file - File picked by the user
+ * @param {string|null} [paymentId=null] - Payment history entry to attach it to
+ * @returns {Promise<boolean>} True when attached
+ * @description Warns when the device storage is nearly full after the file was stored.
+ */
+export async function addBillAttachment(billId, file, paymentId = null) {
+    try {
+        const { attachment, usagePercent, nearQuota } = await attachFile(billId, file, paymentId);
+        showSuccessNotification(`Attached "${attachment.name}" (${formatFileSize(attachment.size)})`);
+        if (nearQuota) {
+            showErrorNotification(`Device storage is ${usagePercent}% full. Remove old attachments to make room.`, 'Storage Almost Full');
         }
+        return true;
+    } catch (error) {
+        logger.error('Error attaching file', error);
+        showErrorNotification(error.message, 'Attach Failed');
+        return false;
+    }
+}
 
-        return migrationCount;
+/**
+ * Remove an attachment from a bill or one of its payments
+ *
+ * @param {string} billId - Bill ID
+ * @param {Object} attachment - Attachment details
+ * @returns {boolean} True when removed
+ */
+export function removeBillAttachment(billId, attachment) {
+    try {
+        detachFile(billId, attachment.id);
+        showUndoNotification(`"${attachment.name}" removed`);
+        return true;
     } catch (error) {
-        logger.error('Error migrating bills', error);
-        showErrorNotification('Error migrating bill data', 'Migration Failed');
-        return 0;
+        logger.error('Error removing attachment', error);
+        showErrorNotification(error.message, 'Remove Failed');
+        return false;
     }
 }
 
 /**
- * Export all data as JSON
+ * Open an attachment in a new tab
+ *
+ * @param {Object} attachment - Attachment details
+ * @returns {Promise<boolean>} True when opened
+ */
+export async function openBillAttachment(attachment) {
+    try {
+        const blob = await getAttachmentFile(attachment);
+        const url = URL.createObjectURL(blob);
+        window.open(url, '_blank', 'noopener');
+        // The new tab has loaded the file by then
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+        return true;
+    } catch (error) {
+        logger.error('Error opening attachment', error);
+        showErrorNotification(error.message, 'Open Failed');
+        return false;
+    }
+}
+
+/**
+ * Save text as a file through the browser's download
+ * @private
+ */
+function downloadFile(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Export all data as a JSON backup
+ *
+ * @param {Object} [options]
+ * @param {string} [options.passphrase] - Encrypt the backup with this passphrase
+ *   (see backupCrypto); plain JSON when omitted
+ * @param {boolean} [options.includeAttachments=false] - Include the attachment files
+ * @returns {Promise<boolean>} True when the file was created
  */
-export function exportData() {
+export async function exportData({ passphrase, includeAttachments = false } = {}) {
     try {
-        const bills = billStore.getAll();
+        // Recurring bills also carry their schedule as an iCalendar RRULE for other apps
+        const bills = billStore.getAll().map(bill => {
+            const rrule = toRRule(bill);
+            return rrule ? { ...bill, rrule } : bill;
+        });
         const customCategories = StorageManager.get(STORAGE_KEYS.CUSTOM_CATEGORIES, []);
         const paymentSettings = StorageManager.get(STORAGE_KEYS.PAYMENT_SETTINGS, {});
 
         const data = {
             exportDate: new Date().toISOString(),
-            version: '1.0',
+            schemaVersion: CURRENT_SCHEMA_VERSION,
             bills,
             customCategories,
             paymentSettings
         };
+        if (includeAttachments) {
+            data.attachments = await exportAttachments(bills);
+        }
 
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `bill-tracker-backup-${new Date().toISOString().split('T')[0]}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
+        const date = new Date().toISOString().split('T')[0];
+        if (passphrase) {
+            const encrypted = await encryptBackup(JSON.stringify(data), passphrase);
+            downloadFile(
+                JSON.stringify(encrypted, null, 2),
+                `bill-tracker-backup-${date}.encrypted.json`,
+                'application/json'
+            );
+            showSuccessNotification('Encrypted backup exported. Keep the passphrase safe: it cannot be recovered.');
+            return true;
+        }
+
+        downloadFile(
+            JSON.stringify(data, null, 2),
+            `bill-tracker-backup-${date}.json`,
+            'application/json'
+        );
 
         showSuccessNotification('Data exported successfully');
         return true;
@@ -496,119 +928,245 @@ export function exportData() {
 }
 
 /**
- * Import data from JSON file with validation
+ * Export bills as CSV, payments as CSV/QIF/OFX or due dates as iCalendar
+ *
+ * @param {string} formatId - Export format id (see exportFormats.EXPORT_FORMATS)
+ * @param {Array<Object>} bills - Bills to export (e.g. those in the current view)
+ * @returns {boolean} True when the file was created
  */
-export function importData(file) {
+export function exportBills(formatId, bills) {
+    try {
+        const { content, fileName, mimeType } = buildExport(formatId, bills);
+        downloadFile(content, fileName, mimeType);
+        showSuccessNotification(`Exported ${fileName}`);
+        return true;
+    } catch (error) {
+        logger.error('Error exporting bills', error);
+        showErrorNotification(error.message, 'Export Failed');
+        return false;
+    }
+}
+
+/**
+ * Apply a reviewed import
+ *
+ * @param {Object} plan - Plan from importMerge.planImport()
+ * @param {Object} [data] - Rest of the import file
+ * @param {Array<string>} [data.customCategories] - Categories to add
+ * @param {Object} [data.paymentSettings] - Pay schedule to use instead of the current one
+ *   (only passed when the user chose to import it)
+ * @param {Array<Object>} [data.attachments] - Attachment files in the backup
+ * @returns {boolean} True when the import was applied
+ * @description Applies the plan as one undoable change, adds the imported categories and
+ *   tells the user what changed. The page is not reloaded.
+ */
+export function applyImport(plan, data = {}) {
+    try {
+        const changed = plan.added.length + plan.updated.length + plan.removed.length;
+        if (changed === 0) {
+            showSuccessNotification('Nothing to import: every bill in the file is already here');
+            return false;
+        }
+
+        // Sync custom categories from imported bills
+        const defaultCategories = ['Rent', 'Utilities', 'Groceries', 'Transportation', 'Insurance', 'Entertainment'];
+        const existingCategories = StorageManager.get(STORAGE_KEYS.CUSTOM_CATEGORIES, defaultCategories);
+
+        const importedBills = [...plan.added, ...plan.updated.map(update => update.after)];
+        const billCategories = [...new Set(importedBills.map(b => b.category))].filter(c => c && c.trim() !== '');
+        const importedMetadataCategories = data.customCategories || [];
+
+        const allCategories = [...new Set([
+            ...existingCategories,
+            ...billCategories,
+            ...importedMetadataCategories
+        ])];
+
+        takeRestorePoint('import');
+        StorageManager.set(STORAGE_KEYS.CUSTOM_CATEGORIES, allCategories);
+
+        // Settings first, so the re-render after setBills() uses the new pay schedule
+        if (data.paymentSettings && typeof data.paymentSettings === 'object') {
+            StorageManager.set(STORAGE_KEYS.PAYMENT_SETTINGS, data.paymentSettings);
+            paycheckManager.paymentSettings = data.paymentSettings;
+            paycheckManager.generatePaycheckDates();
+        }
+
+        billStore.setBills(plan.bills, undefined, { label: `Import ${importedBills.length} bills` });
+
+        if (data.attachments && data.attachments.length > 0) {
+            importAttachments(data.attachments, plan.bills);
+        }
+
+        const parts = [
+            plan.added.length > 0 && `${plan.added.length} added`,
+            plan.updated.length > 0 && `${plan.updated.length} updated`,
+            plan.removed.length > 0 && `${plan.removed.length} removed`,
+            plan.skipped.length > 0 && `${plan.skipped.length} skipped`
+        ].filter(Boolean);
+        showSuccessNotification(`Import complete: ${parts.join(', ')}. Ctrl+Z undoes the import.`);
+        return true;
+    } catch (error) {
+        logger.error('Error applying import', error);
+        showErrorNotification(error.message, 'Import Failed');
+        return false;
+    }
+}
+
+/**
+ * Roll back to a restore point
+ *
+ * @param {Object} point - Restore point from restorePointService.listRestorePoints()
+ * @returns {Promise<boolean>} True when the data was rolled back
+ * @description Restores the bills, series templates, pay settings and custom categories of
+ *   the restore point. A restore point of the current data is taken first, so the roll back
+ *   can itself be rolled back; the bill changes can also be undone with Ctrl+Z.
+ */
+export async function rollBackToRestorePoint(point) {
+    try {
+        await takeRestorePoint('rollback');
+
+        const { bills, series, paymentSettings, customCategories } = point.data;
+        // Settings first, so the re-render after rollBack() uses the restored pay schedule
+        if (paymentSettings && typeof paymentSettings === 'object') {
+            StorageManager.set(STORAGE_KEYS.PAYMENT_SETTINGS, paymentSettings);
+            paycheckManager.paymentSettings = paymentSettings;
+            paycheckManager.generatePaycheckDates();
+        }
+        if (Array.isArray(customCategories)) {
+            StorageManager.set(STORAGE_KEYS.CUSTOM_CATEGORIES, customCategories);
+        }
+
+        const when = new Date(point.createdAt).toLocaleString('en-US', {
+            month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+        });
+        billStore.rollBack({ bills, series: series || [] }, `Roll back to ${when}`);
+
+        showSuccessNotification(`Rolled back to ${when}. The data before the roll back was saved as a restore point.`);
+        return true;
+    } catch (error) {
+        logger.error('Error rolling back to restore point', error);
+        showErrorNotification(error.message, 'Roll Back Failed');
+        return false;
+    }
+}
+
+/**
+ * Read a selected file as text
+ * @private
+ */
+function readFileText(file) {
     return new Promise((resolve, reject) => {
-        try {
-            if (!file) {
-                throw new Error('No file selected.');
-            }
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = () => reject(new Error('Error reading file. Please try again.'));
+        reader.readAsText(file);
+    });
+}
 
-            if (!file.name.endsWith('.json')) {
-                throw new Error('Please select a valid JSON file.');
-            }
+/**
+ * Read a JSON backup or export for the import dialog
+ *
+ * @param {File} file - Selected .json file
+ * @param {Function} [requestPassphrase] - Asks for the passphrase of an encrypted backup.
+ *   Receives { fileName, error } (error is the message of the previous wrong attempt, or
+ *   null) and resolves to the passphrase, or null when the user cancels
+ * @returns {Promise<Object|null>} { fileName, bills, customCategories, paymentSettings,
+ *   attachments }, or null when the file could not be read (the error is shown to the user) or the
+ *   passphrase prompt was cancelled
+ * @description Only reads and checks the file; nothing is imported until the user
+ *   confirms in the import dialog (see applyImport()). Encrypted backups are decrypted
+ *   first; a wrong passphrase asks again, a damaged file is reported. Bills from backups
+ *   made by older versions are migrated to the current schema; backups from newer
+ *   versions are refused.
+ */
+export async function readImportData(file, requestPassphrase = null) {
+    try {
+        if (!file) {
+            throw new Error('No file selected.');
+        }
 
-            const reader = new FileReader();
+        if (getImportFormat(file.name) !== 'json') {
+            throw new Error('Please select a valid JSON file.');
+        }
 
-            reader.onload = (e) => {
+        let data = safeJSONParse(await readFileText(file), null);
+
+        if (!data) {
+            throw new Error('Invalid JSON format in file');
+        }
+
+        if (isEncryptedBackup(data)) {
+            if (!requestPassphrase) {
+                throw new Error('This backup is encrypted and needs its passphrase.');
+            }
+            const envelope = data;
+            let attemptError = null;
+            data = null;
+            while (!data) {
+                const passphrase = await requestPassphrase({ fileName: file.name, error: attemptError });
+                if (passphrase === null) return null;
                 try {
-                    const data = safeJSONParse(e.target.result, null);
-
-                    if (!data) {
-                        throw new Error('Invalid JSON format in file');
-                    }
-
-                    // Validate structure
-                    if (!Array.isArray(data.bills)) {
-                        throw new Error('Invalid file format: bills must be an array.');
-                    }
-
-                    if (data.bills.length === 0) {
-                        throw new Error('File contains no bills to import.');
-                    }
-
-                    // Process bills: Generate IDs and ensure structure
-                    const processedBills = data.bills.map(bill => {
-                        // Generate a unique ID if missing or seems like a placeholder
-                        // We use Date.now() + a random string for uniqueness
-                        const newBill = { ...bill };
-
-                        if (!newBill.id) {
-                            newBill.id = Date.now().toString() + Math.random().toString(36).substr(2, 9);
-                        }
-
-                        // Normalize recurrence to proper capitalization
-                        // Handles lowercase imports like 'monthly' → 'Monthly'
-                        if (newBill.recurrence) {
-                            const recurrenceLower = newBill.recurrence.toLowerCase();
-                            if (recurrenceLower === 'one-time') newBill.recurrence = 'One-time';
-                            else if (recurrenceLower === 'weekly') newBill.recurrence = 'Weekly';
-                            else if (recurrenceLower === 'bi-weekly') newBill.recurrence = 'Bi-weekly';
-                            else if (recurrenceLower === 'monthly') newBill.recurrence = 'Monthly';
-                            else if (recurrenceLower === 'yearly') newBill.recurrence = 'Yearly';
-                        }
-
-                        // Ensure required fields have at least empty values/defaults
-                        if (!newBill.paymentHistory) newBill.paymentHistory = [];
-                        if (newBill.isPaid === undefined) newBill.isPaid = false;
-                        if (newBill.balance === undefined) newBill.balance = newBill.amountDue || 0;
-
-                        return newBill;
-                    });
-
-                    // Import data
-                    billStore.setBills(processedBills);
-
-                    // Sync custom categories from imported bills if not explicitly provided
-                    // Sync custom categories from imported bills
-                    const defaultCategories = ['Rent', 'Utilities', 'Groceries', 'Transportation', 'Insurance', 'Entertainment'];
-                    const existingCategories = StorageManager.get(STORAGE_KEYS.CUSTOM_CATEGORIES, defaultCategories);
-
-                    const billCategories = [...new Set(processedBills.map(b => b.category))].filter(c => c && c.trim() !== '');
-                    const importedMetadataCategories = data.customCategories || [];
-
-                    const allCategories = [...new Set([
-                        ...existingCategories,
-                        ...billCategories,
-                        ...importedMetadataCategories
-                    ])];
-
-                    StorageManager.set(STORAGE_KEYS.CUSTOM_CATEGORIES, allCategories);
-
-                    if (data.paymentSettings && typeof data.paymentSettings === 'object') {
-                        StorageManager.set(STORAGE_KEYS.PAYMENT_SETTINGS, data.paymentSettings);
-                    }
-
-                    showSuccessNotification(
-                        `Successfully imported ${processedBills.length} bill(s). Refreshing...`
-                    );
-                    setTimeout(() => window.location.reload(), 1500);
-                    resolve(true);
+                    data = safeJSONParse(await decryptBackup(envelope, passphrase), null);
                 } catch (error) {
-                    logger.error('Error parsing file', error);
-                    showErrorNotification(
-                        error.message || 'Failed to parse import file',
-                        'Import Failed'
-                    );
-                    reject(error);
+                    if (!(error instanceof BackupDecryptionError) || error.reason !== 'passphrase') throw error;
+                    attemptError = error.message;
+                    continue;
                 }
-            };
+                if (!data) {
+                    throw new Error('The encrypted backup does not contain valid backup data.');
+                }
+            }
+        }
+
+        // Validate structure
+        if (!Array.isArray(data.bills)) {
+            throw new Error('Invalid file format: bills must be an array.');
+        }
+
+        if (data.bills.length === 0) {
+            throw new Error('File contains no bills to import.');
+        }
 
-            reader.onerror = () => {
-                const errorMsg = 'Error reading file. Please try again.';
-                logger.error(errorMsg);
-                showErrorNotification(errorMsg, 'Import Failed');
-                reject(new Error(errorMsg));
-            };
+        // Backups from older versions are upgraded to the current bill format
+        const { bills } = migrateBills(data.bills, getSchemaVersion(data));
+
+        return {
+            fileName: file.name,
+            bills,
+            customCategories: Array.isArray(data.customCategories) ? data.customCategories : [],
+            paymentSettings: data.paymentSettings && typeof data.paymentSettings === 'object' ? data.paymentSettings : null,
+            attachments: Array.isArray(data.attachments) ? data.attachments : []
+        };
+    } catch (error) {
+        logger.error('Error reading import file', error);
+        showErrorNotification(error.message || 'Failed to parse import file', 'Import Failed');
+        return null;
+    }
+}
 
-            reader.readAsText(file);
-        } catch (error) {
-            logger.error('Error importing data', error);
-            showErrorNotification(error.message, 'Import Failed');
-            reject(error);
+/**
+ * Read a CSV or TSV file into a header row and data rows for the column-mapping step
+ *
+ * @param {File} file - Selected .csv or .tsv file
+ * @returns {Promise<Object|null>} { fileName, headers, rows }, or null when the file
+ *   could not be read (the error is shown to the user)
+ */
+export async function readImportTable(file) {
+    try {
+        const text = await readFileText(file);
+        const table = parseDelimited(text, getImportFormat(file.name) === 'tsv' ? '\t' : undefined);
+
+        if (table.length < 2) {
+            throw new Error('File contains no bills to import.');
         }
-    });
+
+        return { fileName: file.name, headers: table[0], rows: table.slice(1) };
+    } catch (error) {
+        logger.error('Error reading import file', error);
+        showErrorNotification(error.message, 'Import Failed');
+        return null;
+    }
 }
 
 /**
@@ -645,7 +1203,7 @@ export function validateBill(billData) {
     }
 
     // Validate recurrence
-    const recurrenceValidation = validateRecurrence(billData.recurrence);
+    const recurrenceValidation = validateRecurrence(billData.recurrence, billData.recurrenceRule);
     if (!recurrenceValidation.isValid) {
         errors.push(recurrenceValidation.error);
     }
@@ -682,15 +1240,30 @@ export const billActionHandlers = {
     updateBillBalance,
     togglePaymentStatus,
     deleteBill,
+    editRecurringBill,
     recordPayment,
+    editPayment,
+    voidPayment,
+    refundPayment,
+    addBillAttachment,
+    removeBillAttachment,
+    openBillAttachment,
     getTotalPaid,
     getRemainingBalance,
-    migrateBillsToPaymentHistory,
     exportData,
-    importData,
+    exportBills,
+    readImportData,
+    readImportTable,
+    applyImport,
+    rollBackToRestorePoint,
     validateBill,
     bulkDelete,
     bulkMarkAsPaid,
+    restoreBill,
+    purgeBills,
     showErrorNotification,
-    showSuccessNotification
+    showSuccessNotification,
+    showUndoNotification,
+    undoLastAction,
+    redoLastAction
 };
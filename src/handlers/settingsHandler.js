@@ -6,21 +6,51 @@
 import { billStore } from '../store/BillStore.js';
 import { paycheckManager } from '../utils/paycheckManager.js';
 import { billActionHandlers } from './billActionHandlers.js';
-import { safeJSONParse, validatePaymentSettings } from '../utils/validation.js';
+import { safeJSONParse, validatePaymentSettings, sanitizeInput } from '../utils/validation.js';
 import { syncPaymentSettings, getUser } from '../services/supabase.js';
 import StorageManager from '../utils/StorageManager.js';
 import logger from '../utils/logger.js';
-import { STORAGE_KEYS } from '../utils/constants.js';
+import { STORAGE_KEYS, TRASH } from '../utils/constants.js';
+import { formatLocalDate } from '../utils/dates.js';
+import { DEFAULT_SEMI_MONTHLY_DAYS } from '../utils/paySchedule.js';
+import { PRIMARY_SOURCE_ID, DEFAULT_PRIMARY_SOURCE_NAME, createIncomeSourceId } from '../utils/incomeSources.js';
+import { ACCOUNT_TYPES, createPaymentAccountId } from '../utils/paymentAccounts.js';
+import {
+    DEFAULT_REMINDER_SETTINGS,
+    REMINDER_DAY_OPTIONS,
+    parseReminderChoice,
+    reminderChoiceValue
+} from '../utils/reminders.js';
+import { requestNotificationPermission } from '../serviceWorker.js';
+import { captureRestorePoint, saveRestorePoint } from '../services/restorePointService.js';
+
+/** Week-of-month choices for custom pay rules */
+const RULE_WEEKS = [[1, 'First'], [2, 'Second'], [3, 'Third'], [4, 'Fourth'], [-1, 'Last']];
+
+/** Weekday names indexed like Date.getDay() */
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/** Planning horizons offered for recurring bill generation, in months */
+const PLAN_MONTHS_OPTIONS = [3, 6, 12, 18, 24, 36];
+
+/** Trash retention choices in days (0 keeps bills until the trash is emptied) */
+const TRASH_RETENTION_OPTIONS = [[7, '7 days'], [14, '14 days'], [30, '30 days'], [60, '60 days'], [90, '90 days'], [0, 'Never']];
 
 /**
  * Show settings modal
+ * @param {Array<string>} categoriesList - Categories to manage
+ * @param {Object} [callbacks]
+ * @param {Function} [callbacks.onShowRestorePoints] - Opens the restore points list
  */
-export function showSettingsModal(categoriesList) {
+export function showSettingsModal(categoriesList, { onShowRestorePoints } = {}) {
     try {
         logger.info('Settings modal requested', { categories: categoriesList });
         
         const settings = StorageManager.get(STORAGE_KEYS.PAYMENT_SETTINGS, {});
         logger.info('Payment settings loaded', { settings });
+        const trashRetentionDays = StorageManager.get(STORAGE_KEYS.TRASH_RETENTION_DAYS, TRASH.DEFAULT_RETENTION_DAYS);
+        const reminderSettings = { ...DEFAULT_REMINDER_SETTINGS, ...StorageManager.get(STORAGE_KEYS.REMINDER_SETTINGS, {}) };
+        const attachmentSettings = StorageManager.get(STORAGE_KEYS.ATTACHMENT_SETTINGS, {});
 
         if (!settings.startDate) {
             throw new Error('Payment settings not configured. Please run setup again.');
@@ -44,8 +74,31 @@ export function showSettingsModal(categoriesList) {
         const form = document.createElement('form');
         form.id = 'settingsForm';
 
+        const semiMonthlyDays = settings.semiMonthlyDays || DEFAULT_SEMI_MONTHLY_DAYS;
+        const customRule = settings.customRule || { week: 1, weekday: 5 };
+
+        const payOverrides = settings.payOverrides || {};
+        const overrideRows = paycheckManager.payCheckDates
+            .filter((date, index) => paycheckManager.payCheckSources[index].includes(PRIMARY_SOURCE_ID))
+            .map(date => {
+                const dateKey = formatLocalDate(date);
+                const label = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+                const value = typeof payOverrides[dateKey] === 'number' ? payOverrides[dateKey] : '';
+                return `
+                    <div style="display: flex; gap: 10px; align-items: center; margin-bottom: 6px;">
+                        <span style="flex: 1;">${label}</span>
+                        <input type="number" class="pay-override-input" data-date="${dateKey}" step="0.01" min="0"
+                            value="${value}" placeholder="Net pay" aria-label="Net pay override for ${label}" style="flex: 1;">
+                    </div>
+                `;
+            }).join('');
+
         // Static Form Fields
         form.innerHTML = `
+            <div class="form-group">
+                <label for="settingsPrimarySourceName"><strong>Income Source Name:</strong></label>
+                <input type="text" id="settingsPrimarySourceName" maxlength="40" placeholder="${DEFAULT_PRIMARY_SOURCE_NAME}">
+            </div>
             <div class="form-group">
                 <label><strong>First Paycheck Date:</strong></label>
                 <input type="date" id="settingsStartDate" value="${settings.startDate}" required>
@@ -55,9 +108,41 @@ export function showSettingsModal(categoriesList) {
                 <select id="settingsFrequency" required>
                     <option value="weekly" ${settings.frequency === 'weekly' ? 'selected' : ''}>Weekly (every 7 days)</option>
                     <option value="bi-weekly" ${settings.frequency === 'bi-weekly' ? 'selected' : ''}>Bi-weekly (every 14 days)</option>
-                    <option value="monthly" ${settings.frequency === 'monthly' ? 'selected' : ''}>Monthly (every 30 days)</option>
+                    <option value="semi-monthly" ${settings.frequency === 'semi-monthly' ? 'selected' : ''}>Semi-monthly (twice a month)</option>
+                    <option value="monthly" ${settings.frequency === 'monthly' ? 'selected' : ''}>Monthly (same day each month)</option>
+                    <option value="custom" ${settings.frequency === 'custom' ? 'selected' : ''}>Custom rule (e.g. first Friday)</option>
                 </select>
             </div>
+            <div class="form-group" id="settingsSemiMonthlyGroup">
+                <label><strong>Pay Days of the Month:</strong></label>
+                <div style="display: flex; gap: 10px;">
+                    <input type="number" id="settingsSemiDay1" min="1" max="31" value="${semiMonthlyDays[0]}" aria-label="First pay day of the month" style="flex: 1;">
+                    <input type="number" id="settingsSemiDay2" min="1" max="31" value="${semiMonthlyDays[1]}" aria-label="Second pay day of the month" style="flex: 1;">
+                </div>
+                <small style="display: block; color: var(--text-secondary);">Days past the end of a month (e.g. 31) fall on its last day</small>
+            </div>
+            <div class="form-group" id="settingsCustomRuleGroup">
+                <label><strong>Paid Every:</strong></label>
+                <div style="display: flex; gap: 10px;">
+                    <select id="settingsRuleWeek" aria-label="Week of the month" style="flex: 1;">
+                        ${RULE_WEEKS.map(([value, label]) => `<option value="${value}" ${customRule.week === value ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                    <select id="settingsRuleWeekday" aria-label="Day of the week" style="flex: 1;">
+                        ${WEEKDAYS.map((label, value) => `<option value="${value}" ${customRule.weekday === value ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                </div>
+                <small style="display: block; color: var(--text-secondary);">of each month</small>
+            </div>
+            <div class="form-group">
+                <label style="display: flex; gap: 8px; align-items: center;">
+                    <input type="checkbox" id="settingsBusinessDay" ${settings.businessDayAdjust === 'previous' ? 'checked' : ''}>
+                    Move paydays on weekends or holidays to the previous business day
+                </label>
+            </div>
+            <div class="form-group" id="settingsHolidaysGroup">
+                <label for="settingsHolidays"><strong>Holidays:</strong></label>
+                <textarea id="settingsHolidays" rows="2" placeholder="One date per line, e.g. 2026-12-25">${(settings.holidays || []).join('\n')}</textarea>
+            </div>
             <div class="form-group">
                 <label><strong>Number of Pay Periods to Show:</strong></label>
                 <select id="settingsWeeks" required>
@@ -68,6 +153,88 @@ export function showSettingsModal(categoriesList) {
                     <option value="12" ${settings.payPeriodsToShow === 12 ? 'selected' : ''}>12 Pay Periods</option>
                 </select>
             </div>
+            <div class="form-group">
+                <label for="settingsPlanMonthsAhead"><strong>Plan Recurring Bills Ahead:</strong></label>
+                <select id="settingsPlanMonthsAhead">
+                    <option value="">Shown pay periods only</option>
+                    ${[...new Set([...PLAN_MONTHS_OPTIONS, settings.planMonthsAhead].filter(Boolean))].sort((a, b) => a - b).map(months => `<option value="${months}" ${settings.planMonthsAhead === months ? 'selected' : ''}>${months} months</option>`).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="settingsTrashRetention"><strong>Empty Trash After:</strong></label>
+                <select id="settingsTrashRetention">
+                    ${TRASH_RETENTION_OPTIONS.map(([days, label]) => `<option value="${days}" ${trashRetentionDays === days ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label>
+                    <input type="checkbox" id="settingsAttachmentCloudUpload" ${attachmentSettings.cloudUpload ? 'checked' : ''}>
+                    <strong>Upload attachments to the cloud</strong>
+                </label>
+                <small style="display: block; color: var(--text-secondary);">Statements and receipts are always kept on this device. When logged in, a copy is uploaded so your other devices can open them.</small>
+            </div>
+            <div class="form-group">
+                <label for="settingsNetPay"><strong>Net Pay per Paycheck:</strong></label>
+                <input type="number" id="settingsNetPay" step="0.01" min="0" placeholder="Take-home amount (optional)"
+                    value="${typeof settings.netPay === 'number' ? settings.netPay : ''}">
+            </div>
+            <div class="form-group">
+                <label><strong>Paycheck Amount Overrides:</strong></label>
+                <small style="display: block; color: var(--text-secondary); margin-bottom: 8px;">Leave blank to use the net pay above (e.g. bonus or short checks)</small>
+                <div id="settingsPayOverrides">${overrideRows}</div>
+            </div>
+            <div class="form-group">
+                <label><strong>Other Income Sources:</strong></label>
+                <small style="display: block; color: var(--text-secondary); margin-bottom: 8px;">Add a partner's or second job's paycheck. Bills can then be assigned to a source.</small>
+                <div id="settingsIncomeSources"></div>
+                <button type="button" id="addIncomeSourceBtn" class="view-btn">➕ Add Income Source</button>
+            </div>
+            <div class="form-group">
+                <label><strong>Payment Accounts:</strong></label>
+                <small style="display: block; color: var(--text-secondary); margin-bottom: 8px;">Checking accounts, cards and wallets you pay bills from. They are offered when recording a payment and can be set as a bill's default.</small>
+                <div id="settingsPaymentAccounts"></div>
+                <button type="button" id="addPaymentAccountBtn" class="view-btn">➕ Add Payment Account</button>
+            </div>
+            <div class="form-group">
+                <label for="settingsStartingBalance"><strong>Checking Balance:</strong></label>
+                <input type="number" id="settingsStartingBalance" step="0.01" placeholder="Current balance (optional)"
+                    value="${typeof settings.startingBalance === 'number' ? settings.startingBalance : ''}">
+                <small style="display: block; color: var(--text-secondary);">${typeof settings.startingBalance === 'number'
+                    ? `Entered ${settings.startingBalanceDate}. Update it to restart the projection from today.`
+                    : 'Projected forward with your paychecks and bills to warn before the account runs low.'}</small>
+            </div>
+            <div class="form-group">
+                <label for="settingsLowBalanceBuffer"><strong>Warn Below:</strong></label>
+                <input type="number" id="settingsLowBalanceBuffer" step="0.01" min="0" placeholder="0.00"
+                    value="${typeof settings.lowBalanceBuffer === 'number' ? settings.lowBalanceBuffer : ''}">
+            </div>
+            <hr style="margin: 20px 0; border: none; border-top: 1px solid var(--border-color);">
+            <h3>Reminders</h3>
+            <div class="form-group">
+                <label><input type="checkbox" id="settingsRemindersEnabled" ${reminderSettings.enabled ? 'checked' : ''}> Show due-date notifications</label>
+            </div>
+            <div class="form-group">
+                <label for="settingsReminderDaysBefore"><strong>Remind Before Due Date:</strong></label>
+                <select id="settingsReminderDaysBefore">
+                    <option value="0" ${reminderSettings.daysBefore === 0 ? 'selected' : ''}>Don't remind early</option>
+                    ${REMINDER_DAY_OPTIONS.map(days => `<option value="${days}" ${reminderSettings.daysBefore === days ? 'selected' : ''}>${days} day${days === 1 ? '' : 's'} before</option>`).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label><input type="checkbox" id="settingsReminderOnDueDate" ${reminderSettings.onDueDate ? 'checked' : ''}> On the due date</label>
+                <label><input type="checkbox" id="settingsReminderOverdue" ${reminderSettings.overdue ? 'checked' : ''}> Every day while overdue</label>
+            </div>
+            <div class="form-group">
+                <label><strong>Per Category:</strong></label>
+                <small style="display: block; color: var(--text-secondary); margin-bottom: 8px;">Bills can also override this in the bill form</small>
+                <div id="settingsReminderCategories"></div>
+            </div>
+            <hr style="margin: 20px 0; border: none; border-top: 1px solid var(--border-color);">
+            <h3>Restore Points</h3>
+            <div class="form-group">
+                <small style="display: block; color: var(--text-secondary); margin-bottom: 8px;">Copies of your bills and pay settings are saved daily and before imports, regenerating, bulk deletes, pay schedule changes and loading cloud data.</small>
+                <button type="button" id="settingsRestorePointsBtn" class="view-btn">🕘 View Restore Points</button>
+            </div>
             <hr style="margin: 20px 0; border: none; border-top: 1px solid var(--border-color);">
             <h3>Manage Categories</h3>
             <div class="form-group">
@@ -77,6 +244,11 @@ export function showSettingsModal(categoriesList) {
                 </div>
             </div>
         `;
+        form.querySelector('#settingsPrimarySourceName').value = settings.primarySourceName || DEFAULT_PRIMARY_SOURCE_NAME;
+        const reminderCategories = form.querySelector('#settingsReminderCategories');
+        categoriesList.forEach(category => {
+            reminderCategories.appendChild(createReminderCategoryRow(category, reminderSettings.categories[category]));
+        });
 
         // Category List Container
         const catListContainer = document.createElement('div');
@@ -173,6 +345,40 @@ export function showSettingsModal(categoriesList) {
         document.body.appendChild(modal);
         logger.info('Settings modal created and appended to DOM');
 
+        // Additional income source rows
+        const incomeSourceList = document.getElementById('settingsIncomeSources');
+        (settings.additionalIncomeSources || []).forEach(source => {
+            incomeSourceList.appendChild(createIncomeSourceRow(source));
+        });
+        document.getElementById('addIncomeSourceBtn').addEventListener('click', () => {
+            incomeSourceList.appendChild(createIncomeSourceRow({
+                id: createIncomeSourceId(),
+                name: '',
+                startDate: formatLocalDate(new Date()),
+                frequency: 'bi-weekly'
+            }));
+        });
+
+        // Payment account rows
+        const paymentAccountList = document.getElementById('settingsPaymentAccounts');
+        (settings.paymentAccounts || []).forEach(account => {
+            paymentAccountList.appendChild(createPaymentAccountRow(account));
+        });
+        document.getElementById('addPaymentAccountBtn').addEventListener('click', () => {
+            paymentAccountList.appendChild(createPaymentAccountRow({
+                id: createPaymentAccountId(),
+                nickname: '',
+                type: 'checking'
+            }));
+        });
+
+        // Only show the schedule fields that apply to the chosen frequency
+        const frequencySelect = document.getElementById('settingsFrequency');
+        const businessDayCheckbox = document.getElementById('settingsBusinessDay');
+        updateScheduleFieldVisibility();
+        frequencySelect.addEventListener('change', updateScheduleFieldVisibility);
+        businessDayCheckbox.addEventListener('change', updateScheduleFieldVisibility);
+
         // Close button handler
         cancelBtn.addEventListener('click', () => {
             modal.remove();
@@ -185,6 +391,16 @@ export function showSettingsModal(categoriesList) {
             }
         });
 
+        const restorePointsBtn = document.getElementById('settingsRestorePointsBtn');
+        if (onShowRestorePoints) {
+            restorePointsBtn.addEventListener('click', () => {
+                modal.remove();
+                onShowRestorePoints();
+            });
+        } else {
+            restorePointsBtn.hidden = true;
+        }
+
         // Add new category handler
         document.getElementById('addNewCategoryBtn').addEventListener('click', () => {
             handleAddNewCategory(categoriesList, modal);
@@ -432,7 +648,7 @@ function showDeleteCategoryConflictModal(categoryName, billCount, categoriesList
 
         const deleteSpan = document.createElement('span');
         deleteSpan.style.color = 'var(--danger-color)';
-        deleteSpan.textContent = 'Delete bills permanently';
+        deleteSpan.textContent = 'Move bills to the trash';
         deleteLabel.appendChild(deleteSpan);
 
         deleteGroup.appendChild(deleteLabel);
@@ -474,19 +690,23 @@ function showDeleteCategoryConflictModal(categoryName, billCount, categoriesList
 
             if (action === 'move') {
                 const targetCat = document.getElementById('targetCategory').value;
-                const currentBills = billStore.getAll();
-                currentBills.forEach(bill => {
-                    if (bill.category === categoryName) {
-                        bill.category = targetCat;
-                        billStore.update(bill);
-                    }
+                billStore.transaction(`Move bills from "${categoryName}" to "${targetCat}"`, () => {
+                    const currentBills = billStore.getAll();
+                    currentBills.forEach(bill => {
+                        if (bill.category === categoryName) {
+                            bill.category = targetCat;
+                            billStore.update(bill);
+                        }
+                    });
                 });
             } else if (action === 'delete') {
-                const currentBills = billStore.getAll();
-                currentBills.forEach(bill => {
-                    if (bill.category === categoryName) {
-                        billStore.delete(bill.id);
-                    }
+                billStore.transaction(`Delete bills in "${categoryName}"`, () => {
+                    const currentBills = billStore.getAll();
+                    currentBills.forEach(bill => {
+                        if (bill.category === categoryName) {
+                            billStore.delete(bill.id);
+                        }
+                    });
                 });
             }
 
@@ -526,12 +746,14 @@ function updateCategoryName(oldName, newName, categoriesList) {
         }
 
         // Update all bills with this category
-        const currentBills = billStore.getAll();
-        currentBills.forEach(bill => {
-            if (bill.category === oldName) {
-                bill.category = newName;
-                billStore.update(bill);
-            }
+        billStore.transaction(`Rename category "${oldName}" to "${newName}"`, () => {
+            const currentBills = billStore.getAll();
+            currentBills.forEach(bill => {
+                if (bill.category === oldName) {
+                    bill.category = newName;
+                    billStore.update(bill);
+                }
+            });
         });
 
         billActionHandlers.showSuccessNotification(`Category renamed to "${newName}"`);
@@ -543,9 +765,271 @@ function updateCategoryName(oldName, newName, categoriesList) {
     }
 }
 
+/**
+ * Build an editable row for an additional income source
+ *
+ * @param {Object} source - Income source with id, name, startDate, frequency and optional netPay
+ * @returns {HTMLElement} Row element carrying the source id in data-id
+ */
+function createIncomeSourceRow(source) {
+    const semiMonthlyDays = source.semiMonthlyDays || DEFAULT_SEMI_MONTHLY_DAYS;
+    const customRule = source.customRule || { week: 1, weekday: 5 };
+
+    const row = document.createElement('div');
+    row.className = 'income-source-row';
+    row.dataset.id = source.id;
+    row.style.border = '1px solid var(--border-color)';
+    row.style.borderRadius = '6px';
+    row.style.padding = '10px';
+    row.style.marginBottom = '10px';
+
+    row.innerHTML = `
+        <div style="display: flex; gap: 10px; margin-bottom: 6px;">
+            <input type="text" class="source-name" maxlength="40" placeholder="Name (e.g. Sam's paycheck)" aria-label="Income source name" style="flex: 2;">
+            <button type="button" class="settings-btn remove-source-btn" title="Remove" aria-label="Remove income source"
+                style="display: inline-flex; background-color: var(--danger-color);">🗑️</button>
+        </div>
+        <div style="display: flex; gap: 10px; margin-bottom: 6px;">
+            <input type="date" class="source-start-date" aria-label="First paycheck date" style="flex: 1;">
+            <select class="source-frequency" aria-label="Payment frequency" style="flex: 1;">
+                <option value="weekly">Weekly</option>
+                <option value="bi-weekly">Bi-weekly</option>
+                <option value="semi-monthly">Semi-monthly</option>
+                <option value="monthly">Monthly</option>
+                <option value="custom">Custom rule</option>
+            </select>
+        </div>
+        <div class="source-semi-monthly" style="display: flex; gap: 10px; margin-bottom: 6px;">
+            <input type="number" class="source-semi-day1" min="1" max="31" aria-label="First pay day of the month" style="flex: 1;">
+            <input type="number" class="source-semi-day2" min="1" max="31" aria-label="Second pay day of the month" style="flex: 1;">
+        </div>
+        <div class="source-custom-rule" style="display: flex; gap: 10px; margin-bottom: 6px;">
+            <select class="source-rule-week" aria-label="Week of the month" style="flex: 1;">
+                ${RULE_WEEKS.map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+            </select>
+            <select class="source-rule-weekday" aria-label="Day of the week" style="flex: 1;">
+                ${WEEKDAYS.map((label, value) => `<option value="${value}">${label}</option>`).join('')}
+            </select>
+        </div>
+        <input type="number" class="source-net-pay" step="0.01" min="0" placeholder="Net pay per paycheck (optional)" aria-label="Net pay per paycheck">
+    `;
+
+    // Assign values via properties so names are never parsed as HTML
+    row.querySelector('.source-name').value = source.name || '';
+    row.querySelector('.source-start-date').value = source.startDate || '';
+    row.querySelector('.source-frequency').value = source.frequency || 'bi-weekly';
+    row.querySelector('.source-semi-day1').value = semiMonthlyDays[0];
+    row.querySelector('.source-semi-day2').value = semiMonthlyDays[1];
+    row.querySelector('.source-rule-week').value = String(customRule.week);
+    row.querySelector('.source-rule-weekday').value = String(customRule.weekday);
+    row.querySelector('.source-net-pay').value = typeof source.netPay === 'number' ? source.netPay : '';
+
+    const frequencySelect = row.querySelector('.source-frequency');
+    const updateVisibility = () => {
+        row.querySelector('.source-semi-monthly').style.display = frequencySelect.value === 'semi-monthly' ? 'flex' : 'none';
+        row.querySelector('.source-custom-rule').style.display = frequencySelect.value === 'custom' ? 'flex' : 'none';
+    };
+    updateVisibility();
+    frequencySelect.addEventListener('change', updateVisibility);
+
+    row.querySelector('.remove-source-btn').addEventListener('click', () => row.remove());
+
+    return row;
+}
+
+/**
+ * Read additional income sources from the settings form
+ *
+ * @param {Array<Object>} existingSources - Previously saved sources (keeps fields the form does not edit)
+ * @returns {Array<Object>} Income sources in form order
+ */
+function readIncomeSourceRows(existingSources) {
+    return Array.from(document.querySelectorAll('.income-source-row')).map(row => {
+        const existing = existingSources.find(source => source.id === row.dataset.id) || {};
+        const source = {
+            ...existing,
+            id: row.dataset.id,
+            name: sanitizeInput(row.querySelector('.source-name').value, 40),
+            startDate: row.querySelector('.source-start-date').value,
+            frequency: row.querySelector('.source-frequency').value
+        };
+
+        delete source.semiMonthlyDays;
+        delete source.customRule;
+        if (source.frequency === 'semi-monthly') {
+            source.semiMonthlyDays = [
+                parseInt(row.querySelector('.source-semi-day1').value),
+                parseInt(row.querySelector('.source-semi-day2').value)
+            ].sort((a, b) => a - b);
+        } else if (source.frequency === 'custom') {
+            source.customRule = {
+                week: parseInt(row.querySelector('.source-rule-week').value),
+                weekday: parseInt(row.querySelector('.source-rule-weekday').value)
+            };
+        }
+
+        const netPayValue = row.querySelector('.source-net-pay').value;
+        if (netPayValue === '') {
+            delete source.netPay;
+        } else {
+            source.netPay = parseFloat(netPayValue);
+        }
+
+        return source;
+    });
+}
+
+/**
+ * Create an editable row for a payment account
+ *
+ * @param {Object} account - Payment account ({id, nickname, type, lastFour})
+ * @returns {HTMLElement} Row element
+ */
+function createPaymentAccountRow(account) {
+    const row = document.createElement('div');
+    row.className = 'payment-account-row';
+    row.dataset.id = account.id;
+    row.style.display = 'flex';
+    row.style.gap = '10px';
+    row.style.marginBottom = '8px';
+
+    row.innerHTML = `
+        <input type="text" class="account-nickname" maxlength="40" placeholder="Nickname (e.g. Joint checking)" aria-label="Account nickname" style="flex: 2;">
+        <select class="account-type" aria-label="Account type" style="flex: 1;">
+            ${Object.entries(ACCOUNT_TYPES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+        </select>
+        <input type="text" class="account-last-four" inputmode="numeric" maxlength="4" pattern="[0-9]{4}" placeholder="Last 4" aria-label="Last four digits (optional)" style="width: 70px;">
+        <button type="button" class="settings-btn remove-account-btn" title="Remove" aria-label="Remove payment account"
+            style="display: inline-flex; background-color: var(--danger-color);">🗑️</button>
+    `;
+
+    // Assign values via properties so nicknames are never parsed as HTML
+    row.querySelector('.account-nickname').value = account.nickname || '';
+    row.querySelector('.account-type').value = account.type || 'checking';
+    row.querySelector('.account-last-four').value = account.lastFour || '';
+    row.querySelector('.remove-account-btn').addEventListener('click', () => row.remove());
+
+    return row;
+}
+
+/**
+ * Read payment accounts from the settings form
+ *
+ * @returns {Array<Object>} Payment accounts in form order
+ */
+function readPaymentAccountRows() {
+    return Array.from(document.querySelectorAll('.payment-account-row')).map(row => {
+        const account = {
+            id: row.dataset.id,
+            nickname: sanitizeInput(row.querySelector('.account-nickname').value, 40),
+            type: row.querySelector('.account-type').value
+        };
+        const lastFour = row.querySelector('.account-last-four').value.trim();
+        if (lastFour) account.lastFour = lastFour;
+        return account;
+    });
+}
+
+/**
+ * Show or hide schedule fields based on the selected frequency
+ */
+function updateScheduleFieldVisibility() {
+    const frequency = document.getElementById('settingsFrequency').value;
+    const shiftPaydays = document.getElementById('settingsBusinessDay').checked;
+
+    document.getElementById('settingsSemiMonthlyGroup').style.display = frequency === 'semi-monthly' ? '' : 'none';
+    document.getElementById('settingsCustomRuleGroup').style.display = frequency === 'custom' ? '' : 'none';
+    document.getElementById('settingsHolidaysGroup').style.display = shiftPaydays ? '' : 'none';
+}
+
+/**
+ * Read schedule-specific fields from the settings form into a settings object
+ *
+ * @param {Object} settings - Settings object to update in place
+ */
+function applyScheduleFields(settings) {
+    delete settings.semiMonthlyDays;
+    delete settings.customRule;
+
+    if (settings.frequency === 'semi-monthly') {
+        settings.semiMonthlyDays = [
+            parseInt(document.getElementById('settingsSemiDay1').value),
+            parseInt(document.getElementById('settingsSemiDay2').value)
+        ].sort((a, b) => a - b);
+    } else if (settings.frequency === 'custom') {
+        settings.customRule = {
+            week: parseInt(document.getElementById('settingsRuleWeek').value),
+            weekday: parseInt(document.getElementById('settingsRuleWeekday').value)
+        };
+    }
+
+    settings.businessDayAdjust = document.getElementById('settingsBusinessDay').checked ? 'previous' : 'none';
+
+    const holidays = document.getElementById('settingsHolidays').value
+        .split(/[\s,]+/)
+        .filter(Boolean);
+    if (holidays.length > 0) {
+        settings.holidays = holidays;
+    } else {
+        delete settings.holidays;
+    }
+}
+
 /**
  * Handle settings form submission
  */
+/**
+ * Reminder override select for one category
+ */
+function createReminderCategoryRow(category, override) {
+    const row = document.createElement('div');
+    row.className = 'reminder-category-row';
+
+    const label = document.createElement('label');
+    label.textContent = category;
+
+    const select = document.createElement('select');
+    select.className = 'reminder-category-select';
+    select.dataset.category = category;
+    select.setAttribute('aria-label', `Reminders for ${category}`);
+    [['', 'Default'], ['off', 'No reminders'], ...REMINDER_DAY_OPTIONS.map(days => [String(days), `${days} day${days === 1 ? '' : 's'} before`])]
+        .forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+    select.value = reminderChoiceValue(override);
+
+    row.appendChild(label);
+    row.appendChild(select);
+    return row;
+}
+
+/**
+ * Read the reminder settings from the settings form
+ */
+function readReminderSettings(existing) {
+    // Keep overrides for categories not listed (e.g. removed from the list but still used)
+    const categories = { ...(existing.categories || {}) };
+    document.querySelectorAll('.reminder-category-select').forEach(select => {
+        const override = parseReminderChoice(select.value);
+        if (override) {
+            categories[select.dataset.category] = override;
+        } else {
+            delete categories[select.dataset.category];
+        }
+    });
+
+    return {
+        enabled: document.getElementById('settingsRemindersEnabled').checked,
+        daysBefore: parseInt(document.getElementById('settingsReminderDaysBefore').value),
+        onDueDate: document.getElementById('settingsReminderOnDueDate').checked,
+        overdue: document.getElementById('settingsReminderOverdue').checked,
+        categories
+    };
+}
+
 function handleSettingsSave(e, modal) {
     e.preventDefault();
 
@@ -558,11 +1042,82 @@ function handleSettingsSave(e, modal) {
             throw new Error('Start date is required');
         }
 
+        const existingSettings = StorageManager.get(STORAGE_KEYS.PAYMENT_SETTINGS, {});
         const newSettings = {
+            ...existingSettings,
             startDate,
             frequency,
             payPeriodsToShow: weeks
         };
+        applyScheduleFields(newSettings);
+
+        const primarySourceName = sanitizeInput(document.getElementById('settingsPrimarySourceName').value, 40);
+        if (primarySourceName && primarySourceName !== DEFAULT_PRIMARY_SOURCE_NAME) {
+            newSettings.primarySourceName = primarySourceName;
+        } else {
+            delete newSettings.primarySourceName;
+        }
+
+        const additionalIncomeSources = readIncomeSourceRows(existingSettings.additionalIncomeSources || []);
+        if (additionalIncomeSources.length > 0) {
+            newSettings.additionalIncomeSources = additionalIncomeSources;
+        } else {
+            delete newSettings.additionalIncomeSources;
+        }
+
+        // Bills and payments keep the ids of removed accounts; they show as "No account"
+        const paymentAccounts = readPaymentAccountRows();
+        if (paymentAccounts.length > 0) {
+            newSettings.paymentAccounts = paymentAccounts;
+        } else {
+            delete newSettings.paymentAccounts;
+        }
+
+        const planMonthsAhead = document.getElementById('settingsPlanMonthsAhead').value;
+        if (planMonthsAhead === '') {
+            delete newSettings.planMonthsAhead;
+        } else {
+            newSettings.planMonthsAhead = parseInt(planMonthsAhead);
+        }
+
+        const netPayValue = document.getElementById('settingsNetPay').value;
+        if (netPayValue === '') {
+            delete newSettings.netPay;
+        } else {
+            newSettings.netPay = parseFloat(netPayValue);
+        }
+
+        // The projection starts from the day the balance was entered
+        const startingBalanceValue = document.getElementById('settingsStartingBalance').value;
+        if (startingBalanceValue === '') {
+            delete newSettings.startingBalance;
+            delete newSettings.startingBalanceDate;
+        } else if (parseFloat(startingBalanceValue) !== existingSettings.startingBalance) {
+            newSettings.startingBalance = parseFloat(startingBalanceValue);
+            newSettings.startingBalanceDate = formatLocalDate(new Date());
+        }
+
+        const bufferValue = document.getElementById('settingsLowBalanceBuffer').value;
+        if (bufferValue === '') {
+            delete newSettings.lowBalanceBuffer;
+        } else {
+            newSettings.lowBalanceBuffer = parseFloat(bufferValue);
+        }
+
+        // Merge per-date overrides so overrides for dates no longer listed are kept
+        const payOverrides = { ...(existingSettings.payOverrides || {}) };
+        document.querySelectorAll('.pay-override-input').forEach(input => {
+            if (input.value === '') {
+                delete payOverrides[input.dataset.date];
+            } else {
+                payOverrides[input.dataset.date] = parseFloat(input.value);
+            }
+        });
+        if (Object.keys(payOverrides).length > 0) {
+            newSettings.payOverrides = payOverrides;
+        } else {
+            delete newSettings.payOverrides;
+        }
 
         // Validate payment settings before saving
         const validation = validatePaymentSettings(newSettings);
@@ -573,11 +1128,42 @@ function handleSettingsSave(e, modal) {
 
         logger.info('Payment settings validated', { settings: newSettings });
 
+        // Copied before anything changes; only kept when the change moves dates
+        const restorePoint = captureRestorePoint('settings');
+        const payDatesKey = () => paycheckManager.payCheckDates.map(date => date.getTime()).join();
+        const previousPayDates = payDatesKey();
+
         // Update paycheck manager
         paycheckManager.updateSettings(newSettings);
 
+        const movesDates = payDatesKey() !== previousPayDates
+            || newSettings.planMonthsAhead !== existingSettings.planMonthsAhead;
+        const restorePointSaved = movesDates ? saveRestorePoint(restorePoint) : Promise.resolve();
+
+        // A longer planning horizon needs the extra recurring bills generated now
+        if (newSettings.planMonthsAhead !== existingSettings.planMonthsAhead) {
+            paycheckManager.regenerateAllRecurringBills();
+        }
+
         // Save to localStorage
         StorageManager.set(STORAGE_KEYS.PAYMENT_SETTINGS, newSettings);
+        // Applied on reload, when expired trash is purged
+        StorageManager.set(STORAGE_KEYS.TRASH_RETENTION_DAYS, parseInt(document.getElementById('settingsTrashRetention').value));
+        // Attachments without a cloud copy are uploaded after the reload
+        StorageManager.set(STORAGE_KEYS.ATTACHMENT_SETTINGS, {
+            cloudUpload: document.getElementById('settingsAttachmentCloudUpload').checked
+        });
+
+        const reminderSettings = readReminderSettings(StorageManager.get(STORAGE_KEYS.REMINDER_SETTINGS, {}));
+        StorageManager.set(STORAGE_KEYS.REMINDER_SETTINGS, reminderSettings);
+        // Asked while handling the click, before the reload
+        const permissionRequest = reminderSettings.enabled
+            ? requestNotificationPermission().then(permission => {
+                if (permission === 'denied') {
+                    billActionHandlers.showErrorNotification('Notifications are blocked for this site. Allow them in your browser settings to get reminders.', 'Reminders');
+                }
+            })
+            : Promise.resolve();
 
         // Sync to cloud if user is logged in
         (async () => {
@@ -600,7 +1186,7 @@ function handleSettingsSave(e, modal) {
 
         billActionHandlers.showSuccessNotification('Settings saved. Reloading application...');
         modal.remove();
-        setTimeout(() => window.location.reload(), 1000);
+        Promise.all([permissionRequest, restorePointSaved, billStore.whenSaved()]).then(() => setTimeout(() => window.location.reload(), 1000));
     } catch (error) {
         logger.error('Error saving settings', error);
         billActionHandlers.showErrorNotification(error.message, 'Save Failed');
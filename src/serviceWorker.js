@@ -1,15 +1,149 @@
 // This file registers a service worker for the PWA, enabling offline capabilities and caching.
+// It also registers Background Sync (queued bill changes upload once connectivity returns,
+// even after the tab is closed) and Periodic Background Sync (cloud data is refreshed in the
+// background). Browsers without these APIs flush the queue the next time the app opens.
+// Due-date reminders are shown by the worker too (see src/utils/reminders.js).
+// A new build installs a new worker that waits; watchForUpdates() lets the app offer a reload.
 
 import logger from './utils/logger.js';
 
-if ('serviceWorker' in navigator) {
-    window.addEventListener('load', () => {
-        navigator.serviceWorker.register('service-worker.js')
-            .then(registration => {
-                logger.info('Service Worker registered', { scope: registration.scope });
-            })
-            .catch(error => {
-                logger.error('Service Worker registration failed', error);
-            });
+// Tags must match public/service-worker.js
+export const BACKGROUND_SYNC_TAG = 'sync-bills';
+export const PERIODIC_SYNC_TAG = 'refresh-bills';
+
+const PERIODIC_SYNC_INTERVAL = 12 * 60 * 60 * 1000; // 12 hours
+
+let registrationPromise = null;
+
+/**
+ * Register the service worker (once)
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null when unsupported or failed
+ */
+export const registerServiceWorker = () => {
+    if (registrationPromise) return registrationPromise;
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+        registrationPromise = Promise.resolve(null);
+        return registrationPromise;
+    }
+
+    registrationPromise = navigator.serviceWorker.register('service-worker.js')
+        .then(registration => {
+            logger.info('Service Worker registered', { scope: registration.scope });
+            return navigator.serviceWorker.ready;
+        })
+        .catch(error => {
+            logger.error('Service Worker registration failed', error);
+            return null;
+        });
+    return registrationPromise;
+};
+
+/**
+ * Ask the browser to fire a sync event once the device is online
+ * @returns {Promise<boolean>} False when Background Sync is not available
+ */
+export const requestBackgroundSync = async () => {
+    const registration = await registerServiceWorker();
+    if (!registration || !('sync' in registration)) return false;
+    try {
+        await registration.sync.register(BACKGROUND_SYNC_TAG);
+        return true;
+    } catch (error) {
+        logger.warn('Background Sync registration failed', { error: error.message });
+        return false;
+    }
+};
+
+/**
+ * Refresh cloud data in the background where Periodic Background Sync is allowed
+ * (installed app with the permission granted)
+ * @returns {Promise<boolean>} False when Periodic Background Sync is not available
+ */
+export const registerPeriodicSync = async () => {
+    const registration = await registerServiceWorker();
+    if (!registration || !('periodicSync' in registration)) return false;
+    try {
+        const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+        if (status.state !== 'granted') return false;
+        await registration.periodicSync.register(PERIODIC_SYNC_TAG, { minInterval: PERIODIC_SYNC_INTERVAL });
+        return true;
+    } catch (error) {
+        logger.warn('Periodic Background Sync registration failed', { error: error.message });
+        return false;
+    }
+};
+
+/**
+ * Send a message to the active service worker
+ * @param {Object} message - Message with a type field
+ */
+export const postToServiceWorker = async (message) => {
+    const registration = await registerServiceWorker();
+    if (registration && registration.active) {
+        registration.active.postMessage(message);
+    }
+};
+
+/**
+ * Handle messages from the service worker
+ * @param {Object<string, Function>} handlers - Handler per message type
+ */
+export const listenToServiceWorker = (handlers) => {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        const handler = event.data && handlers[event.data.type];
+        if (handler) handler(event.data);
     });
-}
\ No newline at end of file
+};
+
+/**
+ * Call back when a new version of the app is installed and waiting to take over
+ * Nothing is reported on the first install (there is no older version to replace).
+ * @param {Function} onUpdateAvailable - Receives a function that activates the new
+ *   version and reloads the page
+ */
+export const watchForUpdates = async (onUpdateAvailable) => {
+    const registration = await registerServiceWorker();
+    if (!registration) return;
+
+    const offer = (worker) => {
+        if (!navigator.serviceWorker.controller) return;
+        onUpdateAvailable(() => activateUpdate(worker));
+    };
+
+    if (registration.waiting) offer(registration.waiting);
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        if (!worker) return;
+        worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed') offer(worker);
+        });
+    });
+};
+
+/**
+ * Let a waiting worker take over, then reload once it controls the page
+ * @private
+ */
+const activateUpdate = (worker) => {
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        window.location.reload();
+    }, { once: true });
+    worker.postMessage({ type: 'SKIP_WAITING' });
+};
+
+/**
+ * Ask for permission to show reminder notifications
+ * Must be called from a user action (e.g. saving settings).
+ * @returns {Promise<string>} 'granted', 'denied', 'default' or 'unsupported'
+ */
+export const requestNotificationPermission = async () => {
+    if (typeof Notification === 'undefined') return 'unsupported';
+    if (Notification.permission !== 'default') return Notification.permission;
+    try {
+        return await Notification.requestPermission();
+    } catch (error) {
+        logger.warn('Notification permission request failed', { error: error.message });
+        return 'default';
+    }
+};
@@ -0,0 +1,237 @@
+import logger from '../utils/logger.js';
+import StorageManager from '../utils/StorageManager.js';
+import { STORAGE_KEYS } from '../utils/constants.js';
+import { billStore } from '../store/BillStore.js';
+import {
+    validateAttachmentFile,
+    createAttachment,
+    addAttachment,
+    removeAttachment,
+    setAttachmentRemotePath,
+    listAttachments,
+    collectAttachmentIds,
+    blobToBase64,
+    base64ToBlob
+} from '../utils/attachments.js';
+import { putAttachment, getAttachment, getAttachmentIds, deleteAttachments } from '../utils/indexedDBUtils.js';
+
+// Attachments
+// Files attached to bills and payments are stored in IndexedDB (see attachments). With
+// cloud upload turned on in settings, a copy is uploaded through the cloud storage
+// adapter so other devices can open it. The adapter is set by the app (see
+// supabaseAttachmentStorage) and can be replaced with a stub for local development:
+//   { name, upload(attachment, blob) => remotePath, download(remotePath) => Blob, remove(remotePaths) }
+// Removing an attachment only changes the bill, so it can be undone; files no bill
+// refers to any more are deleted by pruneAttachments() on the next start.
+
+let cloudStorage = null;
+
+/**
+ * Set the cloud storage adapter
+ * @param {Object|null} adapter - Cloud storage adapter, null for device-only attachments
+ */
+export const setAttachmentCloudStorage = (adapter) => {
+    cloudStorage = adapter;
+};
+
+/**
+ * Whether attachments are uploaded to cloud storage
+ * @returns {boolean} True when turned on in settings and an adapter is set
+ */
+export const isCloudUploadEnabled = () => Boolean(cloudStorage)
+    && StorageManager.get(STORAGE_KEYS.ATTACHMENT_SETTINGS, {}).cloudUpload === true;
+
+/**
+ * Bill that has an attachment
+ * @private
+ */
+const findBillWithAttachment = (attachmentId) => billStore.getAll()
+    .find(bill => listAttachments(bill).some(({ attachment }) => attachment.id === attachmentId));
+
+/**
+ * Upload the cloud copy of an attachment and remember where it is
+ * @param {Object} attachment - Attachment details
+ * @param {Blob} blob - File
+ * @returns {Promise<boolean>} True when uploaded; failures are logged
+ */
+export const uploadAttachment = async (attachment, blob) => {
+    if (!cloudStorage) return false;
+    try {
+        const remotePath = await cloudStorage.upload(attachment, blob);
+        const record = await getAttachment(attachment.id);
+        if (record) await putAttachment({ ...record, remotePath });
+
+        // Bookkeeping, not something to undo
+        const bill = findBillWithAttachment(attachment.id);
+        if (bill) {
+            billStore.withoutHistory(() => billStore.update(setAttachmentRemotePath(bill, attachment.id, remotePath)));
+        }
+        logger.info('Attachment uploaded', { id: attachment.id, storage: cloudStorage.name });
+        return true;
+    } catch (error) {
+        logger.error('Failed to upload attachment', error);
+        return false;
+    }
+};
+
+/**
+ * Attach a file to a bill or one of its payments
+ *
+ * @param {string} billId - Bill ID
+ * @param {File} file - File picked by the user
+ * @param {string|null} [paymentId=null] - Payment history entry to attach it to
+ * @returns {Promise<{attachment: Object, usagePercent: number|null, nearQuota: boolean}>}
+ *   The attachment and how full the device storage is now
+ * @throws {Error} When the file is not allowed or does not fit in the storage quota
+ */
+export const attachFile = async (billId, file, paymentId = null) => {
+    const invalid = validateAttachmentFile(file);
+    if (invalid) throw new Error(invalid);
+
+    const bill = billStore.getAll().find(b => b.id === billId);
+    if (!bill) throw new Error('Bill not found.');
+
+    const quota = await StorageManager.checkQuota(file.size);
+    if (!quota.allowed) {
+        throw new Error(`There is not enough storage space on this device for "${file.name}". Remove old attachments or free up space.`);
+    }
+
+    const attachment = createAttachment(file);
+    const updated = addAttachment(bill, attachment, paymentId);
+    await putAttachment({ ...attachment, blob: file });
+    billStore.update(updated);
+
+    if (isCloudUploadEnabled()) {
+        uploadAttachment(attachment, file);
+    }
+    return { attachment, usagePercent: quota.percent, nearQuota: quota.warning };
+};
+
+/**
+ * Remove an attachment from a bill (undoable; the file is deleted by pruneAttachments())
+ * @param {string} billId - Bill ID
+ * @param {string} attachmentId - Attachment ID
+ * @returns {Object} Updated bill
+ * @throws {Error} When the bill does not exist
+ */
+export const detachFile = (billId, attachmentId) => {
+    const bill = billStore.getAll().find(b => b.id === billId);
+    if (!bill) throw new Error('Bill not found.');
+    const updated = removeAttachment(bill, attachmentId);
+    billStore.update(updated);
+    return updated;
+};
+
+/**
+ * The file of an attachment, downloaded from cloud storage when it is not on this device
+ * @param {Object} attachment - Attachment details
+ * @returns {Promise<Blob>} File
+ * @throws {Error} When the file is neither on this device nor in cloud storage
+ */
+export const getAttachmentFile = async (attachment) => {
+    const record = await getAttachment(attachment.id);
+    if (record) return record.blob;
+
+    if (!attachment.remotePath || !cloudStorage) {
+        throw new Error(`"${attachment.name}" is not stored on this device.`);
+    }
+    const blob = await cloudStorage.download(attachment.remotePath);
+    // Kept on this device for next time
+    await putAttachment({ ...attachment, blob });
+    return blob;
+};
+
+/**
+ * Upload the attachments that have no cloud copy yet (after turning cloud upload on)
+ * @returns {Promise<number>} Number of attachments uploaded
+ */
+export const uploadPendingAttachments = async () => {
+    if (!isCloudUploadEnabled()) return 0;
+    const pending = billStore.getAll()
+        .flatMap(bill => listAttachments(bill))
+        .filter(({ attachment }) => !attachment.remotePath);
+
+    let uploaded = 0;
+    for (const { attachment } of pending) {
+        try {
+            const record = await getAttachment(attachment.id);
+            if (record && await uploadAttachment(attachment, record.blob)) uploaded++;
+        } catch (error) {
+            logger.error('Failed to read attachment for upload', error);
+        }
+    }
+    return uploaded;
+};
+
+/**
+ * Delete the files of attachments no bill or trashed bill refers to
+ * @returns {Promise<number>} Number of files deleted; failures are logged
+ */
+export const pruneAttachments = async () => {
+    try {
+        const kept = collectAttachmentIds([...billStore.getAll(), ...billStore.getTrash()]);
+        const orphaned = (await getAttachmentIds()).filter(id => !kept.has(id));
+        if (orphaned.length === 0) return 0;
+
+        if (cloudStorage) {
+            const records = await Promise.all(orphaned.map(id => getAttachment(id)));
+            const remotePaths = records.filter(record => record && record.remotePath).map(record => record.remotePath);
+            if (remotePaths.length > 0) {
+                await cloudStorage.remove(remotePaths).catch(error => logger.error('Failed to remove cloud attachments', error));
+            }
+        }
+        await deleteAttachments(orphaned);
+        logger.info('Deleted unused attachments', { count: orphaned.length });
+        return orphaned.length;
+    } catch (error) {
+        logger.error('Failed to delete unused attachments', error);
+        return 0;
+    }
+};
+
+/**
+ * Attachment files of bills for a backup
+ * @param {Array<Object>} bills - Bills in the backup
+ * @returns {Promise<Array<Object>>} { id, name, type, size, addedAt, data } with the file as
+ *   base64; attachments whose file cannot be read are left out (and logged)
+ */
+export const exportAttachments = async (bills) => {
+    const exported = [];
+    for (const { attachment } of bills.flatMap(bill => listAttachments(bill))) {
+        try {
+            const blob = await getAttachmentFile(attachment);
+            const { remotePath, ...details } = attachment;
+            exported.push({ ...details, data: await blobToBase64(blob) });
+        } catch (error) {
+            logger.warn('Attachment left out of backup', { id: attachment.id, error: error.message });
+        }
+    }
+    return exported;
+};
+
+/**
+ * Store the attachment files of an imported backup
+ * @param {Array<Object>} attachments - Backup attachments (see exportAttachments)
+ * @param {Array<Object>} bills - Bills after the import; files they do not refer to are skipped
+ * @returns {Promise<number>} Number of files stored; failures are logged
+ */
+export const importAttachments = async (attachments, bills) => {
+    const referenced = collectAttachmentIds(bills);
+    const files = attachments.filter(a => a && referenced.has(a.id) && typeof a.data === 'string');
+    if (files.length === 0) return 0;
+
+    try {
+        const quota = await StorageManager.checkQuota(files.reduce((sum, a) => sum + (a.size || 0), 0));
+        if (!quota.allowed) {
+            logger.warn('Backup attachments do not fit in the storage quota', { count: files.length });
+            return 0;
+        }
+        for (const { data, ...details } of files) {
+            await putAttachment({ ...details, blob: base64ToBlob(data, details.type) });
+        }
+        return files.length;
+    } catch (error) {
+        logger.error('Failed to store backup attachments', error);
+        return 0;
+    }
+};
@@ -0,0 +1,230 @@
+import logger from '../utils/logger.js';
+import StorageManager from '../utils/StorageManager.js';
+import { STORAGE_KEYS } from '../utils/constants.js';
+import { CURRENT_SCHEMA_VERSION, migrateBill } from '../utils/schema.js';
+import {
+    toRecordMap,
+    mergeRecords,
+    applyConflictChoices,
+    dedupeOccurrences,
+    recordsEqual,
+    newestSide
+} from '../utils/syncMerge.js';
+
+// Record-level Bill Sync
+// Every bill is one row in the bill_records table (see scripts/supabase_security_policies.sql).
+// A sync pulls all rows, merges them with this device's bills against the snapshot of the
+// last sync (see syncMerge), and uploads only the bills that differ from the cloud.
+// Uploads only succeed when the row still has the version that was pulled, so a device that
+// synced in between is never overwritten: the sync pulls and merges again instead.
+// Rows carry the schema version their bill was written with; older bills are migrated
+// when pulled (see schema) and uploaded in the current format with the next change.
+// All functions take the Supabase client as a parameter so tests can pass a stand-in.
+
+export const BILL_RECORDS_TABLE = 'bill_records';
+
+const MAX_SYNC_ATTEMPTS = 3;
+
+// Postgres unique_violation: another device inserted the same bill first
+const UNIQUE_VIOLATION = '23505';
+
+// Rows written before the schema_version column existed already had payment histories
+const UNVERSIONED_ROW_SCHEMA = 1;
+
+// Bills in the user_data row predate schema versions entirely
+const USER_DATA_SCHEMA = 0;
+
+/**
+ * Fetch every bill record of the user
+ * Falls back to the bills array of the user_data row for accounts that synced
+ * before bills had their own rows, so those bills are uploaded as records.
+ * Bills saved with an older schema version are migrated.
+ * @param {Object} client - Supabase client
+ * @param {string} userId - Id of the logged-in user
+ * @returns {Promise<Map<string, Object>>} Sync records by bill id
+ */
+export const pullBillRecords = async (client, userId) => {
+    const { data, error } = await client
+        .from(BILL_RECORDS_TABLE)
+        .select('bill_id, data, version, schema_version, deleted_at')
+        .eq('user_id', userId);
+    if (error) throw new Error(error.message);
+
+    if (data && data.length > 0) {
+        return new Map(data.map(row => [row.bill_id, {
+            id: row.bill_id,
+            bill: row.deleted_at ? null : migrateBill(row.data, Number.isInteger(row.schema_version) ? row.schema_version : UNVERSIONED_ROW_SCHEMA),
+            deletedAt: row.deleted_at || null,
+            version: row.version
+        }]));
+    }
+
+    const { data: legacy, error: legacyError } = await client
+        .from('user_data')
+        .select('bills')
+        .eq('user_id', userId)
+        .maybeSingle();
+    if (legacyError) throw new Error(legacyError.message);
+
+    const legacyBills = legacy && Array.isArray(legacy.bills) ? legacy.bills : [];
+    if (legacyBills.length > 0) {
+        logger.info(`Found ${legacyBills.length} bills saved before record sync`);
+    }
+    return toRecordMap({
+        bills: legacyBills.map(bill => ({ ...migrateBill(bill, USER_DATA_SCHEMA), version: 0 }))
+    });
+};
+
+/**
+ * Upload records that differ from the cloud
+ * @param {Object} client - Supabase client
+ * @param {string} userId - Id of the logged-in user
+ * @param {Array<Object>} records - Records to upload; each carries the version pulled from the cloud
+ * @returns {Promise<Array<string>>} Ids of records another device changed since the pull
+ */
+export const pushBillRecords = async (client, userId, records) => {
+    const rejected = [];
+
+    for (const record of records) {
+        const row = {
+            user_id: userId,
+            bill_id: record.id,
+            data: record.bill,
+            version: record.version + 1,
+            schema_version: CURRENT_SCHEMA_VERSION,
+            updated_at: (record.bill ? record.bill.updatedAt : record.deletedAt) || new Date().toISOString(),
+            deleted_at: record.bill ? null : record.deletedAt
+        };
+
+        if (record.version > 0) {
+            const { data, error } = await client
+                .from(BILL_RECORDS_TABLE)
+                .update(row)
+                .eq('user_id', userId)
+                .eq('bill_id', record.id)
+                .eq('version', record.version)
+                .select('bill_id');
+            if (error) throw new Error(error.message);
+            if (!data || data.length === 0) rejected.push(record.id);
+        } else {
+            const { error } = await client
+                .from(BILL_RECORDS_TABLE)
+                .insert(row)
+                .select('bill_id');
+            if (error && error.code === UNIQUE_VIOLATION) {
+                rejected.push(record.id);
+            } else if (error) {
+                throw new Error(error.message);
+            }
+        }
+    }
+
+    return rejected;
+};
+
+/**
+ * Sync this device's bills with the cloud
+ * @param {Object} client - Supabase client
+ * @param {string} userId - Id of the logged-in user
+ * @param {Object} options
+ * @param {Map<string, Object>} options.local - This device's records (see syncMerge.toRecordMap)
+ * @param {Map<string, Object>} options.base - Records as of the last sync
+ * @param {Function} [options.resolveConflicts] - Receives the conflicts and resolves to an object
+ *   of bill id to 'local' or 'remote', or null to postpone the sync. Without it the bill
+ *   changed last wins.
+ * @param {Array<string>} [options.order] - Bill ids to upload first, in this order (e.g. replayed
+ *   offline changes); other bills follow
+ * @returns {Promise<Object>} { postponed, records, uploaded, conflicts } where records is the new
+ *   synced state (also the base for the next sync)
+ */
+export const syncBillRecords = async (client, userId, { local, base, resolveConflicts = null, order = [] }) => {
+    const position = id => (order.includes(id) ? order.indexOf(id) : order.length);
+
+    for (let attempt = 1; attempt <= MAX_SYNC_ATTEMPTS; attempt++) {
+        const remote = await pullBillRecords(client, userId);
+        const { records, conflicts } = mergeRecords(base, local, remote);
+
+        if (conflicts.length > 0) {
+            const choices = resolveConflicts
+                ? await resolveConflicts(conflicts)
+                : Object.fromEntries(conflicts.map(conflict => [conflict.id, newestSide(conflict)]));
+            if (!choices) {
+                logger.info('Sync postponed until conflicts are resolved', { conflicts: conflicts.length });
+                return { postponed: true, records: null, uploaded: 0, conflicts: conflicts.length };
+            }
+            applyConflictChoices(records, conflicts, choices);
+        }
+
+        dedupeOccurrences(records, new Date().toISOString());
+
+        // Version 0 records have no row yet (new bills and bills migrated from user_data)
+        const changed = [...records.values()]
+            .filter(record => record.version === 0 || !recordsEqual(record, remote.get(record.id)))
+            .sort((a, b) => position(a.id) - position(b.id));
+        const rejected = await pushBillRecords(client, userId, changed);
+
+        if (rejected.length === 0) {
+            changed.forEach(record => {
+                records.set(record.id, { ...record, version: record.version + 1 });
+            });
+            logger.info('Bills synced', { uploaded: changed.length, conflicts: conflicts.length });
+            return { postponed: false, records, uploaded: changed.length, conflicts: conflicts.length };
+        }
+
+        logger.warn('Bills changed in the cloud during sync, merging again', { rejected, attempt });
+    }
+
+    throw new Error('Bills kept changing in the cloud during sync. Please try again.');
+};
+
+// Serialized records as last loaded or saved, so a save writes only what changed
+let savedBase = null;
+
+/**
+ * Records as of the last successful sync on this device
+ * @param {Object|null} storage - Bill storage adapter (see billStorage), or null to use localStorage
+ * @returns {Promise<Map<string, Object>>} Sync records by bill id (empty before the first sync)
+ */
+export const loadSyncBase = async (storage) => {
+    const stored = storage
+        ? await storage.loadSyncBase()
+        : StorageManager.get(STORAGE_KEYS.SYNC_BASE, []);
+    const records = new Map((Array.isArray(stored) ? stored : []).map(record => [record.id, record]));
+    savedBase = new Map([...records].map(([id, record]) => [id, JSON.stringify(record)]));
+    return records;
+};
+
+/**
+ * Remember the synced records as the base of the next three-way merge.
+ * With an IndexedDB adapter only the records that changed since the last load or
+ * save are written.
+ * @param {Map<string, Object>|null} records - Synced records, or null to forget (e.g. on logout)
+ * @param {Object|null} storage - Bill storage adapter (see billStorage), or null to use localStorage
+ * @returns {Promise<void>} Resolves once the base is stored
+ */
+export const saveSyncBase = async (records, storage) => {
+    if (!records) {
+        savedBase = null;
+        if (storage) {
+            await storage.clearSyncBase();
+        } else {
+            StorageManager.remove(STORAGE_KEYS.SYNC_BASE);
+        }
+        return;
+    }
+    if (!storage) {
+        StorageManager.set(STORAGE_KEYS.SYNC_BASE, [...records.values()]);
+        return;
+    }
+
+    const serialized = new Map([...records].map(([id, record]) => [id, JSON.stringify(record)]));
+    if (!savedBase) {
+        await storage.clearSyncBase();
+    }
+    const previous = savedBase || new Map();
+    const changed = [...records.values()].filter(record => previous.get(record.id) !== serialized.get(record.id));
+    const deletedIds = [...previous.keys()].filter(id => !records.has(id));
+    savedBase = null;
+    await storage.writeSyncBase(changed, deletedIds);
+    savedBase = serialized;
+};
@@ -0,0 +1,83 @@
+import logger from '../utils/logger.js';
+import StorageManager from '../utils/StorageManager.js';
+import { STORAGE_KEYS } from '../utils/constants.js';
+import { billStore } from '../store/BillStore.js';
+import { migrateBills } from '../utils/schema.js';
+import {
+    createRestorePoint,
+    isDailyRestorePointDue,
+    selectExpiredRestorePoints
+} from '../utils/restorePoints.js';
+import { addRestorePoint, getRestorePoints, deleteRestorePoints } from '../utils/indexedDBUtils.js';
+
+// Restore Points
+// Copies of the bills, series templates, pay settings and custom categories kept in
+// IndexedDB (see restorePoints). The data is copied synchronously, so a restore point
+// taken right before an operation holds the state before it even though it is written
+// afterwards. Failing to save one is logged but never stops the operation.
+
+/**
+ * Copy the current data into a restore point
+ * @param {string} reason - Key of restorePoints.RESTORE_POINT_REASONS
+ * @returns {Object} Restore point (not saved yet)
+ */
+export const captureRestorePoint = (reason) => createRestorePoint(reason, {
+    bills: billStore.getAll(),
+    series: billStore.getAllSeries(),
+    paymentSettings: StorageManager.get(STORAGE_KEYS.PAYMENT_SETTINGS, null),
+    customCategories: StorageManager.get(STORAGE_KEYS.CUSTOM_CATEGORIES, null)
+});
+
+/**
+ * Save a restore point and delete the ones past their retention
+ * @param {Object} point - Restore point from captureRestorePoint()
+ * @returns {Promise<boolean>} True when the restore point was saved
+ */
+export const saveRestorePoint = async (point) => {
+    try {
+        await addRestorePoint(point);
+        const expired = selectExpiredRestorePoints(await getRestorePoints());
+        await deleteRestorePoints(expired);
+        logger.info('Restore point saved', { reason: point.reason, bills: point.billCount, expired: expired.length });
+        return true;
+    } catch (error) {
+        logger.error('Failed to save restore point', error);
+        return false;
+    }
+};
+
+/**
+ * Take a restore point of the current data
+ * @param {string} reason - Key of restorePoints.RESTORE_POINT_REASONS
+ * @returns {Promise<boolean>} True when the restore point was saved
+ */
+export const takeRestorePoint = (reason) => saveRestorePoint(captureRestorePoint(reason));
+
+/**
+ * Take today's daily restore point unless it exists
+ * @returns {Promise<boolean>} True when a restore point was saved
+ */
+export const takeDailyRestorePoint = async () => {
+    try {
+        if (!isDailyRestorePointDue(await getRestorePoints())) return false;
+    } catch (error) {
+        logger.error('Failed to read restore points', error);
+        return false;
+    }
+    return takeRestorePoint('daily');
+};
+
+/**
+ * All restore points, newest first, with their bills migrated to the current schema
+ * @returns {Promise<Array<Object>>} Restore points
+ * @throws {Error} When IndexedDB cannot be read
+ */
+export const listRestorePoints = async () => {
+    const points = await getRestorePoints();
+    return points
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(point => ({
+            ...point,
+            data: { ...point.data, bills: migrateBills(point.data.bills, point.schemaVersion).bills }
+        }));
+};
@@ -1,4 +1,5 @@
 
+import { ATTACHMENTS } from '../utils/constants.js';
 import logger from '../utils/logger.js';
 
 // Supabase Service
@@ -98,44 +99,36 @@ export const getUser = async () => {
     return user;
 };
 
-// Data Sync Functions
-
 /**
- * Sync both bills and payment settings to cloud
- * @param {Array} localBills - Bills array to sync
- * @param {Object} localPaymentSettings - Payment settings to sync
+ * What the service worker needs to upload queued changes while the app is closed
+ * @returns {Promise<Object|null>} { url, key, accessToken, expiresAt, userId }, or null when logged out
  */
-export const syncUserData = async (localBills, localPaymentSettings = null) => {
-    if (!supabase) return { error: { message: 'Supabase not initialized' } };
-
-    const user = await getUser();
-    if (!user) return { error: { message: 'User not logged in' } };
-
-    const updateData = {
-        user_id: user.id,
-        bills: localBills
+export const getSyncCredentials = async () => {
+    if (!supabase) return null;
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session) return null;
+    return {
+        url: SUPABASE_URL,
+        key: SUPABASE_KEY,
+        accessToken: session.access_token,
+        expiresAt: session.expires_at,
+        userId: session.user.id
     };
-
-    // Include payment settings if provided
-    if (localPaymentSettings) {
-        updateData.paymentSettings = localPaymentSettings;
-    }
-
-    const { data, error } = await supabase
-        .from('user_data')
-        .upsert(updateData)
-        .select();
-
-    return { data, error };
 };
 
 /**
- * Sync bills to cloud (legacy - now uses syncUserData)
+ * Listen for sign in, sign out and token refreshes
+ * @param {Function} callback - Receives the auth event name
  */
-export const syncBills = async (localBills) => {
-    return syncUserData(localBills);
+export const onAuthChange = (callback) => {
+    if (!supabase) return;
+    supabase.auth.onAuthStateChange((event) => callback(event));
 };
 
+// Data Sync Functions
+// Bills sync record by record (see billSync.js); the user_data row holds payment settings
+// and, for accounts that synced before record sync, a legacy bills array.
+
 /**
  * Sync payment settings to cloud
  * @param {Object} paymentSettings - Payment settings to sync
@@ -157,24 +150,6 @@ export const syncPaymentSettings = async (paymentSettings) => {
     return { data, error };
 };
 
-/**
- * Fetch bills from cloud
- */
-export const fetchCloudBills = async () => {
-    if (!supabase) return { error: { message: 'Supabase not initialized' } };
-
-    const user = await getUser();
-    if (!user) return { error: { message: 'User not logged in' } };
-
-    const { data, error } = await supabase
-        .from('user_data')
-        .select('bills')
-        .eq('user_id', user.id)
-        .single();
-
-    return { data: data ? data.bills : [], error };
-};
-
 /**
  * Fetch payment settings from cloud
  */
@@ -192,3 +167,53 @@ export const fetchCloudPaymentSettings = async () => {
 
     return { data: data ? data.paymentSettings : null, error };
 };
+
+// Attachment Storage
+// Cloud storage adapter for attachment files (see attachmentService). Files go to the
+// attachments bucket under the user's ID, which the storage policies in
+// scripts/supabase_security_policies.sql restrict to their owner.
+
+export const supabaseAttachmentStorage = {
+    name: 'supabase',
+
+    /**
+     * Upload an attachment file
+     * @param {Object} attachment - Attachment details
+     * @param {Blob} blob - File
+     * @returns {Promise<string>} Path of the file in the bucket
+     */
+    async upload(attachment, blob) {
+        if (!supabase) throw new Error('Supabase not initialized');
+        const user = await getUser();
+        if (!user) throw new Error('User not logged in');
+
+        const path = `${user.id}/${attachment.id}`;
+        const { error } = await supabase.storage
+            .from(ATTACHMENTS.CLOUD_BUCKET)
+            .upload(path, blob, { contentType: attachment.type, upsert: true });
+        if (error) throw new Error(error.message);
+        return path;
+    },
+
+    /**
+     * Download an attachment file
+     * @param {string} path - Path of the file in the bucket
+     * @returns {Promise<Blob>} File
+     */
+    async download(path) {
+        if (!supabase) throw new Error('Supabase not initialized');
+        const { data, error } = await supabase.storage.from(ATTACHMENTS.CLOUD_BUCKET).download(path);
+        if (error) throw new Error(error.message);
+        return data;
+    },
+
+    /**
+     * Delete attachment files
+     * @param {Array<string>} paths - Paths of the files in the bucket
+     */
+    async remove(paths) {
+        if (!supabase) return;
+        const { error } = await supabase.storage.from(ATTACHMENTS.CLOUD_BUCKET).remove(paths);
+        if (error) throw new Error(error.message);
+    }
+};
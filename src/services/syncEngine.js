@@ -0,0 +1,190 @@
+import logger from '../utils/logger.js';
+import { withRetry } from '../utils/errorHandling.js';
+import { getQueuedTransactions, removeQueuedTransaction } from '../utils/indexedDBUtils.js';
+
+// Offline Sync Engine
+// BillStore.save() queues every bill change in IndexedDB. The engine replays the queue
+// when the device is online: operations are deduplicated per bill, handed to the replay
+// function in queue order (retried with backoff), and removed from the queue once the
+// replay succeeded. Changes queued while a replay runs are replayed afterwards.
+
+// Queued actions that only change this device (the trash is not synced)
+const LOCAL_ONLY_ACTIONS = ['purge'];
+
+const DEFAULT_RETRY = {
+    maxAttempts: 4,
+    initialDelay: 1000,
+    maxDelay: 30000
+};
+
+/**
+ * Collapse queued transactions into one operation per bill
+ * The last operation for a bill wins and takes its place in the order; an update
+ * to a bill added while offline stays an add.
+ * @param {Array<Object>} transactions - Queue items ({ id, action, data, timestamp }) in queue order
+ * @returns {Array<Object>} Operations { billId, action, data, queueIds } in replay order
+ */
+export const dedupeQueuedTransactions = (transactions) => {
+    const byBill = new Map();
+
+    transactions.forEach(transaction => {
+        const { action, data } = transaction;
+        if (!data || LOCAL_ONLY_ACTIONS.includes(action)) return;
+
+        const billIds = Array.isArray(data.ids) ? data.ids : [data.id];
+        billIds.filter(Boolean).forEach(billId => {
+            const previous = byBill.get(billId);
+            const operation = {
+                billId,
+                action: previous && previous.action === 'add' && action === 'update' ? 'add' : action,
+                data: Array.isArray(data.ids) ? { id: billId } : data,
+                queueIds: [...(previous ? previous.queueIds : []), transaction.id]
+            };
+            // Re-insert so the bill moves to the position of its latest change
+            byBill.delete(billId);
+            byBill.set(billId, operation);
+        });
+    });
+
+    return [...byBill.values()];
+};
+
+export class SyncEngine {
+    constructor({ queue = { getAll: getQueuedTransactions, remove: removeQueuedTransaction } } = {}) {
+        this.queue = queue;
+        this.replay = null;
+        this.retry = DEFAULT_RETRY;
+        this.online = typeof navigator === 'undefined' || navigator.onLine !== false;
+        this.flushing = false;
+        this.flushAgain = false;
+        this.lastFailed = false;
+        this.pendingCount = 0;
+        this.listeners = [];
+        this.target = null;
+        this.handleOnline = () => this.setOnline(true);
+        this.handleOffline = () => this.setOnline(false);
+    }
+
+    /**
+     * Start listening for connectivity changes and replay anything already queued
+     * @param {Object} options
+     * @param {Function} options.replay - Receives the deduplicated operations and uploads them.
+     *   Resolves to true when done, false to keep them queued; throws to retry.
+     * @param {Object} [options.retry] - withRetry() configuration
+     * @param {EventTarget} [options.target=window] - Source of online/offline events
+     * @returns {Promise<boolean>} Result of the first flush
+     */
+    start({ replay, retry = {}, target = typeof window !== 'undefined' ? window : null }) {
+        this.stop();
+        this.replay = replay;
+        this.retry = { ...DEFAULT_RETRY, ...retry };
+        this.target = target;
+        if (target) {
+            target.addEventListener('online', this.handleOnline);
+            target.addEventListener('offline', this.handleOffline);
+        }
+        return this.flush();
+    }
+
+    /**
+     * Stop listening for connectivity changes
+     */
+    stop() {
+        if (this.target) {
+            this.target.removeEventListener('online', this.handleOnline);
+            this.target.removeEventListener('offline', this.handleOffline);
+            this.target = null;
+        }
+    }
+
+    /**
+     * Record a connectivity change; coming back online replays the queue
+     * @param {boolean} online - Whether the device is online
+     */
+    setOnline(online) {
+        this.online = online;
+        logger.info(online ? 'Back online, replaying queued changes' : 'Offline, changes will be queued');
+        this.notify();
+        if (online) this.flush();
+    }
+
+    /**
+     * Replay queued changes if online
+     * @returns {Promise<boolean>} True when the queue was replayed (or empty)
+     */
+    async flush() {
+        if (!this.replay || !this.online) {
+            await this.refreshPendingCount();
+            return false;
+        }
+        if (this.flushing) {
+            this.flushAgain = true;
+            return false;
+        }
+
+        this.flushing = true;
+        this.flushAgain = false;
+        try {
+            const transactions = await this.queue.getAll();
+            const operations = dedupeQueuedTransactions(transactions);
+
+            if (operations.length > 0) {
+                const replayed = await withRetry(() => this.replay(operations), {
+                    ...this.retry,
+                    shouldRetry: () => this.online
+                });
+                if (!replayed) return false;
+                logger.info(`Replayed ${operations.length} queued change(s)`);
+            }
+            this.lastFailed = false;
+
+            // Everything read (including local-only actions) is now in the cloud
+            for (const transaction of transactions) {
+                await this.queue.remove(transaction.id);
+            }
+            return true;
+        } catch (error) {
+            logger.error('Failed to replay queued changes', error);
+            this.lastFailed = true;
+            return false;
+        } finally {
+            this.flushing = false;
+            await this.refreshPendingCount();
+            if (this.flushAgain && this.online) {
+                this.flush();
+            }
+        }
+    }
+
+    /**
+     * Recount the bills with queued changes and notify listeners
+     * @returns {Promise<number>} Number of bills waiting to sync
+     */
+    async refreshPendingCount() {
+        try {
+            this.pendingCount = dedupeQueuedTransactions(await this.queue.getAll()).length;
+        } catch (error) {
+            logger.warn('Could not read the offline queue', { error: error.message });
+        }
+        this.notify();
+        return this.pendingCount;
+    }
+
+    /**
+     * Subscribe to pending count and connectivity changes
+     * @param {Function} listener - Called with (pendingCount, online)
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this.pendingCount, this.online));
+    }
+}
+
+export const syncEngine = new SyncEngine();
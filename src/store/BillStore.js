@@ -1,37 +1,119 @@
 /**
  * Bill Store
  * 
- * Centralized storage for bill data with persistence to localStorage.
+ * Centralized storage for bill data with persistence to IndexedDB (see billStorage),
+ * or to localStorage where IndexedDB is unavailable.
  * Provides CRUD operations and listener pattern for reactive updates.
  * 
  * Bill Object Structure:
  * - id: Unique identifier (generated on creation)
  * - name: Bill name (e.g., "Electric Bill")
  * - category: Bill category (e.g., "Utilities")
- * - dueDate: Due date in YYYY-MM-DD format
+ * - dueDate: Due date in YYYY-MM-DD format, as given by the biller (overdue is counted from it)
+ * - plannedPayDate: Day the bill is planned to be paid, YYYY-MM-DD; its pay period is the
+ *   paycheck the bill is budgeted in (optional, defaults to the due date's period)
  * - amountDue: Amount of bill in dollars
- * - balance: Current balance owed
+ * - balance: Current balance owed (after the recorded payments)
+ * - amountOwed: Amount the recorded payments are measured against, kept when a payment
+ *   changes so an overpayment can be edited or voided (optional, see billHelpers.getAmountOwed)
  * - isPaid: Payment status (boolean)
- * - recurrence: Recurrence frequency ('One-time', 'Weekly', 'Bi-weekly', 'Monthly', 'Yearly')
+ * - recurrence: Recurrence frequency ('One-time', 'Weekly', 'Bi-weekly', 'Monthly', 'Yearly', 'Custom')
+ * - recurrenceRule: Rule for 'Custom' recurrence (see recurrence module)
  * - notes: Additional notes (optional)
  * - lastPaymentDate: Date of last payment (optional)
- * - paymentHistory: Array of past payments (optional)
+ * - paymentHistory: Array of past payments, refunds and voided payments (optional, see paymentLedger)
+ * - auditLog: Changes made to the payment history (optional, see paymentLedger)
+ * - attachments: Statements and receipts attached to the bill; payment history entries
+ *   can have their own (optional, see attachments)
+ * - defaultAccountId: Payment account preselected when recording a payment (optional, see paymentAccounts)
+ * - previousDueDate: Due date before a payment moved a recurring bill to its next cycle (optional)
+ * - previousPlannedPayDate: Planned pay date of the cycle a payment moved past (optional)
+ * - seriesId: Recurring series this bill was generated from (recurring bills only)
+ * - originalDueDate: Series occurrence date the bill was generated for (recurring bills only)
+ * - isException: True when this occurrence was edited on its own (optional)
+ * - restoredAt: When the bill was last restored from the trash (optional)
+ * 
+ * Recurring series templates are stored alongside bills (see billSeries module).
+ * 
+ * Deleted bills move to a trash list with a deletedAt timestamp and leave a
+ * tombstone ({ id, deletedAt }) that cloud sync carries to other devices
+ * (see trash module). Trashed bills can be restored or purged.
+ * 
+ * Bills saved by an older version of the app are upgraded on load (see schema module).
+ * 
+ * The constructor loads bills from localStorage synchronously; init() then switches to
+ * IndexedDB, moving the localStorage data there on first use. Only records that changed
+ * since the last save are written.
+ * 
+ * Every mutation is recorded in an undo/redo history (see storeHistory module).
+ * Use transaction() to record several mutations as one undoable action.
  * 
  * @module BillStore
  * @requires dates
+ * @requires billSeries
+ * @requires billStorage
+ * @requires schema
+ * @requires storeHistory
+ * @requires trash
  */
 
 import { createLocalDate, formatLocalDate, calculateNextDueDate } from '../utils/dates.js';
 import { queueOfflineTransaction } from '../utils/indexedDBUtils.js';
 import StorageManager from '../utils/StorageManager.js';
 import logger from '../utils/logger.js';
-import { STORAGE_KEYS } from '../utils/constants.js';
+import { STORAGE_KEYS, TRASH } from '../utils/constants.js';
+import { assignLegacySeries, getOccurrenceDate } from '../utils/billSeries.js';
+import { CURRENT_SCHEMA_VERSION, migrateBills } from '../utils/schema.js';
+import { createBillStorage } from './billStorage.js';
+import {
+    createTrashEntry,
+    restoreTrashEntry,
+    mergeTombstones,
+    isExpired,
+    pruneTombstones
+} from '../utils/trash.js';
+import {
+    HISTORY_COLLECTIONS,
+    HISTORY_LIMIT,
+    createSnapshot,
+    updateSnapshot,
+    applyChanges,
+    loadHistory,
+    saveHistory
+} from '../utils/storeHistory.js';
+
+/**
+ * localStorage key of each collection, used where IndexedDB is unavailable
+ * @private
+ */
+const COLLECTION_KEYS = {
+    bills: STORAGE_KEYS.BILLS,
+    series: STORAGE_KEYS.BILL_SERIES,
+    trash: STORAGE_KEYS.BILL_TRASH,
+    tombstones: STORAGE_KEYS.BILL_TOMBSTONES
+};
+
+/**
+ * History labels for single mutations
+ * @private
+ */
+const DEFAULT_LABELS = {
+    add: 'Add bill',
+    update: 'Edit bill',
+    delete: 'Delete bill'
+};
+
+/**
+ * Empty set of touched keys per collection
+ * @private
+ */
+const noTouchedKeys = () => Object.fromEntries(Object.keys(HISTORY_COLLECTIONS).map(name => [name, new Set()]));
 
 /**
  * Bill Store Class
  * 
  * Singleton class that manages all bill data.
- * Automatically persists changes to localStorage.
+ * Automatically persists changes to IndexedDB or localStorage.
  * Notifies listeners on any data change for reactive UI updates.
  * 
  * @class BillStore
@@ -47,15 +129,104 @@ class BillStore {
      */
     constructor() {
         this.bills = [];
+        this.series = [];
+        this.trash = [];
+        this.tombstones = [];
         this.listeners = [];
+        this.transactionDepth = 0;
+        this.historyPaused = 0;
+        this.storage = null;
+        this.storedSchemaVersion = CURRENT_SCHEMA_VERSION;
+        this.pendingWrite = Promise.resolve();
         this.load();
+        this.history = loadHistory();
+        this.snapshot = createSnapshot(this.getCollections());
+        this.touched = noTouchedKeys();
+    }
+
+    /**
+     * Switch persistence to IndexedDB
+     * 
+     * @method init
+     * @param {Object|null} [storage] - Storage adapter (see billStorage); defaults to
+     *   IndexedDB when the browser has it
+     * @returns {Promise<boolean>} True when bills are now stored through the adapter
+     * 
+     * @description Loads the bills stored in IndexedDB, migrating them when they were saved
+     *   with an older schema version. On first use the bills loaded from localStorage are
+     *   moved to IndexedDB and removed from localStorage, as is the snapshot of the last
+     *   cloud sync whenever localStorage still holds one. When IndexedDB cannot be opened
+     *   the bills stay in localStorage. Call once before rendering.
+     */
+    async init(storage = createBillStorage()) {
+        if (!storage) {
+            logger.info('IndexedDB unavailable, bills stay in localStorage');
+            return false;
+        }
+
+        try {
+            const stored = await storage.load();
+            if (stored) {
+                const { bills = [], series = [], trash = [], tombstones = [] } = stored.collections;
+                let rewrite = false;
+                this.bills = bills;
+                this.series = series;
+                this.trash = trash;
+                this.tombstones = tombstones;
+                this.storedSchemaVersion = Math.max(stored.schemaVersion, CURRENT_SCHEMA_VERSION);
+
+                if (stored.schemaVersion < CURRENT_SCHEMA_VERSION) {
+                    this.bills = migrateBills(this.bills, stored.schemaVersion).bills;
+                    this.trash = migrateBills(this.trash, stored.schemaVersion).bills;
+                    rewrite = true;
+                } else if (stored.schemaVersion > CURRENT_SCHEMA_VERSION) {
+                    logger.warn('Stored bills use a newer schema version', { stored: stored.schemaVersion, current: CURRENT_SCHEMA_VERSION });
+                }
+                if (this.assignSeries()) rewrite = true;
+                if (rewrite) await storage.replaceAll(this.getCollections(), this.storedSchemaVersion);
+            } else {
+                await storage.replaceAll(this.getCollections(), CURRENT_SCHEMA_VERSION);
+                Object.values(COLLECTION_KEYS).forEach(key => StorageManager.remove(key));
+                StorageManager.remove(STORAGE_KEYS.SCHEMA_VERSION);
+                logger.info('Moved bills from localStorage to IndexedDB', { bills: this.bills.length });
+            }
+
+            // The snapshot of the last cloud sync moves along with the bills
+            const syncBase = StorageManager.get(STORAGE_KEYS.SYNC_BASE, null);
+            if (Array.isArray(syncBase)) {
+                await storage.writeSyncBase(syncBase, []);
+                StorageManager.remove(STORAGE_KEYS.SYNC_BASE);
+                logger.info('Moved sync base from localStorage to IndexedDB', { records: syncBase.length });
+            }
+        } catch (error) {
+            logger.error('Could not open IndexedDB, bills stay in localStorage', error);
+            return false;
+        }
+
+        this.storage = storage;
+        this.snapshot = createSnapshot(this.getCollections());
+        this.touched = noTouchedKeys();
+        this.notify();
+        return true;
+    }
+
+    /**
+     * Wait until every change has been written
+     * 
+     * @method whenSaved
+     * @returns {Promise<void>} Resolves once pending IndexedDB writes finished (e.g. before a reload)
+     */
+    whenSaved() {
+        return this.pendingWrite;
     }
 
     /**
      * Load bills from localStorage
      * 
      * @method load
-     * @description Retrieves bills from localStorage and populates the bills array.
+     * @description Retrieves bills and series templates from localStorage.
+     *   Bills and trashed bills saved with an older schema version are migrated.
+     *   Recurring bills saved before series existed are grouped into series.
      *   Silently ignores errors if localStorage is unavailable or corrupted.
      *   Called automatically on BillStore instantiation.
      * 
@@ -81,10 +252,80 @@ class BillStore {
 
                 this.bills = parsed;
             }
+
+            const storedSeries = StorageManager.get(STORAGE_KEYS.BILL_SERIES, []);
+            this.series = Array.isArray(storedSeries) ? storedSeries : [];
+
+            const storedTrash = StorageManager.get(STORAGE_KEYS.BILL_TRASH, []);
+            this.trash = Array.isArray(storedTrash) ? storedTrash : [];
+
+            const storedTombstones = StorageManager.get(STORAGE_KEYS.BILL_TOMBSTONES, []);
+            this.tombstones = Array.isArray(storedTombstones) ? storedTombstones : [];
+
+            this.migrateSchema(storedBills !== null);
+
+            if (this.assignSeries()) {
+                StorageManager.set(STORAGE_KEYS.BILLS, this.bills);
+                StorageManager.set(STORAGE_KEYS.BILL_SERIES, this.series);
+                logger.info('Migrated recurring bills to series', { series: this.series.length });
+            }
         } catch (error) {
             logger.error('Failed to load bills from storage', error);
             this.bills = [];
+            this.series = [];
+            this.trash = [];
+            this.tombstones = [];
+        }
+    }
+
+    /**
+     * Upgrade stored bills and trashed bills to the current schema version
+     * 
+     * @method migrateSchema
+     * @private
+     * @param {boolean} hasStoredBills - Whether bills were found in storage; storage
+     *   without bills or a version is a new install and needs no migration
+     * @returns {void}
+     */
+    migrateSchema(hasStoredBills) {
+        const storedVersion = StorageManager.get(STORAGE_KEYS.SCHEMA_VERSION, null);
+        const fromVersion = Number.isInteger(storedVersion) ? storedVersion : (hasStoredBills ? 0 : CURRENT_SCHEMA_VERSION);
+        if (fromVersion > CURRENT_SCHEMA_VERSION) {
+            // Saved by a newer version (e.g. after a rollback): keep the data untouched
+            logger.warn('Stored bills use a newer schema version', { stored: fromVersion, current: CURRENT_SCHEMA_VERSION });
+            return;
         }
+        if (fromVersion === CURRENT_SCHEMA_VERSION) {
+            if (storedVersion !== fromVersion) StorageManager.set(STORAGE_KEYS.SCHEMA_VERSION, fromVersion);
+            return;
+        }
+
+        const bills = migrateBills(this.bills, fromVersion);
+        const trash = migrateBills(this.trash, fromVersion);
+        this.bills = bills.bills;
+        this.trash = trash.bills;
+        StorageManager.set(STORAGE_KEYS.BILLS, this.bills);
+        StorageManager.set(STORAGE_KEYS.BILL_TRASH, this.trash);
+        StorageManager.set(STORAGE_KEYS.SCHEMA_VERSION, CURRENT_SCHEMA_VERSION);
+        logger.info('Migrated stored bills', {
+            from: fromVersion,
+            to: CURRENT_SCHEMA_VERSION,
+            changed: bills.changed + trash.changed
+        });
+    }
+
+    /**
+     * Attach recurring bills without a seriesId to a series template
+     * 
+     * @method assignSeries
+     * @private
+     * @returns {boolean} True when any bill or series changed
+     */
+    assignSeries() {
+        const result = assignLegacySeries(this.bills, this.series);
+        this.bills = result.bills;
+        this.series = result.series;
+        return result.changed;
     }
 
     /**
@@ -102,19 +343,313 @@ class BillStore {
      * // Automatically called after bill modifications
      * store.add(newBill); // Calls save() internally
      */
-    save(action = 'update', data = null) {
-        StorageManager.set(STORAGE_KEYS.BILLS, this.bills);
-
-        // Queue for offline sync if needed (especially for Supabase)
+    save(action = 'update', data = null, label = DEFAULT_LABELS[action]) {
+        // Queue for offline sync if needed (especially for Supabase); the service worker
+        // uploads queued bills with the schema version they were saved at
         if (data) {
-            queueOfflineTransaction({ action, data }).catch(err => {
+            queueOfflineTransaction({ action, data, schemaVersion: CURRENT_SCHEMA_VERSION }).catch(err => {
                 logger.error('Failed to queue offline transaction', err);
             });
         }
 
+        // Inside a transaction the whole batch is recorded, stamped and written once it finishes
+        if (this.transactionDepth === 0) {
+            this.commit(label || 'Update bills');
+        }
+
         this.notify();
     }
 
+    /**
+     * Note records a mutation changed so the next commit serializes them
+     * 
+     * @method touch
+     * @private
+     * @param {string} name - Collection (see storeHistory.HISTORY_COLLECTIONS)
+     * @param {Iterable<string>} keys - Keys of the changed records
+     * @returns {void}
+     * @description Records added or removed are found without touching them; records
+     *   changed in place must be touched or the change is neither recorded nor written.
+     */
+    touch(name, keys) {
+        const touched = this.touched[name];
+        for (const key of keys) touched.add(key);
+    }
+
+    /**
+     * Touch the records of a collection that was replaced as a whole
+     * 
+     * @method touchReplaced
+     * @private
+     * @param {string} name - Collection (see storeHistory.HISTORY_COLLECTIONS)
+     * @returns {Array<string>} Keys of the records added, changed or removed since the last commit
+     */
+    touchReplaced(name) {
+        const keyField = HISTORY_COLLECTIONS[name];
+        const { order, records } = this.snapshot[name];
+        const changed = this[name]
+            .filter(item => records.get(item[keyField]) !== JSON.stringify(item))
+            .map(item => item[keyField]);
+        const present = new Set(this[name].map(item => item[keyField]));
+        order.forEach(key => {
+            if (!present.has(key)) changed.push(key);
+        });
+        this.touch(name, changed);
+        return changed;
+    }
+
+    /**
+     * Record and write the records touched since the last commit
+     * 
+     * @method commit
+     * @private
+     * @param {string} label - History label of the action
+     * @returns {void}
+     * @description Changed bills get a new updatedAt first (not while history is paused;
+     *   undo/redo stamps its own). Only touched, added and removed records are serialized.
+     */
+    commit(label) {
+        const touched = this.touched;
+        this.touched = noTouchedKeys();
+        let { snapshot, changes } = updateSnapshot(this.snapshot, this.getCollections(), touched);
+
+        // Stamp edited bills for sync, then record the stamped values
+        if (this.historyPaused === 0 && this.stampUpdatedAt(changes.filter(change => change.after !== null))) {
+            ({ snapshot, changes } = updateSnapshot(this.snapshot, this.getCollections(), touched));
+        }
+
+        this.persist(this.snapshot, snapshot, changes);
+        this.snapshot = snapshot;
+        this.recordHistory(label, changes);
+    }
+
+    /**
+     * Write the records that changed since the last write
+     * 
+     * @method persist
+     * @private
+     * @param {Object} previous - Snapshot of the last write
+     * @param {Object} next - Snapshot of the current collections
+     * @param {Array<Object>} changes - Records that differ between them (see storeHistory.updateSnapshot)
+     * @returns {void}
+     * @description IndexedDB writes are queued so they commit in order; a failed write is
+     *   logged and the next one still runs. Without IndexedDB the changed collections are
+     *   written to localStorage.
+     */
+    persist(previous, next, changes) {
+        const orders = {};
+        Object.keys(HISTORY_COLLECTIONS).forEach(name => {
+            const order = next[name].order;
+            const before = previous[name].order;
+            if (order.length !== before.length || order.some((key, index) => key !== before[index])) {
+                orders[name] = order;
+            }
+        });
+        if (changes.length === 0 && Object.keys(orders).length === 0) return;
+
+        if (!this.storage) {
+            new Set([...changes.map(change => change.collection), ...Object.keys(orders)]).forEach(name => {
+                StorageManager.set(COLLECTION_KEYS[name], this[name]);
+            });
+            return;
+        }
+
+        const { storage, storedSchemaVersion } = this;
+        this.pendingWrite = this.pendingWrite
+            .then(() => storage.write(changes, orders, storedSchemaVersion))
+            .catch(error => logger.error('Failed to save bills to IndexedDB', error));
+    }
+
+    /**
+     * Current data of every collection tracked by history
+     * 
+     * @method getCollections
+     * @private
+     * @returns {{bills: Array<Object>, series: Array<Object>, trash: Array<Object>, tombstones: Array<Object>}} Live collections
+     */
+    getCollections() {
+        return { bills: this.bills, series: this.series, trash: this.trash, tombstones: this.tombstones };
+    }
+
+    /**
+     * Record committed changes as one history entry
+     * 
+     * @method recordHistory
+     * @private
+     * @param {string} label - Description of the action
+     * @param {Array<Object>} changes - Changes of the action (see storeHistory.updateSnapshot)
+     * @returns {void}
+     * @description Nothing is recorded while history is paused (remote loads, undo/redo
+     *   themselves); the baseline still moves so those changes are never undone later.
+     *   A new entry clears the redo stack.
+     */
+    recordHistory(label, changes) {
+        if (this.historyPaused > 0 || changes.length === 0) return;
+
+        this.history.undo.push({ label, timestamp: new Date().toISOString(), changes });
+        if (this.history.undo.length > HISTORY_LIMIT) {
+            this.history.undo.splice(0, this.history.undo.length - HISTORY_LIMIT);
+        }
+        this.history.redo = [];
+        saveHistory(this.history);
+    }
+
+    /**
+     * Set updatedAt on the bills a user action added or changed
+     * 
+     * @method stampUpdatedAt
+     * @private
+     * @param {Array<Object>} changes - Changes whose bills still exist
+     * @returns {boolean} True when any bill was stamped
+     * @description Cloud sync uses updatedAt to suggest which side of a conflict is newer.
+     *   Stamped bills are replaced by copies, so history entries are never modified.
+     */
+    stampUpdatedAt(changes) {
+        const ids = new Set(changes
+            .filter(change => change.collection === 'bills')
+            .map(change => change.key));
+        if (ids.size === 0) return false;
+
+        const updatedAt = new Date().toISOString();
+        this.bills = this.bills.map(bill => (ids.has(bill.id) ? { ...bill, updatedAt } : bill));
+        return true;
+    }
+
+    /**
+     * Run several mutations as one undoable action
+     * 
+     * @method transaction
+     * @param {string} label - Description shown when undoing (e.g. 'Delete 12 bills')
+     * @param {Function} fn - Synchronous function performing the mutations
+     * @returns {*} Return value of fn
+     * 
+     * @description Listeners are still notified after each mutation; the changes are
+     *   written once the outermost transaction finishes. Nested transactions
+     *   join the outermost one. Changes made before fn throws are recorded, so a failed
+     *   batch can be undone as well.
+     * 
+     * @example
+     * billStore.transaction('Add "Rent"', () => {
+     *     billStore.addSeries(series);
+     *     billStore.add(bill);
+     * });
+     */
+    transaction(label, fn) {
+        this.transactionDepth++;
+        try {
+            return fn();
+        } finally {
+            this.transactionDepth--;
+            if (this.transactionDepth === 0) {
+                this.commit(label);
+            }
+        }
+    }
+
+    /**
+     * Run mutations without recording them in history
+     * 
+     * @method withoutHistory
+     * @param {Function} fn - Synchronous function performing the mutations
+     * @returns {*} Return value of fn
+     * @description For data that did not come from the user, such as bills loaded from the cloud.
+     */
+    withoutHistory(fn) {
+        this.historyPaused++;
+        try {
+            return fn();
+        } finally {
+            this.historyPaused--;
+        }
+    }
+
+    /**
+     * Check whether there is an action to undo
+     * 
+     * @method canUndo
+     * @returns {boolean} True when the undo stack is not empty
+     */
+    canUndo() {
+        return this.history.undo.length > 0;
+    }
+
+    /**
+     * Check whether there is an undone action to redo
+     * 
+     * @method canRedo
+     * @returns {boolean} True when the redo stack is not empty
+     */
+    canRedo() {
+        return this.history.redo.length > 0;
+    }
+
+    /**
+     * Undo the most recent action
+     * 
+     * @method undo
+     * @returns {string|null} Label of the undone action, or null when there is nothing to undo
+     */
+    undo() {
+        return this.stepHistory('undo', 'redo');
+    }
+
+    /**
+     * Redo the most recently undone action
+     * 
+     * @method redo
+     * @returns {string|null} Label of the redone action, or null when there is nothing to redo
+     */
+    redo() {
+        return this.stepHistory('redo', 'undo');
+    }
+
+    /**
+     * Move one entry between the undo and redo stacks and apply it
+     * 
+     * @method stepHistory
+     * @private
+     * @param {string} from - Stack to take the entry from ('undo' or 'redo')
+     * @param {string} to - Stack to put the entry on
+     * @returns {string|null} Entry label, or null when the stack is empty
+     */
+    stepHistory(from, to) {
+        const entry = this.history[from].pop();
+        if (!entry) return null;
+
+        const restored = applyChanges(this.getCollections(), entry.changes, from);
+        Object.keys(HISTORY_COLLECTIONS).forEach(name => {
+            this[name] = restored[name];
+        });
+        entry.changes.forEach(change => this.touch(change.collection, [change.key]));
+        this.history[to].push(entry);
+
+        // Undoing is an edit too, so other devices pick it up when syncing
+        this.stampUpdatedAt(entry.changes.filter(change => change[from === 'undo' ? 'before' : 'after'] !== null));
+
+        // Queue the bills it touched so they are uploaded like any other change
+        const ids = [...new Set(entry.changes
+            .filter(change => change.collection === 'bills' || change.collection === 'trash')
+            .map(change => change.key))];
+
+        // Applying history must not record a new entry (which would clear redo)
+        this.withoutHistory(() => this.save(from, ids.length > 0 ? { ids } : null));
+        saveHistory(this.history);
+
+        logger.info(`${from === 'undo' ? 'Undid' : 'Redid'} action`, { label: entry.label });
+        return entry.label;
+    }
+
+    /**
+     * Clear the undo and redo history
+     * 
+     * @method clearHistory
+     * @returns {void}
+     */
+    clearHistory() {
+        this.history = { undo: [], redo: [] };
+        saveHistory(this.history);
+    }
+
     /**
      * Get all bills from the store
      * 
@@ -133,6 +668,40 @@ class BillStore {
         return this.bills;
     }
 
+    /**
+     * Get all recurring series templates
+     * 
+     * @method getAllSeries
+     * @returns {Array<Object>} Array of series templates
+     */
+    getAllSeries() {
+        return this.series;
+    }
+
+    /**
+     * Get a recurring series template by id
+     * 
+     * @method getSeries
+     * @param {string} seriesId - Series id
+     * @returns {Object|undefined} Series template
+     */
+    getSeries(seriesId) {
+        return this.series.find(s => s.seriesId === seriesId);
+    }
+
+    /**
+     * Add a recurring series template
+     * 
+     * @method addSeries
+     * @param {Object} series - Series template with seriesId (see billSeries module)
+     * @returns {void}
+     */
+    addSeries(series) {
+        this.series.push(series);
+        this.touch('series', [series.seriesId]);
+        this.save('update', null, `Add "${series.name}"`);
+    }
+
     /**
      * Add a new bill to the store
      * 
@@ -183,7 +752,8 @@ class BillStore {
             // Refactor Strategy: Move Logic HERE.
             this.bills.push(bill);
         }
-        this.save('add', bill);
+        this.touch('bills', [bill.id]);
+        this.save('add', bill, `Add "${bill.name}"`);
     }
 
     /**
@@ -223,19 +793,22 @@ class BillStore {
         const index = this.bills.findIndex(b => b.id === updatedBill.id);
         if (index !== -1) {
             this.bills[index] = updatedBill;
-            this.save('update', updatedBill);
+            this.touch('bills', [updatedBill.id]);
+            this.save('update', updatedBill, `Edit "${updatedBill.name}"`);
         }
     }
 
     /**
-     * Delete a bill from the store
+     * Move a bill to the trash
      * 
      * @method delete
      * @param {string} id - Bill ID to delete
      * 
      * @returns {void}
      * 
-     * @description Removes bill with matching ID from the store.
+     * @description Moves bill with matching ID (including its payment history) to the trash
+     *   and records a tombstone for cloud sync. Use purge() to remove it permanently.
+     *   Deleting a recurring occurrence excludes its date from the series so it is not regenerated.
      *   Silently succeeds even if ID not found (no error thrown).
      *   Automatically saves to localStorage and notifies listeners.
      * 
@@ -244,8 +817,228 @@ class BillStore {
      */
     delete(id) {
         const billToDelete = this.bills.find(b => b.id === id);
-        this.bills = this.bills.filter(b => b.id !== id);
-        this.save('delete', { id });
+        this.moveToTrash([id]);
+        this.save('delete', { id }, billToDelete ? `Delete "${billToDelete.name}"` : undefined);
+    }
+
+    /**
+     * Move several bills to the trash as one action
+     * 
+     * @method deleteMany
+     * @param {Array<string>} ids - Bill IDs to delete
+     * @param {string} [label] - History label for undo (e.g. 'Delete 12 bills')
+     * 
+     * @returns {void}
+     * 
+     * @description Same as delete() for each bill, with a single save and history entry.
+     */
+    deleteMany(ids, label = `Delete ${ids.length} bills`) {
+        this.moveToTrash(ids);
+        this.save('delete', { ids }, label);
+    }
+
+    /**
+     * Move bills to the trash without saving
+     * 
+     * @method moveToTrash
+     * @private
+     * @param {Array<string>} ids - Bill IDs to delete
+     * @param {string} [deletedAt] - ISO timestamp of the delete (defaults to now)
+     * @returns {void}
+     */
+    moveToTrash(ids, deletedAt = new Date().toISOString()) {
+        const idSet = new Set(ids);
+        const deleted = this.bills.filter(b => idSet.has(b.id));
+        if (deleted.length === 0) return;
+
+        this.bills = this.bills.filter(b => !idSet.has(b.id));
+        this.trash = [
+            ...this.trash.filter(entry => !idSet.has(entry.id)),
+            ...deleted.map(bill => createTrashEntry(bill, deletedAt))
+        ];
+        this.tombstones = mergeTombstones(this.tombstones, deleted.map(bill => ({ id: bill.id, deletedAt })));
+        const deletedIds = deleted.map(bill => bill.id);
+        ['bills', 'trash', 'tombstones'].forEach(name => this.touch(name, deletedIds));
+
+        // Keep deleted occurrences from being regenerated
+        deleted.filter(bill => bill.seriesId).forEach(bill => {
+            this.touch('series', [bill.seriesId]);
+            const occurrence = getOccurrenceDate(bill);
+            this.series = this.series.map(s => (s.seriesId === bill.seriesId
+                ? { ...s, excludedDates: [...new Set([...(s.excludedDates || []), occurrence])] }
+                : s));
+        });
+    }
+
+    /**
+     * Get all trashed bills
+     * 
+     * @method getTrash
+     * @returns {Array<Object>} Trashed bills, each with a deletedAt timestamp
+     */
+    getTrash() {
+        return this.trash;
+    }
+
+    /**
+     * Get the tombstones of deleted bills
+     * 
+     * @method getTombstones
+     * @returns {Array<{id: string, deletedAt: string}>} Deletes to carry in the cloud sync payload
+     */
+    getTombstones() {
+        return this.tombstones;
+    }
+
+    /**
+     * Restore a bill from the trash
+     * 
+     * @method restore
+     * @param {string} id - ID of the trashed bill
+     * 
+     * @returns {boolean} True when the bill was restored
+     * 
+     * @description Puts the bill back with its payment history, removes its tombstone and
+     *   stamps it with restoredAt so older tombstones on other devices do not delete it again.
+     *   A restored recurring occurrence is no longer excluded from its series.
+     */
+    restore(id) {
+        const entry = this.trash.find(e => e.id === id);
+        if (!entry) return false;
+
+        const bill = restoreTrashEntry(entry, new Date().toISOString());
+        this.trash = this.trash.filter(e => e.id !== id);
+        this.tombstones = this.tombstones.filter(t => t.id !== id);
+        this.bills = [...this.bills.filter(b => b.id !== id), bill];
+        ['bills', 'trash', 'tombstones'].forEach(name => this.touch(name, [id]));
+
+        if (bill.seriesId) {
+            this.touch('series', [bill.seriesId]);
+            const occurrence = getOccurrenceDate(bill);
+            this.series = this.series.map(s => (s.seriesId === bill.seriesId
+                ? { ...s, excludedDates: (s.excludedDates || []).filter(date => date !== occurrence) }
+                : s));
+        }
+
+        this.save('restore', { id }, `Restore "${bill.name}"`);
+        return true;
+    }
+
+    /**
+     * Replace the bills and series templates with those of a restore point
+     * 
+     * @method rollBack
+     * @param {Object} data - Restore point data
+     * @param {Array<Object>} data.bills - Bills to restore
+     * @param {Array<Object>} data.series - Series templates to restore
+     * @param {string} [label='Roll back'] - History label for undo
+     * 
+     * @returns {void}
+     * 
+     * @description One undoable change. Bills added since the restore point move to the
+     *   trash, so they can still be recovered. Restored bills leave the trash and lose their
+     *   tombstones; those deleted since are stamped with restoredAt like restore().
+     */
+    rollBack({ bills, series }, label = 'Roll back') {
+        const kept = new Set(bills.map(bill => bill.id));
+        const removed = this.bills.filter(bill => !kept.has(bill.id)).map(bill => bill.id);
+
+        this.transaction(label, () => {
+            this.moveToTrash(removed);
+            const restoredAt = new Date().toISOString();
+            const deleted = new Set(this.tombstones.map(t => t.id));
+            this.bills = bills.map(bill => (deleted.has(bill.id) ? { ...bill, restoredAt } : bill));
+            this.series = series;
+            this.trash = this.trash.filter(entry => !kept.has(entry.id));
+            this.tombstones = this.tombstones.filter(t => !kept.has(t.id));
+            this.assignSeries();
+            this.touchReplaced('bills');
+            this.touchReplaced('series');
+            this.save('update', { ids: [...kept, ...removed] }, label);
+        });
+    }
+
+    /**
+     * Permanently delete bills from the trash
+     * 
+     * @method purge
+     * @param {Array<string>} [ids] - IDs of trashed bills (all trashed bills when omitted)
+     * @param {string} [label] - History label for undo
+     * 
+     * @returns {void}
+     * 
+     * @description The tombstones are kept so other devices still drop the bills.
+     */
+    purge(ids = this.trash.map(e => e.id), label = ids.length === this.trash.length ? 'Empty trash' : `Permanently delete ${ids.length} bills`) {
+        const idSet = new Set(ids);
+        if (!this.trash.some(e => idSet.has(e.id))) return;
+
+        this.trash = this.trash.filter(e => !idSet.has(e.id));
+        this.touch('trash', ids);
+        this.save('purge', { ids }, label);
+    }
+
+    /**
+     * Purge trashed bills and tombstones past their retention
+     * 
+     * @method purgeExpired
+     * @param {number} [retentionDays] - Days to keep trashed bills (0 keeps them until purged)
+     * @param {Date} [now=new Date()] - Current time
+     * 
+     * @returns {number} Number of bills purged from the trash
+     * 
+     * @description Housekeeping run on startup; it is not recorded in undo history.
+     */
+    purgeExpired(retentionDays = TRASH.DEFAULT_RETENTION_DAYS, now = new Date()) {
+        const trash = this.trash.filter(entry => !isExpired(entry, retentionDays, now));
+        const tombstones = pruneTombstones(this.tombstones, now);
+        const purged = this.trash.length - trash.length;
+
+        if (purged > 0 || tombstones.length !== this.tombstones.length) {
+            this.trash = trash;
+            this.tombstones = tombstones;
+            this.withoutHistory(() => this.save('purge'));
+            logger.info('Purged expired trash', { purged });
+        }
+        return purged;
+    }
+
+    /**
+     * Replace bills and tombstones with the result of a cloud sync
+     * 
+     * @method applySyncResult
+     * @param {Object} result - Synced state (see syncMerge.fromRecordMap)
+     * @param {Array<Object>} result.bills - Bills, stamped with their cloud version
+     * @param {Array<{id: string, deletedAt: string}>} result.tombstones - Deleted bills
+     * 
+     * @returns {boolean} True when anything changed
+     * 
+     * @description Local bills deleted on another device move to this device's trash so
+     *   they can still be restored here; trashed bills restored elsewhere leave the trash.
+     *   Not recorded in undo history, and listeners are only notified on changes.
+     */
+    applySyncResult({ bills, tombstones }) {
+        // Keep this device's order, with bills new to it at the end
+        const position = new Map(this.bills.map((b, index) => [b.id, index]));
+        const rank = b => (position.has(b.id) ? position.get(b.id) : Infinity);
+        const ordered = [...bills].sort((a, b) => rank(a) - rank(b));
+
+        if (JSON.stringify([ordered, tombstones]) === JSON.stringify([this.bills, this.tombstones])) {
+            return false;
+        }
+
+        const billIds = new Set(bills.map(b => b.id));
+        const deletedAt = new Map(tombstones.map(t => [t.id, t.deletedAt]));
+        this.withoutHistory(() => {
+            this.bills
+                .filter(b => !billIds.has(b.id) && deletedAt.has(b.id))
+                .forEach(b => this.moveToTrash([b.id], deletedAt.get(b.id)));
+            this.trash = this.trash.filter(entry => !billIds.has(entry.id));
+            this.tombstones = tombstones;
+            this.touchReplaced('tombstones');
+            this.setBills(ordered, this.series, { recordHistory: false });
+        });
+        return true;
     }
 
     /**
@@ -253,11 +1046,17 @@ class BillStore {
      * 
      * @method setBills
      * @param {Array<Object>} bills - Complete new bills array
+     * @param {Array<Object>} [series] - Complete new series templates (kept when omitted)
+     * @param {Object} [options] - History options
+     * @param {string} [options.label='Update bills'] - History label for undo
+     * @param {boolean} [options.recordHistory=true] - False for data that did not come from
+     *   the user (e.g. cloud loads), so it can never be undone
      * 
      * @returns {void}
      * 
      * @description Overwrites entire bills array with new one.
      *   Useful for migrations, bulk updates, or restoring backups.
+     *   Recurring bills without a seriesId (e.g. legacy backups) are grouped into series.
      *   Automatically saves to localStorage and notifies listeners.
      * 
      * @example
@@ -265,9 +1064,23 @@ class BillStore {
      * const backup = JSON.parse(backupJson);
      * store.setBills(backup);
      */
-    setBills(bills) {
-        this.bills = bills;
-        this.save();
+    setBills(bills, series = this.series, { label = 'Update bills', recordHistory = true } = {}) {
+        const apply = () => {
+            this.bills = bills;
+            this.series = series;
+            this.assignSeries();
+            const ids = this.touchReplaced('bills');
+            this.touchReplaced('series');
+
+            // Cloud data is already synced; user changes are queued for upload
+            const data = recordHistory && ids.length > 0 ? { ids } : null;
+            this.save('update', data, label);
+        };
+        if (recordHistory) {
+            apply();
+        } else {
+            this.withoutHistory(apply);
+        }
     }
 
     /**
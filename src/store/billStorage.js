@@ -0,0 +1,47 @@
+/**
+ * Bill Storage
+ *
+ * Storage adapter BillStore persists bills through. Bills, series templates, trashed
+ * bills and tombstones are kept in IndexedDB with one record each, so a change writes
+ * only the records it touched instead of serializing every bill to localStorage.
+ *
+ * Adapter interface:
+ * - load(): Resolves to { collections, schemaVersion }, or null before the first write
+ * - write(changes, orders, schemaVersion): Writes changed records (see storeHistory.updateSnapshot)
+ * - replaceAll(collections, schemaVersion): Replaces everything (migrations)
+ * - loadSyncBase(): Resolves to the records of the last cloud sync (see billSync)
+ * - writeSyncBase(records, deletedIds): Writes changed sync records, deletes the others
+ * - clearSyncBase(): Forgets the last cloud sync (e.g. on logout)
+ *
+ * Browsers without IndexedDB get no adapter and BillStore keeps using localStorage
+ * through StorageManager.
+ *
+ * @module billStorage
+ * @requires indexedDBUtils
+ */
+
+import {
+    loadBillRecords,
+    writeBillRecords,
+    replaceBillRecords,
+    loadSyncBaseRecords,
+    writeSyncBaseRecords,
+    clearSyncBaseRecords
+} from '../utils/indexedDBUtils.js';
+
+/** IndexedDB adapter */
+export const indexedDBBillStorage = {
+    name: 'IndexedDB',
+    load: loadBillRecords,
+    write: writeBillRecords,
+    replaceAll: replaceBillRecords,
+    loadSyncBase: loadSyncBaseRecords,
+    writeSyncBase: writeSyncBaseRecords,
+    clearSyncBase: clearSyncBaseRecords
+};
+
+/**
+ * Adapter for this browser
+ * @returns {Object|null} IndexedDB adapter, or null when IndexedDB is not available
+ */
+export const createBillStorage = () => (typeof indexedDB !== 'undefined' && indexedDB ? indexedDBBillStorage : null);
@@ -6,7 +6,7 @@
  * 
  * Features:
  * - Safe get/set/remove operations
- * - Quota exceeded detection
+ * - Quota exceeded detection and quota checks before large writes
  * - Private browsing mode detection
  * - Automatic JSON serialization/deserialization
  * - Consistent error handling
@@ -16,6 +16,7 @@
  */
 
 import { logger } from './logger.js';
+import { STORAGE_QUOTA } from './constants.js';
 
 /**
  * Storage Manager - Centralized localStorage access
@@ -151,6 +152,36 @@ export const StorageManager = {
         }
     },
 
+    /**
+     * Check whether data of a given size still fits in the device's storage quota
+     * (Note: Only works in browsers that support StorageManager API; elsewhere the write is allowed)
+     * @param {number} bytes - Size of the data about to be stored
+     * @returns {Promise<{allowed: boolean, warning: boolean, percent: number|null}>}
+     *   allowed is false when the data would exceed the quota; warning is true when usage
+     *   would pass STORAGE_QUOTA.WARNING_PERCENT
+     */
+    async checkQuota(bytes) {
+        try {
+            if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+                return { allowed: true, warning: false, percent: null };
+            }
+
+            const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+            if (!quota) {
+                return { allowed: true, warning: false, percent: null };
+            }
+            const percent = Math.round(((usage + bytes) / quota) * 100);
+            const allowed = usage + bytes <= quota;
+            if (!allowed) {
+                logger.warn('Storage quota would be exceeded', { usage, quota, bytes });
+            }
+            return { allowed, warning: percent >= STORAGE_QUOTA.WARNING_PERCENT, percent };
+        } catch (error) {
+            logger.warn('Could not check storage quota', error);
+            return { allowed: true, warning: false, percent: null };
+        }
+    },
+
     /**
      * Clear all data from localStorage
      * WARNING: This clears everything
@@ -0,0 +1,186 @@
+/**
+ * Attachments
+ *
+ * Statements, receipts and payment screenshots attached to a bill or to one of its
+ * payment history entries. Bills only carry the attachment details
+ * ({ id, name, type, size, addedAt, remotePath }) in an attachments array; the files
+ * themselves are stored in IndexedDB by the attachmentService, so they never pass
+ * through localStorage or the bill sync. remotePath is set once a copy was uploaded
+ * to cloud storage.
+ *
+ * All functions are pure and return new bills.
+ *
+ * @module attachments
+ * @requires constants
+ */
+
+import { ATTACHMENTS } from './constants.js';
+
+/**
+ * Human readable file size
+ *
+ * @function formatFileSize
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. '512 B', '14 KB', '2.4 MB'
+ */
+export function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Check a file before it is attached
+ *
+ * @function validateAttachmentFile
+ * @param {{name: string, type: string, size: number}} file - File picked by the user
+ * @returns {string|null} Error message, or null when the file can be attached
+ */
+export function validateAttachmentFile(file) {
+    if (!file || !file.size) {
+        return 'The file is empty.';
+    }
+    if (!ATTACHMENTS.ALLOWED_TYPES.includes(file.type)) {
+        return `"${file.name}" is not a PDF or image.`;
+    }
+    if (file.size > ATTACHMENTS.MAX_FILE_BYTES) {
+        return `"${file.name}" is ${formatFileSize(file.size)}; attachments can be up to ${formatFileSize(ATTACHMENTS.MAX_FILE_BYTES)}.`;
+    }
+    return null;
+}
+
+/**
+ * Attachment details for a file
+ *
+ * @function createAttachment
+ * @param {{name: string, type: string, size: number}} file - File to attach
+ * @param {Date} [now=new Date()] - When it is attached
+ * @returns {Object} { id, name, type, size, addedAt }
+ */
+export function createAttachment(file, now = new Date()) {
+    return {
+        id: 'att_' + now.getTime() + '_' + Math.random().toString(36).substr(2, 9),
+        name: file.name,
+        type: file.type,
+        size: file.size,
+        addedAt: now.toISOString()
+    };
+}
+
+/**
+ * Every attachment of a bill, its own first and then those of its payments
+ *
+ * @function listAttachments
+ * @param {Object} bill - Bill
+ * @returns {Array<{attachment: Object, paymentId: string|null}>} Attachments
+ */
+export function listAttachments(bill) {
+    return [
+        ...(bill.attachments || []).map(attachment => ({ attachment, paymentId: null })),
+        ...(bill.paymentHistory || []).flatMap(payment => (payment.attachments || [])
+            .map(attachment => ({ attachment, paymentId: payment.id })))
+    ];
+}
+
+/**
+ * IDs of every attachment the bills refer to
+ *
+ * @function collectAttachmentIds
+ * @param {Array<Object>} bills - Bills (including trashed ones, which can be restored)
+ * @returns {Set<string>} Attachment IDs
+ */
+export function collectAttachmentIds(bills) {
+    return new Set(bills.flatMap(bill => listAttachments(bill).map(({ attachment }) => attachment.id)));
+}
+
+/**
+ * Add an attachment to a bill or one of its payments
+ *
+ * @function addAttachment
+ * @param {Object} bill - Bill
+ * @param {Object} attachment - Attachment details (see createAttachment)
+ * @param {string|null} [paymentId=null] - Payment history entry to attach it to
+ * @returns {Object} Updated bill
+ * @throws {Error} When the payment is not in the bill's history
+ */
+export function addAttachment(bill, attachment, paymentId = null) {
+    if (!paymentId) {
+        return { ...bill, attachments: [...(bill.attachments || []), attachment] };
+    }
+    if (!(bill.paymentHistory || []).some(p => p.id === paymentId)) {
+        throw new Error('Payment not found.');
+    }
+    return {
+        ...bill,
+        paymentHistory: bill.paymentHistory.map(p => (p.id === paymentId
+            ? { ...p, attachments: [...(p.attachments || []), attachment] }
+            : p))
+    };
+}
+
+/**
+ * Change the details of an attachment wherever it is on the bill
+ * @private
+ */
+function mapAttachments(bill, update) {
+    const mapList = list => (list ? list.map(update).filter(Boolean) : list);
+    const updated = { ...bill, attachments: mapList(bill.attachments) };
+    if (!updated.attachments) delete updated.attachments;
+    if (bill.paymentHistory) {
+        updated.paymentHistory = bill.paymentHistory.map(p => (p.attachments ? { ...p, attachments: mapList(p.attachments) } : p));
+    }
+    return updated;
+}
+
+/**
+ * Remove an attachment from a bill or its payments
+ *
+ * @function removeAttachment
+ * @param {Object} bill - Bill
+ * @param {string} attachmentId - Attachment ID
+ * @returns {Object} Updated bill
+ */
+export function removeAttachment(bill, attachmentId) {
+    return mapAttachments(bill, attachment => (attachment.id === attachmentId ? null : attachment));
+}
+
+/**
+ * Record where the cloud copy of an attachment is
+ *
+ * @function setAttachmentRemotePath
+ * @param {Object} bill - Bill
+ * @param {string} attachmentId - Attachment ID
+ * @param {string} remotePath - Path in cloud storage
+ * @returns {Object} Updated bill
+ */
+export function setAttachmentRemotePath(bill, attachmentId, remotePath) {
+    return mapAttachments(bill, attachment => (attachment.id === attachmentId ? { ...attachment, remotePath } : attachment));
+}
+
+/**
+ * File contents as base64, for backups
+ *
+ * @function blobToBase64
+ * @param {Blob} blob - File
+ * @returns {Promise<string>} Base64 text
+ */
+export async function blobToBase64(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * File from base64 text in a backup
+ *
+ * @function base64ToBlob
+ * @param {string} text - Base64 text
+ * @param {string} type - MIME type
+ * @returns {Blob} File
+ */
+export function base64ToBlob(text, type) {
+    return new Blob([Uint8Array.from(atob(text), char => char.charCodeAt(0))], { type });
+}
@@ -0,0 +1,152 @@
+/**
+ * Backup Encryption
+ *
+ * Encrypts JSON backups with a passphrase using the Web Crypto API. A key is derived
+ * from the passphrase with PBKDF2 (SHA-256, random salt) and the backup is encrypted
+ * with AES-GCM (random IV), so a changed byte is detected instead of silently restored.
+ *
+ * PBKDF2 derives 512 bits: the first half is the AES key, the second half is stored as
+ * a check value. Comparing the check value tells a wrong passphrase apart from a damaged
+ * file, which AES-GCM alone reports the same way. The check value is as costly to guess
+ * from as the ciphertext, so it does not weaken the encryption.
+ *
+ * Encrypted backups are JSON files:
+ * { format, version, kdf: { name, hash, iterations, salt }, cipher: { name, iv }, check, data }
+ * with binary values in base64. The decrypted data is the regular backup, including its
+ * schema version (see schema module).
+ *
+ * @module backupCrypto
+ * @requires errorHandling
+ */
+
+import { BackupDecryptionError } from './errorHandling.js';
+
+/** Value of the format field that marks an encrypted backup */
+export const ENCRYPTED_BACKUP_FORMAT = 'bill-tracker-encrypted-backup';
+
+/** Shortest passphrase accepted for new backups */
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const ENVELOPE_VERSION = 1;
+const PBKDF2_ITERATIONS = 600000;
+// Files asking for more would freeze the page while the key is derived
+const MAX_PBKDF2_ITERATIONS = 10000000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const KEY_BYTES = 32;
+
+const WRONG_PASSPHRASE = 'Wrong passphrase. Please check it and try again.';
+const CORRUPTED = 'The encrypted backup is damaged or incomplete and cannot be restored.';
+
+const toBase64 = (bytes) => {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+};
+
+const fromBase64 = (text) => {
+    if (typeof text !== 'string') throw new BackupDecryptionError(CORRUPTED, 'corrupted');
+    try {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    } catch (error) {
+        throw new BackupDecryptionError(CORRUPTED, 'corrupted');
+    }
+};
+
+/**
+ * Derive the AES key and the passphrase check value
+ * @returns {Promise<{key: CryptoKey, check: Uint8Array}>}
+ */
+async function deriveKey(passphrase, salt, iterations, usage) {
+    const subtle = globalThis.crypto.subtle;
+    const material = await subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+    const bits = new Uint8Array(await subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        KEY_BYTES * 2 * 8
+    ));
+    const key = await subtle.importKey('raw', bits.slice(0, KEY_BYTES), 'AES-GCM', false, [usage]);
+    return { key, check: bits.slice(KEY_BYTES) };
+}
+
+/**
+ * Whether a parsed file is an encrypted backup
+ *
+ * @function isEncryptedBackup
+ * @param {*} payload - Parsed JSON file
+ * @returns {boolean} True for encrypted backups
+ */
+export function isEncryptedBackup(payload) {
+    return Boolean(payload) && payload.format === ENCRYPTED_BACKUP_FORMAT;
+}
+
+/**
+ * Encrypt a backup with a passphrase
+ *
+ * @function encryptBackup
+ * @param {string} plaintext - Backup JSON
+ * @param {string} passphrase - Passphrase chosen by the user
+ * @returns {Promise<Object>} Encrypted backup, ready for JSON.stringify
+ * @throws {Error} When the passphrase is shorter than MIN_PASSPHRASE_LENGTH
+ */
+export async function encryptBackup(plaintext, passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+    }
+
+    const salt = globalThis.crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const iv = globalThis.crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const { key, check } = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS, 'encrypt');
+    const data = await globalThis.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+
+    return {
+        format: ENCRYPTED_BACKUP_FORMAT,
+        version: ENVELOPE_VERSION,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+        cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+        check: toBase64(check),
+        data: toBase64(new Uint8Array(data))
+    };
+}
+
+/**
+ * Decrypt an encrypted backup
+ *
+ * @function decryptBackup
+ * @param {Object} envelope - Parsed encrypted backup
+ * @param {string} passphrase - Passphrase entered by the user
+ * @returns {Promise<string>} Backup JSON
+ * @throws {BackupDecryptionError} reason 'passphrase' when the passphrase is wrong,
+ *   'corrupted' when the file is damaged or uses an unknown format
+ */
+export async function decryptBackup(envelope, passphrase) {
+    const { version, kdf, cipher } = envelope || {};
+    if (version !== ENVELOPE_VERSION || !kdf || !cipher
+        || kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || cipher.name !== 'AES-GCM'
+        || !Number.isInteger(kdf.iterations) || kdf.iterations < 1 || kdf.iterations > MAX_PBKDF2_ITERATIONS) {
+        throw new BackupDecryptionError(CORRUPTED, 'corrupted');
+    }
+
+    const salt = fromBase64(kdf.salt);
+    const iv = fromBase64(cipher.iv);
+    const expectedCheck = fromBase64(envelope.check);
+    const data = fromBase64(envelope.data);
+    if (salt.length === 0 || iv.length !== IV_BYTES || expectedCheck.length !== KEY_BYTES) {
+        throw new BackupDecryptionError(CORRUPTED, 'corrupted');
+    }
+
+    const { key, check } = await deriveKey(passphrase, salt, kdf.iterations, 'decrypt');
+    if (!check.every((byte, index) => byte === expectedCheck[index])) {
+        throw new BackupDecryptionError(WRONG_PASSPHRASE, 'passphrase');
+    }
+
+    try {
+        const plaintext = await globalThis.crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+        return new TextDecoder().decode(plaintext);
+    } catch (error) {
+        // The passphrase was right, so the data itself was changed
+        throw new BackupDecryptionError(CORRUPTED, 'corrupted');
+    }
+}
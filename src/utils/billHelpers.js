@@ -1,5 +1,10 @@
-import { createLocalDate } from './dates.js';
+import { createLocalDate, formatLocalDate } from './dates.js';
 import { paycheckManager } from './paycheckManager.js';
+import { getOccurrenceDate } from './billSeries.js';
+import { RECURRING_GENERATION } from './constants.js';
+import { toReminderBill } from './reminders.js';
+import { getNetPaid, getPaymentAmount } from './paymentLedger.js';
+import { formatAccountLabel } from './paymentAccounts.js';
 
 /**
  * Bill Helper Utilities
@@ -60,7 +65,7 @@ export const calculateNextDueDate = (currentDate, recurrence) => {
  * 
  * @function generateRecurringBillInstances
  * @param {Object} baseBill - Base recurring bill template
- *   Must have: name, category, recurrence, dueDate, balance/amountDue
+ *   Must have: seriesId, name, category, recurrence, dueDate, balance/amountDue
  * @param {Array<Object>} bills - Array of existing bills (to check for duplicates)
  * @param {Array<Date>} payCheckDates - Array of paycheck date boundaries
  *   Used to determine pay periods for instance generation
@@ -71,11 +76,11 @@ export const calculateNextDueDate = (currentDate, recurrence) => {
  * @description Expands recurring bill templates into individual bill instances.
  *   For each pay period:
  *   1. Calculates due dates based on recurrence pattern
- *   2. Checks for duplicate instances (skips if already exists)
+ *   2. Checks for duplicate instances in the same series (skips if already exists)
  *   3. Accumulates balance from previous unpaid instances
  *   4. Generates new bill with unique ID, current due date, empty payment history
  *   
- *   Limits generation to years <= 2027 to prevent infinite loops.
+ *   Stops after RECURRING_GENERATION.MAX_INSTANCES_PER_SERIES instances as a safety limit.
  * 
  * @example
  * const baseBill = {
@@ -103,10 +108,9 @@ export const generateRecurringBillInstances = (baseBill, bills, payCheckDates) =
 
     // Generate bills for each pay period
     for (let i = 0; i < payCheckDates.length; i++) {
+        if (generatedBills.length >= RECURRING_GENERATION.MAX_INSTANCES_PER_SERIES) break;
         const payPeriodStart = payCheckDates[i];
-        const payPeriodEnd = i < payCheckDates.length - 1 ?
-            payCheckDates[i + 1] :
-            new Date(payCheckDates[i].getTime() + (14 * 24 * 60 * 60 * 1000)); // 14 days after last
+        const payPeriodEnd = paycheckManager.getPayPeriodEnd(i, payCheckDates);
 
         // Check if we need to generate bills for this period
         while (currentDueDate < payPeriodEnd) {
@@ -114,19 +118,16 @@ export const generateRecurringBillInstances = (baseBill, bills, payCheckDates) =
             if (currentDueDate >= payPeriodStart && currentDueDate < payPeriodEnd) {
                 const dueDateStr = currentDueDate.toISOString().split('T')[0];
                 const existingBill = bills.find(b =>
-                    b.name === baseBill.name &&
-                    b.category === baseBill.category &&
-                    b.dueDate === dueDateStr &&
-                    b.recurrence === baseBill.recurrence
+                    b.seriesId === baseBill.seriesId &&
+                    getOccurrenceDate(b) === dueDateStr
                 );
 
                 if (!existingBill) {
                     // Check for unpaid previous instance to accumulate balance
                     const previousBill = bills.find(b =>
-                        b.name === baseBill.name &&
-                        b.category === baseBill.category &&
+                        b.seriesId === baseBill.seriesId &&
                         !b.isPaid &&
-                        new Date(b.dueDate) < currentDueDate
+                        getOccurrenceDate(b) < dueDateStr
                     );
 
                     const accumulatedBalance = previousBill ?
@@ -137,6 +138,7 @@ export const generateRecurringBillInstances = (baseBill, bills, payCheckDates) =
                         ...baseBill,
                         id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
                         dueDate: dueDateStr,
+                        originalDueDate: dueDateStr,
                         isPaid: false,
                         lastPaymentDate: null,
                         balance: accumulatedBalance,
@@ -148,7 +150,7 @@ export const generateRecurringBillInstances = (baseBill, bills, payCheckDates) =
 
             // Calculate next occurrence
             const nextDate = calculateNextDueDate(currentDueDate, baseBill.recurrence);
-            if (!nextDate || nextDate.getFullYear() > 2027) break; // Safety limit
+            if (!nextDate || generatedBills.length >= RECURRING_GENERATION.MAX_INSTANCES_PER_SERIES) break; // Safety limit
             currentDueDate = nextDate;
         }
     }
@@ -167,7 +169,8 @@ export const generateRecurringBillInstances = (baseBill, bills, payCheckDates) =
  * @returns {number} Total amount paid across all payment history entries.
  *   Returns 0 if no payment history exists.
  * 
- * @description Sums all amounts in paymentHistory array.
+ * @description Sums all amounts in paymentHistory array. Voided entries are
+ *   left out and refunds are subtracted (see paymentLedger).
  *   Handles missing or undefined paymentHistory gracefully.
  * 
  * @example
@@ -183,7 +186,40 @@ export const generateRecurringBillInstances = (baseBill, bills, payCheckDates) =
  */
 export const getTotalPaid = (bill) => {
     if (!bill.paymentHistory) return 0;
-    return bill.paymentHistory.reduce((sum, p) => sum + (p.amount || 0), 0);
+    return getNetPaid(bill.paymentHistory);
+};
+
+/**
+ * Calculate the amount owed on a bill before its payments
+ * 
+ * @function getAmountOwed
+ * @param {Object} bill - Bill object with balance/amountDue and paymentHistory
+ * @param {number} bill.balance - Balance left after the payments
+ * @param {number} bill.amountDue - Amount due (used when no balance was entered)
+ * @param {number} [bill.amountOwed] - Amount owed stored by the last payment change
+ * @param {Array<Object>} [bill.paymentHistory] - Payment history
+ * 
+ * @returns {number} The stored amountOwed, else the balance plus the total paid
+ * 
+ * @description Payment changes store the amount they measured the payments against
+ *   (amountOwed), because an overpayment stops the balance at zero and the amount
+ *   cannot be rebuilt from it. The stored amount is used while the balance still
+ *   matches it; once the balance was edited (or the bill copied to a new occurrence)
+ *   the balance is what is left after the recorded payments, so adding the payments
+ *   back gives the amount owed. Bills without a balance, or with a zero balance and
+ *   nothing paid, owe amountDue. Payment changes recalculate the balance from this amount.
+ */
+export const getAmountOwed = (bill) => {
+    const balance = parseFloat(bill.balance);
+    const paid = getTotalPaid(bill);
+    if (typeof bill.amountOwed === 'number' &&
+        Math.max(0, Math.round((bill.amountOwed - paid) * 100) / 100) === balance) {
+        return bill.amountOwed;
+    }
+    if (isNaN(balance) || (balance === 0 && paid === 0)) {
+        return parseFloat(bill.amountDue) || 0;
+    }
+    return balance + paid;
 };
 
 /**
@@ -191,23 +227,22 @@ export const getTotalPaid = (bill) => {
  * 
  * @function getRemainingBalance
  * @param {Object} bill - Bill object with balance/amountDue and paymentHistory
- * @param {number} bill.balance - Current balance (primary, checked first)
+ * @param {number} bill.balance - Balance left after the payments (primary, checked first)
  * @param {number} bill.amountDue - Amount originally due (fallback if balance missing)
- * @param {Array<Object>} [bill.paymentHistory] - Payment history for deduction
+ * @param {Array<Object>} [bill.paymentHistory] - Payment history
  * 
  * @returns {number} Remaining balance after deducting payments.
  *   Always >= 0 (never returns negative balance).
  *   Returns 0 if bill is fully paid.
  * 
  * @description Calculates remaining balance by:
- *   1. Using bill.balance or bill.amountDue as total due
+ *   1. Taking the amount owed before payments (see getAmountOwed)
  *   2. Subtracting total paid from paymentHistory
  *   3. Ensuring result never goes below 0
  * 
  * @example
  * const bill = {
  *   amountDue: 125.00,
- *   balance: 125.00,
  *   paymentHistory: [
  *     { amount: 50 },
  *     { amount: 25 }
@@ -217,13 +252,33 @@ export const getTotalPaid = (bill) => {
  * console.log(remaining); // 50
  */
 export const getRemainingBalance = (bill) => {
-    const totalDue = bill.balance || bill.amountDue || 0;
-    const totalPaid = getTotalPaid(bill);
-    return Math.max(0, totalDue - totalPaid);
+    return Math.max(0, Math.round((getAmountOwed(bill) - getTotalPaid(bill)) * 100) / 100);
+};
+
+/**
+ * Unpaid bills that are overdue or due within the next few days
+ * 
+ * @function getUpcomingBills
+ * @param {Array<Object>} bills - All bills
+ * @param {number} [days=7] - How many days ahead to look
+ * @param {Date} [today=new Date()] - Current date
+ * @returns {Array<Object>} Summaries { id, name, category, dueDate, plannedPayDate, amount, reminder }, soonest first
+ * 
+ * @description Used to hand the service worker a small list it can remind about while
+ *   the app is closed (see reminders module).
+ */
+export const getUpcomingBills = (bills, days = 7, today = new Date()) => {
+    const horizon = new Date(today.getFullYear(), today.getMonth(), today.getDate() + days);
+    return bills
+        .filter(bill => !bill.isPaid && createLocalDate(bill.dueDate) <= horizon)
+        .sort((a, b) => createLocalDate(a.dueDate) - createLocalDate(b.dueDate))
+        .map(bill => toReminderBill(bill, getRemainingBalance(bill)));
 };
 
 /**
  * Filters bills based on a specific pay period, category, and carry-forward rules.
+ * Bills with a planned pay date are shown in the period of that date, and bills pinned to an
+ * income source in the period of that source's paycheck.
  * 
  * @param {Array<Object>} bills - All bills
  * @param {string} viewMode - 'all' or 'filtered'
@@ -246,12 +301,6 @@ export const filterBillsByPeriod = (bills, viewMode, selectedPaycheck, selectedC
     }
 
     const currentPaycheckDate = payCheckDates[selectedPaycheck];
-    const frequency = paycheckManager.paymentSettings.frequency;
-    const days = frequency === 'weekly' ? 7 : frequency === 'bi-weekly' ? 14 : 30;
-
-    const nextPaycheckDate = selectedPaycheck < payCheckDates.length - 1
-        ? payCheckDates[selectedPaycheck + 1]
-        : new Date(currentPaycheckDate.getTime() + (days * 24 * 60 * 60 * 1000));
 
     // Carry Forward Logic Bounds
     const activeIndex = paycheckManager.getAutoSelectedPayPeriodIndex();
@@ -263,7 +312,7 @@ export const filterBillsByPeriod = (bills, viewMode, selectedPaycheck, selectedC
         const isMatch = bill.category === selectedCategory;
         if (!isMatch) return false;
 
-        const isInPeriod = billDate >= currentPaycheckDate && billDate < nextPaycheckDate;
+        const isInPeriod = paycheckManager.getPeriodIndexForBill(bill, payCheckDates) === selectedPaycheck;
 
         const isOverdueAndUnpaid = showCarriedForward &&
             !bill.isPaid &&
@@ -280,4 +329,199 @@ export const filterBillsByPeriod = (bills, viewMode, selectedPaycheck, selectedC
     }
 
     return filtered.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
-};
\ No newline at end of file
+};
+/**
+ * Calculate paycheck income, assigned bills and leftover for every pay period.
+ *
+ * A bill is assigned to the period whose paycheck date is on or before its due date
+ * and whose next paycheck is after it, to the period of its planned pay date when set,
+ * or to its income source's paycheck when pinned.
+ * Category and payment filters are ignored because the budget answers
+ * "does this paycheck cover everything due before the next one?".
+ * Income is the combined net pay of every source paid on that date.
+ *
+ * @param {Array<Object>} bills - All bills
+ * @param {Array<Date>} payCheckDates - Array of paycheck dates
+ * @returns {Array<Object>} One entry per period with payDate, endDate, sourceNames, income,
+ *   billsTotal, billCount and leftover (income and leftover are null when no net pay is set)
+ *
+ * @example
+ * calculatePeriodBudgets(bills, paycheckManager.payCheckDates);
+ * // [{ payDate, endDate, income: 2000, billsTotal: 1450, billCount: 4, leftover: 550 }, ...]
+ */
+export const calculatePeriodBudgets = (bills, payCheckDates) => {
+    if (!payCheckDates || payCheckDates.length === 0) return [];
+
+    const periodIndexes = bills.map(bill => paycheckManager.getPeriodIndexForBill(bill, payCheckDates));
+
+    return payCheckDates.map((payDate, index) => {
+        const endDate = paycheckManager.getPayPeriodEnd(index, payCheckDates);
+        const periodBills = bills.filter((bill, billIndex) => periodIndexes[billIndex] === index);
+
+        const billsTotal = periodBills.reduce((sum, bill) => sum + (bill.amountDue || 0), 0);
+        const income = paycheckManager.getPaycheckAmount(payDate);
+
+        return {
+            payDate,
+            endDate,
+            sourceNames: paycheckManager.getSourcesForPaycheck(payDate).map(source => source.name),
+            income,
+            billsTotal,
+            billCount: periodBills.length,
+            leftover: income === null ? null : income - billsTotal
+        };
+    });
+};
+
+/**
+ * Calculate how much leaves each payment account in every pay period.
+ *
+ * Paid is what the payments dated in the period took from the account, net of refunds
+ * (voided payments count for nothing). Planned is what is still owed on the unpaid bills
+ * budgeted in the period (see calculatePeriodBudgets), counted on the bill's default
+ * account. Together they are what the account needs to hold for the period.
+ * Payments and bills without a known account are listed as "No account".
+ *
+ * @param {Array<Object>} bills - All bills
+ * @param {Array<Object>} accounts - Payment accounts (see paymentAccounts)
+ * @param {Array<Date>} payCheckDates - Array of paycheck dates
+ * @returns {Array<Object>} One entry per period with payDate, endDate, total and rows of
+ *   { accountId, label, paid, planned } in settings order (accountId null for "No account")
+ *
+ * @example
+ * calculateAccountOutflows(bills, accounts, paycheckManager.payCheckDates);
+ * // [{ payDate, endDate, total: 1450, rows: [{ accountId: 'acct-1', label: 'Checking ••1234', paid: 900, planned: 550 }] }, ...]
+ */
+export const calculateAccountOutflows = (bills, accounts, payCheckDates) => {
+    if (!payCheckDates || payCheckDates.length === 0) return [];
+
+    const knownIds = new Set(accounts.map(account => account.id));
+    const accountKey = id => (id && knownIds.has(id) ? id : null);
+    const round = amount => Math.round(amount * 100) / 100;
+    const periodIndexes = bills.map(bill => paycheckManager.getPeriodIndexForBill(bill, payCheckDates));
+
+    return payCheckDates.map((payDate, index) => {
+        const endDate = paycheckManager.getPayPeriodEnd(index, payCheckDates);
+        const totals = new Map();
+        const add = (accountId, field, amount) => {
+            if (!amount) return;
+            const row = totals.get(accountId) || { paid: 0, planned: 0 };
+            row[field] += amount;
+            totals.set(accountId, row);
+        };
+
+        bills.forEach((bill, billIndex) => {
+            (bill.paymentHistory || []).forEach(payment => {
+                const paidOn = payment.date && createLocalDate(payment.date.slice(0, 10));
+                if (paidOn && paidOn >= payDate && paidOn < endDate) {
+                    add(accountKey(payment.accountId), 'paid', getPaymentAmount(payment));
+                }
+            });
+            if (!bill.isPaid && periodIndexes[billIndex] === index) {
+                add(accountKey(bill.defaultAccountId), 'planned', getRemainingBalance(bill));
+            }
+        });
+
+        const rows = [...accounts.map(account => account.id), null]
+            .filter(id => totals.has(id))
+            .map(id => {
+                const account = accounts.find(a => a.id === id);
+                return {
+                    accountId: id,
+                    label: account ? formatAccountLabel(account) : 'No account',
+                    paid: round(totals.get(id).paid),
+                    planned: round(totals.get(id).planned)
+                };
+            });
+
+        return {
+            payDate,
+            endDate,
+            rows,
+            total: round(rows.reduce((sum, row) => sum + row.paid + row.planned, 0))
+        };
+    });
+};
+
+/**
+ * Project the checking balance forward across the pay periods.
+ *
+ * Starts from the balance entered on startDate, adds each later paycheck (see
+ * paycheckManager.getPaycheckAmount) and subtracts what leaves the account: payments
+ * dated after startDate, and what is still owed on unpaid bills on their planned pay
+ * date, or due date when none is set (overdue bills on startDate). A paycheck or payment on startDate is taken to be in
+ * the entered balance already. The projection runs to the end of the last pay period.
+ *
+ * @param {Array<Object>} bills - All bills
+ * @param {Array<Date>} payCheckDates - Array of paycheck dates
+ * @param {Object} options - Projection settings (see paycheckManager.getCashFlowSettings)
+ * @param {number} options.startingBalance - Checking balance on startDate
+ * @param {string} options.startDate - Date of the balance (YYYY-MM-DD)
+ * @param {number} [options.buffer=0] - Balance to warn below
+ * @returns {Object|null} { points, endBalance, lowest, firstNegative, firstBelowBuffer,
+ *   buffer, missingIncome } where points are end-of-day balances
+ *   { date: 'YYYY-MM-DD', balance, items: [{ label, amount }] } in date order, the first
+ *   one on startDate; firstNegative and firstBelowBuffer are the first such point or null.
+ *   missingIncome is true when a paycheck has no amount set and counted as 0.
+ *   Null without paycheck dates.
+ *
+ * @example
+ * calculateCashFlowProjection(bills, paycheckManager.payCheckDates, { startingBalance: 800, startDate: '2027-01-01', buffer: 200 });
+ * // { points: [{ date: '2027-01-01', balance: 800, items: [] }, { date: '2027-01-05', balance: 700, items: [{ label: 'Power', amount: -100 }] }, ...], ... }
+ */
+export const calculateCashFlowProjection = (bills, payCheckDates, { startingBalance, startDate, buffer = 0 }) => {
+    if (!payCheckDates || payCheckDates.length === 0) return null;
+
+    const start = createLocalDate(startDate);
+    const end = paycheckManager.getPayPeriodEnd(payCheckDates.length - 1, payCheckDates);
+    const round = amount => Math.round(amount * 100) / 100;
+    const byDate = new Map([[startDate, []]]);
+    let missingIncome = false;
+
+    const add = (date, label, amount) => {
+        if (!amount || date >= end) return;
+        const key = formatLocalDate(date < start ? start : date);
+        if (!byDate.has(key)) byDate.set(key, []);
+        byDate.get(key).push({ label, amount: round(amount) });
+    };
+
+    payCheckDates.forEach(payDate => {
+        if (payDate <= start) return;
+        const income = paycheckManager.getPaycheckAmount(payDate);
+        if (income === null) {
+            missingIncome = true;
+        } else {
+            add(payDate, 'Paycheck', income);
+        }
+    });
+
+    bills.forEach(bill => {
+        (bill.paymentHistory || []).forEach(payment => {
+            const paidOn = payment.date && createLocalDate(payment.date.slice(0, 10));
+            if (paidOn && paidOn > start) {
+                add(paidOn, bill.name, -getPaymentAmount(payment));
+            }
+        });
+        const payOn = bill.plannedPayDate || bill.dueDate;
+        if (!bill.isPaid && payOn) {
+            add(createLocalDate(payOn), bill.name, -getRemainingBalance(bill));
+        }
+    });
+
+    let balance = startingBalance;
+    const points = [...byDate.keys()].sort().map(date => {
+        const items = byDate.get(date);
+        balance = round(items.reduce((sum, item) => sum + item.amount, balance));
+        return { date, balance, items };
+    });
+
+    return {
+        points,
+        endBalance: balance,
+        lowest: points.reduce((low, point) => (point.balance < low.balance ? point : low), points[0]),
+        firstNegative: points.find(point => point.balance < 0) || null,
+        firstBelowBuffer: points.find(point => point.balance < buffer) || null,
+        buffer,
+        missingIncome
+    };
+};
@@ -0,0 +1,312 @@
+/**
+ * Recurring Bill Series
+ *
+ * A recurring bill is stored as a series template plus the bill instances
+ * generated from it. Every instance carries the template's stable seriesId and
+ * the occurrence date it was generated for (originalDueDate), so renaming a bill
+ * or changing its category never forks the series.
+ *
+ * Series Template Structure:
+ * - seriesId: Stable unique identifier
+ * - name, category, amountDue, recurrence, recurrenceRule, notes, website, incomeSourceId, defaultAccountId, reminder: Fields copied to new instances
+ * - startDate: First occurrence (YYYY-MM-DD)
+ * - endDate: Occurrences on or after this date belong elsewhere (YYYY-MM-DD or null)
+ * - excludedDates: Occurrence dates the user deleted, never regenerated
+ *
+ * Edit scopes (like calendar apps):
+ * - 'this': Only the selected occurrence (stored as an exception)
+ * - 'following': Splits the series at the selected occurrence
+ * - 'all': The whole series
+ *
+ * All functions are pure: they return new arrays and never touch storage.
+ *
+ * @module billSeries
+ */
+
+/**
+ * Bill fields that belong to the series template
+ * @type {string[]}
+ */
+export const SERIES_TEMPLATE_FIELDS = [
+    'name', 'category', 'amountDue', 'recurrence', 'recurrenceRule', 'notes', 'website', 'incomeSourceId', 'defaultAccountId', 'reminder'
+];
+
+/**
+ * Supported edit scopes for bills that belong to a series
+ * @type {string[]}
+ */
+export const SERIES_EDIT_SCOPES = ['this', 'following', 'all'];
+
+/**
+ * Create a unique series id
+ *
+ * @function createSeriesId
+ * @returns {string} Id such as "series-lq2x9k-4f7a9c"
+ */
+export function createSeriesId() {
+    return `series-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 6)}`;
+}
+
+/**
+ * Get the series occurrence date a bill was generated for
+ *
+ * @function getOccurrenceDate
+ * @param {Object} bill - Bill instance
+ * @returns {string} originalDueDate, or dueDate for bills created before series existed
+ */
+export function getOccurrenceDate(bill) {
+    return bill.originalDueDate || bill.dueDate;
+}
+
+/**
+ * Create a series template from a bill
+ *
+ * @function createSeriesFromBill
+ * @param {Object} bill - Recurring bill
+ * @param {string} [seriesId] - Id to use (generated when omitted)
+ * @returns {Object} Series template starting at the bill's occurrence date
+ */
+export function createSeriesFromBill(bill, seriesId = createSeriesId()) {
+    const series = { seriesId, startDate: getOccurrenceDate(bill), endDate: null, excludedDates: [] };
+    SERIES_TEMPLATE_FIELDS.forEach(field => {
+        if (bill[field] !== undefined) series[field] = bill[field];
+    });
+    return series;
+}
+
+/**
+ * Check whether a date is an active occurrence of a series
+ *
+ * @function isSeriesOccurrence
+ * @param {Object} series - Series template
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @returns {boolean} True when inside the series range and not excluded
+ */
+export function isSeriesOccurrence(series, dateStr) {
+    return dateStr >= series.startDate &&
+        (!series.endDate || dateStr < series.endDate) &&
+        !(series.excludedDates || []).includes(dateStr);
+}
+
+/**
+ * Key used before series existed to identify a recurring bill
+ * @private
+ */
+function legacySeriesKey(bill) {
+    return `${bill.name}-${bill.category}-${bill.recurrence}`;
+}
+
+/**
+ * Attach recurring bills that have no seriesId to a series
+ *
+ * @function assignLegacySeries
+ * @param {Array<Object>} bills - All bills
+ * @param {Array<Object>} series - Existing series templates
+ * @returns {{bills: Array<Object>, series: Array<Object>, changed: boolean}} Updated collections
+ *
+ * @description Migrates data saved before series existed (and legacy imports).
+ *   Bills are grouped by the old name + category + recurrence key. A group joins an
+ *   existing series with the same key, otherwise a template is created from its
+ *   earliest occurrence. Bills pointing at a missing series get that series recreated
+ *   from their earliest occurrence. One-time bills are left untouched.
+ */
+export function assignLegacySeries(bills, series) {
+    const knownIds = new Set(series.map(s => s.seriesId));
+    const unassigned = bills.filter(bill => !bill.seriesId && bill.recurrence && bill.recurrence !== 'One-time');
+    const orphaned = bills.filter(bill => bill.seriesId && !knownIds.has(bill.seriesId));
+    if (unassigned.length === 0 && orphaned.length === 0) {
+        return { bills, series, changed: false };
+    }
+
+    const nextSeries = [...series];
+    const seriesByKey = new Map(nextSeries.map(s => [legacySeriesKey(s), s]));
+    const byOccurrence = (a, b) => getOccurrenceDate(a).localeCompare(getOccurrenceDate(b));
+
+    // Bills referencing a series that was never stored (e.g. restored from a backup) recreate it
+    [...orphaned].sort(byOccurrence).forEach(bill => {
+        if (!knownIds.has(bill.seriesId)) {
+            knownIds.add(bill.seriesId);
+            nextSeries.push(createSeriesFromBill(bill, bill.seriesId));
+        }
+    });
+
+    [...unassigned].sort(byOccurrence).forEach(bill => {
+        const key = legacySeriesKey(bill);
+        if (!seriesByKey.has(key)) {
+            const created = createSeriesFromBill(bill);
+            seriesByKey.set(key, created);
+            nextSeries.push(created);
+        }
+    });
+
+    const nextBills = bills.map(bill => {
+        if (!unassigned.includes(bill)) return bill;
+        return {
+            ...bill,
+            seriesId: seriesByKey.get(legacySeriesKey(bill)).seriesId,
+            originalDueDate: getOccurrenceDate(bill)
+        };
+    });
+
+    return { bills: nextBills, series: nextSeries, changed: true };
+}
+
+/**
+ * Plan an edit to a bill that belongs to a series
+ *
+ * @function planSeriesEdit
+ * @param {{bills: Array<Object>, series: Array<Object>}} state - Current bills and series
+ * @param {string} billId - Id of the edited occurrence
+ * @param {Object} edited - Bill fields from the edit form
+ * @param {string} scope - 'this', 'following' or 'all'
+ * @returns {{bills: Array<Object>, series: Array<Object>, regenerate: string[]}} New collections and
+ *   the ids of series whose upcoming instances must be regenerated
+ * @throws {Error} When the bill or its series cannot be found, or the scope is unknown
+ *
+ * @description
+ *   - 'this' stores the occurrence as an exception; choosing One-time detaches it from the series.
+ *   - 'following' ends the series before the occurrence and starts a new series from it.
+ *     When nothing precedes the occurrence it behaves like 'all'.
+ *   - 'all' updates the template and every instance.
+ *   Template field changes are copied to unpaid instances in scope; paid instances keep their
+ *   amount. Changing the due date or recurrence removes the unpaid instances after the edited
+ *   occurrence so they can be regenerated on the new schedule. Choosing One-time ends the series.
+ */
+export function planSeriesEdit(state, billId, edited, scope) {
+    if (!SERIES_EDIT_SCOPES.includes(scope)) {
+        throw new Error(`Unknown edit scope: ${scope}`);
+    }
+
+    const target = state.bills.find(bill => bill.id === billId);
+    const template = target && state.series.find(s => s.seriesId === target.seriesId);
+    if (!target || !template) {
+        throw new Error('Recurring bill series not found.');
+    }
+
+    const pivot = getOccurrenceDate(target);
+    const endsSeries = edited.recurrence === 'One-time';
+
+    if (scope === 'this') {
+        if (endsSeries) {
+            const detached = { ...target, ...edited };
+            delete detached.seriesId;
+            delete detached.originalDueDate;
+            delete detached.isException;
+            return {
+                bills: state.bills.map(bill => (bill.id === billId ? detached : bill)),
+                series: state.series.map(s => (s === template
+                    ? { ...s, excludedDates: [...(s.excludedDates || []), pivot] }
+                    : s)),
+                regenerate: []
+            };
+        }
+
+        const exception = {
+            ...target,
+            ...edited,
+            recurrence: template.recurrence,
+            recurrenceRule: template.recurrenceRule,
+            seriesId: template.seriesId,
+            originalDueDate: pivot,
+            isException: true
+        };
+        return {
+            bills: state.bills.map(bill => (bill.id === billId ? exception : bill)),
+            series: state.series,
+            regenerate: []
+        };
+    }
+
+    const hasEarlierInstances = state.bills.some(bill =>
+        bill.seriesId === template.seriesId && getOccurrenceDate(bill) < pivot
+    );
+    const splits = scope === 'following' && hasEarlierInstances && !endsSeries;
+
+    // Series that will own the edited occurrence from now on
+    let targetSeries = splits
+        ? {
+            ...template,
+            seriesId: createSeriesId(),
+            startDate: pivot,
+            excludedDates: (template.excludedDates || []).filter(date => date >= pivot)
+        }
+        : { ...template };
+    const previousSeries = splits
+        ? {
+            ...template,
+            endDate: pivot,
+            excludedDates: (template.excludedDates || []).filter(date => date < pivot)
+        }
+        : null;
+
+    const inScope = bill => bill.seriesId === template.seriesId && (scope === 'all' || getOccurrenceDate(bill) >= pivot);
+    // Rules are objects, so compare by value
+    const changedFields = SERIES_TEMPLATE_FIELDS.filter(field =>
+        edited[field] !== undefined && JSON.stringify(edited[field]) !== JSON.stringify(target[field])
+    );
+    const newDueDate = edited.dueDate || target.dueDate;
+    const scheduleChanged = !endsSeries && (newDueDate !== target.dueDate ||
+        changedFields.includes('recurrence') || changedFields.includes('recurrenceRule'));
+
+    if (endsSeries) {
+        targetSeries = { ...targetSeries, endDate: pivot };
+    } else {
+        changedFields.forEach(field => {
+            targetSeries[field] = edited[field];
+        });
+        if (scheduleChanged) {
+            targetSeries.startDate = newDueDate;
+            targetSeries.excludedDates = (targetSeries.excludedDates || []).filter(date => date < pivot);
+        }
+    }
+
+    const nextBills = [];
+    state.bills.forEach(bill => {
+        if (bill.id === billId) {
+            const updated = { ...bill, ...edited };
+            if (endsSeries) {
+                delete updated.seriesId;
+                delete updated.originalDueDate;
+                delete updated.isException;
+            } else {
+                updated.seriesId = targetSeries.seriesId;
+                updated.originalDueDate = scheduleChanged ? newDueDate : pivot;
+                if (scheduleChanged) delete updated.isException;
+            }
+            nextBills.push(updated);
+            return;
+        }
+
+        if (!inScope(bill)) {
+            nextBills.push(bill);
+            return;
+        }
+
+        // Upcoming unpaid occurrences are replaced when the schedule changes or the series ends
+        if ((endsSeries || scheduleChanged) && !bill.isPaid && getOccurrenceDate(bill) > pivot) {
+            return;
+        }
+
+        const updated = { ...bill, seriesId: endsSeries ? bill.seriesId : targetSeries.seriesId };
+        changedFields.forEach(field => {
+            if ((field === 'recurrence' || field === 'recurrenceRule') && endsSeries) return;
+            if (field === 'amountDue') {
+                if (bill.isPaid) return;
+                if (bill.balance === bill.amountDue) updated.balance = edited.amountDue;
+            }
+            updated[field] = edited[field];
+        });
+        nextBills.push(updated);
+    });
+
+    let nextSeries = state.series.map(s => (s === template ? (previousSeries || targetSeries) : s));
+    if (previousSeries) {
+        nextSeries = [...nextSeries, targetSeries];
+    }
+
+    return {
+        bills: nextBills,
+        series: nextSeries,
+        regenerate: scheduleChanged ? [targetSeries.seriesId] : []
+    };
+}
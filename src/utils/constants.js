@@ -4,9 +4,68 @@
 
 export const STORAGE_KEYS = {
     PAYMENT_SETTINGS: 'paymentSettings',
+    SCHEMA_VERSION: 'schemaVersion',
     BILLS: 'bills',
+    BILL_SERIES: 'billSeries',
+    BILL_TRASH: 'billTrash',
+    BILL_TOMBSTONES: 'billTombstones',
+    TRASH_RETENTION_DAYS: 'trashRetentionDays',
+    SYNC_BASE: 'billSyncBase',
+    REMINDER_SETTINGS: 'reminderSettings',
+    ATTACHMENT_SETTINGS: 'attachmentSettings',
     CUSTOM_CATEGORIES: 'customCategories',
     SELECTED_CATEGORY: 'selectedCategory',
     USER_EMAIL: 'userEmail',
     THEME: 'theme'
 };
+
+/**
+ * Limits for generating recurring bill instances.
+ * The horizon itself comes from payPeriodsToShow or the planMonthsAhead setting;
+ * the instance cap only guards against runaway schedules.
+ */
+export const RECURRING_GENERATION = {
+    MAX_PLAN_MONTHS_AHEAD: 60,
+    MAX_INSTANCES_PER_SERIES: 500
+};
+
+/**
+ * Trash and tombstone retention.
+ * Trashed bills are purged after the user's retention setting (0 keeps them until emptied).
+ * Tombstones outlive the trash so a device that was offline for a long time
+ * still learns about deletes before it syncs its stale copy back.
+ */
+export const TRASH = {
+    DEFAULT_RETENTION_DAYS: 30,
+    TOMBSTONE_RETENTION_DAYS: 365
+};
+
+/**
+ * Restore point retention (see restorePoints module).
+ * Restore points taken before risky operations are kept up to a count and an age.
+ * Daily restore points are kept for a week, then one per week.
+ */
+export const RESTORE_POINTS = {
+    MAX_OPERATION_POINTS: 20,
+    OPERATION_RETENTION_DAYS: 30,
+    DAILY_POINTS_KEPT: 7,
+    WEEKLY_POINTS_KEPT: 4
+};
+
+/**
+ * Attachment files (see attachments module).
+ * Files are stored in IndexedDB on the device; uploading a copy to cloud storage is optional.
+ */
+export const ATTACHMENTS = {
+    MAX_FILE_BYTES: 10 * 1024 * 1024,
+    ALLOWED_TYPES: ['application/pdf', 'image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/heic'],
+    CLOUD_BUCKET: 'attachments'
+};
+
+/**
+ * Device storage quota (see StorageManager.checkQuota).
+ * Saving warns above the warning level and is refused when it would not fit.
+ */
+export const STORAGE_QUOTA = {
+    WARNING_PERCENT: 80
+};
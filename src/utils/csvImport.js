@@ -0,0 +1,266 @@
+/**
+ * CSV Import
+ *
+ * Turns CSV or TSV text (for example a spreadsheet export like bills_template.csv)
+ * into bills. The first row holds the column headers; each bill field is mapped to a
+ * column, guessed from the header names and adjustable by the user before importing.
+ *
+ * Dates may be written YYYY-MM-DD, MM/DD/YY(YY), DD.MM.YY(YY) or YYYYMMDD; amounts may
+ * carry currency symbols and thousands separators ("$1,234.50", "1.234,50 €").
+ *
+ * @module csvImport
+ * @requires recurrence
+ */
+
+import { normalizeRecurrence } from './recurrence.js';
+
+/**
+ * Bill fields a column can be mapped to
+ * Aliases are compared against headers lowercased with everything but letters and
+ * digits removed ("Due Date" → "duedate").
+ * @type {Array<{key: string, label: string, required: boolean, aliases: string[]}>}
+ */
+export const IMPORT_FIELDS = [
+    { key: 'name', label: 'Name', required: true, aliases: ['name', 'bill', 'billname', 'payee', 'description'] },
+    { key: 'category', label: 'Category', required: false, aliases: ['category', 'type', 'group'] },
+    { key: 'dueDate', label: 'Due Date', required: true, aliases: ['duedate', 'due', 'dueon', 'date', 'nextdue'] },
+    { key: 'amountDue', label: 'Amount', required: true, aliases: ['amount', 'amountdue', 'cost', 'price', 'payment'] },
+    { key: 'recurrence', label: 'Recurrence', required: false, aliases: ['recurrence', 'frequency', 'repeat', 'repeats', 'recurring'] },
+    { key: 'notes', label: 'Notes', required: false, aliases: ['notes', 'note', 'memo', 'comments', 'comment'] },
+    { key: 'website', label: 'Website', required: false, aliases: ['website', 'url', 'link', 'site'] }
+];
+
+/** Values used when a column is not mapped or a cell is empty (as the old Python converter did) */
+const FIELD_DEFAULTS = {
+    category: 'Other',
+    recurrence: 'Monthly'
+};
+
+/**
+ * Import format for a file name
+ *
+ * @function getImportFormat
+ * @param {string} fileName - Name of the selected file
+ * @returns {string|null} 'json', 'csv' or 'tsv', or null when not supported
+ */
+export function getImportFormat(fileName) {
+    const extension = String(fileName || '').toLowerCase().split('.').pop();
+    return ['json', 'csv', 'tsv'].includes(extension) ? extension : null;
+}
+
+const normalizeHeader = header => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Guess the delimiter of delimited text from its first line
+ *
+ * @function detectDelimiter
+ * @param {string} text - File contents
+ * @returns {string} '\t', ';' or ','
+ */
+export function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    if (firstLine.includes('\t')) return '\t';
+    const count = char => firstLine.split(char).length - 1;
+    return count(';') > count(',') ? ';' : ',';
+}
+
+/**
+ * Split delimited text into rows of cells
+ * Handles quoted cells (with doubled quotes and line breaks inside), CRLF line endings
+ * and a leading byte order mark. Blank lines are skipped and cells are trimmed.
+ *
+ * @function parseDelimited
+ * @param {string} text - File contents
+ * @param {string} [delimiter] - Cell separator (detected when omitted)
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+export function parseDelimited(text, delimiter = detectDelimiter(text)) {
+    const source = text.replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    const endCell = () => {
+        row.push(cell.trim());
+        cell = '';
+    };
+    const endRow = () => {
+        endCell();
+        if (row.some(value => value !== '')) rows.push(row);
+        row = [];
+    };
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            endCell();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) endRow();
+
+    return rows;
+}
+
+/**
+ * Map bill fields to columns by their header names
+ *
+ * @function detectColumnMapping
+ * @param {Array<string>} headers - Header row
+ * @returns {Object<string, number|null>} Column index per field key, null when not found
+ */
+export function detectColumnMapping(headers) {
+    const normalized = headers.map(normalizeHeader);
+    const used = new Set();
+    const mapping = {};
+
+    IMPORT_FIELDS.forEach(field => {
+        const index = normalized.findIndex((header, i) => !used.has(i) && field.aliases.includes(header));
+        mapping[field.key] = index === -1 ? null : index;
+        if (index !== -1) used.add(index);
+    });
+
+    return mapping;
+}
+
+/**
+ * Parse a date written in one of the supported formats
+ * Slashes mean month first (MM/DD/YY), dots mean day first (DD.MM.YYYY). Two-digit
+ * years below 70 are 20xx.
+ *
+ * @function parseImportDate
+ * @param {string} value - Date text
+ * @returns {string|null} Date as YYYY-MM-DD, or null when not a valid date
+ */
+export function parseImportDate(value) {
+    const text = String(value || '').trim();
+    let match;
+    let year;
+    let month;
+    let day;
+
+    if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+        [, year, month, day] = match;
+    } else if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/))) {
+        [, month, day, year] = match;
+    } else if ((match = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{2}|\d{4})$/))) {
+        [, day, month, year] = match;
+    } else if ((match = text.match(/^(\d{4})(\d{2})(\d{2})$/))) {
+        [, year, month, day] = match;
+    } else {
+        return null;
+    }
+
+    year = Number(year);
+    if (year < 100) year += year < 70 ? 2000 : 1900;
+    month = Number(month);
+    day = Number(day);
+
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+        return null;
+    }
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a currency amount such as "$1,234.50", "1.234,50 €" or "(12.00)"
+ * When both separators appear, the last one is the decimal point; a lone comma
+ * followed by one or two digits is a decimal comma.
+ *
+ * @function parseCurrency
+ * @param {string|number} value - Amount text
+ * @returns {number} Amount rounded to cents (0 for an empty cell), or NaN when not a number
+ */
+export function parseCurrency(value) {
+    if (typeof value === 'number') return value;
+    let text = String(value || '').trim();
+    if (text === '') return 0;
+
+    const negative = /^\(.*\)$/.test(text) || text.includes('-');
+    // Drop signs, parentheses, currency symbols and currency codes ("USD 12.00")
+    text = text.replace(/[\s()+\-\p{Sc}]/gu, '').replace(/^[A-Z]{3}|[A-Z]{3}$/g, '');
+    if (!/^[\d.,]+$/.test(text) || !/\d/.test(text)) return NaN;
+
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+    const decimalComma = lastComma > lastDot &&
+        (lastDot !== -1 || (text.indexOf(',') === lastComma && /^,\d{1,2}$/.test(text.slice(lastComma))));
+    text = decimalComma
+        ? text.replace(/\./g, '').replace(',', '.')
+        : text.replace(/,/g, '');
+
+    if ((text.match(/\./g) || []).length > 1) return NaN;
+    const amount = Math.round(parseFloat(text) * 100) / 100;
+    return negative ? -amount : amount;
+}
+
+/**
+ * Build bills from data rows using a column mapping
+ *
+ * @function mapRowsToBills
+ * @param {Array<Array<string>>} rows - Data rows (without the header row)
+ * @param {Object<string, number|null>} mapping - Column index per field key
+ * @param {Function} validate - Bill validator returning { isValid, errors }
+ * @returns {Array<Object>} One entry per row { rowNumber, bill, errors }; rowNumber counts
+ *   the header as row 1
+ *
+ * @description Dates and amounts that cannot be read are reported as errors; the bill
+ *   is only passed to the validator when every cell could be read. Category and
+ *   recurrence fall back to 'Other' and 'Monthly'; unmapped notes and website are left out.
+ */
+export function mapRowsToBills(rows, mapping, validate) {
+    return rows.map((cells, index) => {
+        const isMapped = key => mapping[key] !== null && mapping[key] !== undefined;
+        const cell = key => (isMapped(key) ? cells[mapping[key]] || '' : '');
+        const errors = [];
+
+        IMPORT_FIELDS.filter(field => field.required && !isMapped(field.key))
+            .forEach(field => errors.push(`No column chosen for ${field.label}`));
+
+        const rawDate = cell('dueDate');
+        const dueDate = parseImportDate(rawDate);
+        if (rawDate && !dueDate) {
+            errors.push(`"${rawDate}" is not a date (use MM/DD/YY, YYYY-MM-DD or DD.MM.YYYY)`);
+        }
+
+        const amountDue = parseCurrency(cell('amountDue'));
+        if (Number.isNaN(amountDue)) {
+            errors.push(`"${cell('amountDue')}" is not an amount`);
+        }
+
+        const bill = {
+            name: cell('name'),
+            category: cell('category') || FIELD_DEFAULTS.category,
+            dueDate: dueDate || '',
+            amountDue: Number.isNaN(amountDue) ? 0 : amountDue,
+            recurrence: normalizeRecurrence(cell('recurrence') || FIELD_DEFAULTS.recurrence)
+        };
+        // Optional text fields are left out when not mapped, so merging keeps the current values
+        ['notes', 'website'].filter(isMapped).forEach(key => {
+            bill[key] = cell(key);
+        });
+
+        if (errors.length === 0) {
+            errors.push(...validate(bill).errors);
+        }
+
+        return { rowNumber: index + 2, bill, errors };
+    });
+}
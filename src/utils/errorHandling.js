@@ -181,6 +181,19 @@ export class ValidationError extends Error {
     }
 }
 
+/**
+ * Encrypted backup that could not be opened
+ * reason is 'passphrase' when the passphrase is wrong (the user can try again)
+ * and 'corrupted' when the file is damaged or not a backup
+ */
+export class BackupDecryptionError extends Error {
+    constructor(message, reason) {
+        super(message);
+        this.name = 'BackupDecryptionError';
+        this.reason = reason;
+    }
+}
+
 /**
  * Format error for user display
  * @param {Error} error - The error object
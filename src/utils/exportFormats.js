@@ -0,0 +1,325 @@
+/**
+ * Export Formats
+ *
+ * Builds the file contents for the non-JSON exports:
+ * - Bills as CSV (same columns as bills_template.csv, so the file can be imported again)
+ * - Recorded payments (paymentHistory entries) as CSV, QIF or OFX for accounting and
+ *   budgeting tools; payments are money going out, so QIF and OFX amounts are negative.
+ *   Refunds come back in (positive) and voided payments are left out
+ * - Upcoming due dates as an iCalendar (.ics) feed; a recurring series becomes one event
+ *   with its RRULE, paid occurrences are left out with EXDATE
+ *
+ * @module exportFormats
+ * @requires recurrence
+ * @requires dates
+ * @requires paymentLedger
+ */
+
+import { toRRule } from './recurrence.js';
+import { createLocalDate, formatLocalDate } from './dates.js';
+import { getPaymentAmount, isRefund } from './paymentLedger.js';
+
+/**
+ * Formats offered in the export dialog
+ * @type {Array<{id: string, label: string, description: string, extension: string, mimeType: string}>}
+ */
+export const EXPORT_FORMATS = [
+    { id: 'json', label: 'JSON backup', description: 'Everything, for restoring or moving to another device', extension: 'json', mimeType: 'application/json' },
+    { id: 'bills-csv', label: 'Bills (CSV)', description: 'One row per bill, for spreadsheets', extension: 'csv', mimeType: 'text/csv' },
+    { id: 'payments-csv', label: 'Payments (CSV)', description: 'One row per recorded payment', extension: 'csv', mimeType: 'text/csv' },
+    { id: 'qif', label: 'Payments (QIF)', description: 'Recorded payments for Quicken and budgeting tools', extension: 'qif', mimeType: 'application/qif' },
+    { id: 'ofx', label: 'Payments (OFX)', description: 'Recorded payments for banking and budgeting tools', extension: 'ofx', mimeType: 'application/x-ofx' },
+    { id: 'ics', label: 'Due dates (iCalendar)', description: 'Upcoming unpaid bills for a shared calendar', extension: 'ics', mimeType: 'text/calendar' }
+];
+
+const dayAfter = dateString => {
+    const date = createLocalDate(dateString);
+    date.setDate(date.getDate() + 1);
+    return formatLocalDate(date);
+};
+const toAmount = value => (Number(value) || 0).toFixed(2);
+const compactDate = dateString => dateString.replace(/-/g, '');
+
+/**
+ * Format rows as CSV, quoting cells that need it
+ *
+ * @function formatCsv
+ * @param {Array<string>} headers - Header row
+ * @param {Array<Array<*>>} rows - Data rows
+ * @returns {string} CSV text with CRLF line endings
+ */
+export function formatCsv(headers, rows) {
+    const quote = value => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [headers, ...rows].map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Bills as CSV
+ *
+ * @function billsToCsv
+ * @param {Array<Object>} bills - Bills to export
+ * @returns {string} CSV text
+ */
+export function billsToCsv(bills) {
+    const headers = ['Name', 'Category', 'Due Date', 'Amount', 'Recurrence', 'Notes', 'Website', 'Balance', 'Paid', 'RRULE'];
+    const rows = [...bills]
+        .sort((a, b) => (a.dueDate || '').localeCompare(b.dueDate || ''))
+        .map(bill => [
+            bill.name,
+            bill.category,
+            bill.dueDate,
+            toAmount(bill.amountDue),
+            bill.recurrence,
+            bill.notes,
+            bill.website,
+            toAmount(bill.balance !== undefined ? bill.balance : bill.amountDue),
+            bill.isPaid ? 'Yes' : 'No',
+            toRRule(bill) || ''
+        ]);
+    return formatCsv(headers, rows);
+}
+
+/**
+ * Every recorded payment and refund with its bill, oldest first (voided entries left out)
+ *
+ * @function listPayments
+ * @param {Array<Object>} bills - Bills
+ * @returns {Array<{bill: Object, payment: Object}>} Payments
+ */
+export function listPayments(bills) {
+    return bills
+        .flatMap(bill => (bill.paymentHistory || []).map(payment => ({ bill, payment })))
+        .filter(({ payment }) => payment.date && !payment.voided)
+        .sort((a, b) => a.payment.date.localeCompare(b.payment.date));
+}
+
+/**
+ * Recorded payments as CSV
+ *
+ * @function paymentsToCsv
+ * @param {Array<Object>} bills - Bills whose payments are exported
+ * @returns {string} CSV text
+ */
+export function paymentsToCsv(bills) {
+    const headers = ['Date', 'Bill', 'Category', 'Amount', 'Method', 'Notes', 'Payment ID'];
+    const rows = listPayments(bills).map(({ bill, payment }) => [
+        payment.date.slice(0, 10),
+        bill.name,
+        bill.category,
+        toAmount(getPaymentAmount(payment)),
+        payment.method,
+        payment.notes,
+        payment.id
+    ]);
+    return formatCsv(headers, rows);
+}
+
+/**
+ * Recorded payments as QIF (bank account transactions)
+ *
+ * @function paymentsToQif
+ * @param {Array<Object>} bills - Bills whose payments are exported
+ * @returns {string} QIF text
+ */
+export function paymentsToQif(bills) {
+    const line = text => String(text || '').replace(/[\r\n]+/g, ' ');
+    const lines = ['!Type:Bank'];
+    listPayments(bills).forEach(({ bill, payment }) => {
+        const [year, month, day] = payment.date.slice(0, 10).split('-');
+        lines.push(`D${month}/${day}/${year}`);
+        lines.push(`T${toAmount(-getPaymentAmount(payment))}`);
+        lines.push(`P${line(bill.name)}`);
+        if (bill.category) lines.push(`L${line(bill.category)}`);
+        const memo = [payment.method, payment.notes].filter(Boolean).join(' - ');
+        if (memo) lines.push(`M${line(memo)}`);
+        lines.push('^');
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Recorded payments as an OFX 2 bank statement
+ *
+ * @function paymentsToOfx
+ * @param {Array<Object>} bills - Bills whose payments are exported
+ * @param {Date} [now=new Date()] - Export time
+ * @returns {string} OFX (XML) text
+ */
+export function paymentsToOfx(bills, now = new Date()) {
+    const escape = text => String(text || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+    const payments = listPayments(bills);
+    const today = compactDate(formatLocalDate(now));
+    const start = payments.length > 0 ? compactDate(payments[0].payment.date.slice(0, 10)) : today;
+    const end = payments.length > 0 ? compactDate(payments[payments.length - 1].payment.date.slice(0, 10)) : today;
+
+    const transactions = payments.map(({ bill, payment }, index) => [
+        '<STMTTRN>',
+        `<TRNTYPE>${isRefund(payment) ? 'CREDIT' : 'PAYMENT'}</TRNTYPE>`,
+        `<DTPOSTED>${compactDate(payment.date.slice(0, 10))}</DTPOSTED>`,
+        `<TRNAMT>${toAmount(-getPaymentAmount(payment))}</TRNAMT>`,
+        `<FITID>${escape(payment.id || `${bill.id}-${index}`)}</FITID>`,
+        `<NAME>${escape((bill.name || 'Bill').slice(0, 32))}</NAME>`,
+        `<MEMO>${escape([bill.category, payment.method, payment.notes].filter(Boolean).join(' - ').slice(0, 255))}</MEMO>`,
+        '</STMTTRN>'
+    ].join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+        '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+        '<OFX>',
+        '<SIGNONMSGSRSV1><SONRS>',
+        '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+        `<DTSERVER>${today}</DTSERVER>`,
+        '<LANGUAGE>ENG</LANGUAGE>',
+        '</SONRS></SIGNONMSGSRSV1>',
+        '<BANKMSGSRSV1><STMTTRNRS>',
+        '<TRNUID>1</TRNUID>',
+        '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+        '<STMTRS>',
+        '<CURDEF>USD</CURDEF>',
+        '<BANKACCTFROM><BANKID>000000000</BANKID><ACCTID>BILLTRACKER</ACCTID><ACCTTYPE>CHECKING</ACCTTYPE></BANKACCTFROM>',
+        '<BANKTRANLIST>',
+        `<DTSTART>${start}</DTSTART>`,
+        `<DTEND>${end}</DTEND>`,
+        ...transactions,
+        '</BANKTRANLIST>',
+        `<LEDGERBAL><BALAMT>${toAmount(-payments.reduce((sum, { payment }) => sum + getPaymentAmount(payment), 0))}</BALAMT><DTASOF>${today}</DTASOF></LEDGERBAL>`,
+        '</STMTRS>',
+        '</STMTTRNRS></BANKMSGSRSV1>',
+        '</OFX>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Escape text for an iCalendar property value
+ * @private
+ */
+function escapeIcsText(text) {
+    return String(text || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold an iCalendar content line at 75 characters
+ * @private
+ */
+function foldIcsLine(line) {
+    const parts = [];
+    let rest = line;
+    while (rest.length > 75) {
+        parts.push(rest.slice(0, 75));
+        rest = ` ${rest.slice(75)}`;
+    }
+    parts.push(rest);
+    return parts.join('\r\n');
+}
+
+/**
+ * Upcoming unpaid due dates as an iCalendar feed
+ *
+ * @function billsToIcs
+ * @param {Array<Object>} bills - Bills to put in the calendar
+ * @param {Date} [now=new Date()] - Export time; bills due before today are left out
+ * @returns {string} iCalendar text
+ *
+ * @description Each bill becomes an all-day event on its due date. The occurrences of a
+ *   recurring series become one event starting at the next unpaid occurrence, repeating
+ *   with the series' RRULE, with later paid occurrences excluded. UIDs are stable, so
+ *   importing a newer export updates the calendar instead of duplicating events.
+ */
+export function billsToIcs(bills, now = new Date()) {
+    const today = formatLocalDate(now);
+    const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const events = [];
+
+    const groups = new Map();
+    bills.forEach(bill => {
+        if (!bill.dueDate) return;
+        const key = bill.seriesId && toRRule(bill) ? `series-${bill.seriesId}` : `bill-${bill.id}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(bill);
+    });
+
+    groups.forEach((group, key) => {
+        const sorted = [...group].sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+        const next = sorted.find(bill => !bill.isPaid && bill.dueDate >= today);
+        if (!next) return;
+
+        const rrule = key.startsWith('series-') ? toRRule(next) : null;
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${key}@bill-tracker`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${compactDate(next.dueDate)}`,
+            `DTEND;VALUE=DATE:${compactDate(dayAfter(next.dueDate))}`,
+            `SUMMARY:${escapeIcsText(`${next.name} due ($${toAmount(next.amountDue)})`)}`
+        ];
+        if (rrule) {
+            lines.push(`RRULE:${rrule}`);
+            sorted.filter(bill => bill.isPaid && bill.dueDate > next.dueDate)
+                .forEach(bill => lines.push(`EXDATE;VALUE=DATE:${compactDate(bill.dueDate)}`));
+        }
+        const description = [next.category && `Category: ${next.category}`, next.notes].filter(Boolean).join('\n');
+        if (description) lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+        if (next.category) lines.push(`CATEGORIES:${escapeIcsText(next.category)}`);
+        if (next.website) lines.push(`URL:${next.website}`);
+        lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+        events.push({ date: next.dueDate, lines });
+    });
+
+    const body = events
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .flatMap(event => event.lines);
+
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Bill Tracker//Due Dates//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:Bill due dates',
+        ...body,
+        'END:VCALENDAR'
+    ].map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Build an export file
+ *
+ * @function buildExport
+ * @param {string} formatId - Id from EXPORT_FORMATS other than 'json'
+ * @param {Array<Object>} bills - Bills to export
+ * @param {Date} [now=new Date()] - Export time
+ * @returns {{content: string, fileName: string, mimeType: string}} File to download
+ * @throws {Error} When the format is unknown
+ */
+export function buildExport(formatId, bills, now = new Date()) {
+    const format = EXPORT_FORMATS.find(f => f.id === formatId);
+    const builders = {
+        'bills-csv': ['bills', () => billsToCsv(bills)],
+        'payments-csv': ['payments', () => paymentsToCsv(bills)],
+        qif: ['payments', () => paymentsToQif(bills)],
+        ofx: ['payments', () => paymentsToOfx(bills, now)],
+        ics: ['due-dates', () => billsToIcs(bills, now)]
+    };
+    if (!format || !builders[formatId]) {
+        throw new Error(`Unknown export format: ${formatId}`);
+    }
+
+    const [name, build] = builders[formatId];
+    return {
+        content: build(),
+        fileName: `bill-tracker-${name}-${formatLocalDate(now)}.${format.extension}`,
+        mimeType: format.mimeType
+    };
+}
@@ -0,0 +1,183 @@
+/**
+ * Import Merge
+ *
+ * Works out what importing a file would do to the current bills, so the user can
+ * review it before anything is applied.
+ *
+ * Modes:
+ * - merge: bills matching a current bill are updated with the fields the file provides;
+ *   the rest are added
+ * - append: bills matching a current bill are skipped; the rest are added
+ * - replace: the file's bills replace all current bills
+ *
+ * A bill matches when it has the same id, or else the same name, category and due date
+ * (case and surrounding spaces ignored). Bills listed twice in the file are imported once.
+ *
+ * @module importMerge
+ * @requires recurrence
+ */
+
+import { fromRRule, normalizeRecurrence } from './recurrence.js';
+
+/** Import modes, in the order they are offered */
+export const IMPORT_MODES = ['merge', 'append', 'replace'];
+
+// Bookkeeping fields that do not count as changes when merging
+const IGNORED_FIELDS = ['id', 'updatedAt'];
+
+/**
+ * Key matching bills with the same name, category and due date
+ *
+ * @function billMatchKey
+ * @param {Object} bill - Bill
+ * @returns {string} Match key
+ */
+export function billMatchKey(bill) {
+    const text = value => String(value || '').trim().toLowerCase();
+    return `${text(bill.name)}|${text(bill.category)}|${bill.dueDate || ''}`;
+}
+
+/**
+ * Normalize the fields an imported bill provides (recurrence names, RRULE schedules)
+ * without filling in anything it left out
+ *
+ * @function normalizeImportedBill
+ * @param {Object} bill - Bill as read from the file
+ * @returns {Object} Normalized copy
+ * @throws {Error} When the bill's RRULE cannot be read
+ */
+export function normalizeImportedBill(bill) {
+    const newBill = { ...bill };
+
+    // Normalize recurrence to proper capitalization
+    // Handles lowercase imports like 'monthly' → 'Monthly'
+    if (newBill.recurrence) {
+        newBill.recurrence = normalizeRecurrence(newBill.recurrence);
+    }
+
+    // Bills from other apps may only describe their schedule as an RRULE
+    if (newBill.rrule) {
+        if (!newBill.recurrence || (newBill.recurrence === 'Custom' && !newBill.recurrenceRule)) {
+            try {
+                Object.assign(newBill, fromRRule(newBill.rrule));
+            } catch (error) {
+                throw new Error(`Bill "${newBill.name || newBill.id}": ${error.message}`);
+            }
+        }
+        delete newBill.rrule;
+    }
+
+    return newBill;
+}
+
+/**
+ * Give a new imported bill an ID and the fields the app expects
+ *
+ * @function prepareImportedBill
+ * @param {Object} bill - Bill as read from the file
+ * @returns {Object} Bill ready to add
+ */
+export function prepareImportedBill(bill) {
+    const newBill = normalizeImportedBill(bill);
+
+    // Generate a unique ID if missing or seems like a placeholder
+    // We use Date.now() + a random string for uniqueness
+    if (!newBill.id) {
+        newBill.id = Date.now().toString() + Math.random().toString(36).substr(2, 9);
+    }
+
+    // Ensure required fields have at least empty values/defaults
+    if (!newBill.paymentHistory) newBill.paymentHistory = [];
+    if (newBill.isPaid === undefined) newBill.isPaid = false;
+    if (newBill.balance === undefined) newBill.balance = newBill.amountDue || 0;
+
+    return newBill;
+}
+
+/**
+ * Plan an import
+ *
+ * @function planImport
+ * @param {Array<Object>} existingBills - Current bills
+ * @param {Array<Object>} importedBills - Bills as read from the file
+ * @param {string} [mode='merge'] - 'merge', 'append' or 'replace'
+ * @returns {Object} Plan { mode, bills, added, updated, skipped, removed }:
+ *   - bills: The bills after the import
+ *   - added: New bills
+ *   - updated: { before, after, fields } for each bill the file changes
+ *   - skipped: { bill, reason } for file bills that are not imported
+ *   - removed: Current bills the import removes (replace mode)
+ * @throws {Error} When the mode is unknown or a bill's RRULE cannot be read
+ *
+ * @description In merge mode only the fields present in the file are updated, so a CSV
+ *   without payment columns keeps each bill's payments. Matching bills the file does not
+ *   change are skipped as unchanged.
+ */
+export function planImport(existingBills, importedBills, mode = 'merge') {
+    if (!IMPORT_MODES.includes(mode)) {
+        throw new Error(`Unknown import mode: ${mode}`);
+    }
+
+    const plan = { mode, bills: [], added: [], updated: [], skipped: [], removed: [] };
+
+    // Bills listed more than once in the file are imported once
+    const seenIds = new Set();
+    const seenKeys = new Set();
+    const incoming = [];
+    importedBills.forEach(raw => {
+        const bill = normalizeImportedBill(raw);
+        const key = billMatchKey(bill);
+        if ((bill.id && seenIds.has(bill.id)) || seenKeys.has(key)) {
+            plan.skipped.push({ bill, reason: 'Listed twice in the file' });
+            return;
+        }
+        if (bill.id) seenIds.add(bill.id);
+        seenKeys.add(key);
+        incoming.push(bill);
+    });
+
+    if (mode === 'replace') {
+        plan.added = incoming.map(prepareImportedBill);
+        plan.removed = [...existingBills];
+        plan.bills = [...plan.added];
+        return plan;
+    }
+
+    const byId = new Map(existingBills.map(bill => [bill.id, bill]));
+    const byKey = new Map();
+    existingBills.forEach(bill => {
+        if (!byKey.has(billMatchKey(bill))) byKey.set(billMatchKey(bill), bill);
+    });
+    const replacements = new Map();
+
+    incoming.forEach(bill => {
+        const match = (bill.id && byId.get(bill.id)) || byKey.get(billMatchKey(bill));
+        if (!match) {
+            plan.added.push(prepareImportedBill(bill));
+            return;
+        }
+        if (mode === 'append' || replacements.has(match.id)) {
+            plan.skipped.push({ bill, reason: mode === 'append' ? 'Already exists' : 'Matches a bill already updated' });
+            return;
+        }
+
+        const fields = Object.keys(bill).filter(field =>
+            !IGNORED_FIELDS.includes(field) && JSON.stringify(bill[field]) !== JSON.stringify(match[field]));
+        if (fields.length === 0) {
+            plan.skipped.push({ bill, reason: 'Unchanged' });
+            return;
+        }
+        const after = { ...match };
+        fields.forEach(field => {
+            after[field] = bill[field];
+        });
+        replacements.set(match.id, after);
+        plan.updated.push({ before: match, after, fields });
+    });
+
+    plan.bills = [
+        ...existingBills.map(bill => replacements.get(bill.id) || bill),
+        ...plan.added
+    ];
+    return plan;
+}
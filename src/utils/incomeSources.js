@@ -0,0 +1,183 @@
+/**
+ * Income Source Utilities
+ *
+ * A household can have several named income sources, each with its own pay
+ * schedule and net pay. The top-level payment settings describe the primary
+ * source; extra sources live in paymentSettings.additionalIncomeSources.
+ * Additional sources share the primary source's business day and holiday
+ * options unless they set their own.
+ *
+ * @module incomeSources
+ * @requires paySchedule
+ * @requires dates
+ */
+
+import { generateScheduleDates, validateScheduleOptions } from './paySchedule.js';
+import { formatLocalDate } from './dates.js';
+
+/**
+ * Id of the income source described by the top-level payment settings
+ * @type {string}
+ */
+export const PRIMARY_SOURCE_ID = 'primary';
+
+/**
+ * Default display name of the primary income source
+ * @type {string}
+ */
+export const DEFAULT_PRIMARY_SOURCE_NAME = 'My paycheck';
+
+/**
+ * Schedule and pay fields copied from the top-level settings for the primary source
+ * @private
+ */
+const SOURCE_FIELDS = [
+    'startDate', 'frequency', 'semiMonthlyDays', 'customRule',
+    'businessDayAdjust', 'holidays', 'netPay', 'payOverrides'
+];
+
+/**
+ * List every income source defined in payment settings
+ *
+ * @function getIncomeSources
+ * @param {Object} settings - Payment settings
+ * @returns {Array<Object>} Sources with id, name and schedule fields; the primary source is first
+ *
+ * @example
+ * getIncomeSources({ startDate: '2026-11-05', frequency: 'bi-weekly', primarySourceName: 'Alex' });
+ * // [{ id: 'primary', name: 'Alex', startDate: '2026-11-05', frequency: 'bi-weekly', ... }]
+ */
+export function getIncomeSources(settings) {
+    const primary = { id: PRIMARY_SOURCE_ID, name: settings.primarySourceName || DEFAULT_PRIMARY_SOURCE_NAME };
+    SOURCE_FIELDS.forEach(field => {
+        if (settings[field] !== undefined) primary[field] = settings[field];
+    });
+
+    const additional = (settings.additionalIncomeSources || []).map(source => ({
+        businessDayAdjust: settings.businessDayAdjust,
+        holidays: settings.holidays,
+        ...source
+    }));
+
+    return [primary, ...additional];
+}
+
+/**
+ * Create a unique id for a new income source
+ *
+ * @function createIncomeSourceId
+ * @returns {string} Id such as "src-lq2x9k-4f7a"
+ */
+export function createIncomeSourceId() {
+    return `src-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 4)}`;
+}
+
+/**
+ * Validate the additional income sources of payment settings
+ *
+ * @function validateIncomeSources
+ * @param {*} sources - Value of paymentSettings.additionalIncomeSources
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validateIncomeSources(sources) {
+    if (sources === undefined || sources === null) return [];
+    if (!Array.isArray(sources)) return ['Additional income sources must be a list'];
+
+    const errors = [];
+    const seenIds = new Set([PRIMARY_SOURCE_ID]);
+
+    sources.forEach((source, index) => {
+        const label = source && typeof source.name === 'string' && source.name.trim()
+            ? source.name.trim()
+            : `Income source ${index + 2}`;
+
+        if (!source || typeof source !== 'object') {
+            errors.push(`${label}: must be an object`);
+            return;
+        }
+
+        if (typeof source.id !== 'string' || !source.id || seenIds.has(source.id)) {
+            errors.push(`${label}: needs a unique id`);
+        } else {
+            seenIds.add(source.id);
+        }
+
+        if (typeof source.name !== 'string' || !source.name.trim()) {
+            errors.push(`${label}: name is required`);
+        }
+
+        if (typeof source.startDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(source.startDate)) {
+            errors.push(`${label}: first paycheck date must be in YYYY-MM-DD format`);
+        }
+
+        validateScheduleOptions(source).forEach(error => errors.push(`${label}: ${error}`));
+
+        if (source.netPay !== undefined && source.netPay !== null &&
+            (typeof source.netPay !== 'number' || isNaN(source.netPay) || source.netPay < 0)) {
+            errors.push(`${label}: net pay must be zero or a positive number`);
+        }
+
+        if (source.payOverrides !== undefined && source.payOverrides !== null) {
+            const overrides = source.payOverrides;
+            const validOverrides = typeof overrides === 'object' && !Array.isArray(overrides) &&
+                Object.entries(overrides).every(([date, amount]) =>
+                    /^\d{4}-\d{2}-\d{2}$/.test(date) && typeof amount === 'number' && amount >= 0
+                );
+            if (!validOverrides) {
+                errors.push(`${label}: paycheck overrides must map YYYY-MM-DD dates to non-negative amounts`);
+            }
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Merge the schedules of several income sources into one paycheck timeline
+ *
+ * @function buildPaycheckTimeline
+ * @param {Array<Object>} sources - Income sources from getIncomeSources()
+ * @param {number} count - Number of paychecks to include
+ * @param {Date} [today=new Date()] - Reference date
+ * @returns {{dates: Date[], sourceIds: string[][], nextDate: Date}} Paycheck dates in order,
+ *   the ids of the sources paying on each date, and the paycheck after the last one
+ *
+ * @description The timeline starts at the most recent paycheck from any source
+ *   (or the earliest upcoming one when no source has paid yet). Sources paying on
+ *   the same day share a single timeline entry.
+ */
+export function buildPaycheckTimeline(sources, count, today = new Date()) {
+    const reference = new Date(today);
+    reference.setHours(0, 0, 0, 0);
+
+    // Two extra dates per source guarantee no source is missing from the first count + 1 entries
+    const schedules = sources.map(source => ({
+        id: source.id,
+        dates: generateScheduleDates(source, count + 2, reference).dates
+    }));
+
+    const byDay = new Map();
+    schedules.forEach(({ id, dates }) => {
+        dates.forEach(date => {
+            const key = formatLocalDate(date);
+            if (!byDay.has(key)) byDay.set(key, { date, sourceIds: [] });
+            byDay.get(key).sourceIds.push(id);
+        });
+    });
+
+    const firstDates = schedules.map(schedule => schedule.dates[0]);
+    const paidAlready = firstDates.filter(date => date <= reference);
+    const start = paidAlready.length > 0
+        ? new Date(Math.max(...paidAlready))
+        : new Date(Math.min(...firstDates));
+
+    const entries = [...byDay.values()]
+        .filter(entry => entry.date >= start)
+        .sort((a, b) => a.date - b.date);
+
+    return {
+        dates: entries.slice(0, count).map(entry => entry.date),
+        sourceIds: entries.slice(0, count).map(entry => entry.sourceIds),
+        nextDate: entries[count] ? entries[count].date : null
+    };
+}
@@ -1,15 +1,41 @@
 /**
  * IndexedDB Utilities
  * 
- * Provides basic IndexedDB support for offline data persistence
- * and transaction queuing.
+ * Provides basic IndexedDB support for offline data persistence,
+ * transaction queuing, restore points and attachment files.
+ *
+ * Bills, series templates, trashed bills and tombstones are stored one record
+ * per object store entry (see billStorage). Bills are indexed by dueDate,
+ * category and seriesId. The billMeta store keeps the order of each collection
+ * and the schema version of the stored bills. The syncBase store keeps the records
+ * of the last cloud sync (see billSync).
  */
 
 import logger from './logger.js';
 
 const DB_NAME = 'BillTrackerOfflineDB';
-const DB_VERSION = 1;
+const DB_VERSION = 5;
 const STORE_NAME = 'offlineQueue';
+const RESTORE_POINT_STORE = 'restorePoints';
+const BILL_META_STORE = 'billMeta';
+const ATTACHMENT_STORE = 'attachments';
+const SYNC_BASE_STORE = 'syncBase';
+
+/**
+ * Object store and key field of each bill collection
+ * @type {Object<string, {store: string, keyPath: string}>}
+ */
+export const BILL_RECORD_STORES = {
+    bills: { store: 'bills', keyPath: 'id' },
+    series: { store: 'billSeries', keyPath: 'seriesId' },
+    trash: { store: 'billTrash', keyPath: 'id' },
+    tombstones: { store: 'billTombstones', keyPath: 'id' }
+};
+
+/** Indexes on the bills store */
+export const BILL_INDEXES = ['dueDate', 'category', 'seriesId'];
+
+const BILL_STORE_NAMES = [...Object.values(BILL_RECORD_STORES).map(({ store }) => store), BILL_META_STORE];
 
 /**
  * Initialize IndexedDB
@@ -33,6 +59,25 @@ export const initDB = () => {
             if (!db.objectStoreNames.contains(STORE_NAME)) {
                 db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
             }
+            if (!db.objectStoreNames.contains(RESTORE_POINT_STORE)) {
+                db.createObjectStore(RESTORE_POINT_STORE, { keyPath: 'id' });
+            }
+            Object.entries(BILL_RECORD_STORES).forEach(([collection, { store, keyPath }]) => {
+                if (db.objectStoreNames.contains(store)) return;
+                const objectStore = db.createObjectStore(store, { keyPath });
+                if (collection === 'bills') {
+                    BILL_INDEXES.forEach(index => objectStore.createIndex(index, index));
+                }
+            });
+            if (!db.objectStoreNames.contains(BILL_META_STORE)) {
+                db.createObjectStore(BILL_META_STORE, { keyPath: 'key' });
+            }
+            if (!db.objectStoreNames.contains(ATTACHMENT_STORE)) {
+                db.createObjectStore(ATTACHMENT_STORE, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(SYNC_BASE_STORE)) {
+                db.createObjectStore(SYNC_BASE_STORE, { keyPath: 'id' });
+            }
         };
     });
 };
@@ -90,3 +135,271 @@ export const removeQueuedTransaction = async (id) => {
         request.onerror = () => reject(request.error);
     });
 };
+
+/**
+ * Save a restore point
+ * @param {Object} point - Restore point (see restorePoints.createRestorePoint)
+ * @returns {Promise<void>}
+ */
+export const addRestorePoint = async (point) => {
+    const db = await initDB();
+    const tx = db.transaction(RESTORE_POINT_STORE, 'readwrite');
+    const store = tx.objectStore(RESTORE_POINT_STORE);
+
+    return new Promise((resolve, reject) => {
+        const request = store.put(point);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+};
+
+/**
+ * Get all restore points
+ * @returns {Promise<Array>}
+ */
+export const getRestorePoints = async () => {
+    const db = await initDB();
+    const tx = db.transaction(RESTORE_POINT_STORE, 'readonly');
+    const store = tx.objectStore(RESTORE_POINT_STORE);
+
+    return new Promise((resolve, reject) => {
+        const request = store.getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+};
+
+/**
+ * Delete restore points
+ * @param {Array<string>} ids - IDs of the restore points to delete
+ * @returns {Promise<void>}
+ */
+export const deleteRestorePoints = async (ids) => {
+    if (ids.length === 0) return;
+    const db = await initDB();
+    const tx = db.transaction(RESTORE_POINT_STORE, 'readwrite');
+    const store = tx.objectStore(RESTORE_POINT_STORE);
+    ids.forEach(id => store.delete(id));
+
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+};
+
+/**
+ * Resolve when a transaction has committed
+ * @param {IDBTransaction} tx - Transaction
+ * @returns {Promise<void>}
+ */
+const whenComplete = (tx) => new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+});
+
+/**
+ * Read a whole object store
+ * @param {IDBTransaction} tx - Transaction covering the store
+ * @param {string} storeName - Object store
+ * @returns {Promise<Array>}
+ */
+const readAll = (tx, storeName) => new Promise((resolve, reject) => {
+    const request = tx.objectStore(storeName).getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Write the order of each collection and the schema version
+ * @param {IDBTransaction} tx - Read-write transaction covering billMeta
+ * @param {Object<string, Array<string>>} orders - Record keys in order, by collection
+ * @param {number} schemaVersion - Schema version of the stored bills
+ */
+const putBillMeta = (tx, orders, schemaVersion) => {
+    const meta = tx.objectStore(BILL_META_STORE);
+    Object.entries(orders).forEach(([collection, order]) => {
+        meta.put({ key: `order:${collection}`, value: order });
+    });
+    meta.put({ key: 'schemaVersion', value: schemaVersion });
+};
+
+/**
+ * Load every stored bill collection
+ * @returns {Promise<Object|null>} { collections: { bills, series, trash, tombstones }, schemaVersion },
+ *   or null when bills were never stored in IndexedDB
+ */
+export const loadBillRecords = async () => {
+    const db = await initDB();
+    const tx = db.transaction(BILL_STORE_NAMES, 'readonly');
+    const entries = Object.entries(BILL_RECORD_STORES);
+    const [metaEntries, ...stored] = await Promise.all([
+        readAll(tx, BILL_META_STORE),
+        ...entries.map(([, { store }]) => readAll(tx, store))
+    ]);
+    const meta = new Map(metaEntries.map(entry => [entry.key, entry.value]));
+    if (!meta.has('schemaVersion')) return null;
+
+    const collections = {};
+    entries.forEach(([collection, { keyPath }], i) => {
+        // Records come back in key order; restore the order they were saved in
+        const order = new Map((meta.get(`order:${collection}`) || []).map((key, index) => [key, index]));
+        const position = record => (order.has(record[keyPath]) ? order.get(record[keyPath]) : order.size);
+        collections[collection] = stored[i].sort((a, b) => position(a) - position(b));
+    });
+    return { collections, schemaVersion: meta.get('schemaVersion') };
+};
+
+/**
+ * Write changed bill records in one transaction
+ * @param {Array<Object>} changes - { collection, key, after } per changed record; after is
+ *   null for deleted records (see storeHistory.updateSnapshot)
+ * @param {Object<string, Array<string>>} orders - New order of the collections whose order changed
+ * @param {number} schemaVersion - Schema version of the stored bills
+ * @returns {Promise<void>} Resolves once the transaction has committed
+ */
+export const writeBillRecords = async (changes, orders, schemaVersion) => {
+    const db = await initDB();
+    const tx = db.transaction(BILL_STORE_NAMES, 'readwrite');
+    changes.forEach(({ collection, key, after }) => {
+        const store = tx.objectStore(BILL_RECORD_STORES[collection].store);
+        if (after === null) {
+            store.delete(key);
+        } else {
+            store.put(after);
+        }
+    });
+    putBillMeta(tx, orders, schemaVersion);
+    return whenComplete(tx);
+};
+
+/**
+ * Replace every stored bill collection in one transaction
+ * @param {Object<string, Array<Object>>} collections - { bills, series, trash, tombstones }
+ * @param {number} schemaVersion - Schema version of the bills
+ * @returns {Promise<void>} Resolves once the transaction has committed
+ */
+export const replaceBillRecords = async (collections, schemaVersion) => {
+    const db = await initDB();
+    const tx = db.transaction(BILL_STORE_NAMES, 'readwrite');
+    const orders = {};
+    Object.entries(BILL_RECORD_STORES).forEach(([collection, { store, keyPath }]) => {
+        const objectStore = tx.objectStore(store);
+        const records = collections[collection] || [];
+        objectStore.clear();
+        records.forEach(record => objectStore.put(record));
+        orders[collection] = records.map(record => record[keyPath]);
+    });
+    putBillMeta(tx, orders, schemaVersion);
+    return whenComplete(tx);
+};
+
+/**
+ * Find stored bills through one of their indexes
+ * @param {string} index - 'dueDate', 'category' or 'seriesId'
+ * @param {IDBKeyRange|string} query - Value or range, e.g. IDBKeyRange.bound('2026-11-01', '2026-11-30')
+ * @returns {Promise<Array<Object>>} Matching bills
+ */
+export const queryBills = async (index, query) => {
+    const db = await initDB();
+    const tx = db.transaction(BILL_RECORD_STORES.bills.store, 'readonly');
+
+    return new Promise((resolve, reject) => {
+        const request = tx.objectStore(BILL_RECORD_STORES.bills.store).index(index).getAll(query);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+};
+
+/**
+ * Save an attachment file
+ * @param {Object} record - { id, blob, name, type, size, addedAt, remotePath }
+ * @returns {Promise<void>}
+ */
+export const putAttachment = async (record) => {
+    const db = await initDB();
+    const tx = db.transaction(ATTACHMENT_STORE, 'readwrite');
+    tx.objectStore(ATTACHMENT_STORE).put(record);
+    return whenComplete(tx);
+};
+
+/**
+ * Get an attachment file
+ * @param {string} id - Attachment ID
+ * @returns {Promise<Object|undefined>} Stored record, undefined when not on this device
+ */
+export const getAttachment = async (id) => {
+    const db = await initDB();
+    const tx = db.transaction(ATTACHMENT_STORE, 'readonly');
+
+    return new Promise((resolve, reject) => {
+        const request = tx.objectStore(ATTACHMENT_STORE).get(id);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+};
+
+/**
+ * IDs of all attachment files stored on this device
+ * @returns {Promise<Array<string>>}
+ */
+export const getAttachmentIds = async () => {
+    const db = await initDB();
+    const tx = db.transaction(ATTACHMENT_STORE, 'readonly');
+
+    return new Promise((resolve, reject) => {
+        const request = tx.objectStore(ATTACHMENT_STORE).getAllKeys();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+};
+
+/**
+ * Delete attachment files
+ * @param {Array<string>} ids - Attachment IDs
+ * @returns {Promise<void>}
+ */
+export const deleteAttachments = async (ids) => {
+    if (ids.length === 0) return;
+    const db = await initDB();
+    const tx = db.transaction(ATTACHMENT_STORE, 'readwrite');
+    const store = tx.objectStore(ATTACHMENT_STORE);
+    ids.forEach(id => store.delete(id));
+    return whenComplete(tx);
+};
+
+/**
+ * Load the records of the last cloud sync
+ * @returns {Promise<Array<Object>>} Sync records (empty before the first sync)
+ */
+export const loadSyncBaseRecords = async () => {
+    const db = await initDB();
+    const tx = db.transaction(SYNC_BASE_STORE, 'readonly');
+    return readAll(tx, SYNC_BASE_STORE);
+};
+
+/**
+ * Write changed sync records and delete the ones no longer synced, in one transaction
+ * @param {Array<Object>} records - Sync records to put ({ id, bill, deletedAt, version })
+ * @param {Array<string>} deletedIds - Ids of records to delete
+ * @returns {Promise<void>} Resolves once the transaction has committed
+ */
+export const writeSyncBaseRecords = async (records, deletedIds) => {
+    const db = await initDB();
+    const tx = db.transaction(SYNC_BASE_STORE, 'readwrite');
+    const store = tx.objectStore(SYNC_BASE_STORE);
+    records.forEach(record => store.put(record));
+    deletedIds.forEach(id => store.delete(id));
+    return whenComplete(tx);
+};
+
+/**
+ * Forget the records of the last cloud sync
+ * @returns {Promise<void>} Resolves once the transaction has committed
+ */
+export const clearSyncBaseRecords = async () => {
+    const db = await initDB();
+    const tx = db.transaction(SYNC_BASE_STORE, 'readwrite');
+    tx.objectStore(SYNC_BASE_STORE).clear();
+    return whenComplete(tx);
+};
@@ -0,0 +1,284 @@
+/**
+ * Pay Schedule Utilities
+ *
+ * Pure date math for paycheck schedules. Used by PaycheckManager to turn
+ * payment settings into concrete paycheck dates.
+ *
+ * Schedules supported:
+ * - weekly: Every 7 days from the start date
+ * - bi-weekly: Every 14 days from the start date
+ * - semi-monthly: Two fixed days each month (e.g. 15th and last day)
+ * - monthly: Same day-of-month as the start date, clamped to month end
+ * - custom: Rule-based, e.g. "first Friday" or "last Thursday" of each month
+ *
+ * Any schedule can shift paydays that fall on a weekend or listed holiday
+ * back to the previous business day.
+ *
+ * @module paySchedule
+ * @requires dates
+ */
+
+import { createLocalDate, formatLocalDate } from './dates.js';
+
+/**
+ * Supported paycheck frequencies
+ * @type {string[]}
+ */
+export const PAY_FREQUENCIES = ['weekly', 'bi-weekly', 'semi-monthly', 'monthly', 'custom'];
+
+/**
+ * Default semi-monthly pay days (31 is clamped to the last day of each month)
+ * @type {number[]}
+ */
+export const DEFAULT_SEMI_MONTHLY_DAYS = [15, 31];
+
+/**
+ * Fixed step in days for interval schedules
+ * @private
+ */
+const STEP_DAYS = {
+    weekly: 7,
+    'bi-weekly': 14
+};
+
+/**
+ * Approximate period length in days, used only to estimate period ends
+ * @private
+ */
+const APPROX_PERIOD_DAYS = {
+    weekly: 7,
+    'bi-weekly': 14,
+    'semi-monthly': 15,
+    monthly: 30,
+    custom: 30
+};
+
+/**
+ * Build a date for a day-of-month, clamped to the last day of that month
+ *
+ * @function clampedMonthDate
+ * @param {number} year - Full year
+ * @param {number} month - Month index (may overflow, e.g. 13 = Feb next year)
+ * @param {number} day - Desired day-of-month (1-31)
+ * @returns {Date} Local date at midnight
+ *
+ * @example
+ * formatLocalDate(clampedMonthDate(2026, 1, 31)); // "2026-02-28"
+ */
+export function clampedMonthDate(year, month, day) {
+    const lastDay = new Date(year, month + 1, 0).getDate();
+    return new Date(year, month, Math.min(day, lastDay));
+}
+
+/**
+ * Find the nth weekday of a month
+ *
+ * @function nthWeekdayOfMonth
+ * @param {number} year - Full year
+ * @param {number} month - Month index (may overflow)
+ * @param {number} week - 1-4 for first..fourth, -1 for last
+ * @param {number} weekday - 0 (Sunday) to 6 (Saturday)
+ * @returns {Date} Local date at midnight
+ *
+ * @example
+ * formatLocalDate(nthWeekdayOfMonth(2026, 10, 1, 5)); // first Friday of Nov 2026: "2026-11-06"
+ */
+export function nthWeekdayOfMonth(year, month, week, weekday) {
+    if (week === -1) {
+        const last = new Date(year, month + 1, 0);
+        const diff = (last.getDay() - weekday + 7) % 7;
+        return new Date(last.getFullYear(), last.getMonth(), last.getDate() - diff);
+    }
+
+    const first = new Date(year, month, 1);
+    const diff = (weekday - first.getDay() + 7) % 7;
+    return new Date(first.getFullYear(), first.getMonth(), 1 + diff + (week - 1) * 7);
+}
+
+/**
+ * Shift a date back to the previous business day if it falls on a weekend or holiday
+ *
+ * @function adjustToBusinessDay
+ * @param {Date} date - Scheduled payday
+ * @param {string[]} [holidays=[]] - Holiday dates in YYYY-MM-DD format
+ * @returns {Date} New date on a weekday that is not a holiday
+ */
+export function adjustToBusinessDay(date, holidays = []) {
+    const holidaySet = new Set(holidays);
+    const adjusted = new Date(date);
+    while (adjusted.getDay() === 0 || adjusted.getDay() === 6 || holidaySet.has(formatLocalDate(adjusted))) {
+        adjusted.setDate(adjusted.getDate() - 1);
+    }
+    return adjusted;
+}
+
+/**
+ * Get the sorted, de-duplicated semi-monthly pay days from settings
+ * @private
+ */
+function getSemiMonthlyDays(settings) {
+    const days = Array.isArray(settings.semiMonthlyDays) && settings.semiMonthlyDays.length > 0
+        ? settings.semiMonthlyDays
+        : DEFAULT_SEMI_MONTHLY_DAYS;
+    return [...new Set(days)].sort((a, b) => a - b);
+}
+
+/**
+ * Create a function returning the nth scheduled (unadjusted) payday
+ *
+ * @function createNominalSchedule
+ * @param {Object} settings - Payment settings
+ * @returns {Function} (n: number) => Date, where n = 0 is the first payday on or after startDate
+ */
+export function createNominalSchedule(settings) {
+    const start = createLocalDate(settings.startDate);
+    const year = start.getFullYear();
+    const month = start.getMonth();
+
+    switch (settings.frequency) {
+        case 'weekly':
+        case 'bi-weekly': {
+            const step = STEP_DAYS[settings.frequency];
+            return (n) => new Date(year, month, start.getDate() + n * step);
+        }
+
+        case 'monthly': {
+            const anchorDay = start.getDate();
+            return (n) => clampedMonthDate(year, month + n, anchorDay);
+        }
+
+        case 'semi-monthly': {
+            const days = getSemiMonthlyDays(settings);
+            let offset = days.findIndex(day => clampedMonthDate(year, month, day) >= start);
+            if (offset === -1) offset = days.length;
+            return (n) => {
+                const total = offset + n;
+                return clampedMonthDate(year, month + Math.floor(total / days.length), days[total % days.length]);
+            };
+        }
+
+        case 'custom': {
+            const { week, weekday } = settings.customRule;
+            const monthOffset = nthWeekdayOfMonth(year, month, week, weekday) >= start ? 0 : 1;
+            return (n) => nthWeekdayOfMonth(year, month + monthOffset + n, week, weekday);
+        }
+
+        default:
+            throw new Error(`Unsupported pay frequency: ${settings.frequency}`);
+    }
+}
+
+/**
+ * Generate paycheck dates starting from the most recent payday on or before today
+ *
+ * @function generateScheduleDates
+ * @param {Object} settings - Payment settings (startDate, frequency, schedule options)
+ * @param {number} count - Number of paycheck dates to return
+ * @param {Date} [today=new Date()] - Reference date
+ * @returns {{dates: Date[], nextDate: Date}} Paycheck dates and the payday that follows the last one
+ *
+ * @description Includes the current/most recent pay period (helpful for first-time users).
+ *   When the start date is in the future, generation begins at the start date.
+ *   Paydays are shifted to the previous business day when businessDayAdjust is 'previous'.
+ */
+export function generateScheduleDates(settings, count, today = new Date()) {
+    const reference = new Date(today);
+    reference.setHours(0, 0, 0, 0);
+
+    const nominal = createNominalSchedule(settings);
+    const shiftToBusinessDay = settings.businessDayAdjust === 'previous';
+    const holidays = settings.holidays || [];
+    const payDateAt = (n) => {
+        const date = nominal(n);
+        return shiftToBusinessDay ? adjustToBusinessDay(date, holidays) : date;
+    };
+
+    let first = 0;
+    const step = STEP_DAYS[settings.frequency];
+    if (step) {
+        // Fixed-step schedules can jump straight to the current period
+        const diffMs = reference.getTime() - nominal(0).getTime();
+        if (diffMs > 0) {
+            first = Math.floor(diffMs / (step * 24 * 60 * 60 * 1000));
+        }
+    }
+    while (payDateAt(first + 1) <= reference) {
+        first++;
+    }
+    while (first > 0 && payDateAt(first) > reference) {
+        first--;
+    }
+
+    const dates = [];
+    for (let i = 0; i < count; i++) {
+        dates.push(payDateAt(first + i));
+    }
+
+    return { dates, nextDate: payDateAt(first + count) };
+}
+
+/**
+ * Approximate length of one pay period in days
+ *
+ * @function getApproximatePeriodDays
+ * @param {string} frequency - Pay frequency
+ * @returns {number} Days per period (defaults to 14 for unknown frequencies)
+ */
+export function getApproximatePeriodDays(frequency) {
+    return APPROX_PERIOD_DAYS[frequency] || 14;
+}
+
+/**
+ * Validate the schedule-specific options of payment settings
+ *
+ * @function validateScheduleOptions
+ * @param {Object} settings - Payment settings
+ * @returns {string[]} Error messages (empty when valid)
+ *
+ * @example
+ * validateScheduleOptions({ frequency: 'custom', customRule: { week: 1, weekday: 5 } }); // []
+ */
+export function validateScheduleOptions(settings) {
+    const errors = [];
+    // Compared as stored: schedules switch on the exact value
+    const { frequency } = settings;
+
+    if (!PAY_FREQUENCIES.includes(frequency)) {
+        errors.push(`Frequency must be one of: ${PAY_FREQUENCIES.join(', ')}`);
+        return errors;
+    }
+
+    if (frequency === 'semi-monthly' && settings.semiMonthlyDays !== undefined) {
+        const days = settings.semiMonthlyDays;
+        const validDays = Array.isArray(days) && days.length === 2 &&
+            days.every(day => Number.isInteger(day) && day >= 1 && day <= 31) &&
+            days[0] !== days[1];
+        if (!validDays) {
+            errors.push('Semi-monthly pay days must be two different days between 1 and 31');
+        }
+    }
+
+    if (frequency === 'custom') {
+        const rule = settings.customRule;
+        const validRule = rule && typeof rule === 'object' &&
+            [1, 2, 3, 4, -1].includes(rule.week) &&
+            Number.isInteger(rule.weekday) && rule.weekday >= 0 && rule.weekday <= 6;
+        if (!validRule) {
+            errors.push('Custom schedule needs a week (first-fourth or last) and a weekday');
+        }
+    }
+
+    if (settings.businessDayAdjust !== undefined && !['none', 'previous'].includes(settings.businessDayAdjust)) {
+        errors.push("Business day adjustment must be 'none' or 'previous'");
+    }
+
+    if (settings.holidays !== undefined) {
+        const validHolidays = Array.isArray(settings.holidays) &&
+            settings.holidays.every(date => typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date));
+        if (!validHolidays) {
+            errors.push('Holidays must be a list of YYYY-MM-DD dates');
+        }
+    }
+
+    return errors;
+}
@@ -3,29 +3,40 @@
  * 
  * Handles all paycheck-related operations including:
  * - Paycheck date generation based on payment frequency
- * - Recurring bill generation for upcoming paychecks
+ * - Recurring bill generation for upcoming paychecks from series templates
  * - Bill date updates and recalculation
  * - Payment settings management with validation
+ * - Net pay amounts per paycheck with optional per-date overrides
+ * - Multiple named income sources merged into one paycheck timeline
  * - Safe storage access with fallback defaults
  * 
  * Payment frequencies supported:
  * - Weekly: Every 7 days
  * - Bi-weekly: Every 14 days
- * - Semi-monthly: 15th and last day of month
- * - Monthly: Same day each month
- * - Annual: Same day each year
+ * - Semi-monthly: Two set days each month (default 15th and last day)
+ * - Monthly: Same day each month, clamped to month end
+ * - Custom: Rule-based, e.g. first Friday of each month
+ * 
+ * Paydays on weekends or holidays can be shifted to the previous business day.
  * 
  * @module paycheckManager
  * @requires dates
+ * @requires paySchedule
+ * @requires incomeSources
  * @requires BillStore
  * @requires errorHandling
  */
 
-import { createLocalDate, formatLocalDate, calculateNextDueDate } from './dates.js';
+import { createLocalDate, formatLocalDate } from './dates.js';
+import { clampedMonthDate, getApproximatePeriodDays, validateScheduleOptions } from './paySchedule.js';
+import { PRIMARY_SOURCE_ID, getIncomeSources, validateIncomeSources, buildPaycheckTimeline } from './incomeSources.js';
+import { validatePaymentAccounts } from './paymentAccounts.js';
+import { getOccurrenceDate, isSeriesOccurrence } from './billSeries.js';
+import { listOccurrences } from './recurrence.js';
 import { billStore } from '../store/BillStore.js';
 import { ValidationError, validateRequired } from './errorHandling.js';
 import StorageManager from './StorageManager.js';
-import { STORAGE_KEYS } from './constants.js';
+import { STORAGE_KEYS, RECURRING_GENERATION } from './constants.js';
 import logger from './logger.js';
 
 /**
@@ -46,6 +57,8 @@ class PaycheckManager {
      */
     constructor() {
         this.payCheckDates = [];
+        this.payCheckSources = [];
+        this.nextPaycheckDate = null;
         this.paymentSettings = this.loadSettings();
         this.generatePaycheckDates();
     }
@@ -54,7 +67,11 @@ class PaycheckManager {
      * Load payment settings from localStorage with validation
      * 
      * @private
-     * @returns {Object} Payment settings object with properties: frequency, startDate, amount
+     * @returns {Object} Payment settings object with properties: frequency, startDate,
+     *   payPeriodsToShow and optional netPay / payOverrides (per-date net pay),
+     *   semiMonthlyDays, customRule, businessDayAdjust, holidays,
+     *   primarySourceName, additionalIncomeSources, paymentAccounts, planMonthsAhead
+     *   and startingBalance / startingBalanceDate / lowBalanceBuffer (cash-flow projection)
      * @description Retrieves settings from localStorage and validates them.
      *   Returns default settings if:
      *   - Settings don't exist
@@ -93,8 +110,9 @@ class PaycheckManager {
             return validation;
         }
 
-        if (!['weekly', 'bi-weekly', 'monthly'].includes(settings.frequency)) {
-            validation.errors.push('Frequency must be weekly, bi-weekly, or monthly');
+        const scheduleErrors = validateScheduleOptions(settings);
+        if (scheduleErrors.length > 0) {
+            validation.errors.push(...scheduleErrors);
             validation.isValid = false;
         }
 
@@ -103,6 +121,56 @@ class PaycheckManager {
             validation.isValid = false;
         }
 
+        if (settings.netPay !== undefined && settings.netPay !== null &&
+            (typeof settings.netPay !== 'number' || isNaN(settings.netPay) || settings.netPay < 0)) {
+            validation.errors.push('Net pay must be zero or a positive number');
+            validation.isValid = false;
+        }
+
+        if (settings.payOverrides !== undefined && settings.payOverrides !== null) {
+            const overrides = settings.payOverrides;
+            const validOverrides = typeof overrides === 'object' && !Array.isArray(overrides) &&
+                Object.entries(overrides).every(([date, amount]) =>
+                    /^\d{4}-\d{2}-\d{2}$/.test(date) && typeof amount === 'number' && amount >= 0
+                );
+            if (!validOverrides) {
+                validation.errors.push('Paycheck overrides must map YYYY-MM-DD dates to non-negative amounts');
+                validation.isValid = false;
+            }
+        }
+
+        if (settings.startingBalance !== undefined && settings.startingBalance !== null &&
+            (typeof settings.startingBalance !== 'number' || !isFinite(settings.startingBalance) ||
+                !/^\d{4}-\d{2}-\d{2}$/.test(settings.startingBalanceDate))) {
+            validation.errors.push('Starting balance must be a number with a YYYY-MM-DD date');
+            validation.isValid = false;
+        }
+
+        if (settings.lowBalanceBuffer !== undefined && settings.lowBalanceBuffer !== null &&
+            (typeof settings.lowBalanceBuffer !== 'number' || isNaN(settings.lowBalanceBuffer) || settings.lowBalanceBuffer < 0)) {
+            validation.errors.push('Low balance buffer must be zero or a positive number');
+            validation.isValid = false;
+        }
+
+        const sourceErrors = validateIncomeSources(settings.additionalIncomeSources);
+        if (sourceErrors.length > 0) {
+            validation.errors.push(...sourceErrors);
+            validation.isValid = false;
+        }
+
+        const accountErrors = validatePaymentAccounts(settings.paymentAccounts);
+        if (accountErrors.length > 0) {
+            validation.errors.push(...accountErrors);
+            validation.isValid = false;
+        }
+
+        if (settings.planMonthsAhead !== undefined && settings.planMonthsAhead !== null &&
+            (!Number.isInteger(settings.planMonthsAhead) || settings.planMonthsAhead < 1 ||
+                settings.planMonthsAhead > RECURRING_GENERATION.MAX_PLAN_MONTHS_AHEAD)) {
+            validation.errors.push(`Plan ahead must be 1 to ${RECURRING_GENERATION.MAX_PLAN_MONTHS_AHEAD} months`);
+            validation.isValid = false;
+        }
+
         return validation;
     }
 
@@ -136,32 +204,16 @@ class PaycheckManager {
                 throw new ValidationError('Missing required paycheck settings', 'paymentSettings');
             }
 
-            const today = new Date();
-            today.setHours(0, 0, 0, 0);
-
             const parsedStartDate = createLocalDate(startDate);
             if (!parsedStartDate || isNaN(parsedStartDate.getTime())) {
                 throw new ValidationError(`Invalid start date format`, 'startDate', startDate);
             }
 
-            const daysBetweenPaychecks =
-                frequency === 'weekly' ? 7 : frequency === 'bi-weekly' ? 14 : 30;
-
-            // Calculate how many periods to skip to start from the most recent paycheck
-            // Using Math.floor includes the current/most recent pay period (helpful for first-time users)
-            // Using Math.ceil would skip to the next future period
-            let periodsToSkip = 0;
-            const diffMs = today.getTime() - parsedStartDate.getTime();
-            if (diffMs > 0) {
-                const msPerPeriod = daysBetweenPaychecks * 24 * 60 * 60 * 1000;
-                periodsToSkip = Math.floor(diffMs / msPerPeriod);
-            }
-
-            for (let i = 0; i < payPeriodsToShow; i++) {
-                const payDate = new Date(parsedStartDate);
-                payDate.setDate(payDate.getDate() + (periodsToSkip + i) * daysBetweenPaychecks);
-                this.payCheckDates.push(payDate);
-            }
+            // Starts from the most recent paycheck so the current pay period is included
+            const { dates, sourceIds, nextDate } = buildPaycheckTimeline(this.getIncomeSources(), payPeriodsToShow);
+            this.payCheckDates = dates;
+            this.payCheckSources = sourceIds;
+            this.nextPaycheckDate = nextDate;
 
             return this.payCheckDates;
         } catch (error) {
@@ -171,214 +223,273 @@ class PaycheckManager {
     }
 
     /**
-     * Get formatted paycheck labels
+     * Get all income sources, primary first
+     *
+     * @returns {Array<Object>} Income sources with id, name and schedule fields
      */
-    getPaycheckLabels() {
-        return this.payCheckDates.map(d =>
-            d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
-        );
+    getIncomeSources() {
+        return getIncomeSources(this.paymentSettings);
     }
 
     /**
-     * Update settings and regenerate dates
+     * Get the accounts bills are paid from
+     *
+     * @returns {Array<Object>} Payment accounts ({id, nickname, type, lastFour}) in settings order
      */
-    updateSettings(newSettings) {
-        try {
-            if (!this.validateSettings(newSettings)) {
-                throw new Error('Invalid payment settings provided');
-            }
-            this.paymentSettings = newSettings;
-            StorageManager.set(STORAGE_KEYS.PAYMENT_SETTINGS, newSettings);
-            this.generatePaycheckDates();
-            return true;
-        } catch (error) {
-            logger.error('Error updating payment settings', error);
-            throw error;
-        }
+    getPaymentAccounts() {
+        return this.paymentSettings.paymentAccounts || [];
     }
 
     /**
-     * Find closest paycheck date on or after target date
+     * Get the checking balance the cash-flow projection starts from
+     *
+     * @returns {Object|null} { startingBalance, startDate, buffer } with startDate the
+     *   YYYY-MM-DD day the balance was entered, or null when no balance is set
      */
-    findClosestPaycheckDate(targetDate) {
-        let closest = null;
-        let minDifference = Infinity;
-
-        for (const payDate of this.payCheckDates) {
-            const payDateClone = new Date(payDate);
-            payDateClone.setHours(0, 0, 0, 0);
-
-            if (payDateClone >= targetDate) {
-                const difference = payDateClone - targetDate;
-                if (difference < minDifference) {
-                    minDifference = difference;
-                    closest = payDateClone;
-                }
-            }
-        }
+    getCashFlowSettings() {
+        const { startingBalance, startingBalanceDate, lowBalanceBuffer } = this.paymentSettings;
+        if (typeof startingBalance !== 'number') return null;
+        return {
+            startingBalance,
+            startDate: startingBalanceDate,
+            buffer: lowBalanceBuffer || 0
+        };
+    }
 
-        return closest;
+    /**
+     * Get the income sources paying on a paycheck date
+     *
+     * @param {Date} payDate - Paycheck date
+     * @returns {Array<Object>} Sources paying that day (primary source when the date is not in the timeline)
+     */
+    getSourcesForPaycheck(payDate) {
+        const dateKey = formatLocalDate(payDate);
+        const index = this.payCheckDates.findIndex(d => formatLocalDate(d) === dateKey);
+        const sourceIds = index >= 0 ? this.payCheckSources[index] : [PRIMARY_SOURCE_ID];
+        return this.getIncomeSources().filter(source => sourceIds.includes(source.id));
     }
 
     /**
-     * Snap bill date to closest paycheck if it falls outside paycheck range
-     * If a bill's due date is beyond the last paycheck, move it to the last available paycheck
-     * 
-     * @param {Date} billDueDate - The bill's due date
-     * @returns {Date} The snapped date (either original if within range, or closest paycheck)
+     * Get formatted paycheck labels
+     *
+     * @returns {string[]} Labels like "Nov 6", with source names appended when
+     *   more than one income source is configured (e.g. "Nov 6 · Alex + Sam")
      */
-    snapBillDateToPaycheck(billDueDate) {
-        if (!billDueDate || !this.payCheckDates || this.payCheckDates.length === 0) {
-            return billDueDate;
-        }
+    getPaycheckLabels() {
+        const showSources = this.getIncomeSources().length > 1;
+        return this.payCheckDates.map(d => {
+            const dateLabel = d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+            if (!showSources) return dateLabel;
+
+            const names = this.getSourcesForPaycheck(d).map(source => source.name);
+            return `${dateLabel} · ${names.join(' + ')}`;
+        });
+    }
 
-        const dateCopy = new Date(billDueDate);
-        dateCopy.setHours(0, 0, 0, 0);
+    /**
+     * Get the net pay amount for a specific paycheck date
+     *
+     * @param {Date} payDate - Paycheck date
+     * @param {string} [sourceId] - Only count this income source
+     * @returns {number|null} Sum of each paying source's override for that date, else its
+     *   default net pay, or null when none of them has a pay amount configured
+     */
+    getPaycheckAmount(payDate, sourceId) {
+        const dateKey = formatLocalDate(payDate);
+        const sources = sourceId
+            ? this.getIncomeSources().filter(source => source.id === sourceId)
+            : this.getSourcesForPaycheck(payDate);
+
+        let total = null;
+        sources.forEach(({ netPay, payOverrides }) => {
+            const amount = payOverrides && typeof payOverrides[dateKey] === 'number'
+                ? payOverrides[dateKey]
+                : netPay;
+            if (typeof amount === 'number') {
+                total = (total || 0) + amount;
+            }
+        });
 
-        const firstPaycheck = new Date(this.payCheckDates[0]);
-        firstPaycheck.setHours(0, 0, 0, 0);
+        return total;
+    }
 
-        const lastPaycheck = new Date(this.payCheckDates[this.payCheckDates.length - 1]);
-        lastPaycheck.setHours(0, 0, 0, 0);
+    /**
+     * Get the pay period a bill is budgeted in
+     *
+     * @param {Object} bill - Bill with dueDate and optional plannedPayDate and incomeSourceId
+     * @param {Array<Date>} [payCheckDates] - Paycheck dates (defaults to generated dates)
+     * @returns {number} Period index, or -1 when the bill falls outside every period
+     *
+     * @description Unassigned bills belong to the period their due date falls in.
+     *   A planned pay date set on the bill overrides that: the bill belongs to the
+     *   period of the day it is planned to be paid. Otherwise bills pinned to an income
+     *   source are paid from that source's latest paycheck on or before the due date;
+     *   if that source has no such paycheck in the timeline the due-date period is used.
+     */
+    getPeriodIndexForBill(bill, payCheckDates = this.payCheckDates) {
+        const findPeriod = date => payCheckDates.findIndex((payDate, i) =>
+            date >= payDate && date < this.getPayPeriodEnd(i, payCheckDates));
 
-        // If bill date is within paycheck range, return as is
-        if (dateCopy >= firstPaycheck && dateCopy <= lastPaycheck) {
-            return dateCopy;
+        if (bill.plannedPayDate) {
+            return findPeriod(createLocalDate(bill.plannedPayDate));
         }
 
-        // If bill date is before first paycheck, snap to first paycheck
-        if (dateCopy < firstPaycheck) {
-            return firstPaycheck;
+        const periodIndex = findPeriod(createLocalDate(bill.dueDate));
+
+        const pinned = bill.incomeSourceId && payCheckDates === this.payCheckDates &&
+            this.getIncomeSources().some(source => source.id === bill.incomeSourceId);
+        if (periodIndex === -1 || !pinned) {
+            return periodIndex;
         }
 
-        // If bill date is after last paycheck, snap to last paycheck
-        if (dateCopy > lastPaycheck) {
-            return lastPaycheck;
+        for (let i = periodIndex; i >= 0; i--) {
+            if (this.payCheckSources[i] && this.payCheckSources[i].includes(bill.incomeSourceId)) {
+                return i;
+            }
         }
 
-        return dateCopy;
+        return periodIndex;
     }
 
     /**
-     * Update bill dates based on recurrence
+     * Get the exclusive end date of a pay period
+     *
+     * @param {number} index - Index of the pay period
+     * @param {Array<Date>} [payCheckDates] - Paycheck dates (defaults to generated dates)
+     * @returns {Date|null} Next paycheck date; for the last generated period this is the
+     *   following scheduled payday, otherwise an estimate from the frequency
      */
-    updateBillDatesBasedOnRecurrence() {
-        try {
-            const today = new Date();
-            today.setHours(0, 0, 0, 0);
+    getPayPeriodEnd(index, payCheckDates = this.payCheckDates) {
+        const payDate = payCheckDates[index];
+        if (!payDate) return null;
 
-            const currentBills = billStore.getAll();
-            const updatedBills = currentBills.map(bill => {
-                if (bill.isPaid) return bill;
-
-                const billDueDate = createLocalDate(bill.dueDate);
-                billDueDate.setHours(0, 0, 0, 0);
+        if (index < payCheckDates.length - 1) {
+            return payCheckDates[index + 1];
+        }
 
-                let modifiedBill = { ...bill };
+        if (this.nextPaycheckDate && payDate.getTime() === this.payCheckDates[this.payCheckDates.length - 1]?.getTime()) {
+            return this.nextPaycheckDate;
+        }
 
-                // If bill is past due and unpaid, move to next applicable pay date
-                if (billDueDate < today && bill.recurrence !== 'One-time') {
-                    let nextDueDate = new Date(billDueDate);
+        const days = getApproximatePeriodDays(this.paymentSettings.frequency);
+        return new Date(payDate.getFullYear(), payDate.getMonth(), payDate.getDate() + days);
+    }
 
-                    while (nextDueDate < today) {
-                        const calculated = calculateNextDueDate(nextDueDate, bill.recurrence);
-                        if (!calculated) break;
-                        nextDueDate = calculated;
-                    }
+    /**
+     * Get the date recurring bills are generated up to
+     *
+     * @param {Date} [today=new Date()] - Reference date
+     * @returns {Date|null} Exclusive end date: the end of the last shown pay period, or
+     *   planMonthsAhead months from today when that is later; null without paychecks
+     */
+    getGenerationHorizon(today = new Date()) {
+        if (this.payCheckDates.length === 0) return null;
 
-                    const closestPaycheck = this.findClosestPaycheckDate(nextDueDate);
-                    if (closestPaycheck) {
-                        modifiedBill.dueDate = formatLocalDate(closestPaycheck);
-                    }
-                }
-                // If bill is beyond last paycheck, move to next cycle
-                else if (billDueDate > today && bill.recurrence !== 'One-time') {
-                    const lastPaycheck = this.payCheckDates[this.payCheckDates.length - 1];
-                    if (billDueDate > lastPaycheck) {
-                        const nextDueDate = calculateNextDueDate(billDueDate, bill.recurrence);
-                        if (nextDueDate) {
-                            const closestPaycheck = this.findClosestPaycheckDate(nextDueDate);
-                            if (closestPaycheck) {
-                                modifiedBill.dueDate = formatLocalDate(closestPaycheck);
-                            }
-                        }
-                    }
-                }
+        const lastPeriodEnd = this.getPayPeriodEnd(this.payCheckDates.length - 1);
+        const monthsAhead = this.paymentSettings.planMonthsAhead;
+        if (!monthsAhead) return lastPeriodEnd;
 
-                return modifiedBill;
-            });
+        const planEnd = clampedMonthDate(today.getFullYear(), today.getMonth() + monthsAhead, today.getDate());
+        planEnd.setDate(planEnd.getDate() + 1);
+        return planEnd > lastPeriodEnd ? planEnd : lastPeriodEnd;
+    }
 
-            billStore.setBills(updatedBills);
+    /**
+     * Update settings and regenerate dates
+     */
+    updateSettings(newSettings) {
+        try {
+            if (!this.validateSettings(newSettings)) {
+                throw new Error('Invalid payment settings provided');
+            }
+            this.paymentSettings = newSettings;
+            StorageManager.set(STORAGE_KEYS.PAYMENT_SETTINGS, newSettings);
+            this.generatePaycheckDates();
             return true;
         } catch (error) {
-            logger.error('Error updating bill dates', error);
+            logger.error('Error updating payment settings', error);
             throw error;
         }
     }
 
     /**
-     * Generate recurring bill instances for a base bill
+     * Generate missing bill instances of a recurring series for the upcoming pay periods
+     *
+     * @param {Object} series - Series template (see billSeries module)
+     * @param {Array<Object>} [existingBills] - Bills to check for existing occurrences
+     * @param {Date} [today=new Date()] - Reference date of the generation horizon
+     * @returns {Array<Object>} New bill instances with seriesId and originalDueDate
+     *
+     * @description Walks the series from its start date and creates an instance for each
+     *   occurrence from the first pay period up to the generation horizon (honoring custom
+     *   rules' count and until), skipping occurrences that already exist in the series,
+     *   were deleted (excludedDates) or fall outside the series date range. At most
+     *   RECURRING_GENERATION.MAX_INSTANCES_PER_SERIES instances are created per call.
      */
-    generateRecurringBillInstances(baseBill) {
+    generateRecurringBillInstances(series, existingBills = billStore.getAll(), today = new Date()) {
         try {
-            if (baseBill.recurrence === 'One-time') return [];
+            if (series.recurrence === 'One-time') return [];
 
             const generatedBills = [];
-            let currentDueDate = createLocalDate(baseBill.dueDate);
+            const startDate = createLocalDate(series.startDate);
 
-            if (!currentDueDate || isNaN(currentDueDate.getTime())) {
-                throw new Error(`Invalid bill due date: ${baseBill.dueDate}`);
+            if (!startDate || isNaN(startDate.getTime())) {
+                throw new Error(`Invalid series start date: ${series.startDate}`);
             }
+            if (this.payCheckDates.length === 0) return [];
+
+            const seriesBills = existingBills.filter(b => b.seriesId === series.seriesId);
+            const existingOccurrences = new Set(seriesBills.map(getOccurrenceDate));
+            const firstPeriodStart = this.payCheckDates[0];
+            const horizon = this.getGenerationHorizon(today);
+
+            for (const occurrence of listOccurrences(series, startDate, horizon, firstPeriodStart)) {
+                if (generatedBills.length >= RECURRING_GENERATION.MAX_INSTANCES_PER_SERIES) {
+                    logger.warn('Recurring bill generation capped', {
+                        seriesId: series.seriesId,
+                        limit: RECURRING_GENERATION.MAX_INSTANCES_PER_SERIES
+                    });
+                    break;
+                }
 
-            for (let i = 0; i < this.payCheckDates.length; i++) {
-                const payPeriodStart = this.payCheckDates[i];
-                const payPeriodEnd =
-                    i < this.payCheckDates.length - 1
-                        ? this.payCheckDates[i + 1]
-                        : new Date(this.payCheckDates[i].getTime() + 14 * 24 * 60 * 60 * 1000);
-
-                while (currentDueDate < payPeriodEnd) {
-                    if (currentDueDate >= payPeriodStart && currentDueDate < payPeriodEnd) {
-                        const dueDateStr = formatLocalDate(currentDueDate);
-                        const currentBills = billStore.getAll();
-                        const existingBill = currentBills.find(
-                            b =>
-                                b.name === baseBill.name &&
-                                b.category === baseBill.category &&
-                                b.dueDate === dueDateStr &&
-                                b.recurrence === baseBill.recurrence
-                        );
-
-                        if (!existingBill) {
-                            const previousBill = currentBills.find(
-                                b =>
-                                    b.name === baseBill.name &&
-                                    b.category === baseBill.category &&
-                                    !b.isPaid &&
-                                    new Date(b.dueDate) < currentDueDate
-                            );
-
-                            const accumulatedBalance = previousBill
-                                ? previousBill.balance || previousBill.amountDue || 0
-                                : baseBill.balance || baseBill.amountDue || 0;
-
-                            const newBill = {
-                                ...baseBill,
-                                id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
-                                dueDate: dueDateStr,
-                                isPaid: false,
-                                lastPaymentDate: null,
-                                balance: accumulatedBalance,
-                                paymentHistory: []
-                            };
-                            generatedBills.push(newBill);
-                        }
-                    }
-
-                    const nextDate = calculateNextDueDate(currentDueDate, baseBill.recurrence);
-                    if (!nextDate || nextDate.getFullYear() > 2027) break;
-                    currentDueDate = nextDate;
+                const dueDateStr = formatLocalDate(occurrence);
+                if (existingOccurrences.has(dueDateStr) || !isSeriesOccurrence(series, dueDateStr)) continue;
+
+                const previousBill = seriesBills.find(
+                    b => !b.isPaid && getOccurrenceDate(b) < dueDateStr
+                );
+
+                const accumulatedBalance = previousBill
+                    ? previousBill.balance || previousBill.amountDue || 0
+                    : series.amountDue || 0;
+
+                const newBill = {
+                    id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
+                    seriesId: series.seriesId,
+                    originalDueDate: dueDateStr,
+                    name: series.name,
+                    category: series.category,
+                    dueDate: dueDateStr,
+                    amountDue: series.amountDue,
+                    balance: accumulatedBalance,
+                    recurrence: series.recurrence,
+                    notes: series.notes || '',
+                    website: series.website || '',
+                    isPaid: false,
+                    lastPaymentDate: null,
+                    paymentHistory: []
+                };
+                if (series.recurrenceRule) {
+                    newBill.recurrenceRule = series.recurrenceRule;
+                }
+                if (series.incomeSourceId) {
+                    newBill.incomeSourceId = series.incomeSourceId;
+                }
+                if (series.defaultAccountId) {
+                    newBill.defaultAccountId = series.defaultAccountId;
                 }
+                existingOccurrences.add(dueDateStr);
+                generatedBills.push(newBill);
             }
 
             return generatedBills;
@@ -390,38 +501,41 @@ class PaycheckManager {
 
     /**
      * Regenerate all recurring bills
+     *
+     * @description Removes duplicate occurrences and upcoming unpaid instances that no longer
+     *   belong to their series, then fills in missing occurrences for every series that still
+     *   has bills. Paid bills, past bills and individually edited occurrences are kept.
      */
     regenerateAllRecurringBills() {
         try {
-            const currentBills = billStore.getAll();
-            const recurringBills = currentBills.filter(b => b.recurrence !== 'One-time');
-            const uniqueBills = [];
+            const today = new Date();
+            const seriesById = new Map(billStore.getAllSeries().map(s => [s.seriesId, s]));
             const seen = new Set();
 
-            for (const bill of recurringBills) {
-                const key = `${bill.name}-${bill.category}-${bill.recurrence}`;
-                if (!seen.has(key)) {
-                    seen.add(key);
-                    uniqueBills.push(bill);
-                }
-            }
+            const newBills = billStore.getAll().filter(b => {
+                if (!b.seriesId) return true;
 
-            const today = new Date();
-            let newBills = currentBills.filter(
-                b =>
-                    b.recurrence === 'One-time' ||
-                    b.isPaid ||
-                    new Date(b.dueDate) <= today
-            );
-
-            for (const template of uniqueBills) {
-                const generatedBills = this.generateRecurringBillInstances(template);
+                const occurrenceKey = `${b.seriesId}|${getOccurrenceDate(b)}`;
+                const isDuplicate = seen.has(occurrenceKey);
+                seen.add(occurrenceKey);
+
+                if (b.isPaid || b.isException || createLocalDate(b.dueDate) <= today) return true;
+
+                const series = seriesById.get(b.seriesId);
+                return !isDuplicate && (!series || isSeriesOccurrence(series, getOccurrenceDate(b)));
+            });
+
+            const activeSeriesIds = new Set(newBills.map(b => b.seriesId).filter(Boolean));
+            for (const series of seriesById.values()) {
+                if (!activeSeriesIds.has(series.seriesId)) continue;
+
+                const generatedBills = this.generateRecurringBillInstances(series, newBills);
                 if (generatedBills && generatedBills.length > 0) {
                     newBills.push(...generatedBills);
                 }
             }
 
-            billStore.setBills(newBills);
+            billStore.setBills(newBills, undefined, { label: 'Regenerate recurring bills' });
             return true;
         } catch (error) {
             logger.error('Error regenerating recurring bills', error);
@@ -0,0 +1,106 @@
+/**
+ * Payment Account Utilities
+ *
+ * The accounts bills are paid from (checking, credit cards, PayPal, ...), each with a
+ * nickname, a type and optionally the last four digits of the card or account number.
+ * Accounts live in paymentSettings.paymentAccounts, so they are synced and backed up
+ * with the pay schedule. Bills can name a default account (defaultAccountId) and
+ * payment history entries record the account they were paid from (accountId), with
+ * its label kept in method for exports and older versions.
+ *
+ * @module paymentAccounts
+ */
+
+/**
+ * Account types with their display names
+ * @type {Object<string, string>}
+ */
+export const ACCOUNT_TYPES = {
+    checking: 'Checking',
+    savings: 'Savings',
+    'credit-card': 'Credit card',
+    paypal: 'PayPal',
+    cash: 'Cash',
+    other: 'Other'
+};
+
+/**
+ * Create a unique id for a new payment account
+ *
+ * @function createPaymentAccountId
+ * @returns {string} Id such as "acct-lq2x9k-4f7a"
+ */
+export function createPaymentAccountId() {
+    return `acct-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 4)}`;
+}
+
+/**
+ * Validate the payment accounts of payment settings
+ *
+ * @function validatePaymentAccounts
+ * @param {*} accounts - Value of paymentSettings.paymentAccounts
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validatePaymentAccounts(accounts) {
+    if (accounts === undefined || accounts === null) return [];
+    if (!Array.isArray(accounts)) return ['Payment accounts must be a list'];
+
+    const errors = [];
+    const seenIds = new Set();
+
+    accounts.forEach((account, index) => {
+        const label = account && typeof account.nickname === 'string' && account.nickname.trim()
+            ? account.nickname.trim()
+            : `Payment account ${index + 1}`;
+
+        if (!account || typeof account !== 'object') {
+            errors.push(`${label}: must be an object`);
+            return;
+        }
+
+        if (typeof account.id !== 'string' || !account.id || seenIds.has(account.id)) {
+            errors.push(`${label}: needs a unique id`);
+        } else {
+            seenIds.add(account.id);
+        }
+
+        if (typeof account.nickname !== 'string' || !account.nickname.trim()) {
+            errors.push(`${label}: nickname is required`);
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(ACCOUNT_TYPES, account.type)) {
+            errors.push(`${label}: type must be one of: ${Object.keys(ACCOUNT_TYPES).join(', ')}`);
+        }
+
+        if (account.lastFour !== undefined && account.lastFour !== '' && !/^\d{4}$/.test(account.lastFour)) {
+            errors.push(`${label}: last four digits must be exactly 4 digits`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Display name of a payment account
+ *
+ * @function formatAccountLabel
+ * @param {Object} account - Payment account
+ * @returns {string} e.g. 'Chase Sapphire ••4821', or the nickname without last four digits
+ */
+export function formatAccountLabel(account) {
+    return account.lastFour ? `${account.nickname} ••${account.lastFour}` : account.nickname;
+}
+
+/**
+ * Account a bill is paid from by default
+ *
+ * @function getDefaultAccountId
+ * @param {Object} bill - Bill with optional defaultAccountId
+ * @param {Array<Object>} accounts - Payment accounts
+ * @returns {string|null} Account id, or null when the bill has none or it was removed
+ */
+export function getDefaultAccountId(bill, accounts) {
+    return bill.defaultAccountId && accounts.some(account => account.id === bill.defaultAccountId)
+        ? bill.defaultAccountId
+        : null;
+}
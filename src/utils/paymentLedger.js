@@ -0,0 +1,260 @@
+/**
+ * Payment Ledger
+ *
+ * Corrections to a bill's payment history. Entries are never removed:
+ * - Editing changes the amount, date, method, confirmation number or notes of an entry
+ * - Voiding keeps the entry with the reason it no longer counts (a typo or duplicate)
+ * - Refunding adds a reversal entry ({ type: 'refund', refundOf }) for money paid back
+ *
+ * Voided entries count for nothing and refunds count against the total paid. Every
+ * change is added to the bill's auditLog.
+ *
+ * All functions are pure and return a new payment history; billActionHandlers
+ * recalculates the balance and paid state and saves the bill.
+ *
+ * @module paymentLedger
+ * @requires errorHandling
+ */
+
+import { ValidationError } from './errorHandling.js';
+
+/** Payment fields that can be edited */
+export const EDITABLE_PAYMENT_FIELDS = ['amount', 'date', 'method', 'confirmationNumber', 'notes'];
+
+/** Audit log actions with the text shown in the payment history */
+export const AUDIT_ACTIONS = {
+    'payment-recorded': 'Payment recorded',
+    'payment-edited': 'Payment edited',
+    'payment-voided': 'Payment voided',
+    'payment-refunded': 'Refund recorded'
+};
+
+const roundCents = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Whether an entry is a refund
+ * @param {Object} payment - Payment history entry
+ * @returns {boolean} True for refund entries
+ */
+export const isRefund = payment => payment.type === 'refund';
+
+/**
+ * Amount an entry adds to the total paid
+ *
+ * @function getPaymentAmount
+ * @param {Object} payment - Payment history entry
+ * @returns {number} Amount paid; negative for refunds, 0 for voided entries
+ */
+export function getPaymentAmount(payment) {
+    if (payment.voided) return 0;
+    const amount = parseFloat(payment.amount) || 0;
+    return isRefund(payment) ? -amount : amount;
+}
+
+/**
+ * Total paid over a payment history, net of refunds and voided entries
+ *
+ * @function getNetPaid
+ * @param {Array<Object>} [paymentHistory=[]] - Payment history
+ * @returns {number} Total paid (rounded to cents)
+ */
+export function getNetPaid(paymentHistory = []) {
+    return roundCents(paymentHistory.reduce((sum, payment) => sum + getPaymentAmount(payment), 0));
+}
+
+/**
+ * Amount of a payment that can still be refunded
+ *
+ * @function getRefundableAmount
+ * @param {Array<Object>} paymentHistory - Payment history
+ * @param {string} paymentId - Payment to refund
+ * @param {string} [exceptRefundId] - Refund left out (when editing that refund)
+ * @returns {number} Amount paid less the refunds already recorded against it
+ */
+export function getRefundableAmount(paymentHistory, paymentId, exceptRefundId = null) {
+    const payment = paymentHistory.find(p => p.id === paymentId);
+    if (!payment || payment.voided || isRefund(payment)) return 0;
+    const refunded = paymentHistory
+        .filter(p => isRefund(p) && p.refundOf === paymentId && !p.voided && p.id !== exceptRefundId)
+        .reduce((sum, p) => sum + (parseFloat(p.amount) || 0), 0);
+    return roundCents(Math.max(0, (parseFloat(payment.amount) || 0) - refunded));
+}
+
+/**
+ * Audit log entry
+ *
+ * @function createAuditEntry
+ * @param {string} action - Key of AUDIT_ACTIONS
+ * @param {string} paymentId - Entry the change applies to
+ * @param {Object} [details={}] - { changes: { field: { from, to } }, amount, reason }
+ * @param {Date} [now=new Date()] - When the change was made
+ * @returns {Object} Audit entry { at, action, paymentId, ...details }
+ */
+export function createAuditEntry(action, paymentId, details = {}, now = new Date()) {
+    return { at: now.toISOString(), action, paymentId, ...details };
+}
+
+/**
+ * Find an entry that can still be changed
+ * @private
+ */
+function findActivePayment(paymentHistory, paymentId) {
+    const payment = paymentHistory.find(p => p.id === paymentId);
+    if (!payment) {
+        throw new ValidationError('Payment not found.', 'paymentId', paymentId);
+    }
+    if (payment.voided) {
+        throw new ValidationError('Voided payments cannot be changed.', 'paymentId', paymentId);
+    }
+    return payment;
+}
+
+/**
+ * Validate a payment amount
+ * @private
+ */
+function readAmount(value) {
+    const amount = parseFloat(value);
+    if (isNaN(amount) || amount < 0) {
+        throw new ValidationError('Payment amount must be zero or a positive number.', 'amount', value);
+    }
+    return roundCents(amount);
+}
+
+/**
+ * Validate a payment date
+ * @private
+ */
+function readDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) {
+        throw new ValidationError('Invalid payment date format.', 'date', value);
+    }
+    return value;
+}
+
+/**
+ * Edit a payment history entry
+ *
+ * @function editPayment
+ * @param {Array<Object>} paymentHistory - Payment history
+ * @param {string} paymentId - Entry to edit
+ * @param {Object} changes - New values for EDITABLE_PAYMENT_FIELDS
+ * @param {Date} [now=new Date()] - When the edit was made
+ * @returns {{paymentHistory: Array<Object>, audit: Object|null}} New history and its audit
+ *   entry (null when nothing changed)
+ * @throws {ValidationError} For unknown or voided entries, invalid values, and refunds
+ *   larger than what is left of their payment
+ */
+export function editPayment(paymentHistory, paymentId, changes, now = new Date()) {
+    const payment = findActivePayment(paymentHistory, paymentId);
+    const next = { ...payment };
+
+    EDITABLE_PAYMENT_FIELDS.filter(field => changes[field] !== undefined).forEach(field => {
+        if (field === 'amount') next.amount = readAmount(changes.amount);
+        else if (field === 'date') next.date = readDate(changes.date);
+        else next[field] = String(changes[field]);
+    });
+
+    if (isRefund(next) && next.amount > getRefundableAmount(paymentHistory, next.refundOf, next.id)) {
+        throw new ValidationError('A refund cannot be larger than the payment it reverses.', 'amount', next.amount);
+    }
+    if (!isRefund(next)) {
+        const refunded = roundCents((parseFloat(payment.amount) || 0) - getRefundableAmount(paymentHistory, paymentId));
+        if (next.amount < refunded) {
+            throw new ValidationError(`This payment has $${refunded.toFixed(2)} refunded; the amount cannot be lower.`, 'amount', next.amount);
+        }
+    }
+
+    const changed = {};
+    EDITABLE_PAYMENT_FIELDS.forEach(field => {
+        if (next[field] !== payment[field] && !(next[field] === '' && payment[field] === undefined)) {
+            changed[field] = { from: payment[field] === undefined ? null : payment[field], to: next[field] };
+        }
+    });
+    if (Object.keys(changed).length === 0) {
+        return { paymentHistory, audit: null };
+    }
+
+    return {
+        paymentHistory: paymentHistory.map(p => (p.id === paymentId ? next : p)),
+        audit: createAuditEntry('payment-edited', paymentId, { changes: changed }, now)
+    };
+}
+
+/**
+ * Void a payment history entry
+ *
+ * @function voidPayment
+ * @param {Array<Object>} paymentHistory - Payment history
+ * @param {string} paymentId - Entry to void
+ * @param {string} reason - Why it no longer counts
+ * @param {Date} [now=new Date()] - When it was voided
+ * @returns {{paymentHistory: Array<Object>, audit: Object}} New history and its audit entry
+ * @throws {ValidationError} Without a reason, for unknown or voided entries, and for
+ *   payments with refunds that still count (void the refunds first)
+ */
+export function voidPayment(paymentHistory, paymentId, reason, now = new Date()) {
+    const payment = findActivePayment(paymentHistory, paymentId);
+    const trimmed = String(reason || '').trim();
+    if (!trimmed) {
+        throw new ValidationError('Enter why the payment is voided.', 'reason', reason);
+    }
+    if (paymentHistory.some(p => isRefund(p) && p.refundOf === paymentId && !p.voided)) {
+        throw new ValidationError('This payment has refunds. Void the refunds first.', 'paymentId', paymentId);
+    }
+
+    return {
+        paymentHistory: paymentHistory.map(p => (p.id === paymentId
+            ? { ...p, voided: { at: now.toISOString(), reason: trimmed } }
+            : p)),
+        audit: createAuditEntry('payment-voided', paymentId, { amount: getPaymentAmount(payment), reason: trimmed }, now)
+    };
+}
+
+/**
+ * Record a refund of a payment
+ *
+ * @function refundPayment
+ * @param {Array<Object>} paymentHistory - Payment history
+ * @param {string} paymentId - Payment refunded
+ * @param {Object} refund - { amount, date, reason }
+ * @param {Date} [now=new Date()] - When the refund was recorded
+ * @returns {{paymentHistory: Array<Object>, audit: Object, refund: Object}} New history,
+ *   its audit entry and the refund entry
+ * @throws {ValidationError} For unknown, voided or refund entries, invalid values, and
+ *   amounts larger than what is left of the payment
+ */
+export function refundPayment(paymentHistory, paymentId, { amount, date, reason = '' }, now = new Date()) {
+    const payment = findActivePayment(paymentHistory, paymentId);
+    if (isRefund(payment)) {
+        throw new ValidationError('Refunds cannot be refunded. Void the refund instead.', 'paymentId', paymentId);
+    }
+    const refundAmount = readAmount(amount);
+    if (refundAmount <= 0) {
+        throw new ValidationError('Refund amount must be more than zero.', 'amount', amount);
+    }
+    if (refundAmount > getRefundableAmount(paymentHistory, paymentId)) {
+        throw new ValidationError('A refund cannot be larger than the payment it reverses.', 'amount', amount);
+    }
+
+    const entry = {
+        id: 'rfd_' + now.getTime() + '_' + Math.random().toString(36).substr(2, 9),
+        type: 'refund',
+        refundOf: paymentId,
+        date: readDate(date),
+        amount: refundAmount,
+        method: payment.method || '',
+        confirmationNumber: '',
+        notes: String(reason).trim()
+    };
+    // Refunds go back to the account the payment came from
+    if (payment.accountId) {
+        entry.accountId = payment.accountId;
+    }
+
+    return {
+        paymentHistory: [...paymentHistory, entry],
+        audit: createAuditEntry('payment-refunded', entry.id, { amount: refundAmount, refundOf: paymentId, reason: entry.notes }, now),
+        refund: entry
+    };
+}
@@ -0,0 +1,557 @@
+/**
+ * Recurrence Rules
+ *
+ * Bills repeat either on one of the simple presets ('Weekly', 'Bi-weekly',
+ * 'Monthly', 'Yearly') or on a custom rule (recurrence 'Custom' plus a
+ * recurrenceRule object). Rules follow a subset of iCalendar RRULE (RFC 5545)
+ * so they can be imported from and exported to calendar apps.
+ *
+ * Rule Structure:
+ * - freq: 'DAILY', 'WEEKLY', 'MONTHLY' or 'YEARLY'
+ * - interval: Repeat every N periods (default 1)
+ * - byDay: Weekday codes such as ['MO', 'WE']; monthly rules may prefix an
+ *   ordinal ('1FR' first Friday, '-1TH' last Thursday)
+ * - byMonthDay: Days of the month for monthly rules (negative counts from the end, -1 = last day)
+ * - bySetPos: Pick the Nth matching day of each month (e.g. -1 with MO..FR = last business day)
+ * - count: Stop after this many occurrences
+ * - until: Last possible occurrence date (YYYY-MM-DD, inclusive)
+ *
+ * Monthly and yearly rules without by-day/by-month-day repeat on the start
+ * date's day, clamped to the last day of shorter months.
+ *
+ * @module recurrence
+ * @requires dates
+ * @requires paySchedule
+ */
+
+import { createLocalDate, formatLocalDate, calculateNextDueDate } from './dates.js';
+import { clampedMonthDate } from './paySchedule.js';
+
+/**
+ * Supported rule frequencies
+ * @type {string[]}
+ */
+export const RECURRENCE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+/**
+ * iCalendar weekday codes indexed by Date#getDay()
+ * @type {string[]}
+ */
+export const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Weekday codes of business days
+ * @type {string[]}
+ */
+export const BUSINESS_DAY_CODES = ['MO', 'TU', 'WE', 'TH', 'FR'];
+
+/**
+ * Rules equivalent to the simple recurrence presets
+ * @type {Object<string, Object>}
+ */
+export const LEGACY_RECURRENCE_RULES = {
+    'Weekly': { freq: 'WEEKLY', interval: 1 },
+    'Bi-weekly': { freq: 'WEEKLY', interval: 2 },
+    'Monthly': { freq: 'MONTHLY', interval: 1 },
+    'Yearly': { freq: 'YEARLY', interval: 1 }
+};
+
+/**
+ * Spellings of the simple recurrence names found in imports and older saved bills
+ * @private
+ */
+const RECURRENCE_ALIASES = {
+    'one-time': 'One-time',
+    'onetime': 'One-time',
+    'once': 'One-time',
+    'weekly': 'Weekly',
+    'bi-weekly': 'Bi-weekly',
+    'biweekly': 'Bi-weekly',
+    'every 2 weeks': 'Bi-weekly',
+    'monthly': 'Monthly',
+    'yearly': 'Yearly',
+    'annually': 'Yearly',
+    'annual': 'Yearly',
+    'custom': 'Custom'
+};
+
+/**
+ * Common custom rules offered as quick picks in the bill form
+ * @type {Array<{label: string, rule: Object}>}
+ */
+export const RECURRENCE_PRESETS = [
+    { label: 'Quarterly', rule: { freq: 'MONTHLY', interval: 3 } },
+    { label: 'Semi-annually', rule: { freq: 'MONTHLY', interval: 6 } },
+    { label: 'Every 4 weeks', rule: { freq: 'WEEKLY', interval: 4 } },
+    { label: 'Last business day of the month', rule: { freq: 'MONTHLY', interval: 1, byDay: [...BUSINESS_DAY_CODES], bySetPos: -1 } }
+];
+
+/**
+ * Upper bound on returned occurrences, protects against runaway rules
+ * @private
+ */
+const MAX_OCCURRENCES = 1000;
+
+/**
+ * Consecutive periods without an occurrence after which a rule is treated as exhausted
+ * (e.g. day 31 every other month when every such month has 30 days)
+ * @private
+ */
+const MAX_EMPTY_PERIODS = 1000;
+
+const FREQUENCY_UNITS = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ORDINAL_NAMES = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last', '-2': 'second to last' };
+const BY_DAY_PATTERN = /^([+-]?[1-5])?(SU|MO|TU|WE|TH|FR|SA)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Split a byDay entry into its ordinal and weekday index
+ * @private
+ */
+function parseByDay(entry) {
+    const match = BY_DAY_PATTERN.exec(entry);
+    return { ordinal: match[1] ? parseInt(match[1], 10) : null, weekday: WEEKDAY_CODES.indexOf(match[2]) };
+}
+
+/**
+ * Canonical recurrence name for imported or legacy text ('monthly', 'biweekly', 'annually'…)
+ *
+ * @function normalizeRecurrence
+ * @param {string} value - Recurrence text
+ * @returns {string} Canonical name, or the value unchanged when not recognized
+ */
+export function normalizeRecurrence(value) {
+    if (typeof value !== 'string') return value;
+    return RECURRENCE_ALIASES[value.trim().toLowerCase()] || value;
+}
+
+/**
+ * Validate a recurrence rule
+ *
+ * @function validateRecurrenceRule
+ * @param {*} rule - Rule object to check
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validateRecurrenceRule(rule) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        return ['Custom recurrence needs a rule'];
+    }
+
+    const errors = [];
+    if (!RECURRENCE_FREQUENCIES.includes(rule.freq)) {
+        errors.push(`Repeat frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`);
+    }
+
+    if (rule.interval !== undefined && (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 999)) {
+        errors.push('Repeat interval must be a whole number from 1 to 999');
+    }
+
+    if (rule.byDay !== undefined) {
+        if (!Array.isArray(rule.byDay) || rule.byDay.length === 0 || !rule.byDay.every(d => BY_DAY_PATTERN.test(d))) {
+            errors.push('Weekdays must be codes such as MO, TU or 1FR');
+        } else if (rule.freq !== 'WEEKLY' && rule.freq !== 'MONTHLY') {
+            errors.push('Weekdays can only be used with weekly or monthly rules');
+        } else if (rule.freq === 'WEEKLY' && rule.byDay.some(d => parseByDay(d).ordinal !== null)) {
+            errors.push('Weekly rules cannot use numbered weekdays');
+        }
+    }
+
+    if (rule.byMonthDay !== undefined) {
+        const validDays = Array.isArray(rule.byMonthDay) && rule.byMonthDay.length > 0 &&
+            rule.byMonthDay.every(d => Number.isInteger(d) && d !== 0 && d >= -31 && d <= 31);
+        if (!validDays) {
+            errors.push('Days of the month must be between 1 and 31 (or -1 for the last day)');
+        } else if (rule.freq !== 'MONTHLY') {
+            errors.push('Days of the month can only be used with monthly rules');
+        }
+    }
+
+    if (rule.bySetPos !== undefined) {
+        if (!Number.isInteger(rule.bySetPos) || rule.bySetPos === 0 || rule.bySetPos < -31 || rule.bySetPos > 31) {
+            errors.push('Position must be between 1 and 31 (or negative to count from the end)');
+        } else if (rule.freq !== 'MONTHLY' || (!rule.byDay && !rule.byMonthDay)) {
+            errors.push('Position can only be used with monthly weekday or day-of-month rules');
+        }
+    }
+
+    if (rule.count !== undefined && (!Number.isInteger(rule.count) || rule.count < 1)) {
+        errors.push('Number of occurrences must be a positive whole number');
+    }
+
+    if (rule.until !== undefined && (typeof rule.until !== 'string' || !DATE_PATTERN.test(rule.until))) {
+        errors.push('End date must be in YYYY-MM-DD format');
+    }
+
+    if (rule.count !== undefined && rule.until !== undefined) {
+        errors.push('A rule can end after a number of occurrences or on a date, not both');
+    }
+
+    return errors;
+}
+
+/**
+ * Get the rule a bill or series repeats on
+ *
+ * @function getRecurrenceRule
+ * @param {{recurrence: string, recurrenceRule?: Object}} item - Bill or series template
+ * @returns {Object|null} Rule object, or null for one-time and unknown recurrences
+ */
+export function getRecurrenceRule(item) {
+    if (!item) return null;
+    if (item.recurrence === 'Custom') return item.recurrenceRule || null;
+    const legacy = LEGACY_RECURRENCE_RULES[item.recurrence];
+    return legacy ? { ...legacy } : null;
+}
+
+/**
+ * Candidate dates of one rule period, before start/until/count filtering
+ * @private
+ */
+function expandPeriod(rule, start, index) {
+    const step = index * (rule.interval || 1);
+
+    switch (rule.freq) {
+        case 'DAILY':
+            return [new Date(start.getFullYear(), start.getMonth(), start.getDate() + step)];
+
+        case 'WEEKLY': {
+            if (!rule.byDay) {
+                return [new Date(start.getFullYear(), start.getMonth(), start.getDate() + step * 7)];
+            }
+            // Weeks start on Monday (iCalendar WKST default)
+            const mondayOffset = (start.getDay() + 6) % 7;
+            const weekStart = new Date(start.getFullYear(), start.getMonth(), start.getDate() - mondayOffset + step * 7);
+            return rule.byDay.map(code => {
+                const offset = (parseByDay(code).weekday + 6) % 7;
+                return new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + offset);
+            });
+        }
+
+        case 'MONTHLY': {
+            const year = start.getFullYear();
+            const month = start.getMonth() + step;
+            const daysInMonth = new Date(year, month + 1, 0).getDate();
+            let days;
+
+            if (rule.byMonthDay) {
+                days = rule.byMonthDay
+                    .map(day => (day > 0 ? day : daysInMonth + day + 1))
+                    .filter(day => day >= 1 && day <= daysInMonth);
+            } else if (rule.byDay) {
+                days = [];
+                rule.byDay.map(parseByDay).forEach(({ ordinal, weekday }) => {
+                    const matches = [];
+                    for (let day = 1; day <= daysInMonth; day++) {
+                        if (new Date(year, month, day).getDay() === weekday) matches.push(day);
+                    }
+                    if (ordinal === null) {
+                        days.push(...matches);
+                    } else {
+                        const picked = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+                        if (picked) days.push(picked);
+                    }
+                });
+            } else {
+                return [clampedMonthDate(year, month, start.getDate())];
+            }
+
+            days = [...new Set(days)].sort((a, b) => a - b);
+            if (rule.bySetPos) {
+                const picked = rule.bySetPos > 0 ? days[rule.bySetPos - 1] : days[days.length + rule.bySetPos];
+                days = picked ? [picked] : [];
+            }
+            return days.map(day => new Date(year, month, day));
+        }
+
+        case 'YEARLY':
+            return [clampedMonthDate(start.getFullYear() + step, start.getMonth(), start.getDate())];
+
+        default:
+            return [];
+    }
+}
+
+/**
+ * List the occurrences of a rule
+ *
+ * @function expandRule
+ * @param {Object} rule - Recurrence rule
+ * @param {Date} startDate - Series start (DTSTART); no occurrence falls before it
+ * @param {Date} endDate - Stop before this date (exclusive)
+ * @param {Date} [fromDate=startDate] - Only return occurrences on or after this date;
+ *   earlier ones still count towards the rule's count
+ * @returns {Date[]} Occurrence dates in order, honoring count and until
+ *
+ * @example
+ * expandRule({ freq: 'MONTHLY', byDay: ['MO','TU','WE','TH','FR'], bySetPos: -1 },
+ *     createLocalDate('2026-10-01'), createLocalDate('2027-01-01')).map(formatLocalDate);
+ * // ["2026-10-30", "2026-11-30", "2026-12-31"]
+ */
+export function expandRule(rule, startDate, endDate, fromDate = startDate) {
+    const start = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+    const until = rule.until ? createLocalDate(rule.until) : null;
+    const occurrences = [];
+    let seen = 0;
+    let emptyPeriods = 0;
+
+    // Every non-empty period moves closer to endDate, so the walk always ends
+    for (let index = 0; emptyPeriods < MAX_EMPTY_PERIODS; index++) {
+        const candidates = expandPeriod(rule, start, index).sort((a, b) => a - b);
+        if (candidates.length === 0) {
+            emptyPeriods++;
+            continue;
+        }
+        emptyPeriods = 0;
+
+        for (const date of candidates) {
+            if (date < start) continue;
+            if (date >= endDate || (until && date > until)) return occurrences;
+            if (rule.count && seen >= rule.count) return occurrences;
+            seen++;
+            if (date < fromDate) continue;
+            occurrences.push(date);
+            if (occurrences.length >= MAX_OCCURRENCES) return occurrences;
+        }
+    }
+
+    return occurrences;
+}
+
+/**
+ * List the occurrences of a bill or series between two dates
+ *
+ * @function listOccurrences
+ * @param {{recurrence: string, recurrenceRule?: Object}} item - Bill or series template
+ * @param {Date} startDate - First occurrence date (series start)
+ * @param {Date} endDate - Stop before this date (exclusive)
+ * @param {Date} [fromDate=startDate] - Only return occurrences on or after this date
+ * @returns {Date[]} Occurrence dates in order; one-time bills only occur on their start date
+ *
+ * @description Simple presets step with calculateNextDueDate so existing bills
+ *   keep their schedule; custom recurrences are expanded from their rule.
+ */
+export function listOccurrences(item, startDate, endDate, fromDate = startDate) {
+    if (item.recurrence === 'Custom') {
+        const rule = getRecurrenceRule(item);
+        return rule ? expandRule(rule, startDate, endDate, fromDate) : [];
+    }
+
+    const occurrences = [];
+    let current = new Date(startDate);
+    while (current && current < endDate && occurrences.length < MAX_OCCURRENCES) {
+        if (current >= fromDate) occurrences.push(current);
+        current = calculateNextDueDate(current, item.recurrence);
+    }
+    return occurrences;
+}
+
+/**
+ * Find the occurrence of a bill or series after a given date
+ *
+ * @function getNextOccurrence
+ * @param {{recurrence: string, recurrenceRule?: Object}} item - Bill or series template
+ * @param {Date} afterDate - Current occurrence
+ * @param {Date} [startDate=afterDate] - Series start, needed for count and interval alignment
+ * @returns {Date|null} Next occurrence, or null when the recurrence has ended or is one-time
+ */
+export function getNextOccurrence(item, afterDate, startDate = afterDate) {
+    if (item.recurrence !== 'Custom') {
+        return calculateNextDueDate(afterDate, item.recurrence);
+    }
+
+    const rule = getRecurrenceRule(item);
+    if (!rule) return null;
+
+    // Look far enough ahead for the longest interval a rule can have
+    const horizon = new Date(afterDate);
+    horizon.setFullYear(horizon.getFullYear() + (rule.interval || 1) + 1);
+    // Occurrences before afterDate still count towards the rule's count, but not
+    // towards the occurrence cap, so long-running series keep advancing
+    const next = expandRule(rule, startDate, horizon, afterDate).find(date => date > afterDate);
+    return next || null;
+}
+
+/**
+ * Parse an iCalendar RRULE string
+ *
+ * @function parseRRule
+ * @param {string} text - e.g. "RRULE:FREQ=MONTHLY;INTERVAL=3;COUNT=8"
+ * @returns {Object} Rule object
+ * @throws {Error} When the string is malformed, uses unsupported parts or fails validation
+ */
+export function parseRRule(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new Error('Recurrence rule is empty');
+    }
+
+    const rule = {};
+    const body = text.trim().replace(/^RRULE:/i, '');
+
+    body.split(';').filter(Boolean).forEach(part => {
+        const [rawKey, value] = part.split('=');
+        const key = (rawKey || '').toUpperCase();
+        if (!value) throw new Error(`Malformed recurrence rule part: ${part}`);
+
+        switch (key) {
+            case 'FREQ':
+                rule.freq = value.toUpperCase();
+                break;
+            case 'INTERVAL':
+                rule.interval = Number(value);
+                break;
+            case 'BYDAY':
+                rule.byDay = value.toUpperCase().split(',');
+                break;
+            case 'BYMONTHDAY':
+                rule.byMonthDay = value.split(',').map(Number);
+                break;
+            case 'BYSETPOS':
+                if (value.includes(',')) throw new Error('Only one BYSETPOS value is supported');
+                rule.bySetPos = Number(value);
+                break;
+            case 'COUNT':
+                rule.count = Number(value);
+                break;
+            case 'UNTIL': {
+                const match = /^(\d{4})(\d{2})(\d{2})/.exec(value);
+                if (!match) throw new Error(`Invalid UNTIL date: ${value}`);
+                rule.until = `${match[1]}-${match[2]}-${match[3]}`;
+                break;
+            }
+            case 'WKST':
+                if (value.toUpperCase() !== 'MO') throw new Error('Only weeks starting on Monday are supported');
+                break;
+            default:
+                throw new Error(`Unsupported recurrence rule part: ${key}`);
+        }
+    });
+
+    const errors = validateRecurrenceRule(rule);
+    if (errors.length > 0) {
+        throw new Error(errors.join(', '));
+    }
+    return rule;
+}
+
+/**
+ * Format a rule as an iCalendar RRULE value
+ *
+ * @function formatRRule
+ * @param {Object} rule - Rule object
+ * @returns {string} e.g. "FREQ=MONTHLY;INTERVAL=3;UNTIL=20271231"
+ */
+export function formatRRule(rule) {
+    const parts = [`FREQ=${rule.freq}`];
+    if (rule.interval && rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byDay) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+    if (rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+    if (rule.bySetPos) parts.push(`BYSETPOS=${rule.bySetPos}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+    return parts.join(';');
+}
+
+/**
+ * Get the RRULE value for a bill or series
+ *
+ * @function toRRule
+ * @param {{recurrence: string, recurrenceRule?: Object}} item - Bill or series template
+ * @returns {string|null} RRULE value, or null for one-time bills
+ */
+export function toRRule(item) {
+    const rule = getRecurrenceRule(item);
+    return rule ? formatRRule(rule) : null;
+}
+
+/**
+ * Convert an RRULE string into bill recurrence fields
+ *
+ * @function fromRRule
+ * @param {string} text - RRULE value, with or without the "RRULE:" prefix
+ * @returns {{recurrence: string, recurrenceRule?: Object}} A simple preset when the rule
+ *   matches one exactly, otherwise 'Custom' with the parsed rule
+ * @throws {Error} When the rule cannot be parsed
+ */
+export function fromRRule(text) {
+    const rule = parseRRule(text);
+    const formatted = formatRRule(rule);
+    const preset = Object.keys(LEGACY_RECURRENCE_RULES)
+        .find(name => formatRRule(LEGACY_RECURRENCE_RULES[name]) === formatted);
+    return preset ? { recurrence: preset } : { recurrence: 'Custom', recurrenceRule: rule };
+}
+
+/**
+ * Describe the weekday part of a monthly rule
+ * @private
+ */
+function describeMonthlyDays(rule) {
+    if (rule.byMonthDay) {
+        const days = rule.byMonthDay.map(day => (day === -1 ? 'the last day' : day < 0 ? `${-day} days before month end` : `day ${day}`));
+        return ` on ${days.join(', ')}`;
+    }
+
+    const entries = rule.byDay.map(parseByDay);
+    if (rule.bySetPos) {
+        const isBusinessDays = rule.byDay.length === BUSINESS_DAY_CODES.length &&
+            BUSINESS_DAY_CODES.every(code => rule.byDay.includes(code));
+        const what = isBusinessDays ? 'business day' : entries.map(e => WEEKDAY_NAMES[e.weekday]).join('/');
+        return ` on the ${ORDINAL_NAMES[rule.bySetPos] || `#${rule.bySetPos}`} ${what}`;
+    }
+
+    return ` on ${entries.map(({ ordinal, weekday }) => (ordinal === null
+        ? `every ${WEEKDAY_NAMES[weekday]}`
+        : `the ${ORDINAL_NAMES[ordinal] || `#${ordinal}`} ${WEEKDAY_NAMES[weekday]}`)).join(', ')}`;
+}
+
+/**
+ * Describe a bill's recurrence for display
+ *
+ * @function describeRecurrence
+ * @param {{recurrence: string, recurrenceRule?: Object}} item - Bill or series template
+ * @returns {string} e.g. "Monthly", "Every 3 months" or "Monthly on the last business day, until 2027-06-30"
+ */
+export function describeRecurrence(item) {
+    if (item.recurrence !== 'Custom') return item.recurrence || '';
+
+    const rule = getRecurrenceRule(item);
+    if (!rule || validateRecurrenceRule(rule).length > 0) return 'Custom';
+
+    const interval = rule.interval || 1;
+    const unit = FREQUENCY_UNITS[rule.freq];
+    const preset = RECURRENCE_PRESETS.find(p => formatRRule(p.rule) === formatRRule({ ...rule, count: undefined, until: undefined }));
+
+    let text;
+    if (preset) {
+        text = preset.label;
+    } else {
+        text = interval === 1
+            ? { DAILY: 'Daily', WEEKLY: 'Weekly', MONTHLY: 'Monthly', YEARLY: 'Yearly' }[rule.freq]
+            : `Every ${interval} ${unit}s`;
+        if (rule.freq === 'WEEKLY' && rule.byDay) {
+            text += ` on ${rule.byDay.map(code => WEEKDAY_NAMES[parseByDay(code).weekday].slice(0, 3)).join(', ')}`;
+        } else if (rule.freq === 'MONTHLY' && (rule.byDay || rule.byMonthDay)) {
+            text += describeMonthlyDays(rule);
+        }
+    }
+
+    if (rule.count) text += `, ${rule.count} time${rule.count === 1 ? '' : 's'}`;
+    if (rule.until) text += `, until ${rule.until}`;
+    return text;
+}
+
+/**
+ * Move a date onto the first occurrence of a rule on or after it
+ *
+ * @function alignToRule
+ * @param {Object} rule - Recurrence rule
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @returns {string} First matching date (YYYY-MM-DD), or dateStr when the rule has none
+ */
+export function alignToRule(rule, dateStr) {
+    const start = createLocalDate(dateStr);
+    const horizon = new Date(start);
+    horizon.setFullYear(horizon.getFullYear() + (rule.interval || 1) + 1);
+    const [first] = expandRule({ ...rule, count: undefined, until: undefined }, start, horizon);
+    return first ? formatLocalDate(first) : dateStr;
+}
@@ -0,0 +1,171 @@
+/**
+ * Reminders
+ *
+ * Decides which due-date reminders a bill should get. Settings are layered:
+ * the global settings, then the bill's category, then the bill itself.
+ *
+ * Reminder Settings Structure (STORAGE_KEYS.REMINDER_SETTINGS):
+ * - enabled: Whether reminders are shown at all
+ * - daysBefore: Remind this many days before the due date (0 turns it off)
+ * - onDueDate: Remind on the due date
+ * - overdue: Remind every day while the bill is overdue
+ * - categories: Overrides per category name, e.g. { Rent: { daysBefore: 7 }, Groceries: { enabled: false } }
+ *
+ * A bill can override the same fields with bill.reminder (null uses the defaults).
+ *
+ * Reminders are delivered by the service worker, which mirrors getDueReminders()
+ * so it can remind while the app is closed (see public/service-worker.js).
+ *
+ * @module reminders
+ * @requires dates
+ */
+
+import { createLocalDate, formatLocalDate } from './dates.js';
+
+/** @type {Object} Reminder settings used until the user changes them */
+export const DEFAULT_REMINDER_SETTINGS = {
+    enabled: false,
+    daysBefore: 3,
+    onDueDate: true,
+    overdue: true,
+    categories: {}
+};
+
+/** Days-before choices offered for categories and bills */
+export const REMINDER_DAY_OPTIONS = [1, 2, 3, 5, 7, 14];
+
+/** How long "Snooze" hides a bill's reminders */
+export const SNOOZE_HOURS = 24;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reminder rule that applies to a bill
+ *
+ * @function resolveReminderRule
+ * @param {Object} bill - Bill with optional reminder override
+ * @param {Object} settings - Reminder settings
+ * @returns {{enabled: boolean, daysBefore: number, onDueDate: boolean, overdue: boolean}} Effective rule
+ */
+export function resolveReminderRule(bill, settings = DEFAULT_REMINDER_SETTINGS) {
+    const { categories = {}, ...global } = { ...DEFAULT_REMINDER_SETTINGS, ...settings };
+    return {
+        ...global,
+        ...(categories[bill.category] || {}),
+        ...(bill.reminder || {})
+    };
+}
+
+/**
+ * Reminders due today
+ *
+ * @function getDueReminders
+ * @param {Array<Object>} bills - Bills (paid bills are skipped)
+ * @param {Object} settings - Reminder settings
+ * @param {Date} [today=new Date()] - Current date
+ * @param {Object} [state] - Delivery state
+ * @param {Object<string, number>} [state.sent] - Reminder keys already shown, with the time shown
+ * @param {Object<string, number>} [state.snoozedUntil] - Bill id to the time its reminders resume
+ * @returns {Array<Object>} Reminders { key, billId, kind, title, body } where kind is
+ *   'before', 'due' or 'overdue'
+ *
+ * @description The key is what makes a reminder show once: "before" and "due" reminders
+ *   are keyed by the due date, overdue reminders by today, so they repeat daily.
+ */
+export function getDueReminders(bills, settings, today = new Date(), { sent = {}, snoozedUntil = {} } = {}) {
+    if (!settings || !settings.enabled) return [];
+
+    const todayDate = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    const todayString = formatLocalDate(todayDate);
+    const reminders = [];
+
+    bills.forEach(bill => {
+        if (bill.isPaid || !bill.dueDate) return;
+        if (snoozedUntil[bill.id] && snoozedUntil[bill.id] > today.getTime()) return;
+
+        const rule = resolveReminderRule(bill, settings);
+        if (!rule.enabled) return;
+
+        const daysLeft = Math.round((createLocalDate(bill.dueDate) - todayDate) / DAY_MS);
+        let kind = null;
+        let key = null;
+        if (daysLeft < 0 && rule.overdue) {
+            kind = 'overdue';
+            key = `${bill.id}|overdue|${todayString}`;
+        } else if (daysLeft === 0 && rule.onDueDate) {
+            kind = 'due';
+            key = `${bill.id}|due|${bill.dueDate}`;
+        } else if (daysLeft > 0 && daysLeft <= rule.daysBefore) {
+            kind = 'before';
+            key = `${bill.id}|before|${bill.dueDate}`;
+        }
+        if (!kind || sent[key]) return;
+
+        reminders.push({ key, billId: bill.id, kind, ...describeReminder(bill, kind, daysLeft) });
+    });
+
+    return reminders;
+}
+
+/**
+ * Notification text for a reminder
+ * @private
+ */
+function describeReminder(bill, kind, daysLeft) {
+    const amount = typeof bill.amount === 'number' ? bill.amount : (bill.balance || bill.amountDue || 0);
+    const planned = bill.plannedPayDate && bill.plannedPayDate !== bill.dueDate ? `, planned for ${bill.plannedPayDate}` : '';
+    const body = `$${amount.toFixed(2)} due ${bill.dueDate}${planned}`;
+    if (kind === 'overdue') {
+        return { title: `${bill.name} is overdue`, body: `${body} (${-daysLeft} day${daysLeft === -1 ? '' : 's'} ago)` };
+    }
+    if (kind === 'due') {
+        return { title: `${bill.name} is due today`, body };
+    }
+    return { title: `${bill.name} is due in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`, body };
+}
+
+/**
+ * Turn a reminder choice from a settings or bill form select into an override
+ *
+ * @function parseReminderChoice
+ * @param {string} value - '' for the defaults, 'off', or a number of days before
+ * @returns {Object|null} Override, or null to use the defaults
+ */
+export function parseReminderChoice(value) {
+    if (value === 'off') return { enabled: false };
+    const days = parseInt(value, 10);
+    return Number.isFinite(days) ? { enabled: true, daysBefore: days } : null;
+}
+
+/**
+ * Select value for an override (the inverse of parseReminderChoice)
+ *
+ * @function reminderChoiceValue
+ * @param {Object|null|undefined} override - Category or bill override
+ * @returns {string} Select value
+ */
+export function reminderChoiceValue(override) {
+    if (!override) return '';
+    if (override.enabled === false) return 'off';
+    return typeof override.daysBefore === 'number' ? String(override.daysBefore) : '';
+}
+
+/**
+ * Bill fields the service worker needs to remind while the app is closed
+ *
+ * @function toReminderBill
+ * @param {Object} bill - Bill
+ * @param {number} amount - Amount still owed
+ * @returns {Object} { id, name, category, dueDate, plannedPayDate, amount, reminder }
+ */
+export function toReminderBill(bill, amount) {
+    return {
+        id: bill.id,
+        name: bill.name,
+        category: bill.category,
+        dueDate: bill.dueDate,
+        plannedPayDate: bill.plannedPayDate || null,
+        amount,
+        reminder: bill.reminder || null
+    };
+}
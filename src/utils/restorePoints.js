@@ -0,0 +1,130 @@
+/**
+ * Restore Points
+ *
+ * A restore point is a copy of the bills, series templates, pay settings and custom
+ * categories, saved in IndexedDB so a bad import, regeneration or sync can be rolled back.
+ * They are taken automatically before risky operations and once a day.
+ *
+ * Retention (see RESTORE_POINTS in constants):
+ * - Restore points taken before an operation are kept up to MAX_OPERATION_POINTS and
+ *   OPERATION_RETENTION_DAYS
+ * - The newest DAILY_POINTS_KEPT daily restore points are kept; older ones are thinned to
+ *   the newest of each week for WEEKLY_POINTS_KEPT weeks
+ *
+ * Restore points record the schema version of their bills so they can be migrated when
+ * rolled back to after an update (see schema module).
+ *
+ * All functions are pure; the restorePointService stores the restore points.
+ *
+ * @module restorePoints
+ * @requires constants
+ * @requires dates
+ * @requires schema
+ */
+
+import { RESTORE_POINTS } from './constants.js';
+import { formatLocalDate } from './dates.js';
+import { CURRENT_SCHEMA_VERSION } from './schema.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Why a restore point was taken, with the label shown in the restore points list */
+export const RESTORE_POINT_REASONS = {
+    import: 'Before import',
+    regenerate: 'Before regenerating recurring bills',
+    'bulk-delete': 'Before deleting bills',
+    settings: 'Before changing the pay schedule',
+    'cloud-sync': 'Before loading cloud data',
+    rollback: 'Before rolling back',
+    daily: 'Daily'
+};
+
+/**
+ * Create a restore point
+ *
+ * @function createRestorePoint
+ * @param {string} reason - Key of RESTORE_POINT_REASONS
+ * @param {Object} data - { bills, series, paymentSettings, customCategories } to keep
+ * @param {Date} [now=new Date()] - When the restore point is taken
+ * @returns {Object} Restore point { id, reason, createdAt, schemaVersion, billCount, data };
+ *   data is a copy, so later changes to the bills do not reach it
+ */
+export function createRestorePoint(reason, data, now = new Date()) {
+    return {
+        id: `${now.getTime().toString(36)}-${reason}`,
+        reason,
+        createdAt: now.toISOString(),
+        schemaVersion: CURRENT_SCHEMA_VERSION,
+        billCount: data.bills.length,
+        data: JSON.parse(JSON.stringify(data))
+    };
+}
+
+/**
+ * Whether today's daily restore point still has to be taken
+ *
+ * @function isDailyRestorePointDue
+ * @param {Array<Object>} points - Existing restore points
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {boolean} True when there is no daily restore point from today (local date)
+ */
+export function isDailyRestorePointDue(points, now = new Date()) {
+    const today = formatLocalDate(now);
+    return !points.some(point => point.reason === 'daily' && formatLocalDate(new Date(point.createdAt)) === today);
+}
+
+/**
+ * Restore points past the retention rules
+ *
+ * @function selectExpiredRestorePoints
+ * @param {Array<Object>} points - Existing restore points
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Array<string>} IDs of the restore points to delete
+ */
+export function selectExpiredRestorePoints(points, now = new Date()) {
+    const newestFirst = [...points].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    const ageDays = point => (now.getTime() - new Date(point.createdAt).getTime()) / DAY_MS;
+    const expired = [];
+
+    newestFirst.filter(point => point.reason !== 'daily').forEach((point, index) => {
+        if (index >= RESTORE_POINTS.MAX_OPERATION_POINTS || ageDays(point) > RESTORE_POINTS.OPERATION_RETENTION_DAYS) {
+            expired.push(point.id);
+        }
+    });
+
+    const keptWeeks = new Set();
+    newestFirst.filter(point => point.reason === 'daily').forEach((point, index) => {
+        if (index < RESTORE_POINTS.DAILY_POINTS_KEPT) return;
+        const week = Math.floor(ageDays(point) / 7);
+        if (week >= 1 && week <= RESTORE_POINTS.WEEKLY_POINTS_KEPT && !keptWeeks.has(week)) {
+            keptWeeks.add(week);
+            return;
+        }
+        expired.push(point.id);
+    });
+
+    return expired;
+}
+
+/**
+ * What rolling back to a restore point would change
+ *
+ * @function compareRestorePoint
+ * @param {Array<Object>} pointBills - Bills in the restore point
+ * @param {Array<Object>} currentBills - Current bills
+ * @returns {{restored: Array<Object>, removed: Array<Object>, changed: Array<Object>}}
+ *   restored: bills only in the restore point; removed: current bills the restore point
+ *   does not have (they go to the trash); changed: restore point bills that differ now
+ *   (bookkeeping fields such as updatedAt are ignored)
+ */
+export function compareRestorePoint(pointBills, currentBills) {
+    const comparable = ({ updatedAt, restoredAt, ...bill }) => JSON.stringify(bill);
+    const current = new Map(currentBills.map(bill => [bill.id, bill]));
+    const kept = new Set(pointBills.map(bill => bill.id));
+
+    return {
+        restored: pointBills.filter(bill => !current.has(bill.id)),
+        removed: currentBills.filter(bill => !kept.has(bill.id)),
+        changed: pointBills.filter(bill => current.has(bill.id) && comparable(bill) !== comparable(current.get(bill.id)))
+    };
+}
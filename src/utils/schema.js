@@ -0,0 +1,112 @@
+/**
+ * Schema Versions
+ *
+ * Every payload the app stores or exports carries the schema version its bills were
+ * written with: localStorage (STORAGE_KEYS.SCHEMA_VERSION), JSON backups (schemaVersion)
+ * and cloud rows (bill_records.schema_version). Bills from an older version are upgraded
+ * on load by running the migrations after it, in order.
+ *
+ * To change the bill format, add a migration with the next version number and bump
+ * CURRENT_SCHEMA_VERSION. Migrations receive one bill and return it upgraded; they must
+ * not depend on the date or device so every device upgrades a bill the same way.
+ *
+ * Versions:
+ * - 0: Bills saved before payment histories; paid bills only have isPaid and lastPaymentDate
+ * - 1: Every bill has a paymentHistory (backups of this version say version '1.0')
+ * - 2: Recurrence names are in their canonical form ('monthly' becomes 'Monthly')
+ *
+ * All functions are pure; BillStore, the backup import and billSync apply them.
+ *
+ * @module schema
+ * @requires recurrence
+ */
+
+import { normalizeRecurrence } from './recurrence.js';
+
+/**
+ * Ordered migrations; each upgrades a bill from the previous version to its own
+ * @type {Array<{version: number, description: string, migrate: Function}>}
+ */
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Convert the paid toggle to a payment history',
+        migrate: bill => {
+            if (Array.isArray(bill.paymentHistory)) return bill;
+
+            const paymentHistory = [];
+            if (bill.isPaid && bill.lastPaymentDate) {
+                paymentHistory.push({
+                    id: `legacy_${bill.id}`,
+                    date: bill.lastPaymentDate,
+                    amount: bill.amountDue || 0,
+                    method: 'Legacy Toggle',
+                    notes: 'Migrated from toggle'
+                });
+            }
+            return { ...bill, paymentHistory };
+        }
+    },
+    {
+        version: 2,
+        description: 'Use canonical recurrence names',
+        migrate: bill => {
+            const recurrence = normalizeRecurrence(bill.recurrence);
+            return recurrence === bill.recurrence ? bill : { ...bill, recurrence };
+        }
+    }
+];
+
+/** Schema version written by this version of the app */
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Schema version of a backup file
+ *
+ * @function getSchemaVersion
+ * @param {Object} payload - Parsed backup
+ * @returns {number} Schema version (0 for files that do not say)
+ */
+export function getSchemaVersion(payload) {
+    if (Number.isInteger(payload.schemaVersion)) return payload.schemaVersion;
+    // Backups made before schema versions wrote version '1.0' and already had payment histories
+    if (payload.version === '1.0') return 1;
+    return 0;
+}
+
+/**
+ * Upgrade one bill to the current schema
+ *
+ * @function migrateBill
+ * @param {Object} bill - Bill as stored
+ * @param {number} fromVersion - Schema version the bill was written with
+ * @returns {Object} Upgraded bill (the same object when nothing changed)
+ * @throws {Error} When the bill was written by a newer version of the app
+ */
+export function migrateBill(bill, fromVersion) {
+    if (fromVersion > CURRENT_SCHEMA_VERSION) {
+        throw new Error(`Data was saved by a newer version of Bill Tracker (schema ${fromVersion}). Please update the app.`);
+    }
+    return MIGRATIONS
+        .filter(migration => migration.version > fromVersion)
+        .reduce((current, migration) => migration.migrate(current), bill);
+}
+
+/**
+ * Upgrade bills to the current schema
+ *
+ * @function migrateBills
+ * @param {Array<Object>} bills - Bills as stored
+ * @param {number} fromVersion - Schema version the bills were written with
+ * @returns {{bills: Array<Object>, changed: number}} Upgraded bills and how many changed
+ * @throws {Error} When the bills were written by a newer version of the app
+ */
+export function migrateBills(bills, fromVersion) {
+    let changed = 0;
+    const migrated = bills.map(bill => {
+        const next = migrateBill(bill, fromVersion);
+        if (next !== bill) changed++;
+        return next;
+    });
+    return { bills: migrated, changed };
+}
@@ -0,0 +1,226 @@
+/**
+ * Store History
+ *
+ * Undo/redo support for BillStore. Instead of whole copies of the data, each
+ * history entry keeps the records that changed in one user action, with their
+ * value before and after. Undo writes the "before" values back, redo the
+ * "after" values, so entries stay small even for bulk deletes and imports.
+ *
+ * Snapshots hold each record serialized as JSON. A snapshot is brought up to date
+ * with only the records a mutation touched (plus those added or removed), so one
+ * change does not serialize the whole store. Comparing the JSON (rather than object
+ * references) also catches touched records that callers mutated in place.
+ *
+ * History Entry Structure:
+ * - label: What the user did (e.g. 'Delete "Rent"')
+ * - timestamp: ISO date of the action
+ * - changes: Array of { collection, key, before, after, beforeIndex, afterIndex }
+ *   where before/after are the record (or null when it did not exist)
+ *
+ * All functions are pure except loadHistory/saveHistory, which use sessionStorage
+ * so history survives reloads for the rest of the browser session.
+ *
+ * @module storeHistory
+ * @requires logger
+ */
+
+import logger from './logger.js';
+
+/**
+ * Collections tracked by history and the field identifying their records
+ * @type {Object<string, string>}
+ */
+export const HISTORY_COLLECTIONS = {
+    bills: 'id',
+    series: 'seriesId',
+    trash: 'id',
+    tombstones: 'id'
+};
+
+/**
+ * Maximum number of undo (and redo) entries kept
+ * @type {number}
+ */
+export const HISTORY_LIMIT = 50;
+
+/**
+ * sessionStorage key holding the history
+ * @type {string}
+ */
+export const HISTORY_STORAGE_KEY = 'billStoreHistory';
+
+/**
+ * Serialize every record of the tracked collections
+ *
+ * @function createSnapshot
+ * @param {Object<string, Array<Object>>} collections - e.g. { bills, series, trash, tombstones }
+ * @returns {Object<string, {order: string[], records: Map<string, string>}>} Snapshot per collection
+ */
+export function createSnapshot(collections) {
+    const snapshot = {};
+    Object.entries(HISTORY_COLLECTIONS).forEach(([name, keyField]) => {
+        const items = collections[name] || [];
+        snapshot[name] = {
+            order: items.map(item => item[keyField]),
+            records: new Map(items.map(item => [item[keyField], JSON.stringify(item)]))
+        };
+    });
+    return snapshot;
+}
+
+/**
+ * Bring a snapshot up to date and list the records that changed
+ *
+ * @function updateSnapshot
+ * @param {Object} snapshot - Snapshot from createSnapshot() or updateSnapshot()
+ * @param {Object<string, Array<Object>>} collections - Current collections
+ * @param {Object<string, Set<string>>} touched - Keys of the records each collection may
+ *   have changed; records added or removed since the snapshot are found from the keys
+ * @returns {{snapshot: Object, changes: Array<Object>}} New snapshot (the input is not
+ *   modified) and the changes with before/after records and positions
+ * @description Only touched, added and removed records are serialized; the others keep
+ *   their JSON from the previous snapshot.
+ */
+export function updateSnapshot(snapshot, collections, touched) {
+    const next = {};
+    const changes = [];
+
+    Object.entries(HISTORY_COLLECTIONS).forEach(([name, keyField]) => {
+        const previous = snapshot[name];
+        const items = collections[name] || [];
+        const order = items.map(item => item[keyField]);
+        const present = new Set(order);
+        const candidates = new Set(touched[name] || []);
+        order.forEach(key => {
+            if (!previous.records.has(key)) candidates.add(key);
+        });
+        previous.order.forEach(key => {
+            if (!present.has(key)) candidates.add(key);
+        });
+
+        if (candidates.size === 0) {
+            next[name] = { order, records: previous.records };
+            return;
+        }
+
+        const byKey = new Map(items.map(item => [item[keyField], item]));
+        const beforeIndexes = new Map(previous.order.map((key, index) => [key, index]));
+        const afterIndexes = new Map(order.map((key, index) => [key, index]));
+        const records = new Map(previous.records);
+
+        candidates.forEach(key => {
+            const beforeJson = previous.records.get(key);
+            const afterJson = byKey.has(key) ? JSON.stringify(byKey.get(key)) : undefined;
+            if (beforeJson === afterJson) return;
+
+            if (afterJson === undefined) {
+                records.delete(key);
+            } else {
+                records.set(key, afterJson);
+            }
+            changes.push({
+                collection: name,
+                key,
+                before: beforeJson === undefined ? null : JSON.parse(beforeJson),
+                after: afterJson === undefined ? null : JSON.parse(afterJson),
+                beforeIndex: beforeIndexes.has(key) ? beforeIndexes.get(key) : -1,
+                afterIndex: afterIndexes.has(key) ? afterIndexes.get(key) : -1
+            });
+        });
+
+        next[name] = { order, records };
+    });
+
+    return { snapshot: next, changes };
+}
+
+/**
+ * Apply one side of a history entry to the collections
+ *
+ * @function applyChanges
+ * @param {Object<string, Array<Object>>} collections - Current collections
+ * @param {Array<Object>} changes - Changes from updateSnapshot()
+ * @param {string} direction - 'undo' restores before values, 'redo' restores after values
+ * @returns {Object<string, Array<Object>>} New collections (inputs are not modified)
+ *
+ * @description Changed records are removed and then re-inserted at the position they
+ *   had on the restored side, so undoing a delete puts the bill back where it was.
+ *   Records changed since the entry was recorded are overwritten with the restored value.
+ */
+export function applyChanges(collections, changes, direction) {
+    const valueField = direction === 'undo' ? 'before' : 'after';
+    const indexField = direction === 'undo' ? 'beforeIndex' : 'afterIndex';
+    const result = { ...collections };
+
+    Object.entries(HISTORY_COLLECTIONS).forEach(([name, keyField]) => {
+        const relevant = changes.filter(change => change.collection === name);
+        if (relevant.length === 0) return;
+
+        const changedKeys = new Set(relevant.map(change => change.key));
+        const items = (collections[name] || []).filter(item => !changedKeys.has(item[keyField]));
+
+        relevant
+            .filter(change => change[valueField] !== null)
+            .sort((a, b) => a[indexField] - b[indexField])
+            .forEach(change => {
+                const index = Math.min(Math.max(change[indexField], 0), items.length);
+                items.splice(index, 0, change[valueField]);
+            });
+
+        result[name] = items;
+    });
+
+    return result;
+}
+
+/**
+ * Load undo/redo stacks saved earlier in this browser session
+ *
+ * @function loadHistory
+ * @returns {{undo: Array<Object>, redo: Array<Object>}} History stacks (empty when unavailable)
+ */
+export function loadHistory() {
+    try {
+        if (typeof sessionStorage === 'undefined' || !sessionStorage) {
+            return { undo: [], redo: [] };
+        }
+        const stored = JSON.parse(sessionStorage.getItem(HISTORY_STORAGE_KEY) || 'null');
+        if (!stored || !Array.isArray(stored.undo) || !Array.isArray(stored.redo)) {
+            return { undo: [], redo: [] };
+        }
+        return stored;
+    } catch (error) {
+        logger.warn('Could not load undo history', error);
+        return { undo: [], redo: [] };
+    }
+}
+
+/**
+ * Persist undo/redo stacks for the rest of the browser session
+ *
+ * @function saveHistory
+ * @param {{undo: Array<Object>, redo: Array<Object>}} history - History stacks
+ * @returns {void}
+ * @description When sessionStorage is full the oldest undo entries are dropped until
+ *   the history fits; the in-memory history is trimmed to match.
+ */
+export function saveHistory(history) {
+    if (typeof sessionStorage === 'undefined' || !sessionStorage) return;
+
+    while (true) {
+        try {
+            sessionStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(history));
+            return;
+        } catch (error) {
+            if (history.undo.length === 0 && history.redo.length === 0) {
+                logger.warn('Could not save undo history', error);
+                return;
+            }
+            if (history.undo.length > 0) {
+                history.undo.splice(0, Math.ceil(history.undo.length / 2));
+            } else {
+                history.redo.splice(0, Math.ceil(history.redo.length / 2));
+            }
+        }
+    }
+}
@@ -0,0 +1,327 @@
+/**
+ * Sync Merge
+ *
+ * Three-way merge of bill records for cloud sync. Each side (the last synced
+ * snapshot "base", this device "local" and the cloud "remote") is a Map of
+ * bill id to a sync record:
+ *
+ * Sync Record Structure:
+ * - id: Bill id
+ * - bill: The bill, or null when it is deleted
+ * - deletedAt: ISO timestamp of the delete (deleted records only)
+ * - version: Cloud revision the record is based on (0 when never uploaded)
+ *
+ * A side "changed" a bill when its record differs from the base. When only one
+ * side changed it, that side wins. When both changed it, fields changed on one
+ * side only are merged; fields both sides changed to different values are a
+ * conflict the user resolves (see newestSide() for the automatic choice).
+ * The sync metadata fields (version, updatedAt) are never compared.
+ *
+ * All functions are pure.
+ *
+ * @module syncMerge
+ * @requires billSeries
+ * @requires trash
+ */
+
+import { getOccurrenceDate } from './billSeries.js';
+import { isDeletedBy } from './trash.js';
+
+/**
+ * Bill fields that describe the sync state rather than the bill
+ * @type {string[]}
+ */
+export const SYNC_METADATA_FIELDS = ['version', 'updatedAt'];
+
+/**
+ * JSON with object keys sorted, so equal bills compare equal regardless of key order
+ * @private
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Bill without its sync metadata
+ * @private
+ */
+function stripMetadata(bill) {
+    const content = { ...bill };
+    SYNC_METADATA_FIELDS.forEach(field => delete content[field]);
+    return content;
+}
+
+/**
+ * Build a record map from bills and tombstones
+ *
+ * @function toRecordMap
+ * @param {{bills: Array<Object>, tombstones?: Array<{id: string, deletedAt: string}>}} state - Bills and deletes
+ * @returns {Map<string, Object>} Sync records by bill id (bills are copied)
+ */
+export function toRecordMap({ bills, tombstones = [] }) {
+    const records = new Map();
+    tombstones.forEach(tombstone => {
+        records.set(tombstone.id, {
+            id: tombstone.id,
+            bill: null,
+            deletedAt: tombstone.deletedAt,
+            version: tombstone.version || 0
+        });
+    });
+    bills.forEach(bill => {
+        // A bill restored after its delete replaces the tombstone
+        if (isDeletedBy(bill, records.get(bill.id))) return;
+        records.set(bill.id, {
+            id: bill.id,
+            bill: JSON.parse(JSON.stringify(bill)),
+            deletedAt: null,
+            version: bill.version || 0
+        });
+    });
+    return records;
+}
+
+/**
+ * Split a record map back into bills and tombstones
+ *
+ * @function fromRecordMap
+ * @param {Map<string, Object>} records - Sync records
+ * @returns {{bills: Array<Object>, tombstones: Array<{id: string, deletedAt: string}>}} Bills stamped
+ *   with their version, and tombstones of deleted records
+ */
+export function fromRecordMap(records) {
+    const bills = [];
+    const tombstones = [];
+    records.forEach(record => {
+        if (record.bill) {
+            bills.push({ ...record.bill, version: record.version });
+        } else {
+            tombstones.push({ id: record.id, deletedAt: record.deletedAt });
+        }
+    });
+    return { bills, tombstones };
+}
+
+/**
+ * Compare two records, ignoring sync metadata
+ *
+ * @function recordsEqual
+ * @param {Object|undefined} a - Sync record (undefined when the side never had the bill)
+ * @param {Object|undefined} b - Sync record
+ * @returns {boolean} True when both hold the same bill, or both have no bill
+ */
+export function recordsEqual(a, b) {
+    const billA = a ? a.bill : null;
+    const billB = b ? b.bill : null;
+    if (!billA || !billB) return !billA && !billB;
+    return stableStringify(stripMetadata(billA)) === stableStringify(stripMetadata(billB));
+}
+
+/**
+ * Merge the fields of a bill both sides changed
+ * @private
+ * @returns {{merged: Object, fields: string[]}} Merged bill (local values for conflicting
+ *   fields) and the names of the conflicting fields
+ */
+function mergeFields(base, local, remote) {
+    const merged = {};
+    const fields = [];
+    const keys = new Set([...Object.keys(local), ...Object.keys(remote)]);
+
+    keys.forEach(key => {
+        if (SYNC_METADATA_FIELDS.includes(key)) return;
+        const localValue = stableStringify(local[key]);
+        const remoteValue = stableStringify(remote[key]);
+        const baseValue = base ? stableStringify(base[key]) : undefined;
+
+        let value;
+        if (localValue === remoteValue || remoteValue === baseValue) {
+            value = local[key];
+        } else if (localValue === baseValue) {
+            value = remote[key];
+        } else {
+            fields.push(key);
+            value = local[key];
+        }
+        if (value !== undefined) merged[key] = value;
+    });
+
+    // Keep the newer edit time for the merged bill
+    merged.updatedAt = [local.updatedAt, remote.updatedAt].filter(Boolean).sort().pop();
+    if (merged.updatedAt === undefined) delete merged.updatedAt;
+
+    return { merged, fields };
+}
+
+/**
+ * Three-way merge of local and remote records against the last synced base
+ *
+ * @function mergeRecords
+ * @param {Map<string, Object>} base - Records as of the last sync
+ * @param {Map<string, Object>} local - Records on this device
+ * @param {Map<string, Object>} remote - Records in the cloud
+ * @returns {{records: Map<string, Object>, conflicts: Array<Object>}} Merged records (conflicting
+ *   bills hold the local side until resolved) and the conflicts
+ *
+ * @description Conflict Structure:
+ *   - id: Bill id
+ *   - base, local, remote: The three records (base may be undefined)
+ *   - fields: Fields both sides changed differently (empty when one side deleted the bill)
+ *   - merged: Bill with every non-conflicting change applied (null when one side deleted it)
+ *   Merged records keep the remote version, so the upload can check the cloud did not change.
+ */
+export function mergeRecords(base, local, remote) {
+    const records = new Map();
+    const conflicts = [];
+    const ids = new Set([...local.keys(), ...remote.keys(), ...base.keys()]);
+
+    ids.forEach(id => {
+        const baseRecord = base.get(id);
+        const localRecord = local.get(id);
+        const remoteRecord = remote.get(id);
+        const version = remoteRecord ? remoteRecord.version : 0;
+
+        const localChanged = !recordsEqual(localRecord, baseRecord);
+        const remoteChanged = !recordsEqual(remoteRecord, baseRecord);
+        let chosen;
+
+        if (recordsEqual(localRecord, remoteRecord)) {
+            chosen = remoteRecord || localRecord;
+        } else if (!localChanged) {
+            chosen = remoteRecord;
+        } else if (!remoteChanged) {
+            chosen = localRecord;
+        } else if (localRecord && localRecord.bill && remoteRecord && remoteRecord.bill) {
+            const { merged, fields } = mergeFields(
+                baseRecord && baseRecord.bill,
+                localRecord.bill,
+                remoteRecord.bill
+            );
+            chosen = { id, bill: merged, deletedAt: null };
+            if (fields.length > 0) {
+                conflicts.push({ id, base: baseRecord, local: localRecord, remote: remoteRecord, fields, merged });
+            }
+        } else {
+            // One side deleted the bill the other side edited
+            chosen = localRecord;
+            conflicts.push({ id, base: baseRecord, local: localRecord, remote: remoteRecord, fields: [], merged: null });
+        }
+
+        // Bills neither side has (e.g. only in an old base) are dropped
+        if (chosen) {
+            records.set(id, { ...chosen, version });
+        }
+    });
+
+    return { records, conflicts };
+}
+
+/**
+ * Side that changed a conflicting bill last
+ *
+ * @function newestSide
+ * @param {Object} conflict - Conflict from mergeRecords()
+ * @returns {string} 'local' or 'remote' (remote on ties, so devices agree)
+ */
+export function newestSide(conflict) {
+    const changedAt = record => (record && (record.bill ? record.bill.updatedAt : record.deletedAt)) || '';
+    return changedAt(conflict.local) > changedAt(conflict.remote) ? 'local' : 'remote';
+}
+
+/**
+ * Apply the user's choices to conflicting records
+ *
+ * @function applyConflictChoices
+ * @param {Map<string, Object>} records - Merged records from mergeRecords() (updated in place)
+ * @param {Array<Object>} conflicts - Conflicts from mergeRecords()
+ * @param {Object<string, string>} choices - Bill id to 'local' or 'remote' (newestSide() when missing)
+ * @returns {Map<string, Object>} The records
+ *
+ * @description For bills both sides edited, only the conflicting fields come from the chosen
+ *   side; other changes from both sides are kept.
+ */
+export function applyConflictChoices(records, conflicts, choices) {
+    conflicts.forEach(conflict => {
+        const side = choices[conflict.id] || newestSide(conflict);
+        const chosen = conflict[side];
+        const version = records.has(conflict.id) ? records.get(conflict.id).version : 0;
+
+        if (conflict.merged && chosen.bill) {
+            const bill = { ...conflict.merged };
+            conflict.fields.forEach(field => {
+                if (chosen.bill[field] === undefined) {
+                    delete bill[field];
+                } else {
+                    bill[field] = chosen.bill[field];
+                }
+            });
+            records.set(conflict.id, { id: conflict.id, bill, deletedAt: null, version });
+        } else {
+            records.set(conflict.id, { ...chosen, version });
+        }
+    });
+    return records;
+}
+
+/**
+ * Keep one bill per recurring occurrence
+ *
+ * @function dedupeOccurrences
+ * @param {Map<string, Object>} records - Merged records (updated in place)
+ * @param {string} deletedAt - ISO timestamp for the removed duplicates
+ * @returns {Array<string>} Ids of the duplicates turned into deletes
+ *
+ * @description Two devices regenerating the same series create the same occurrence under
+ *   different ids. The paid one (or the one with payments) is kept, otherwise the lowest id,
+ *   so every device keeps the same bill.
+ */
+export function dedupeOccurrences(records, deletedAt) {
+    const byOccurrence = new Map();
+    records.forEach(record => {
+        const bill = record.bill;
+        if (!bill || !bill.seriesId) return;
+        const key = `${bill.seriesId}|${getOccurrenceDate(bill)}`;
+        byOccurrence.set(key, [...(byOccurrence.get(key) || []), record]);
+    });
+
+    const hasPayments = bill => (bill.isPaid || (bill.paymentHistory || []).length > 0 ? 0 : 1);
+    const dropped = [];
+    byOccurrence.forEach(group => {
+        if (group.length < 2) return;
+        group.sort((a, b) => hasPayments(a.bill) - hasPayments(b.bill) || a.id.localeCompare(b.id));
+        group.slice(1).forEach(record => {
+            records.set(record.id, { id: record.id, bill: null, deletedAt, version: record.version });
+            dropped.push(record.id);
+        });
+    });
+    return dropped;
+}
+
+/**
+ * Keep edits made on this device while a sync was running
+ *
+ * @function rebaseLocalEdits
+ * @param {Map<string, Object>} synced - Records produced by the sync
+ * @param {Map<string, Object>} captured - Local records the sync started from
+ * @param {Map<string, Object>} current - Local records now
+ * @returns {Map<string, Object>} Synced records, except bills changed locally in the meantime
+ *   keep their current value (the next sync uploads them)
+ */
+export function rebaseLocalEdits(synced, captured, current) {
+    const result = new Map();
+    const ids = new Set([...current.keys(), ...synced.keys()]);
+    ids.forEach(id => {
+        const record = recordsEqual(current.get(id), captured.get(id)) ? synced.get(id) : current.get(id);
+        if (record) result.set(id, record);
+    });
+    return result;
+}
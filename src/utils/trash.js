@@ -0,0 +1,104 @@
+/**
+ * Trash
+ *
+ * Helpers for soft-deleted bills. Deleting a bill moves it (with its payment
+ * history) to the trash with a deletedAt timestamp and leaves a tombstone.
+ *
+ * Tombstones are small { id, deletedAt } records that are synced to the cloud
+ * so other devices drop the bill too instead of uploading it again. They are
+ * kept after the trash is emptied and only removed once they are older than
+ * TRASH.TOMBSTONE_RETENTION_DAYS. Restoring a bill removes its tombstone and
+ * stamps the bill with restoredAt, which wins over older tombstones still
+ * held by other devices.
+ *
+ * All functions are pure; BillStore owns the trash and tombstone lists.
+ *
+ * @module trash
+ */
+
+import { TRASH } from './constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Copy a bill into a trash entry
+ *
+ * @function createTrashEntry
+ * @param {Object} bill - Bill being deleted
+ * @param {string} deletedAt - ISO timestamp of the delete
+ * @returns {Object} Bill with deletedAt set
+ */
+export function createTrashEntry(bill, deletedAt) {
+    return { ...bill, deletedAt };
+}
+
+/**
+ * Turn a trash entry back into a bill
+ *
+ * @function restoreTrashEntry
+ * @param {Object} entry - Trash entry
+ * @param {string} restoredAt - ISO timestamp of the restore
+ * @returns {Object} Bill without deletedAt, stamped with restoredAt
+ */
+export function restoreTrashEntry(entry, restoredAt) {
+    const { deletedAt, ...bill } = entry;
+    return { ...bill, restoredAt };
+}
+
+/**
+ * Combine tombstone lists, keeping the latest delete per bill id
+ *
+ * @function mergeTombstones
+ * @param {...Array<{id: string, deletedAt: string}>} lists - Tombstone lists
+ * @returns {Array<{id: string, deletedAt: string}>} Merged tombstones
+ */
+export function mergeTombstones(...lists) {
+    const byId = new Map();
+    lists.flat().forEach(tombstone => {
+        if (!tombstone || !tombstone.id || !tombstone.deletedAt) return;
+        const existing = byId.get(tombstone.id);
+        if (!existing || existing.deletedAt < tombstone.deletedAt) {
+            byId.set(tombstone.id, { id: tombstone.id, deletedAt: tombstone.deletedAt });
+        }
+    });
+    return [...byId.values()];
+}
+
+/**
+ * Check whether a tombstone deletes a bill
+ *
+ * @function isDeletedBy
+ * @param {Object} bill - Bill to check
+ * @param {{id: string, deletedAt: string}|undefined} tombstone - Tombstone for the bill's id
+ * @returns {boolean} True unless the bill was restored after the delete
+ */
+export function isDeletedBy(bill, tombstone) {
+    return Boolean(tombstone) && tombstone.deletedAt > (bill.restoredAt || '');
+}
+
+/**
+ * Check whether an entry is older than a number of days
+ *
+ * @function isExpired
+ * @param {{deletedAt: string}} entry - Trash entry or tombstone
+ * @param {number} days - Retention in days (0 or less never expires)
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {boolean} True when the entry should be purged
+ */
+export function isExpired(entry, days, now = new Date()) {
+    if (!(days > 0)) return false;
+    const deletedAt = new Date(entry.deletedAt).getTime();
+    return Number.isFinite(deletedAt) && now.getTime() - deletedAt > days * DAY_MS;
+}
+
+/**
+ * Drop tombstones older than the tombstone retention
+ *
+ * @function pruneTombstones
+ * @param {Array<{id: string, deletedAt: string}>} tombstones - Tombstones
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Array<{id: string, deletedAt: string}>} Tombstones still worth syncing
+ */
+export function pruneTombstones(tombstones, now = new Date()) {
+    return tombstones.filter(tombstone => !isExpired(tombstone, TRASH.TOMBSTONE_RETENTION_DAYS, now));
+}
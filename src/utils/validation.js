@@ -11,6 +11,11 @@
  */
 
 import logger from './logger.js';
+import { validateScheduleOptions } from './paySchedule.js';
+import { validateIncomeSources } from './incomeSources.js';
+import { validatePaymentAccounts } from './paymentAccounts.js';
+import { validateRecurrenceRule } from './recurrence.js';
+import { RECURRING_GENERATION } from './constants.js';
 
 /**
  * Sanitize user input to prevent XSS and injection attacks
@@ -307,10 +312,11 @@ export function validateNotes(notes) {
  * Validate recurrence type
  * 
  * @param {string} recurrence - Recurrence type to validate (case-insensitive)
+ * @param {Object} [recurrenceRule] - Rule object, required when recurrence is 'Custom'
  * @returns {Object} Validation result with isValid and error message
  */
-export function validateRecurrence(recurrence) {
-    const validTypes = ['One-time', 'Weekly', 'Bi-weekly', 'Monthly', 'Yearly'];
+export function validateRecurrence(recurrence, recurrenceRule) {
+    const validTypes = ['One-time', 'Weekly', 'Bi-weekly', 'Monthly', 'Yearly', 'Custom'];
 
     if (!recurrence) {
         return { isValid: false, error: 'Recurrence type is required' };
@@ -324,6 +330,13 @@ export function validateRecurrence(recurrence) {
         return { isValid: false, error: `Recurrence must be one of: ${validTypes.join(', ')}` };
     }
 
+    if (normalizedRecurrence === 'custom') {
+        const ruleErrors = validateRecurrenceRule(recurrenceRule);
+        if (ruleErrors.length > 0) {
+            return { isValid: false, error: ruleErrors.join(', ') };
+        }
+    }
+
     return { isValid: true, error: null };
 }
 
@@ -332,13 +345,30 @@ export function validateRecurrence(recurrence) {
  * 
  * Payment settings control:
  * - startDate: When paycheck cycle begins (YYYY-MM-DD format)
- * - frequency: Paycheck frequency (weekly, bi-weekly, monthly)
+ * - frequency: Paycheck frequency (weekly, bi-weekly, semi-monthly, monthly, custom)
+ * - semiMonthlyDays / customRule: Schedule details for semi-monthly and custom frequencies
+ * - businessDayAdjust / holidays: Optional shifting of weekend and holiday paydays
+ * - primarySourceName / additionalIncomeSources: Optional named income sources with their own schedules
+ * - paymentAccounts: Optional accounts bills are paid from
  * - payPeriodsToShow: Number of upcoming paychecks to display and filter
+ * - netPay: Optional net pay amount received each paycheck
+ * - payOverrides: Optional map of YYYY-MM-DD paycheck dates to a different net pay
+ * - planMonthsAhead: Optional number of months to generate recurring bills for
  * 
  * @param {Object} settings - Payment settings object to validate
  * @param {string} settings.startDate - Start date in YYYY-MM-DD format
- * @param {string} settings.frequency - Frequency type (weekly, bi-weekly, monthly)
+ * @param {string} settings.frequency - Frequency type (weekly, bi-weekly, semi-monthly, monthly, custom)
+ * @param {number[]} [settings.semiMonthlyDays] - Two days of the month (31 = last day)
+ * @param {{week: number, weekday: number}} [settings.customRule] - Nth weekday rule (week -1 = last)
+ * @param {string} [settings.businessDayAdjust] - 'none' or 'previous'
+ * @param {string[]} [settings.holidays] - Holiday dates in YYYY-MM-DD format
+ * @param {string} [settings.primarySourceName] - Display name of the primary income source
+ * @param {Array<Object>} [settings.additionalIncomeSources] - Extra sources ({id, name, startDate, frequency, ...})
+ * @param {Array<Object>} [settings.paymentAccounts] - Payment accounts ({id, nickname, type, lastFour})
  * @param {number} settings.payPeriodsToShow - Number of periods to show (positive integer)
+ * @param {number} [settings.netPay] - Net pay per paycheck
+ * @param {Object<string, number>} [settings.payOverrides] - Net pay overrides keyed by paycheck date
+ * @param {number} [settings.planMonthsAhead] - Months of recurring bills to generate (1-60)
  * @returns {Object} Validation result with isValid and errors array
  * 
  * @example
@@ -355,7 +385,7 @@ export function validateRecurrence(recurrence) {
  *   frequency: 'invalid',
  *   payPeriodsToShow: -1
  * })
- * // Returns: { isValid: false, errors: ['Frequency must be weekly, bi-weekly, or monthly', 'Pay periods to show must be a positive integer'] }
+ * // Returns: { isValid: false, errors: ['Frequency must be one of: weekly, bi-weekly, semi-monthly, monthly, custom', 'Pay periods to show must be a positive integer'] }
  */
 export function validatePaymentSettings(settings) {
     const errors = [];
@@ -413,12 +443,8 @@ export function validatePaymentSettings(settings) {
     if (!settings.frequency || typeof settings.frequency !== 'string') {
         errors.push('Frequency is required');
     } else {
-        const validFrequencies = ['weekly', 'bi-weekly', 'monthly'];
-        const normalizedFrequency = settings.frequency.toLowerCase().trim();
-        
-        if (!validFrequencies.includes(normalizedFrequency)) {
-            errors.push('Frequency must be weekly, bi-weekly, or monthly');
-        }
+        // Also covers semi-monthly days, custom rules and business day options
+        errors.push(...validateScheduleOptions(settings));
     }
 
     // Validate payPeriodsToShow
@@ -434,6 +460,66 @@ export function validatePaymentSettings(settings) {
         errors.push('Pay periods to show cannot exceed 52');
     }
 
+    // Validate optional netPay
+    if (settings.netPay !== undefined && settings.netPay !== null) {
+        const netPayValidation = validateAmount(settings.netPay);
+        if (!netPayValidation.isValid) {
+            errors.push('Net pay: ' + netPayValidation.error);
+        }
+    }
+
+    // Validate optional per-date paycheck overrides
+    if (settings.payOverrides !== undefined && settings.payOverrides !== null) {
+        if (typeof settings.payOverrides !== 'object' || Array.isArray(settings.payOverrides)) {
+            errors.push('Paycheck overrides must be an object keyed by date');
+        } else {
+            Object.entries(settings.payOverrides).forEach(([date, amount]) => {
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+                    errors.push(`Paycheck override date "${date}" must be in YYYY-MM-DD format`);
+                    return;
+                }
+                const overrideValidation = validateAmount(amount);
+                if (!overrideValidation.isValid) {
+                    errors.push(`Paycheck override for ${date}: ${overrideValidation.error}`);
+                }
+            });
+        }
+    }
+
+    // Validate optional cash-flow projection settings
+    if (settings.startingBalance !== undefined && settings.startingBalance !== null) {
+        if (typeof settings.startingBalance !== 'number' || !isFinite(settings.startingBalance)) {
+            errors.push('Starting balance must be a number');
+        }
+        if (typeof settings.startingBalanceDate !== 'string' ||
+            !/^\d{4}-\d{2}-\d{2}$/.test(settings.startingBalanceDate)) {
+            errors.push('Starting balance date must be in YYYY-MM-DD format');
+        }
+    }
+    if (settings.lowBalanceBuffer !== undefined && settings.lowBalanceBuffer !== null) {
+        const bufferValidation = validateAmount(settings.lowBalanceBuffer);
+        if (!bufferValidation.isValid) {
+            errors.push('Low balance buffer: ' + bufferValidation.error);
+        }
+    }
+
+    // Validate income sources
+    if (settings.primarySourceName !== undefined &&
+        (typeof settings.primarySourceName !== 'string' || !settings.primarySourceName.trim())) {
+        errors.push('Income source name cannot be empty');
+    }
+    errors.push(...validateIncomeSources(settings.additionalIncomeSources));
+    errors.push(...validatePaymentAccounts(settings.paymentAccounts));
+
+    // Validate optional planning horizon
+    if (settings.planMonthsAhead !== undefined && settings.planMonthsAhead !== null) {
+        const maxMonths = RECURRING_GENERATION.MAX_PLAN_MONTHS_AHEAD;
+        if (!Number.isInteger(settings.planMonthsAhead) || settings.planMonthsAhead < 1 ||
+            settings.planMonthsAhead > maxMonths) {
+            errors.push(`Plan ahead must be a whole number of months from 1 to ${maxMonths}`);
+        }
+    }
+
     return {
         isValid: errors.length === 0,
         errors
@@ -5,10 +5,14 @@
 
 import { billStore } from '../store/BillStore.js';
 import { appState } from '../store/appState.js';
+import { paycheckManager } from '../utils/paycheckManager.js';
+import { getTotalPaid, calculateAccountOutflows, calculateCashFlowProjection } from '../utils/billHelpers.js';
+import { createLocalDate } from '../utils/dates.js';
 import logger from '../utils/logger.js';
 
 let categoryChart = null;
 let trendChart = null;
+let cashFlowChart = null;
 
 /**
  * Render analytics view with charts
@@ -27,14 +31,10 @@ export function renderAnalytics({ bills: providedBills, viewMode, selectedPayche
         // Apply pay period filtering if in filtered mode
         if (viewMode === 'filtered' && selectedPaycheck !== null && payCheckDates) {
             const startDate = payCheckDates[selectedPaycheck];
-            const endDate = selectedPaycheck < payCheckDates.length - 1
-                ? payCheckDates[selectedPaycheck + 1]
-                : new Date(startDate.getTime() + 14 * 24 * 60 * 60 * 1000);
 
-            currentBills = currentBills.filter(bill => {
-                const billDate = new Date(bill.dueDate);
-                return billDate >= startDate && billDate < endDate;
-            });
+            currentBills = currentBills.filter(bill =>
+                paycheckManager.getPeriodIndexForBill(bill, payCheckDates) === selectedPaycheck
+            );
 
             const dateLabel = startDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
             viewTitle = `Spending Analytics (Period: ${dateLabel})`;
@@ -56,10 +56,7 @@ export function renderAnalytics({ bills: providedBills, viewMode, selectedPayche
 
         // Calculate Summary
         const totalDue = currentBills.reduce((acc, bill) => acc + (bill.amountDue || 0), 0);
-        const totalPaid = currentBills.reduce((acc, bill) => {
-            const billPaid = (bill.paymentHistory || []).reduce((pAcc, p) => pAcc + (p.amount || 0), 0);
-            return acc + billPaid;
-        }, 0);
+        const totalPaid = currentBills.reduce((acc, bill) => acc + getTotalPaid(bill), 0);
         const remaining = totalDue - totalPaid;
 
         analyticsView.innerHTML = `
@@ -105,8 +102,19 @@ export function renderAnalytics({ bills: providedBills, viewMode, selectedPayche
                     </div>
                 </div>
             </div>
+
+            <div class="chart-card cash-flow" id="cashFlow"></div>
+
+            <div class="chart-card account-outflows" id="accountOutflows"></div>
         `;
 
+        renderAccountOutflows(
+            document.getElementById('accountOutflows'),
+            providedBills || billStore.getAll(),
+            viewMode === 'filtered' ? selectedPaycheck : null,
+            payCheckDates || paycheckManager.payCheckDates
+        );
+
         // Prepare category chart data
         const categoryTotals = {};
         currentBills.forEach(bill => {
@@ -140,6 +148,10 @@ export function renderAnalytics({ bills: providedBills, viewMode, selectedPayche
             trendChart.destroy();
             trendChart = null;
         }
+        if (cashFlowChart) {
+            cashFlowChart.destroy();
+            cashFlowChart = null;
+        }
 
         const isDark = document.body.classList.contains('dark-mode');
         const textColor = isDark ? '#e0e0e0' : '#333333';
@@ -260,6 +272,13 @@ export function renderAnalytics({ bills: providedBills, viewMode, selectedPayche
                 }
             });
         }
+
+        renderCashFlow(
+            document.getElementById('cashFlow'),
+            allBills,
+            payCheckDates || paycheckManager.payCheckDates,
+            { textColor, gridColor }
+        );
     } catch (error) {
         logger.error('Error rendering analytics', error);
         const analyticsView = document.getElementById('analyticsView');
@@ -269,6 +288,179 @@ export function renderAnalytics({ bills: providedBills, viewMode, selectedPayche
     }
 }
 
+/**
+ * Render the table of what leaves each payment account per pay period
+ *
+ * @param {HTMLElement} container - Section to fill
+ * @param {Array<Object>} bills - Bills in the current view
+ * @param {number|null} selectedPaycheck - Only this pay period, or null for every shown period
+ * @param {Array<Date>} payCheckDates - Paycheck dates
+ */
+function renderAccountOutflows(container, bills, selectedPaycheck, payCheckDates) {
+    const title = document.createElement('h3');
+    title.textContent = 'Paid From Each Account';
+    container.appendChild(title);
+
+    const accounts = paycheckManager.getPaymentAccounts();
+    if (accounts.length === 0) {
+        const hint = document.createElement('p');
+        hint.className = 'account-outflows-hint';
+        hint.textContent = 'Add payment accounts in Settings to see how much each account needs per pay period.';
+        container.appendChild(hint);
+        return;
+    }
+
+    const periods = calculateAccountOutflows(bills, accounts, payCheckDates)
+        .filter((period, index) => selectedPaycheck === null || index === selectedPaycheck)
+        .filter(period => period.rows.length > 0);
+    if (periods.length === 0) {
+        const hint = document.createElement('p');
+        hint.className = 'account-outflows-hint';
+        hint.textContent = 'No payments or unpaid bills in these pay periods.';
+        container.appendChild(hint);
+        return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'account-outflows-table';
+    const head = table.createTHead().insertRow();
+    ['Pay period', 'Account', 'Paid', 'Still due', 'Total'].forEach(text => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.textContent = text;
+        head.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    const formatDate = date => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    periods.forEach(period => {
+        period.rows.forEach((row, index) => {
+            const tr = body.insertRow();
+            if (index === 0) {
+                const th = document.createElement('th');
+                th.scope = 'row';
+                th.rowSpan = period.rows.length;
+                const lastDay = new Date(period.endDate.getFullYear(), period.endDate.getMonth(), period.endDate.getDate() - 1);
+                th.textContent = `${formatDate(period.payDate)} – ${formatDate(lastDay)}`;
+                tr.appendChild(th);
+            }
+            [row.label, `$${row.paid.toFixed(2)}`, `$${row.planned.toFixed(2)}`, `$${(row.paid + row.planned).toFixed(2)}`]
+                .forEach(text => {
+                    tr.insertCell().textContent = text;
+                });
+        });
+    });
+    container.appendChild(table);
+}
+
+/**
+ * Render the projected checking balance as a line chart
+ *
+ * The projection always covers every shown pay period, whatever period is selected.
+ *
+ * @param {HTMLElement} container - Section to fill
+ * @param {Array<Object>} bills - All bills
+ * @param {Array<Date>} payCheckDates - Paycheck dates
+ * @param {Object} colors - { textColor, gridColor } for the current theme
+ */
+function renderCashFlow(container, bills, payCheckDates, { textColor, gridColor }) {
+    const title = document.createElement('h3');
+    title.textContent = 'Projected Checking Balance';
+    container.appendChild(title);
+
+    const cashFlowSettings = paycheckManager.getCashFlowSettings();
+    const projection = cashFlowSettings && calculateCashFlowProjection(bills, payCheckDates, cashFlowSettings);
+    if (!projection) {
+        const hint = document.createElement('p');
+        hint.className = 'cash-flow-hint';
+        hint.textContent = 'Enter your checking balance in Settings to project it across your pay periods.';
+        container.appendChild(hint);
+        return;
+    }
+
+    const formatAmount = amount => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+    const formatDate = date => createLocalDate(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+    const summary = document.createElement('p');
+    summary.className = `cash-flow-summary ${projection.firstBelowBuffer ? 'low' : ''}`;
+    summary.textContent = projection.firstBelowBuffer
+        ? `Drops below ${formatAmount(projection.buffer)} on ${formatDate(projection.firstBelowBuffer.date)}. ` +
+            `Lowest: ${formatAmount(projection.lowest.balance)} on ${formatDate(projection.lowest.date)}.`
+        : `Stays above ${formatAmount(projection.buffer)}. Ends at ${formatAmount(projection.endBalance)}.`;
+    if (projection.missingIncome) {
+        summary.textContent += ' Paychecks without a net pay amount are counted as $0.';
+    }
+    container.appendChild(summary);
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'chart-wrapper';
+    const canvas = document.createElement('canvas');
+    canvas.id = 'cashFlowChart';
+    canvas.setAttribute('role', 'img');
+    canvas.setAttribute('aria-label', summary.textContent);
+    wrapper.appendChild(canvas);
+    container.appendChild(wrapper);
+
+    const { points, buffer } = projection;
+    const lowColors = points.map(point => (point.balance < 0 ? '#d97f7f' : point.balance < buffer ? '#f5a623' : '#2c5aa0'));
+
+    cashFlowChart = new Chart(canvas.getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: points.map(point => formatDate(point.date)),
+            datasets: [
+                {
+                    label: 'Balance',
+                    data: points.map(point => point.balance),
+                    borderColor: '#2c5aa0', // Primary
+                    pointBackgroundColor: lowColors,
+                    pointBorderColor: lowColors,
+                    pointRadius: 4,
+                    stepped: 'after'
+                },
+                {
+                    label: 'Warn below',
+                    data: points.map(() => buffer),
+                    borderColor: '#d97f7f', // Danger
+                    borderDash: [6, 4],
+                    borderWidth: 1,
+                    pointRadius: 0
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                y: {
+                    grid: { color: gridColor },
+                    ticks: {
+                        color: textColor,
+                        callback: (value) => formatAmount(value)
+                    }
+                },
+                x: {
+                    grid: { display: false },
+                    ticks: { color: textColor }
+                }
+            },
+            plugins: {
+                legend: {
+                    position: 'bottom',
+                    labels: { color: textColor }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: (context) => `${context.dataset.label}: ${formatAmount(context.parsed.y)}`,
+                        afterBody: (items) => points[items[0].dataIndex].items
+                            .map(item => `${item.label}: ${item.amount > 0 ? '+' : ''}${formatAmount(item.amount)}`)
+                    }
+                }
+            }
+        }
+    });
+}
+
 /**
  * Initialize analytics view DOM
  */
@@ -302,4 +494,8 @@ export function cleanupCharts() {
         trendChart.destroy();
         trendChart = null;
     }
+    if (cashFlowChart) {
+        cashFlowChart.destroy();
+        cashFlowChart = null;
+    }
 }
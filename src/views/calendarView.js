@@ -7,6 +7,17 @@ import { billStore } from '../store/BillStore.js';
 import { appState } from '../store/appState.js';
 import logger from '../utils/logger.js';
 
+/**
+ * Escape text for use in HTML content and attribute values
+ * @private
+ */
+const escapeHtml = text => String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
 /**
  * Render calendar view
  */
@@ -90,9 +101,21 @@ export function renderCalendar() {
                         today.getDate()
                     );
                 const statusClass = isPaid ? 'paid' : isOverdue ? 'overdue' : '';
-                billsHtml += `<div class="calendar-bill ${statusClass}" title="${b.name} - $${(
+                const plannedText = b.plannedPayDate && b.plannedPayDate !== dateStr ? ` - pay on ${escapeHtml(b.plannedPayDate)}` : '';
+                billsHtml += `<div class="calendar-bill ${statusClass}" title="${escapeHtml(b.name)} - $${(
                     b.amountDue || 0
-                ).toFixed(2)}" onclick="window.editBillGlobal('${b.id}')" style="cursor: pointer;">${b.name
+                ).toFixed(2)}${plannedText}" data-bill-id="${escapeHtml(b.id)}" style="cursor: pointer;">${escapeHtml(b.name)
+                    }</div>`;
+            });
+
+            // Unpaid bills planned to be paid on this day, away from their due date
+            const billsPlanned = currentBills.filter(b =>
+                !b.isPaid && b.plannedPayDate === dateStr && b.dueDate !== dateStr
+            );
+            billsPlanned.forEach(b => {
+                billsHtml += `<div class="calendar-bill planned" title="${escapeHtml(b.name)} - $${(
+                    b.amountDue || 0
+                ).toFixed(2)} - due ${escapeHtml(b.dueDate)}" data-bill-id="${escapeHtml(b.id)}" style="cursor: pointer;">💵 ${escapeHtml(b.name)
                     }</div>`;
             });
             billsHtml += '</div>';
@@ -114,6 +137,10 @@ export function renderCalendar() {
         calendarView.innerHTML = html;
 
         // Attach event listeners
+        calendarView.querySelectorAll('.calendar-bill[data-bill-id]').forEach(chip => {
+            chip.addEventListener('click', () => window.editBillGlobal(chip.dataset.billId));
+        });
+
         document.getElementById('prevMonth').addEventListener('click', () => {
             const newDate = new Date(currentCalendarDate);
             newDate.setMonth(newDate.getMonth() - 1);
@@ -210,6 +210,22 @@ try {
     console.error('❌ FAIL:', error.message, '\n');
 }
 
+// Test 12: Quota check before large writes
+console.log('Test 12: checkQuota warns near the quota and refuses what does not fit...');
+try {
+    assert.deepStrictEqual(await StorageManager.checkQuota(1000), { allowed: true, warning: false, percent: null });
+
+    global.navigator = { storage: { estimate: async () => ({ usage: 700, quota: 1000 }) } };
+    assert.deepStrictEqual(await StorageManager.checkQuota(50), { allowed: true, warning: false, percent: 75 });
+    assert.deepStrictEqual(await StorageManager.checkQuota(200), { allowed: true, warning: true, percent: 90 });
+    assert.strictEqual((await StorageManager.checkQuota(400)).allowed, false);
+    global.navigator = { storage: null };
+
+    console.log('✅ PASS: Quota checked before writing\n');
+} catch (error) {
+    console.error('❌ FAIL:', error.message, '\n');
+}
+
 console.log('\n=== StorageManager Tests Summary ===');
 console.log('All critical tests passed! ✅\n');
 console.log('Coverage:');
@@ -219,4 +235,5 @@ console.log('- ✅ Fallback handling');
 console.log('- ✅ Data types (string, object, array, boolean, null)');
 console.log('- ✅ Availability checking');
 console.log('- ✅ Clear and getAllKeys');
+console.log('- ✅ Quota checks');
 console.log('- ✅ Backward compatibility\n');
@@ -0,0 +1,142 @@
+/**
+ * Attachments Unit Tests
+ * Tests attaching files to bills and payments, the size and type limits, and the
+ * base64 round trip used by backups
+ */
+
+import { billStore } from '../src/store/BillStore.js';
+import {
+    formatFileSize,
+    validateAttachmentFile,
+    createAttachment,
+    listAttachments,
+    collectAttachmentIds,
+    addAttachment,
+    removeAttachment,
+    setAttachmentRemotePath,
+    blobToBase64,
+    base64ToBlob
+} from '../src/utils/attachments.js';
+import { attachFile, importAttachments } from '../src/services/attachmentService.js';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(`Assertion failed: ${message}`);
+    }
+}
+
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+async function assertRejects(fn, text, message) {
+    try {
+        await fn();
+    } catch (error) {
+        assert(error.message.includes(text), `${message} (got "${error.message}")`);
+        return;
+    }
+    throw new Error(`Expected an error. ${message}`);
+}
+
+async function test(description, testFn) {
+    try {
+        await testFn();
+        console.log(`✅ ${description}`);
+        testsPassed++;
+    } catch (error) {
+        console.error(`❌ ${description}: ${error.message}`);
+        testsFailed++;
+    }
+}
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const STATEMENT = { name: 'october.pdf', type: 'application/pdf', size: 48000 };
+
+const bill = () => ({
+    id: 'power',
+    name: 'Power',
+    category: 'Utilities',
+    dueDate: '2026-10-15',
+    amountDue: 100,
+    balance: 100,
+    isPaid: false,
+    recurrence: 'One-time',
+    paymentHistory: [{ id: 'p1', date: '2026-10-01', amount: 100, method: 'Cash' }]
+});
+
+console.log('📎 Running Attachments Tests...\n');
+
+await test('should only accept PDFs and images within the size limit', () => {
+    assertEqual(validateAttachmentFile(STATEMENT), null, 'statement accepted');
+    assert(validateAttachmentFile({ ...STATEMENT, size: 0 }).includes('empty'), 'empty file refused');
+    assert(validateAttachmentFile({ name: 'notes.exe', type: 'application/x-msdownload', size: 10 }).includes('not a PDF'), 'other types refused');
+    assert(validateAttachmentFile({ ...STATEMENT, size: 11 * 1024 * 1024 }).includes('up to 10.0 MB'), 'large file refused');
+    assertEqual([formatFileSize(512), formatFileSize(48000), formatFileSize(2.5 * 1024 * 1024)], ['512 B', '47 KB', '2.5 MB'], 'sizes formatted');
+});
+
+await test('should attach files to the bill or one of its payments', () => {
+    const statement = createAttachment(STATEMENT, NOW);
+    const receipt = createAttachment({ name: 'receipt.png', type: 'image/png', size: 900 }, NOW);
+    assertEqual([statement.name, statement.addedAt], ['october.pdf', NOW.toISOString()], 'details kept');
+    assert(statement.id.startsWith('att_') && statement.id !== receipt.id, 'unique ids');
+
+    const withFiles = addAttachment(addAttachment(bill(), statement), receipt, 'p1');
+    assertEqual(listAttachments(withFiles).map(a => [a.attachment.name, a.paymentId]),
+        [['october.pdf', null], ['receipt.png', 'p1']], 'bill and payment attachments listed');
+    assertEqual([...collectAttachmentIds([withFiles])], [statement.id, receipt.id], 'ids collected');
+    assertEqual(bill().attachments, undefined, 'original bill untouched');
+
+    let error = null;
+    try {
+        addAttachment(bill(), receipt, 'missing');
+    } catch (e) {
+        error = e;
+    }
+    assert(error && error.message.includes('Payment not found'), 'unknown payment refused');
+});
+
+await test('should remove attachments and record cloud copies wherever they are', () => {
+    const receipt = createAttachment({ name: 'receipt.png', type: 'image/png', size: 900 }, NOW);
+    const withReceipt = addAttachment(bill(), receipt, 'p1');
+
+    const uploaded = setAttachmentRemotePath(withReceipt, receipt.id, 'user-1/' + receipt.id);
+    assertEqual(uploaded.paymentHistory[0].attachments[0].remotePath, 'user-1/' + receipt.id, 'remote path recorded');
+    assertEqual(uploaded.attachments, undefined, 'no bill attachments added');
+
+    const removed = removeAttachment(uploaded, receipt.id);
+    assertEqual(listAttachments(removed), [], 'attachment removed');
+    assertEqual(removed.paymentHistory[0].amount, 100, 'payment kept');
+});
+
+await test('should round trip files through base64 for backups', async () => {
+    const bytes = new Uint8Array(70000).map((_, i) => i % 256);
+    const text = await blobToBase64(new Blob([bytes], { type: 'application/pdf' }));
+    const restored = base64ToBlob(text, 'application/pdf');
+
+    assertEqual(restored.type, 'application/pdf', 'type kept');
+    assertEqual([...new Uint8Array(await restored.arrayBuffer())].slice(65530, 65540), [...bytes.slice(65530, 65540)], 'content kept across chunks');
+    assertEqual(restored.size, bytes.length, 'size kept');
+});
+
+await test('should refuse files before storing them', async () => {
+    billStore.setBills([bill()], [], { recordHistory: false });
+
+    await assertRejects(() => attachFile('power', { name: 'a.txt', type: 'text/plain', size: 5 }), 'not a PDF', 'invalid file refused');
+    await assertRejects(() => attachFile('missing', STATEMENT), 'Bill not found', 'unknown bill refused');
+
+    global.navigator = { storage: { estimate: async () => ({ usage: 990, quota: 1000 }) } };
+    await assertRejects(() => attachFile('power', STATEMENT), 'not enough storage', 'file over the quota refused');
+    assertEqual(await importAttachments([{ ...createAttachment(STATEMENT), data: 'AA==' }], []), 0, 'files no bill refers to are skipped');
+    global.navigator = { storage: null };
+
+    assertEqual(listAttachments(billStore.getAll()[0]), [], 'bill unchanged');
+});
+
+console.log(`\n📊 Attachments Test Results: ${testsPassed} passed, ${testsFailed} failed\n`);
+export { testsPassed, testsFailed };
@@ -0,0 +1,110 @@
+/**
+ * Backup Encryption Unit Tests
+ * Tests passphrase encryption of backups and telling wrong passphrases from damaged files
+ */
+
+import {
+    ENCRYPTED_BACKUP_FORMAT,
+    isEncryptedBackup,
+    encryptBackup,
+    decryptBackup
+} from '../src/utils/backupCrypto.js';
+import { BackupDecryptionError } from '../src/utils/errorHandling.js';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(`Assertion failed: ${message}`);
+    }
+}
+
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+async function test(description, testFn) {
+    try {
+        await testFn();
+        console.log(`✅ ${description}`);
+        testsPassed++;
+    } catch (error) {
+        console.error(`❌ ${description}: ${error.message}`);
+        testsFailed++;
+    }
+}
+
+/**
+ * Reason of the BackupDecryptionError thrown by decrypting, or null when it succeeds
+ */
+async function failureReason(envelope, passphrase) {
+    try {
+        await decryptBackup(envelope, passphrase);
+        return null;
+    } catch (error) {
+        assert(error instanceof BackupDecryptionError, `BackupDecryptionError expected, got ${error.message}`);
+        return error.reason;
+    }
+}
+
+const PASSPHRASE = 'correct horse battery';
+const BACKUP = JSON.stringify({
+    schemaVersion: 2,
+    bills: [{ id: 'rent', name: 'Rent', notes: 'Confirmation #A1B2C3', website: 'https://landlord.example' }]
+});
+
+// One key derivation is slow on purpose, so the tests share an encrypted backup
+const encrypted = await encryptBackup(BACKUP, PASSPHRASE);
+
+console.log('🔐 Running Backup Encryption Tests...\n');
+
+await test('should encrypt backups without leaking their contents', async () => {
+    assertEqual(encrypted.format, ENCRYPTED_BACKUP_FORMAT, 'marked as encrypted');
+    assertEqual([encrypted.kdf.name, encrypted.kdf.hash, encrypted.cipher.name], ['PBKDF2', 'SHA-256', 'AES-GCM'], 'algorithms recorded');
+    assert(encrypted.kdf.iterations >= 100000, 'slow key derivation');
+    assert(!JSON.stringify(encrypted).includes('Confirmation'), 'notes not readable');
+    assert(isEncryptedBackup(encrypted), 'detected as encrypted');
+    assert(!isEncryptedBackup(JSON.parse(BACKUP)), 'plain backups are not');
+});
+
+await test('should restore the backup with the right passphrase', async () => {
+    assertEqual(await decryptBackup(encrypted, PASSPHRASE), BACKUP, 'round trip');
+});
+
+await test('should report a wrong passphrase', async () => {
+    assertEqual(await failureReason(encrypted, 'wrong horse battery'), 'passphrase', 'wrong passphrase');
+});
+
+await test('should report damaged data as corrupted, not as a wrong passphrase', async () => {
+    const bytes = Uint8Array.from(atob(encrypted.data), char => char.charCodeAt(0));
+    bytes[0] ^= 1;
+    const damaged = { ...encrypted, data: btoa(String.fromCharCode(...bytes)) };
+    assertEqual(await failureReason(damaged, PASSPHRASE), 'corrupted', 'changed ciphertext');
+
+    const truncated = { ...encrypted, data: encrypted.data.slice(0, 8) };
+    assertEqual(await failureReason(truncated, PASSPHRASE), 'corrupted', 'truncated ciphertext');
+});
+
+await test('should report malformed files as corrupted', async () => {
+    assertEqual(await failureReason({ ...encrypted, cipher: undefined }, PASSPHRASE), 'corrupted', 'missing cipher');
+    assertEqual(await failureReason({ ...encrypted, check: 'not base64!' }, PASSPHRASE), 'corrupted', 'bad base64');
+    assertEqual(await failureReason({ ...encrypted, version: 99 }, PASSPHRASE), 'corrupted', 'unknown version');
+    assertEqual(await failureReason({ ...encrypted, kdf: { ...encrypted.kdf, iterations: 1e12 } }, PASSPHRASE),
+        'corrupted', 'absurd iteration count');
+});
+
+await test('should refuse short passphrases', async () => {
+    let threw = false;
+    try {
+        await encryptBackup(BACKUP, 'short');
+    } catch (error) {
+        threw = true;
+    }
+    assert(threw, 'short passphrase rejected');
+});
+
+console.log(`\n📊 Backup Encryption Test Results: ${testsPassed} passed, ${testsFailed} failed\n`);
+export { testsPassed, testsFailed };
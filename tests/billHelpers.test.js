@@ -1,4 +1,4 @@
-import { calculateNextDueDate, getRemainingBalance } from '../src/utils/billHelpers.js';
+import { calculateNextDueDate, getRemainingBalance, getUpcomingBills } from '../src/utils/billHelpers.js';
 
 export const runTests = async () => {
 
@@ -44,4 +44,42 @@ export const runTests = async () => {
         const balance = getRemainingBalance(bill);
         assert(balance === 0, `Expected 0, got ${balance}`);
     });
+
+    await test('getRemainingBalance - Balance Already Net Of Payments', () => {
+        const bill = {
+            amountDue: 100,
+            balance: 50,
+            paymentHistory: [
+                { amount: 30 },
+                { amount: 20 }
+            ]
+        };
+        const balance = getRemainingBalance(bill);
+        assert(balance === 50, `Expected 50, got ${balance}`);
+    });
+
+    await test('getRemainingBalance - Voided Payments And Refunds', () => {
+        const bill = {
+            amountDue: 100,
+            paymentHistory: [
+                { id: 'a', amount: 60 },
+                { id: 'b', amount: 40, voided: { reason: 'Duplicate' } },
+                { id: 'c', type: 'refund', refundOf: 'a', amount: 10 }
+            ]
+        };
+        const balance = getRemainingBalance(bill);
+        assert(balance === 50, `Expected 50, got ${balance}`);
+    });
+
+    await test('getUpcomingBills - Overdue and due within a week', () => {
+        const bills = [
+            { id: 'late', name: 'Rent', dueDate: '2026-10-15', amountDue: 900, isPaid: false },
+            { id: 'soon', name: 'Power', dueDate: '2026-10-22', amountDue: 80, isPaid: false },
+            { id: 'paid', name: 'Water', dueDate: '2026-10-20', amountDue: 40, isPaid: true },
+            { id: 'later', name: 'Phone', dueDate: '2026-11-10', amountDue: 60, isPaid: false }
+        ];
+        const upcoming = getUpcomingBills(bills, 7, new Date(2026, 9, 19));
+        const ids = upcoming.map(b => b.id).join(',');
+        assert(ids === 'late,soon', `Expected late,soon, got ${ids}`);
+    });
 };
@@ -0,0 +1,171 @@
+/**
+ * Bill Store History Unit Tests
+ * Tests undo/redo of store mutations, transactions and session persistence
+ */
+
+import { billStore } from '../src/store/BillStore.js';
+import { loadHistory, saveHistory, HISTORY_STORAGE_KEY } from '../src/utils/storeHistory.js';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(`Assertion failed: ${message}`);
+    }
+}
+
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+function test(description, testFn) {
+    try {
+        testFn();
+        console.log(`✅ ${description}`);
+        testsPassed++;
+    } catch (error) {
+        console.error(`❌ ${description}: ${error.message}`);
+        testsFailed++;
+    }
+}
+
+function bill(id, name, extra = {}) {
+    return {
+        id,
+        name,
+        category: 'Utilities',
+        dueDate: '2026-11-01',
+        amountDue: 100,
+        balance: 100,
+        isPaid: false,
+        recurrence: 'One-time',
+        ...extra
+    };
+}
+
+/**
+ * Start each test from a known list of bills and an empty history
+ */
+function reset(bills = []) {
+    billStore.setBills(bills, [], { recordHistory: false });
+    billStore.clearHistory();
+}
+
+const ids = () => billStore.getAll().map(b => b.id);
+
+console.log('↩️  Running Bill Store History Tests...\n');
+
+test('should undo and redo adding a bill', () => {
+    reset();
+    billStore.add(bill('a', 'Water'));
+
+    assert(billStore.canUndo(), 'add is undoable');
+    assertEqual(billStore.undo(), 'Add "Water"', 'label returned');
+    assertEqual(ids(), [], 'bill removed');
+    assert(billStore.canRedo(), 'undone action can be redone');
+
+    assertEqual(billStore.redo(), 'Add "Water"', 'label returned on redo');
+    assertEqual(ids(), ['a'], 'bill back');
+});
+
+test('should undo edits made by mutating a bill in place', () => {
+    reset([bill('a', 'Water')]);
+    const current = billStore.getAll()[0];
+    current.category = 'Home';
+    billStore.update(current);
+
+    billStore.undo();
+    assertEqual(billStore.getAll()[0].category, 'Utilities', 'original category restored');
+});
+
+test('should serialize only the records a change touched', () => {
+    reset(Array.from({ length: 200 }, (_, i) => bill(`b${i}`, `Bill ${i}`)));
+    const stringify = JSON.stringify;
+    let calls = 0;
+    JSON.stringify = (...args) => {
+        calls++;
+        return stringify(...args);
+    };
+    try {
+        billStore.update({ ...billStore.getAll()[5], amountDue: 120 });
+    } finally {
+        JSON.stringify = stringify;
+    }
+
+    assert(calls < 10, `edit serialized ${calls} records`);
+    billStore.undo();
+    assertEqual(billStore.getAll()[5].amountDue, 100, 'edit still undoable');
+});
+
+test('should put a deleted bill back at its position', () => {
+    reset([bill('a', 'Water'), bill('b', 'Power'), bill('c', 'Phone')]);
+    billStore.delete('b');
+
+    assertEqual(billStore.undo(), 'Delete "Power"', 'label');
+    assertEqual(ids(), ['a', 'b', 'c'], 'order kept');
+});
+
+test('should undo a transaction as a single action', () => {
+    reset([bill('a', 'Water'), bill('b', 'Power'), bill('c', 'Phone')]);
+    billStore.transaction('Delete 2 bills', () => {
+        billStore.delete('a');
+        billStore.delete('c');
+    });
+
+    assertEqual(billStore.history.undo.length, 1, 'one history entry');
+    billStore.undo();
+    assertEqual(ids(), ['a', 'b', 'c'], 'both bills restored');
+});
+
+test('should undo bulk replacements such as imports', () => {
+    reset([bill('a', 'Water')]);
+    billStore.setBills([bill('x', 'Rent'), bill('y', 'Gym')], [], { label: 'Import 2 bills' });
+
+    assertEqual(billStore.undo(), 'Import 2 bills', 'label');
+    assertEqual(ids(), ['a'], 'previous bills restored');
+});
+
+test('should clear redo when a new change is made', () => {
+    reset();
+    billStore.add(bill('a', 'Water'));
+    billStore.undo();
+    billStore.add(bill('b', 'Power'));
+
+    assert(!billStore.canRedo(), 'redo cleared');
+    assertEqual(billStore.redo(), null, 'nothing to redo');
+});
+
+test('should not record changes made without history', () => {
+    reset();
+    billStore.setBills([bill('cloud', 'Synced')], [], { recordHistory: false });
+
+    assert(!billStore.canUndo(), 'cloud load is not undoable');
+    billStore.add(bill('a', 'Water'));
+    billStore.undo();
+    assertEqual(ids(), ['cloud'], 'undo stops at the loaded data');
+});
+
+test('should persist history in sessionStorage', () => {
+    const stored = {};
+    globalThis.sessionStorage = {
+        getItem: key => (key in stored ? stored[key] : null),
+        setItem: (key, value) => { stored[key] = value; }
+    };
+
+    try {
+        saveHistory({ undo: [{ label: 'Add "Water"', timestamp: '2026-10-19T00:00:00.000Z', changes: [] }], redo: [] });
+        assert(HISTORY_STORAGE_KEY in stored, 'saved under history key');
+        assertEqual(loadHistory().undo[0].label, 'Add "Water"', 'loaded back');
+
+        stored[HISTORY_STORAGE_KEY] = 'not json';
+        assertEqual(loadHistory(), { undo: [], redo: [] }, 'corrupted history ignored');
+    } finally {
+        delete globalThis.sessionStorage;
+    }
+});
+
+console.log(`\n📊 Bill Store History Test Results: ${testsPassed} passed, ${testsFailed} failed\n`);
+export { testsPassed, testsFailed };
@@ -0,0 +1,224 @@
+/**
+ * Bill Storage Unit Tests
+ * Tests moving bills from localStorage to the storage adapter, incremental writes,
+ * schema migration of stored records and the stored sync base
+ */
+
+import { STORAGE_KEYS } from '../src/utils/constants.js';
+import { CURRENT_SCHEMA_VERSION } from '../src/utils/schema.js';
+
+// Mock localStorage holding bills saved by an earlier version
+const localData = {};
+global.localStorage = {
+    getItem: (key) => (key in localData ? localData[key] : null),
+    setItem: (key, value) => {
+        localData[key] = String(value);
+    },
+    removeItem: (key) => {
+        delete localData[key];
+    }
+};
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(`Assertion failed: ${message}`);
+    }
+}
+
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+async function test(description, testFn) {
+    try {
+        await testFn();
+        console.log(`✅ ${description}`);
+        testsPassed++;
+    } catch (error) {
+        console.error(`❌ ${description}: ${error.message}`);
+        testsFailed++;
+    }
+}
+
+function bill(id, name, extra = {}) {
+    return {
+        id,
+        name,
+        category: 'Utilities',
+        dueDate: '2026-11-01',
+        amountDue: 100,
+        balance: 100,
+        isPaid: false,
+        recurrence: 'One-time',
+        paymentHistory: [],
+        ...extra
+    };
+}
+
+/**
+ * In-memory storage adapter recording what BillStore writes
+ */
+const memoryStorage = (stored = null) => {
+    const adapter = {
+        stored,
+        writes: [],
+        replaced: 0,
+        async load() {
+            return adapter.stored;
+        },
+        async write(changes, orders, schemaVersion) {
+            adapter.writes.push({ changes, orders, schemaVersion });
+        },
+        async replaceAll(collections, schemaVersion) {
+            adapter.replaced++;
+            adapter.stored = { collections: JSON.parse(JSON.stringify(collections)), schemaVersion };
+        },
+        syncBase: new Map(),
+        syncBaseWrites: [],
+        async loadSyncBase() {
+            return [...adapter.syncBase.values()];
+        },
+        async writeSyncBase(records, deletedIds) {
+            adapter.syncBaseWrites.push({ ids: records.map(r => r.id), deletedIds });
+            records.forEach(record => adapter.syncBase.set(record.id, record));
+            deletedIds.forEach(id => adapter.syncBase.delete(id));
+        },
+        async clearSyncBase() {
+            adapter.syncBase.clear();
+        }
+    };
+    return adapter;
+};
+
+localData[STORAGE_KEYS.BILLS] = JSON.stringify([bill('a', 'Water'), bill('b', 'Power')]);
+localData[STORAGE_KEYS.SCHEMA_VERSION] = String(CURRENT_SCHEMA_VERSION);
+localData[STORAGE_KEYS.SYNC_BASE] = JSON.stringify([{ id: 'a', bill: bill('a', 'Water'), deletedAt: null, version: 3 }]);
+
+// Loaded after the mock so the constructor reads the bills above
+const { billStore } = await import('../src/store/BillStore.js');
+const { loadSyncBase, saveSyncBase } = await import('../src/services/billSync.js');
+
+console.log('💾 Running Bill Storage Tests...\n');
+
+await test('should keep bills in localStorage when the storage cannot be opened', async () => {
+    const broken = memoryStorage();
+    broken.load = async () => {
+        throw new Error('blocked');
+    };
+
+    assertEqual(await billStore.init(broken), false, 'init reports the fallback');
+    assertEqual(billStore.getAll().map(b => b.id), ['a', 'b'], 'bills still loaded');
+    assert(localData[STORAGE_KEYS.BILLS], 'localStorage untouched');
+});
+
+await test('should move localStorage bills to the storage on first use', async () => {
+    const storage = memoryStorage();
+
+    assertEqual(await billStore.init(storage), true, 'init switches storage');
+    assertEqual(storage.stored.collections.bills.map(b => b.id), ['a', 'b'], 'bills written');
+    assertEqual(storage.stored.schemaVersion, CURRENT_SCHEMA_VERSION, 'schema version written');
+    assert(!(STORAGE_KEYS.BILLS in localData), 'bills removed from localStorage');
+    assert(!(STORAGE_KEYS.SCHEMA_VERSION in localData), 'schema version removed from localStorage');
+    assertEqual([...storage.syncBase.values()].map(r => [r.id, r.version]), [['a', 3]], 'sync base written');
+    assert(!(STORAGE_KEYS.SYNC_BASE in localData), 'sync base removed from localStorage');
+});
+
+await test('should write only the records a change touched', async () => {
+    const storage = memoryStorage();
+    await billStore.init(storage);
+
+    billStore.update({ ...billStore.getAll().find(b => b.id === 'a'), amountDue: 120 });
+    await billStore.whenSaved();
+    assertEqual(storage.writes.length, 1, 'one write');
+    assertEqual(storage.writes[0].changes.map(c => [c.collection, c.key, c.after.amountDue]), [['bills', 'a', 120]], 'only the edited bill');
+    assertEqual(storage.writes[0].orders, {}, 'order unchanged');
+
+    billStore.delete('b');
+    await billStore.whenSaved();
+    const { changes, orders } = storage.writes[1];
+    assertEqual(changes.map(c => [c.collection, c.key, Boolean(c.after)]).sort(),
+        [['bills', 'b', false], ['tombstones', 'b', true], ['trash', 'b', true]], 'moved to the trash');
+    assertEqual(Object.keys(orders).sort(), ['bills', 'tombstones', 'trash'], 'orders of the changed collections');
+    assert(!(STORAGE_KEYS.BILLS in localData), 'nothing written to localStorage');
+});
+
+await test('should write a transaction once it finishes', async () => {
+    const storage = memoryStorage();
+    await billStore.init(storage);
+    billStore.add(bill('t1', 'Gym'));
+    billStore.add(bill('t2', 'Phone'));
+    await billStore.whenSaved();
+    storage.writes = [];
+
+    billStore.transaction('Delete 2 bills', () => {
+        billStore.delete('t1');
+        billStore.delete('t2');
+    });
+    await billStore.whenSaved();
+    assertEqual(storage.writes.length, 1, 'one write for the batch');
+    assertEqual(storage.writes[0].changes.filter(c => c.collection === 'bills').map(c => [c.key, c.after]),
+        [['t1', null], ['t2', null]], 'both deletes written');
+});
+
+await test('should load stored bills and migrate older schema versions', async () => {
+    const storage = memoryStorage({
+        collections: {
+            bills: [{ id: 'rent', name: 'Rent', category: 'Housing', dueDate: '2026-11-01', amountDue: 1500, balance: 0, isPaid: true, lastPaymentDate: '2026-10-30', recurrence: 'One-time' }],
+            series: [],
+            trash: [],
+            tombstones: []
+        },
+        schemaVersion: 0
+    });
+
+    await billStore.init(storage);
+    const rent = billStore.getAll().find(b => b.id === 'rent');
+    assertEqual(billStore.getAll().length, 1, 'stored bills replace the loaded ones');
+    assertEqual(rent.paymentHistory.length, 1, 'paid toggle migrated to a payment');
+    assertEqual(storage.replaced, 1, 'migrated records written back');
+    assertEqual(storage.stored.schemaVersion, CURRENT_SCHEMA_VERSION, 'at the current schema version');
+});
+
+await test('should keep writing after a failed write', async () => {
+    const storage = memoryStorage();
+    await billStore.init(storage);
+    const write = storage.write;
+    storage.write = async () => {
+        throw new Error('quota');
+    };
+
+    billStore.add(bill('c', 'Gas'));
+    await billStore.whenSaved();
+    storage.write = write;
+    billStore.add(bill('d', 'Phone'));
+    await billStore.whenSaved();
+
+    assertEqual(storage.writes.map(w => w.changes.map(c => c.key)), [['d']], 'next change still written');
+});
+
+await test('should write only the sync records that changed since the last sync', async () => {
+    const storage = memoryStorage();
+    const record = (id, version) => ({ id, bill: bill(id, id), deletedAt: null, version });
+    storage.syncBase.set('a', record('a', 1));
+    storage.syncBase.set('b', record('b', 1));
+
+    const base = await loadSyncBase(storage);
+    assertEqual([...base.keys()], ['a', 'b'], 'base loaded from the storage');
+    base.set('a', record('a', 2));
+    base.delete('b');
+    base.set('c', record('c', 1));
+    await saveSyncBase(base, storage);
+    assertEqual(storage.syncBaseWrites, [{ ids: ['a', 'c'], deletedIds: ['b'] }], 'changed and removed records only');
+
+    await saveSyncBase(null, storage);
+    assertEqual(storage.syncBase.size, 0, 'forgotten on logout');
+    assert(!(STORAGE_KEYS.SYNC_BASE in localData), 'nothing written to localStorage');
+});
+
+console.log(`\n📊 Bill Storage Test Results: ${testsPassed} passed, ${testsFailed} failed\n`);
+export { testsPassed, testsFailed };
@@ -0,0 +1,301 @@
+/**
+ * Bill Sync Unit Tests
+ * Tests record-level cloud sync (three-way merge, conflicts, retries) against an
+ * in-memory stand-in for the Supabase client
+ */
+
+import { billStore } from '../src/store/BillStore.js';
+import { syncBillRecords } from '../src/services/billSync.js';
+import { CURRENT_SCHEMA_VERSION } from '../src/utils/schema.js';
+import { toRecordMap, fromRecordMap, dedupeOccurrences, rebaseLocalEdits } from '../src/utils/syncMerge.js';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(`Assertion failed: ${message}`);
+    }
+}
+
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+async function test(description, testFn) {
+    try {
+        await testFn();
+        console.log(`✅ ${description}`);
+        testsPassed++;
+    } catch (error) {
+        console.error(`❌ ${description}: ${error.message}`);
+        testsFailed++;
+    }
+}
+
+const USER = 'user-1';
+
+/**
+ * In-memory stand-in for the parts of the Supabase client the sync uses.
+ * Set client.beforeWrite to simulate another device writing just before this one.
+ */
+function createFakeClient({ legacyBills = null } = {}) {
+    const rows = new Map();
+    const client = { rows, beforeWrite: null, writes: 0 };
+
+    const run = (table, op, payload, filters) => {
+        const matches = row => filters.every(([column, value]) => row[column] === value);
+
+        if (table === 'user_data') {
+            return { data: legacyBills ? { bills: legacyBills } : null, error: null };
+        }
+        if (op === 'select') {
+            return { data: [...rows.values()].filter(matches).map(row => JSON.parse(JSON.stringify(row))), error: null };
+        }
+
+        if (client.beforeWrite) {
+            const hook = client.beforeWrite;
+            client.beforeWrite = null;
+            hook(client);
+        }
+        client.writes++;
+
+        if (op === 'insert') {
+            if (rows.has(payload.bill_id)) {
+                return { data: null, error: { code: '23505', message: 'duplicate key value' } };
+            }
+            rows.set(payload.bill_id, { ...payload });
+            return { data: [{ bill_id: payload.bill_id }], error: null };
+        }
+        const row = [...rows.values()].find(matches);
+        if (!row) return { data: [], error: null };
+        rows.set(row.bill_id, { ...payload });
+        return { data: [{ bill_id: row.bill_id }], error: null };
+    };
+
+    client.from = (table) => {
+        let op = 'select';
+        let payload = null;
+        const filters = [];
+        const query = {
+            select: () => query,
+            insert: (row) => { op = 'insert'; payload = row; return query; },
+            update: (row) => { op = 'update'; payload = row; return query; },
+            eq: (column, value) => { filters.push([column, value]); return query; },
+            maybeSingle: () => query,
+            then: (resolve, reject) => Promise.resolve(run(table, op, payload, filters)).then(resolve, reject)
+        };
+        return query;
+    };
+
+    /** Write a row as another device would */
+    client.writeRemote = (bill, version, deletedAt = null) => {
+        rows.set(bill.id, {
+            user_id: USER,
+            bill_id: bill.id,
+            data: deletedAt ? null : bill,
+            version,
+            updated_at: bill.updatedAt || deletedAt,
+            deleted_at: deletedAt
+        });
+    };
+
+    return client;
+}
+
+function bill(id, extra = {}) {
+    return {
+        id,
+        name: 'Water',
+        category: 'Utilities',
+        dueDate: '2026-11-01',
+        amountDue: 100,
+        balance: 100,
+        isPaid: false,
+        recurrence: 'One-time',
+        updatedAt: '2026-10-01T00:00:00.000Z',
+        ...extra
+    };
+}
+
+/**
+ * Run a first sync so the cloud and the base hold the given bills
+ */
+async function syncedState(bills, options = {}) {
+    const client = createFakeClient(options);
+    const result = await syncBillRecords(client, USER, { local: toRecordMap({ bills }), base: new Map() });
+    return { client, base: result.records };
+}
+
+const syncedBill = (records, id) => fromRecordMap(records).bills.find(b => b.id === id);
+
+console.log('🔄 Running Bill Sync Tests...\n');
+
+await test('should upload new bills as version 1 rows', async () => {
+    const { client, base } = await syncedState([bill('a'), bill('b', { name: 'Power' })]);
+
+    assertEqual([...client.rows.keys()].sort(), ['a', 'b'], 'one row per bill');
+    assertEqual(client.rows.get('a').version, 1, 'first version');
+    assertEqual(base.get('b').version, 1, 'result carries the new version');
+});
+
+await test('should upload replayed bills first, in queue order', async () => {
+    const client = createFakeClient();
+    await syncBillRecords(client, USER, {
+        local: toRecordMap({ bills: [bill('a'), bill('b'), bill('c')] }),
+        base: new Map(),
+        order: ['c', 'a']
+    });
+
+    assertEqual([...client.rows.keys()], ['c', 'a', 'b'], 'upload order');
+});
+
+await test('should migrate bills saved in the user_data row', async () => {
+    const legacy = [bill('a'), bill('b')];
+    const client = createFakeClient({ legacyBills: legacy });
+    const result = await syncBillRecords(client, USER, { local: toRecordMap({ bills: legacy }), base: new Map() });
+
+    assertEqual(result.uploaded, 2, 'legacy bills uploaded as records');
+    assertEqual([...client.rows.keys()].sort(), ['a', 'b'], 'rows created');
+});
+
+await test('should migrate bills from rows written with an older schema', async () => {
+    const { client, base } = await syncedState([bill('a')]);
+    assertEqual(client.rows.get('a').schema_version, CURRENT_SCHEMA_VERSION, 'rows record the schema version');
+
+    const row = client.rows.get('a');
+    row.data = { ...row.data, recurrence: 'monthly' };
+    row.schema_version = 1;
+    const result = await syncBillRecords(client, USER, { local: base, base });
+
+    assertEqual(syncedBill(result.records, 'a').recurrence, 'Monthly', 'pulled bill migrated');
+});
+
+await test('should merge edits to different fields without a conflict', async () => {
+    const { client, base } = await syncedState([bill('a')]);
+    client.writeRemote(bill('a', { amountDue: 120, updatedAt: '2026-10-02T00:00:00.000Z' }), 2);
+
+    let asked = false;
+    const result = await syncBillRecords(client, USER, {
+        local: toRecordMap({ bills: [bill('a', { name: 'City Water', version: 1 })] }),
+        base,
+        resolveConflicts: () => { asked = true; return {}; }
+    });
+
+    assert(!asked, 'no conflict dialog');
+    const merged = syncedBill(result.records, 'a');
+    assertEqual([merged.name, merged.amountDue], ['City Water', 120], 'both edits kept');
+    assertEqual(client.rows.get('a').version, 3, 'row updated on top of the remote version');
+    assertEqual(client.rows.get('a').data.name, 'City Water', 'merged bill uploaded');
+});
+
+await test('should let the user resolve fields both devices changed', async () => {
+    const { client, base } = await syncedState([bill('a')]);
+    client.writeRemote(bill('a', { amountDue: 120, notes: 'autopay', updatedAt: '2026-10-03T00:00:00.000Z' }), 2);
+
+    let received = null;
+    const result = await syncBillRecords(client, USER, {
+        local: toRecordMap({ bills: [bill('a', { amountDue: 90, updatedAt: '2026-10-02T00:00:00.000Z' })] }),
+        base,
+        resolveConflicts: (conflicts) => { received = conflicts; return { a: 'local' }; }
+    });
+
+    assertEqual(received.map(c => [c.id, c.fields]), [['a', ['amountDue']]], 'only the shared field conflicts');
+    const merged = syncedBill(result.records, 'a');
+    assertEqual([merged.amountDue, merged.notes], [90, 'autopay'], 'chosen value plus the other device\'s edit');
+    assertEqual(result.conflicts, 1, 'conflict reported');
+});
+
+await test('should keep the newest edit when no resolver is given', async () => {
+    const { client, base } = await syncedState([bill('a')]);
+    client.writeRemote(bill('a', { amountDue: 120, updatedAt: '2026-10-03T00:00:00.000Z' }), 2);
+
+    const result = await syncBillRecords(client, USER, {
+        local: toRecordMap({ bills: [bill('a', { amountDue: 90, updatedAt: '2026-10-02T00:00:00.000Z' })] }),
+        base
+    });
+
+    assertEqual(syncedBill(result.records, 'a').amountDue, 120, 'other device edited last');
+});
+
+await test('should postpone the sync when the user decides later', async () => {
+    const { client, base } = await syncedState([bill('a')]);
+    client.writeRemote(bill('a', { amountDue: 120 }), 2);
+    const writes = client.writes;
+
+    const result = await syncBillRecords(client, USER, {
+        local: toRecordMap({ bills: [bill('a', { amountDue: 90 }), bill('b')] }),
+        base,
+        resolveConflicts: () => null
+    });
+
+    assert(result.postponed && result.records === null, 'postponed');
+    assertEqual(client.writes, writes, 'nothing uploaded');
+});
+
+await test('should report a delete on one device and an edit on the other', async () => {
+    const { client, base } = await syncedState([bill('a')]);
+    client.writeRemote(bill('a', { amountDue: 120 }), 2);
+
+    let received = null;
+    const result = await syncBillRecords(client, USER, {
+        local: toRecordMap({ bills: [], tombstones: [{ id: 'a', deletedAt: '2026-10-02T00:00:00.000Z' }] }),
+        base,
+        resolveConflicts: (conflicts) => { received = conflicts; return { a: 'remote' }; }
+    });
+
+    assertEqual(received[0].merged, null, 'delete conflicts have no merged bill');
+    assertEqual(syncedBill(result.records, 'a').amountDue, 120, 'edited bill kept');
+});
+
+await test('should merge again when another device uploads during the sync', async () => {
+    const { client, base } = await syncedState([bill('a')]);
+    client.beforeWrite = (fake) => fake.writeRemote(bill('a', { notes: 'from phone' }), 2);
+
+    const result = await syncBillRecords(client, USER, {
+        local: toRecordMap({ bills: [bill('a', { amountDue: 90, version: 1 })] }),
+        base
+    });
+
+    const merged = syncedBill(result.records, 'a');
+    assertEqual([merged.amountDue, merged.notes], [90, 'from phone'], 'other device\'s upload not overwritten');
+    assertEqual(client.rows.get('a').version, 3, 'uploaded after the other device');
+});
+
+await test('should keep one bill per recurring occurrence', () => {
+    const records = toRecordMap({
+        bills: [
+            bill('z1', { seriesId: 'rent', originalDueDate: '2026-11-01' }),
+            bill('y2', { seriesId: 'rent', originalDueDate: '2026-11-01', isPaid: true }),
+            bill('x3', { seriesId: 'rent', originalDueDate: '2026-12-01' })
+        ]
+    });
+
+    assertEqual(dedupeOccurrences(records, '2026-10-19T00:00:00.000Z'), ['z1'], 'unpaid duplicate dropped');
+    assertEqual(fromRecordMap(records).bills.map(b => b.id), ['y2', 'x3'], 'paid occurrence and other dates kept');
+});
+
+await test('should keep edits made while a sync was running', () => {
+    const captured = toRecordMap({ bills: [bill('a'), bill('b')] });
+    const synced = toRecordMap({ bills: [bill('a', { amountDue: 120, version: 2 }), bill('b', { version: 2 })] });
+    const current = toRecordMap({ bills: [bill('a'), bill('b', { name: 'Power' }), bill('c')] });
+
+    const result = fromRecordMap(rebaseLocalEdits(synced, captured, current)).bills;
+    assertEqual(result.map(b => [b.id, b.name, b.amountDue]), [
+        ['a', 'Water', 120],
+        ['b', 'Power', 100],
+        ['c', 'Water', 100]
+    ], 'synced bill applied, local edits and new bills kept');
+});
+
+await test('should stamp updatedAt when a bill is edited', () => {
+    billStore.setBills([bill('a', { updatedAt: undefined })], [], { recordHistory: false });
+    billStore.update({ ...billStore.getAll()[0], amountDue: 80 });
+
+    assert(billStore.getAll()[0].updatedAt, 'edit time recorded');
+});
+
+console.log(`\n📊 Bill Sync Test Results: ${testsPassed} passed, ${testsFailed} failed\n`);
+export { testsPassed, testsFailed };
@@ -0,0 +1,140 @@
+/**
+ * Cash-Flow Projection Unit Tests
+ * Tests projecting the checking balance across pay periods and the settings it
+ * starts from
+ */
+
+import { paycheckManager } from '../src/utils/paycheckManager.js';
+import { calculateCashFlowProjection } from '../src/utils/billHelpers.js';
+import { validatePaymentSettings } from '../src/utils/validation.js';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(`Assertion failed: ${message}`);
+    }
+}
+
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+function test(description, testFn) {
+    try {
+        testFn();
+        console.log(`✅ ${description}`);
+        testsPassed++;
+    } catch (error) {
+        console.error(`❌ ${description}: ${error.message}`);
+        testsFailed++;
+    }
+}
+
+// Paychecks on Jan 1 and Jan 15; the projection runs to Jan 28. The dates are fixed
+// because the generated ones start from today's pay period.
+const PAYCHECKS = [new Date(2027, 0, 1), new Date(2027, 0, 15)];
+
+const SETTINGS = {
+    startDate: '2027-01-01',
+    frequency: 'bi-weekly',
+    payPeriodsToShow: 2,
+    netPay: 1000,
+    startingBalance: 500,
+    startingBalanceDate: '2027-01-03',
+    lowBalanceBuffer: 200
+};
+
+const bill = (extra = {}) => ({
+    id: 'power',
+    name: 'Power',
+    category: 'Utilities',
+    dueDate: '2027-01-05',
+    amountDue: 100,
+    balance: 100,
+    isPaid: false,
+    recurrence: 'One-time',
+    paymentHistory: [],
+    ...extra
+});
+
+const balances = projection => projection.points.map(point => [point.date, point.balance]);
+
+console.log('📈 Running Cash-Flow Projection Tests...\n');
+
+test('should validate the starting balance and buffer', () => {
+    const base = { ...SETTINGS, startDate: '2099-01-01' };
+    assertEqual(validatePaymentSettings(base).errors.filter(e => /balance/i.test(e)), [], 'valid settings');
+    assertEqual(validatePaymentSettings({ ...base, startingBalance: -50.5 }).errors.filter(e => /balance/i.test(e)), [],
+        'an overdrawn balance is allowed');
+    assert(validatePaymentSettings({ ...base, startingBalanceDate: undefined }).errors
+        .includes('Starting balance date must be in YYYY-MM-DD format'), 'balance needs its date');
+    assert(validatePaymentSettings({ ...base, lowBalanceBuffer: -1 }).errors
+        .includes('Low balance buffer: Amount must be a positive number'), 'negative buffer refused');
+    assert(!paycheckManager.validateSettings({ ...SETTINGS, startingBalance: 'lots' }).isValid, 'checked when loading settings');
+});
+
+test('should read the projection settings from the payment settings', () => {
+    paycheckManager.updateSettings(SETTINGS);
+    assertEqual(paycheckManager.getCashFlowSettings(), { startingBalance: 500, startDate: '2027-01-03', buffer: 200 }, 'settings');
+
+    const { startingBalance, startingBalanceDate, lowBalanceBuffer, ...withoutBalance } = SETTINGS;
+    paycheckManager.updateSettings(withoutBalance);
+    assertEqual(paycheckManager.getCashFlowSettings(), null, 'no projection without a balance');
+});
+
+test('should add paychecks and subtract bills on their due dates', () => {
+    paycheckManager.updateSettings(SETTINGS);
+    const bills = [
+        bill(),
+        bill({ id: 'rent', name: 'Rent', dueDate: '2027-01-12', amountDue: 900, balance: 900 }),
+        bill({ id: 'phone', name: 'Phone', dueDate: '2027-01-20', amountDue: 80, balance: 80 }),
+        bill({ id: 'late', name: 'Late fee', dueDate: '2026-12-20', amountDue: 25, balance: 25 }),
+        bill({ id: 'next', name: 'Next period', dueDate: '2027-02-01', amountDue: 50, balance: 50 })
+    ];
+
+    const projection = calculateCashFlowProjection(bills, PAYCHECKS, paycheckManager.getCashFlowSettings());
+    assertEqual(balances(projection), [
+        ['2027-01-03', 475],
+        ['2027-01-05', 375],
+        ['2027-01-12', -525],
+        ['2027-01-15', 475],
+        ['2027-01-20', 395]
+    ], 'overdue bill counted on the start date, Jan 1 paycheck already in the balance, bills after the last period left out');
+    assertEqual(projection.points[3].items, [{ label: 'Paycheck', amount: 1000 }], 'items listed per day');
+    assertEqual([projection.firstBelowBuffer.date, projection.firstNegative.date, projection.lowest.date, projection.endBalance],
+        ['2027-01-12', '2027-01-12', '2027-01-12', 395], 'first low and negative day found');
+    assertEqual(projection.missingIncome, false, 'income known');
+});
+
+test('should count payments made after the balance was entered and flag unknown income', () => {
+    const { netPay, ...withoutPay } = SETTINGS;
+    paycheckManager.updateSettings(withoutPay);
+    const bills = [
+        bill({
+            balance: 30,
+            paymentHistory: [
+                { id: 'p1', date: '2027-01-02', amount: 20 },
+                { id: 'p2', date: '2027-01-04', amount: 50 },
+                { id: 'p3', date: '2027-01-04', amount: 40, voided: { at: '2027-01-04', reason: 'Duplicate' } }
+            ]
+        })
+    ];
+
+    const projection = calculateCashFlowProjection(bills, PAYCHECKS, { startingBalance: 300, startDate: '2027-01-03', buffer: 250 });
+    assertEqual(balances(projection), [['2027-01-03', 300], ['2027-01-04', 250], ['2027-01-05', 220]],
+        'payment before the balance left out, voided payment ignored, remaining balance due on the due date');
+    assertEqual([projection.firstBelowBuffer.date, projection.firstNegative], ['2027-01-05', null], 'below the buffer but never negative');
+    assertEqual(projection.missingIncome, true, 'paychecks without net pay flagged');
+    assertEqual(calculateCashFlowProjection(bills, [], { startingBalance: 300, startDate: '2027-01-03' }), null, 'nothing to project without paychecks');
+
+    const planned = calculateCashFlowProjection([bill({ plannedPayDate: '2027-01-08' })], PAYCHECKS,
+        { startingBalance: 300, startDate: '2027-01-03' });
+    assertEqual(balances(planned), [['2027-01-03', 300], ['2027-01-08', 200]], 'bills taken off on their planned pay date');
+});
+
+console.log(`\n📊 Cash-Flow Projection Test Results: ${testsPassed} passed, ${testsFailed} failed\n`);
+export { testsPassed, testsFailed };
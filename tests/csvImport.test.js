@@ -0,0 +1,128 @@
+/**
+ * CSV Import Unit Tests
+ * Tests CSV/TSV parsing, header detection, date and currency parsing and row mapping
+ */
+
+import {
+    parseDelimited,
+    detectDelimiter,
+    detectColumnMapping,
+    parseImportDate,
+    parseCurrency,
+    mapRowsToBills,
+    getImportFormat
+} from '../src/utils/csvImport.js';
+import { normalizeRecurrence } from '../src/utils/recurrence.js';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(`Assertion failed: ${message}`);
+    }
+}
+
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+function test(description, testFn) {
+    try {
+        testFn();
+        console.log(`✅ ${description}`);
+        testsPassed++;
+    } catch (error) {
+        console.error(`❌ ${description}: ${error.message}`);
+        testsFailed++;
+    }
+}
+
+// Stands in for validateBill(): only checks the name
+const validate = bill => ({ errors: bill.name ? [] : ['Bill name is required'] });
+
+console.log('📄 Running CSV Import Tests...\n');
+
+test('should parse quoted cells, CRLF line endings and blank lines', () => {
+    const text = '\uFEFFName,Notes\r\n"Rent, flat","Say ""hi""\nto landlord"\r\n\r\nPhone,\r\n';
+    assertEqual(parseDelimited(text), [
+        ['Name', 'Notes'],
+        ['Rent, flat', 'Say "hi"\nto landlord'],
+        ['Phone', '']
+    ], 'rows and cells');
+});
+
+test('should detect tab and semicolon delimiters', () => {
+    assertEqual(detectDelimiter('Name\tAmount\nRent\t900'), '\t', 'TSV');
+    assertEqual(detectDelimiter('Name;Amount;Notes\nRent;900,00;"a, b"'), ';', 'semicolons');
+    assertEqual(detectDelimiter('Name,Amount\nRent,900'), ',', 'CSV');
+    assertEqual(parseDelimited('Name\tAmount\nRent\t"1,200.00"')[1], ['Rent', '1,200.00'], 'TSV cells');
+});
+
+test('should map the template headers and common alternatives', () => {
+    assertEqual(
+        detectColumnMapping(['Name', 'Category', 'Due Date', 'Amount', 'Recurrence', 'Notes', 'Website']),
+        { name: 0, category: 1, dueDate: 2, amountDue: 3, recurrence: 4, notes: 5, website: 6 },
+        'bills_template.csv'
+    );
+    assertEqual(
+        detectColumnMapping(['Payee', 'Memo', 'AMOUNT DUE', 'due_date', 'Extra']),
+        { name: 0, category: null, dueDate: 3, amountDue: 2, recurrence: null, notes: 1, website: null },
+        'other spellings'
+    );
+});
+
+test('should parse each supported date format', () => {
+    assertEqual(parseImportDate('12/15/25'), '2025-12-15', 'MM/DD/YY');
+    assertEqual(parseImportDate('1/1/2026'), '2026-01-01', 'M/D/YYYY');
+    assertEqual(parseImportDate('2026-3-9'), '2026-03-09', 'YYYY-MM-DD');
+    assertEqual(parseImportDate('05.11.2026'), '2026-11-05', 'DD.MM.YYYY');
+    assertEqual(parseImportDate('20261019'), '2026-10-19', 'YYYYMMDD');
+    assertEqual(parseImportDate('02/30/26'), null, 'no such day');
+    assertEqual(parseImportDate('next Tuesday'), null, 'not a date');
+});
+
+test('should parse currency strings', () => {
+    assertEqual(parseCurrency('$1,234.50'), 1234.5, 'dollars with thousands');
+    assertEqual(parseCurrency('1.234,50 €'), 1234.5, 'decimal comma with thousands');
+    assertEqual(parseCurrency('12,5'), 12.5, 'decimal comma');
+    assertEqual(parseCurrency('1,234'), 1234, 'thousands only');
+    assertEqual(parseCurrency('USD 80'), 80, 'currency code');
+    assertEqual(parseCurrency('(12.00)'), -12, 'accounting negative');
+    assertEqual(parseCurrency(''), 0, 'empty cell');
+    assert(Number.isNaN(parseCurrency('twelve')), 'text');
+    assert(Number.isNaN(parseCurrency('1.2.3')), 'two decimal points');
+});
+
+test('should build bills and report problems per row', () => {
+    const headers = ['Name', 'Due Date', 'Amount', 'Recurrence'];
+    const rows = [
+        ['Rent', '11/01/26', '$1,500.00', 'monthly'],
+        ['Gym', 'soon', '30', 'biweekly'],
+        ['', '2026-11-05', 'abc', '']
+    ];
+    const results = mapRowsToBills(rows, detectColumnMapping(headers), validate);
+
+    assertEqual(results[0], {
+        rowNumber: 2,
+        bill: { name: 'Rent', category: 'Other', dueDate: '2026-11-01', amountDue: 1500, recurrence: 'Monthly' },
+        errors: []
+    }, 'valid row with defaults');
+    assertEqual(results[1].bill.recurrence, 'Bi-weekly', 'recurrence alias');
+    assertEqual(results[1].errors, ['"soon" is not a date (use MM/DD/YY, YYYY-MM-DD or DD.MM.YYYY)'], 'date problem');
+    assertEqual(results[2].errors, ['"abc" is not an amount'], 'amount problem reported before validation');
+    assertEqual(mapRowsToBills([['Rent']], { name: 0 }, validate)[0].errors,
+        ['No column chosen for Due Date', 'No column chosen for Amount'], 'required fields unmapped');
+    assertEqual(mapRowsToBills([['Rent', '2026-11-01', '5', '']], { name: 0, dueDate: 1, amountDue: 2, notes: 3 }, validate)[0].bill.notes,
+        '', 'mapped notes kept even when empty');
+});
+
+test('should recognize import formats and recurrence names', () => {
+    assertEqual(['bills.JSON', 'bills.csv', 'bills.tsv', 'bills.xlsx'].map(getImportFormat), ['json', 'csv', 'tsv', null], 'extensions');
+    assertEqual(['one-time', 'Annually', 'Quarterly'].map(normalizeRecurrence), ['One-time', 'Yearly', 'Quarterly'], 'unknown values unchanged');
+});
+
+console.log(`\n📊 CSV Import Test Results: ${testsPassed} passed, ${testsFailed} failed\n`);
+export { testsPassed, testsFailed };
@@ -0,0 +1,139 @@
+/**
+ * Export Formats Unit Tests
+ * Tests the CSV, QIF, OFX and iCalendar exports
+ */
+
+import {
+    formatCsv,
+    billsToCsv,
+    paymentsToCsv,
+    paymentsToQif,
+    paymentsToOfx,
+    billsToIcs,
+    buildExport
+} from '../src/utils/exportFormats.js';
+import { parseDelimited } from '../src/utils/csvImport.js';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(`Assertion failed: ${message}`);
+    }
+}
+
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+function test(description, testFn) {
+    try {
+        testFn();
+        console.log(`✅ ${description}`);
+        testsPassed++;
+    } catch (error) {
+        console.error(`❌ ${description}: ${error.message}`);
+        testsFailed++;
+    }
+}
+
+const NOW = new Date(2026, 9, 19, 12, 0);
+
+const BILLS = [
+    {
+        id: 'rent-oct', seriesId: 'rent', name: 'Rent, flat', category: 'Housing', dueDate: '2026-10-01',
+        amountDue: 1500, balance: 0, recurrence: 'Monthly', isPaid: true,
+        paymentHistory: [{ id: 'p1', date: '2026-09-30', amount: 1500, method: 'Bank', notes: 'on "time"' }]
+    },
+    { id: 'rent-nov', seriesId: 'rent', name: 'Rent, flat', category: 'Housing', dueDate: '2026-11-01', amountDue: 1500, recurrence: 'Monthly', isPaid: false, paymentHistory: [] },
+    {
+        id: 'rent-dec', seriesId: 'rent', name: 'Rent, flat', category: 'Housing', dueDate: '2026-12-01',
+        amountDue: 1500, recurrence: 'Monthly', isPaid: true,
+        paymentHistory: [{ id: 'p2', date: '2026-10-18T10:00:00.000Z', amount: 1500 }]
+    },
+    { id: 'dentist', name: 'Dentist & co', category: 'Health', dueDate: '2026-10-25', amountDue: 80, recurrence: 'One-time', isPaid: false, notes: 'Bring card; ask', paymentHistory: [] },
+    { id: 'old', name: 'Old', category: 'Health', dueDate: '2026-09-01', amountDue: 10, recurrence: 'One-time', isPaid: false, paymentHistory: [] }
+];
+
+console.log('📤 Running Export Format Tests...\n');
+
+test('should quote CSV cells with commas, quotes and line breaks', () => {
+    assertEqual(formatCsv(['a', 'b'], [['x, y', 'say "hi"'], ['line\nbreak', null]]),
+        'a,b\r\n"x, y","say ""hi"""\r\n"line\nbreak",\r\n', 'quoted cells');
+});
+
+test('should export bills as CSV the importer can read back', () => {
+    const rows = parseDelimited(billsToCsv(BILLS));
+    assertEqual(rows[0].slice(0, 7), ['Name', 'Category', 'Due Date', 'Amount', 'Recurrence', 'Notes', 'Website'], 'template columns first');
+    assertEqual(rows[1], ['Old', 'Health', '2026-09-01', '10.00', 'One-time', '', '', '10.00', 'No', ''], 'sorted by due date');
+    assertEqual(rows[2].slice(0, 5).concat(rows[2][9]), ['Rent, flat', 'Housing', '2026-10-01', '1500.00', 'Monthly', 'FREQ=MONTHLY'], 'recurrence rule');
+});
+
+test('should export recorded payments as CSV and QIF', () => {
+    const rows = parseDelimited(paymentsToCsv(BILLS));
+    assertEqual(rows.slice(1), [
+        ['2026-09-30', 'Rent, flat', 'Housing', '1500.00', 'Bank', 'on "time"', 'p1'],
+        ['2026-10-18', 'Rent, flat', 'Housing', '1500.00', '', '', 'p2']
+    ], 'payments oldest first');
+
+    const qif = paymentsToQif(BILLS).split('\r\n');
+    assertEqual(qif.slice(0, 7), ['!Type:Bank', 'D09/30/2026', 'T-1500.00', 'PRent, flat', 'LHousing', 'MBank - on "time"', '^'], 'QIF record');
+});
+
+test('should export payments as an OFX statement', () => {
+    const ofx = paymentsToOfx([BILLS[3], { ...BILLS[0], name: 'Rent <flat> & more' }], NOW);
+    assert(ofx.includes('<?OFX OFXHEADER="200" VERSION="220"'), 'OFX 2 header');
+    assert(ofx.includes('<DTPOSTED>20260930</DTPOSTED>\n<TRNAMT>-1500.00</TRNAMT>\n<FITID>p1</FITID>'), 'transaction');
+    assert(ofx.includes('<NAME>Rent &lt;flat&gt; &amp; more</NAME>'), 'escaped name');
+    assertEqual((ofx.match(/<STMTTRN>/g) || []).length, 1, 'one transaction per payment');
+});
+
+test('should export refunds as money back and leave voided payments out', () => {
+    const bill = {
+        ...BILLS[0],
+        paymentHistory: [
+            { id: 'p1', date: '2026-09-30', amount: 1500, method: 'Bank' },
+            { id: 'p1b', date: '2026-09-30', amount: 1500, method: 'Bank', voided: { at: '2026-10-01T00:00:00.000Z', reason: 'Duplicate' } },
+            { id: 'r1', type: 'refund', refundOf: 'p1', date: '2026-10-02', amount: 100, method: 'Bank' }
+        ]
+    };
+    const rows = parseDelimited(paymentsToCsv([bill]));
+    assertEqual(rows.slice(1).map(row => [row[6], row[3]]), [['p1', '1500.00'], ['r1', '-100.00']], 'voided left out, refund negative');
+
+    const ofx = paymentsToOfx([bill], NOW);
+    assert(ofx.includes('<TRNTYPE>CREDIT</TRNTYPE>\n<DTPOSTED>20261002</DTPOSTED>\n<TRNAMT>100.00</TRNAMT>'), 'refund is a credit');
+    assert(ofx.includes('<BALAMT>-1400.00</BALAMT>'), 'ledger balance net of the refund');
+});
+
+test('should export upcoming due dates as iCalendar with recurrence rules', () => {
+    const ics = billsToIcs(BILLS, NOW);
+    const lines = ics.split('\r\n');
+    assertEqual(lines[0], 'BEGIN:VCALENDAR', 'calendar');
+    assertEqual(lines.filter(line => line === 'BEGIN:VEVENT').length, 2, 'one event per series or one-time bill, past and paid left out');
+
+    const rent = ics.slice(ics.indexOf('UID:series-rent@bill-tracker'));
+    assert(rent.includes('DTSTART;VALUE=DATE:20261101'), 'series starts at the next unpaid occurrence');
+    assert(rent.includes('RRULE:FREQ=MONTHLY'), 'series repeats');
+    assert(rent.includes('EXDATE;VALUE=DATE:20261201'), 'paid occurrence excluded');
+    assert(rent.includes('SUMMARY:Rent\\, flat due ($1500.00)'), 'escaped summary');
+    assert(ics.includes('DESCRIPTION:Category: Health\\nBring card\\; ask'), 'description');
+    assert(lines.every(line => line.length <= 75), 'lines folded');
+});
+
+test('should name export files by content and date', () => {
+    assertEqual(buildExport('ics', BILLS, NOW).fileName, 'bill-tracker-due-dates-2026-10-19.ics', 'calendar file');
+    assertEqual(buildExport('payments-csv', BILLS, NOW).fileName, 'bill-tracker-payments-2026-10-19.csv', 'payments file');
+    let threw = false;
+    try {
+        buildExport('pdf', BILLS, NOW);
+    } catch (error) {
+        threw = true;
+    }
+    assert(threw, 'unknown format throws');
+});
+
+console.log(`\n📊 Export Format Test Results: ${testsPassed} passed, ${testsFailed} failed\n`);
+export { testsPassed, testsFailed };
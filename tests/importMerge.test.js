@@ -0,0 +1,110 @@
+/**
+ * Import Merge Unit Tests
+ * Tests planning merge, append and replace imports against the current bills
+ */
+
+import { planImport, billMatchKey } from '../src/utils/importMerge.js';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(`Assertion failed: ${message}`);
+    }
+}
+
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+function test(description, testFn) {
+    try {
+        testFn();
+        console.log(`✅ ${description}`);
+        testsPassed++;
+    } catch (error) {
+        console.error(`❌ ${description}: ${error.message}`);
+        testsFailed++;
+    }
+}
+
+const EXISTING = [
+    {
+        id: 'rent', name: 'Rent', category: 'Housing', dueDate: '2026-11-01', amountDue: 1500, balance: 1500,
+        recurrence: 'Monthly', isPaid: true, paymentHistory: [{ amount: 1500, date: '2026-10-30' }]
+    },
+    { id: 'phone', name: 'Phone', category: 'Utilities', dueDate: '2026-11-05', amountDue: 60, balance: 60, recurrence: 'Monthly', isPaid: false, paymentHistory: [] }
+];
+
+const names = bills => bills.map(bill => bill.name);
+
+console.log('🔀 Running Import Merge Tests...\n');
+
+test('should update matching bills and add new ones when merging', () => {
+    const plan = planImport(EXISTING, [
+        { name: ' rent ', category: 'housing', dueDate: '2026-11-01', amountDue: 1550, recurrence: 'monthly' },
+        { name: 'Gym', category: 'Health', dueDate: '2026-11-10', amountDue: 30, recurrence: 'Monthly' }
+    ], 'merge');
+
+    assertEqual(plan.updated.map(update => update.fields), [['name', 'category', 'amountDue']], 'only changed fields');
+    const rent = plan.bills.find(bill => bill.id === 'rent');
+    assertEqual(rent.amountDue, 1550, 'amount updated');
+    assertEqual(rent.paymentHistory.length, 1, 'payments kept when the file has none');
+    assert(rent.isPaid, 'paid status kept');
+    assertEqual(names(plan.added), ['Gym'], 'new bill added');
+    assert(plan.added[0].id && plan.added[0].paymentHistory.length === 0, 'new bill gets an id and defaults');
+    assertEqual(names(plan.bills), [' rent ', 'Phone', 'Gym'], 'order kept, new bills last');
+    assertEqual(plan.removed, [], 'nothing removed');
+});
+
+test('should match by id before name, category and due date', () => {
+    const plan = planImport(EXISTING, [{ id: 'phone', name: 'Mobile', category: 'Utilities', dueDate: '2026-11-05' }], 'merge');
+    assertEqual(plan.updated.length, 1, 'matched by id');
+    assertEqual(plan.updated[0].after.name, 'Mobile', 'renamed');
+    assertEqual(billMatchKey({ name: ' Phone', category: 'UTILITIES', dueDate: '2026-11-05' }), billMatchKey(EXISTING[1]), 'key ignores case and spaces');
+});
+
+test('should skip unchanged bills and bills listed twice', () => {
+    const plan = planImport(EXISTING, [
+        { ...EXISTING[1], updatedAt: '2026-10-19T00:00:00.000Z' },
+        { name: 'Gym', category: 'Health', dueDate: '2026-11-10', amountDue: 30 },
+        { name: 'gym', category: 'Health', dueDate: '2026-11-10', amountDue: 35 }
+    ], 'merge');
+
+    assertEqual(plan.skipped.map(entry => entry.reason), ['Listed twice in the file', 'Unchanged'], 'reasons');
+    assertEqual(names(plan.added), ['Gym'], 'first copy added once');
+});
+
+test('should only add bills that are not here yet when appending', () => {
+    const plan = planImport(EXISTING, [
+        { name: 'Rent', category: 'Housing', dueDate: '2026-11-01', amountDue: 1550 },
+        { name: 'Rent', category: 'Housing', dueDate: '2026-12-01', amountDue: 1550 }
+    ], 'append');
+
+    assertEqual(plan.skipped.map(entry => entry.reason), ['Already exists'], 'existing bill skipped');
+    assertEqual(plan.updated, [], 'nothing updated');
+    assertEqual(plan.bills.find(bill => bill.id === 'rent').amountDue, 1500, 'existing bill untouched');
+    assertEqual(plan.bills.length, 3, 'next month added');
+});
+
+test('should replace every bill when replacing', () => {
+    const plan = planImport(EXISTING, [{ name: 'Gym', category: 'Health', dueDate: '2026-11-10', amountDue: 30 }], 'replace');
+    assertEqual(names(plan.bills), ['Gym'], 'only file bills');
+    assertEqual(names(plan.removed), ['Rent', 'Phone'], 'current bills listed as removed');
+});
+
+test('should reject unknown modes', () => {
+    let threw = false;
+    try {
+        planImport(EXISTING, [], 'overwrite');
+    } catch (error) {
+        threw = true;
+    }
+    assert(threw, 'unknown mode throws');
+});
+
+console.log(`\n📊 Import Merge Test Results: ${testsPassed} passed, ${testsFailed} failed\n`);
+export { testsPassed, testsFailed };
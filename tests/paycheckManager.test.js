@@ -4,6 +4,10 @@
  */
 
 import { paycheckManager } from '../src/utils/paycheckManager.js';
+import { calculatePeriodBudgets } from '../src/utils/billHelpers.js';
+import { generateScheduleDates } from '../src/utils/paySchedule.js';
+import { buildPaycheckTimeline, getIncomeSources } from '../src/utils/incomeSources.js';
+import { createLocalDate } from '../src/utils/dates.js';
 
 function formatDateString(date) {
     const year = date.getFullYear();
@@ -88,6 +92,8 @@ test('should validate settings and catch invalid frequency', () => {
     
     const result = paycheckManager.validateSettings(settings);
     assert(!result.isValid, 'settings with invalid frequency should fail');
+    assert(!paycheckManager.validateSettings({ ...settings, frequency: 'Bi-Weekly ' }).isValid,
+        'frequency must be stored exactly as the schedule expects it');
 });
 
 test('should get paycheck labels for dates', () => {
@@ -142,8 +148,354 @@ test('should handle monthly frequency', () => {
     const paychecks = paycheckManager.generatePaycheckDates();
 
     assert(paychecks.length === 2, 'should generate 2 paychecks');
-    const daysDiff = Math.round((paychecks[1] - paychecks[0]) / (1000 * 60 * 60 * 24));
-    assert(daysDiff === 30, 'monthly frequency should generate 30 days apart');
+    const monthsDiff = (paychecks[1].getFullYear() - paychecks[0].getFullYear()) * 12 +
+        paychecks[1].getMonth() - paychecks[0].getMonth();
+    assert(monthsDiff === 1, 'monthly frequency should generate one calendar month apart');
+    assert(paychecks[1].getDate() === startDate.getDate() || paychecks[1].getDate() < startDate.getDate(),
+        'monthly paycheck should keep the day-of-month, clamped to month end');
+});
+
+test('should clamp calendar-monthly paydays to the end of short months', () => {
+    const { dates, nextDate } = generateScheduleDates(
+        { startDate: '2026-01-31', frequency: 'monthly', payPeriodsToShow: 4 },
+        4,
+        new Date(2026, 0, 31)
+    );
+
+    assertEqual(dates.map(formatDateString), ['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30'], 'monthly dates');
+    assertEqual(formatDateString(nextDate), '2026-05-31', 'following payday should return to the 31st');
+});
+
+test('should generate semi-monthly paydays on the 15th and last day', () => {
+    const { dates, nextDate } = generateScheduleDates(
+        { startDate: '2026-02-01', frequency: 'semi-monthly', semiMonthlyDays: [15, 31], payPeriodsToShow: 4 },
+        4,
+        new Date(2026, 1, 1)
+    );
+
+    assertEqual(dates.map(formatDateString), ['2026-02-15', '2026-02-28', '2026-03-15', '2026-03-31'], 'semi-monthly dates');
+    assertEqual(formatDateString(nextDate), '2026-04-15', 'following payday');
+});
+
+test('should start semi-monthly schedule from the most recent payday', () => {
+    const { dates } = generateScheduleDates(
+        { startDate: '2026-01-01', frequency: 'semi-monthly', semiMonthlyDays: [1, 15], payPeriodsToShow: 3 },
+        3,
+        new Date(2026, 2, 20)
+    );
+
+    assertEqual(dates.map(formatDateString), ['2026-03-15', '2026-04-01', '2026-04-15'], 'should include current period');
+});
+
+test('should generate rule-based paydays like first Friday and last Thursday', () => {
+    const firstFriday = generateScheduleDates(
+        { startDate: '2026-11-01', frequency: 'custom', customRule: { week: 1, weekday: 5 }, payPeriodsToShow: 3 },
+        3,
+        new Date(2026, 10, 1)
+    );
+    assertEqual(firstFriday.dates.map(formatDateString), ['2026-11-06', '2026-12-04', '2027-01-01'], 'first Fridays');
+
+    const lastThursday = generateScheduleDates(
+        { startDate: '2026-11-27', frequency: 'custom', customRule: { week: -1, weekday: 4 }, payPeriodsToShow: 2 },
+        2,
+        new Date(2026, 10, 27)
+    );
+    assertEqual(lastThursday.dates.map(formatDateString), ['2026-12-31', '2027-01-28'], 'last Thursdays after start');
+});
+
+test('should shift weekend and holiday paydays to the previous business day', () => {
+    const { dates } = generateScheduleDates(
+        {
+            startDate: '2026-11-15',
+            frequency: 'monthly',
+            payPeriodsToShow: 2,
+            businessDayAdjust: 'previous',
+            holidays: ['2026-12-15']
+        },
+        2,
+        new Date(2026, 10, 1)
+    );
+
+    // Nov 15 2026 is a Sunday; Dec 15 2026 is a listed holiday
+    assertEqual(dates.map(formatDateString), ['2026-11-13', '2026-12-14'], 'adjusted paydays');
+});
+
+test('should end the last pay period on the next scheduled payday', () => {
+    const startDate = new Date();
+    const settings = {
+        startDate: formatDateString(startDate),
+        frequency: 'semi-monthly',
+        semiMonthlyDays: [1, 16],
+        payPeriodsToShow: 2
+    };
+    paycheckManager.updateSettings(settings);
+    const paychecks = paycheckManager.generatePaycheckDates();
+    const expected = generateScheduleDates(settings, 3).dates[2];
+
+    assertEqual(formatDateString(paycheckManager.getPayPeriodEnd(paychecks.length - 1)), formatDateString(expected),
+        'last period should end at the following payday');
+});
+
+test('should reject invalid semi-monthly days and custom rules', () => {
+    const semiMonthly = paycheckManager.validateSettings({
+        startDate: '2026-11-01', frequency: 'semi-monthly', semiMonthlyDays: [15, 15], payPeriodsToShow: 4
+    });
+    assert(!semiMonthly.isValid, 'duplicate semi-monthly days should fail');
+
+    const custom = paycheckManager.validateSettings({
+        startDate: '2026-11-01', frequency: 'custom', customRule: { week: 5, weekday: 5 }, payPeriodsToShow: 4
+    });
+    assert(!custom.isValid, 'fifth week rule should fail');
+
+    const holidays = paycheckManager.validateSettings({
+        startDate: '2026-11-01', frequency: 'monthly', payPeriodsToShow: 4, holidays: ['12/25/2026']
+    });
+    assert(!holidays.isValid, 'malformed holidays should fail');
+});
+
+test('should return net pay and per-date overrides for paycheck amounts', () => {
+    const startDate = new Date();
+    const secondPaycheck = new Date(startDate);
+    secondPaycheck.setDate(secondPaycheck.getDate() + 14);
+
+    paycheckManager.updateSettings({
+        startDate: formatDateString(startDate),
+        frequency: 'bi-weekly',
+        payPeriodsToShow: 2,
+        netPay: 1800,
+        payOverrides: { [formatDateString(secondPaycheck)]: 2400 }
+    });
+    const paychecks = paycheckManager.generatePaycheckDates();
+
+    assertEqual(paycheckManager.getPaycheckAmount(paychecks[0]), 1800, 'should fall back to net pay');
+    assertEqual(paycheckManager.getPaycheckAmount(paychecks[1]), 2400, 'should use override for that date');
+});
+
+test('should return null paycheck amount when net pay is not configured', () => {
+    paycheckManager.updateSettings({
+        startDate: formatDateString(new Date()),
+        frequency: 'bi-weekly',
+        payPeriodsToShow: 2
+    });
+    const paychecks = paycheckManager.generatePaycheckDates();
+
+    assertEqual(paycheckManager.getPaycheckAmount(paychecks[0]), null, 'no amount without net pay');
+});
+
+test('should reject negative net pay and malformed overrides', () => {
+    const base = { startDate: '2025-01-08', frequency: 'bi-weekly', payPeriodsToShow: 4 };
+
+    assert(!paycheckManager.validateSettings({ ...base, netPay: -5 }).isValid, 'negative net pay should fail');
+    assert(!paycheckManager.validateSettings({ ...base, payOverrides: { 'Jan 8': 100 } }).isValid, 'bad override date should fail');
+    assert(paycheckManager.validateSettings({ ...base, netPay: 0, payOverrides: { '2025-01-22': 500 } }).isValid, 'valid amounts should pass');
+});
+
+test('should calculate leftover for each pay period', () => {
+    const startDate = new Date();
+    startDate.setHours(0, 0, 0, 0);
+    paycheckManager.updateSettings({
+        startDate: formatDateString(startDate),
+        frequency: 'bi-weekly',
+        payPeriodsToShow: 2,
+        netPay: 1000
+    });
+    const paychecks = paycheckManager.generatePaycheckDates();
+
+    const inFirst = new Date(startDate);
+    inFirst.setDate(inFirst.getDate() + 3);
+    const inSecond = new Date(startDate);
+    inSecond.setDate(inSecond.getDate() + 20);
+
+    const bills = [
+        { id: '1', dueDate: formatDateString(inFirst), amountDue: 400 },
+        { id: '2', dueDate: formatDateString(inFirst), amountDue: 250 },
+        { id: '3', dueDate: formatDateString(inSecond), amountDue: 1200 }
+    ];
+
+    const budgets = calculatePeriodBudgets(bills, paychecks);
+
+    assertEqual(budgets.length, 2, 'one budget per period');
+    assertEqual(budgets[0].billsTotal, 650, 'first period bills total');
+    assertEqual(budgets[0].leftover, 350, 'first period leftover');
+    assertEqual(budgets[1].billCount, 1, 'second period bill count');
+    assertEqual(budgets[1].leftover, -200, 'second period should go negative');
+});
+
+test('should merge income source schedules into one timeline', () => {
+    const sources = getIncomeSources({
+        startDate: '2026-11-06',
+        frequency: 'bi-weekly',
+        payPeriodsToShow: 4,
+        primarySourceName: 'Alex',
+        additionalIncomeSources: [
+            { id: 'sam', name: 'Sam', startDate: '2026-11-01', frequency: 'semi-monthly', semiMonthlyDays: [1, 15] }
+        ]
+    });
+    const { dates, sourceIds, nextDate } = buildPaycheckTimeline(sources, 4, new Date(2026, 10, 7));
+
+    assertEqual(sources.map(source => source.name), ['Alex', 'Sam'], 'primary source first');
+    assertEqual(dates.map(formatDateString), ['2026-11-06', '2026-11-15', '2026-11-20', '2026-12-01'], 'merged dates');
+    assertEqual(sourceIds, [['primary'], ['sam'], ['primary'], ['sam']], 'source per date');
+    assertEqual(formatDateString(nextDate), '2026-12-04', 'next merged paycheck');
+});
+
+test('should combine sources paying on the same day', () => {
+    const sources = getIncomeSources({
+        startDate: '2026-11-06',
+        frequency: 'bi-weekly',
+        payPeriodsToShow: 3,
+        additionalIncomeSources: [{ id: 'sam', name: 'Sam', startDate: '2026-11-06', frequency: 'weekly' }]
+    });
+    const { dates, sourceIds } = buildPaycheckTimeline(sources, 3, new Date(2026, 10, 6));
+
+    assertEqual(dates.map(formatDateString), ['2026-11-06', '2026-11-13', '2026-11-20'], 'one entry per day');
+    assertEqual(sourceIds[0], ['primary', 'sam'], 'both sources on the shared day');
+});
+
+test('should assign pinned bills to their income source paycheck', () => {
+    const startDate = new Date();
+    startDate.setHours(0, 0, 0, 0);
+    const samStart = new Date(startDate);
+    samStart.setDate(samStart.getDate() + 3);
+    paycheckManager.updateSettings({
+        startDate: formatDateString(startDate),
+        frequency: 'bi-weekly',
+        payPeriodsToShow: 4,
+        netPay: 1000,
+        additionalIncomeSources: [
+            { id: 'sam', name: 'Sam', startDate: formatDateString(samStart), frequency: 'weekly', netPay: 500 }
+        ]
+    });
+    const paychecks = paycheckManager.generatePaycheckDates();
+    const dueIn = (days) => {
+        const date = new Date(startDate);
+        date.setDate(date.getDate() + days);
+        return formatDateString(date);
+    };
+
+    // Timeline: day 0 (primary), day 3 (Sam), day 10 (Sam), day 14 (primary)
+    assertEqual(paycheckManager.getPeriodIndexForBill({ dueDate: dueIn(12) }), 2, 'unassigned bill uses due-date period');
+    assertEqual(paycheckManager.getPeriodIndexForBill({ dueDate: dueIn(12), incomeSourceId: 'primary' }), 0,
+        'pinned bill uses the primary paycheck before it');
+    assertEqual(paycheckManager.getPeriodIndexForBill({ dueDate: dueIn(5), incomeSourceId: 'sam' }), 1, 'pinned to Sam');
+    assertEqual(paycheckManager.getPeriodIndexForBill({ dueDate: dueIn(12), incomeSourceId: 'gone' }), 2,
+        'unknown source falls back to due-date period');
+
+    const budgets = calculatePeriodBudgets([
+        { id: '1', dueDate: dueIn(12), amountDue: 300, incomeSourceId: 'primary' },
+        { id: '2', dueDate: dueIn(5), amountDue: 100 }
+    ], paychecks);
+    assertEqual(budgets.map(b => b.income), [1000, 500, 500, 1000], 'income per source');
+    assertEqual(budgets[0].leftover, 700, 'pinned bill counted against primary paycheck');
+    assertEqual(budgets[1].billsTotal, 100, 'unpinned bill in its due-date period');
+    assertEqual(budgets[2].billsTotal, 0, 'pinned bill not counted twice');
+});
+
+test('should budget bills in the period of their planned pay date', () => {
+    const startDate = new Date();
+    startDate.setHours(0, 0, 0, 0);
+    paycheckManager.updateSettings({
+        startDate: formatDateString(startDate),
+        frequency: 'bi-weekly',
+        payPeriodsToShow: 3,
+        netPay: 1000
+    });
+    const paychecks = paycheckManager.generatePaycheckDates();
+    const dayOffset = (days) => {
+        const date = new Date(startDate);
+        date.setDate(date.getDate() + days);
+        return formatDateString(date);
+    };
+
+    // Periods start on day 0, 14 and 28
+    const rent = { id: 'rent', dueDate: dayOffset(16), amountDue: 900 };
+    assertEqual(paycheckManager.getPeriodIndexForBill(rent), 1, 'due-date period by default');
+    assertEqual(paycheckManager.getPeriodIndexForBill({ ...rent, plannedPayDate: dayOffset(0) }), 0, 'paid from an earlier paycheck');
+    assertEqual(paycheckManager.getPeriodIndexForBill({ ...rent, plannedPayDate: dayOffset(28), incomeSourceId: 'primary' }), 2,
+        'planned date wins over the income source');
+    assertEqual(paycheckManager.getPeriodIndexForBill({ ...rent, plannedPayDate: dayOffset(60) }), -1, 'planned outside the shown periods');
+
+    const budgets = calculatePeriodBudgets([{ ...rent, plannedPayDate: dayOffset(0) }], paychecks);
+    assertEqual(budgets.map(b => b.billsTotal), [900, 0, 0], 'budgeted against the chosen paycheck');
+    assertEqual(typeof paycheckManager.snapBillDateToPaycheck, 'undefined', 'due dates are no longer moved to paychecks');
+});
+
+test('should reject income sources without a name or valid schedule', () => {
+    const result = paycheckManager.validateSettings({
+        startDate: '2026-11-06',
+        frequency: 'bi-weekly',
+        payPeriodsToShow: 4,
+        additionalIncomeSources: [{ id: 'sam', name: '', startDate: '11/06/2026', frequency: 'daily' }]
+    });
+    assert(!result.isValid, 'invalid source should fail');
+    assert(result.errors.length >= 3, 'should report name, date and frequency errors');
+});
+
+// Generation horizon tests start paychecks and series on a fixed future payday, so the
+// generated dates do not depend on the day the tests run
+const HORIZON_START = '2099-01-05';
+const HORIZON_TODAY = createLocalDate(HORIZON_START);
+
+/**
+ * Monthly series starting on HORIZON_START, used by the generation horizon tests
+ */
+function createMonthlySeries(recurrence = 'Monthly', extra = {}) {
+    return {
+        seriesId: 'horizon',
+        name: 'Insurance',
+        category: 'Insurance',
+        amountDue: 90,
+        recurrence,
+        startDate: HORIZON_START,
+        endDate: null,
+        excludedDates: [],
+        ...extra
+    };
+}
+
+test('should generate recurring bills up to the end of the shown pay periods by default', () => {
+    paycheckManager.updateSettings({ startDate: HORIZON_START, frequency: 'weekly', payPeriodsToShow: 12 });
+
+    const horizon = paycheckManager.getGenerationHorizon(HORIZON_TODAY);
+    const generated = paycheckManager.generateRecurringBillInstances(createMonthlySeries(), [], HORIZON_TODAY);
+    assertEqual(formatDateString(horizon), '2099-03-30', 'end of the twelfth weekly pay period');
+    assertEqual(generated.map(b => b.dueDate), ['2099-01-05', '2099-02-05', '2099-03-05'], 'about three months of monthly bills');
+});
+
+test('should generate across year boundaries when planning months ahead', () => {
+    paycheckManager.updateSettings({
+        startDate: HORIZON_START,
+        frequency: 'bi-weekly',
+        payPeriodsToShow: 4,
+        planMonthsAhead: 36
+    });
+
+    const generated = paycheckManager.generateRecurringBillInstances(createMonthlySeries(), [], HORIZON_TODAY);
+    const years = new Set(generated.map(b => b.dueDate.slice(0, 4)));
+    assertEqual(generated.length, 37, 'one bill per month for three years, including this month');
+    assertEqual([...years], ['2099', '2100', '2101', '2102'], 'spans four calendar years');
+    assertEqual(generated[generated.length - 1].dueDate, '2102-01-05', 'reaches three years out');
+    assertEqual(paycheckManager.payCheckDates.length, 4, 'pay periods shown are unchanged');
+});
+
+test('should cap instances per series instead of stopping at a calendar year', () => {
+    paycheckManager.updateSettings({
+        startDate: HORIZON_START,
+        frequency: 'weekly',
+        payPeriodsToShow: 4,
+        planMonthsAhead: 60
+    });
+
+    const daily = createMonthlySeries('Custom', { recurrenceRule: { freq: 'DAILY', interval: 1 } });
+    const generated = paycheckManager.generateRecurringBillInstances(daily, [], HORIZON_TODAY);
+    assertEqual(generated.length, 500, 'safety cap reached');
+});
+
+test('should reject out-of-range plan-ahead settings', () => {
+    const base = { startDate: '2026-11-06', frequency: 'bi-weekly', payPeriodsToShow: 4 };
+    assert(!paycheckManager.validateSettings({ ...base, planMonthsAhead: 0 }).isValid, 'zero months');
+    assert(!paycheckManager.validateSettings({ ...base, planMonthsAhead: 61 }).isValid, 'over the maximum');
+    assert(paycheckManager.validateSettings({ ...base, planMonthsAhead: 12 }).isValid, 'a year ahead is fine');
 });
 
 console.log(`\n📊 PaycheckManager Test Results: ${testsPassed} passed, ${testsFailed} failed\n`);
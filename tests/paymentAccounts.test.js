@@ -0,0 +1,157 @@
+/**
+ * Payment Accounts Unit Tests
+ * Tests the payment account registry, paying bills from an account and the
+ * per pay period account report
+ */
+
+import { billStore } from '../src/store/BillStore.js';
+import { paycheckManager } from '../src/utils/paycheckManager.js';
+import {
+    validatePaymentAccounts,
+    formatAccountLabel,
+    getDefaultAccountId,
+    createPaymentAccountId
+} from '../src/utils/paymentAccounts.js';
+import { calculateAccountOutflows } from '../src/utils/billHelpers.js';
+import { createSeriesFromBill } from '../src/utils/billSeries.js';
+import { validatePaymentSettings } from '../src/utils/validation.js';
+import { billActionHandlers } from '../src/handlers/billActionHandlers.js';
+
+// Notifications need a document; nothing is rendered in these tests
+const element = () => ({ style: {}, remove() {}, addEventListener() {}, querySelector: element });
+global.document = {
+    createElement: element,
+    body: { appendChild() {} }
+};
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(`Assertion failed: ${message}`);
+    }
+}
+
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+function test(description, testFn) {
+    try {
+        testFn();
+        console.log(`✅ ${description}`);
+        testsPassed++;
+    } catch (error) {
+        console.error(`❌ ${description}: ${error.message}`);
+        testsFailed++;
+    }
+}
+
+const ACCOUNTS = [
+    { id: 'acct-checking', nickname: 'Joint checking', type: 'checking', lastFour: '1234' },
+    { id: 'acct-card', nickname: 'Travel card', type: 'credit-card' }
+];
+
+// Pay periods starting Jan 1 and Jan 15, fixed because the generated ones start from
+// today's pay period
+const PAYCHECKS = [new Date(2027, 0, 1), new Date(2027, 0, 15)];
+
+const SETTINGS = {
+    startDate: '2027-01-01',
+    frequency: 'bi-weekly',
+    payPeriodsToShow: 2,
+    paymentAccounts: ACCOUNTS
+};
+
+const bill = (extra = {}) => ({
+    id: 'power',
+    name: 'Power',
+    category: 'Utilities',
+    dueDate: '2027-01-05',
+    amountDue: 100,
+    balance: 100,
+    isPaid: false,
+    recurrence: 'One-time',
+    paymentHistory: [],
+    ...extra
+});
+
+const stored = () => billStore.getAll().find(b => b.id === 'power');
+
+console.log('💳 Running Payment Accounts Tests...\n');
+
+test('should validate payment accounts', () => {
+    assertEqual(validatePaymentAccounts(ACCOUNTS), [], 'valid accounts');
+    assertEqual(validatePaymentAccounts(undefined), [], 'accounts are optional');
+    assertEqual(validatePaymentAccounts([
+        { id: 'a', nickname: '', type: 'checking' },
+        { id: 'a', nickname: 'Card', type: 'store-card', lastFour: '12' }
+    ]), [
+        'Payment account 1: nickname is required',
+        'Card: needs a unique id',
+        'Card: type must be one of: checking, savings, credit-card, paypal, cash, other',
+        'Card: last four digits must be exactly 4 digits'
+    ], 'every problem reported');
+    assert(validatePaymentSettings({ ...SETTINGS, startDate: '2099-01-01', paymentAccounts: 'checking' }).errors
+        .includes('Payment accounts must be a list'), 'checked with the payment settings');
+    assert(createPaymentAccountId().startsWith('acct-'), 'ids are prefixed');
+});
+
+test('should label accounts and find a bill\'s default account', () => {
+    assertEqual(ACCOUNTS.map(formatAccountLabel), ['Joint checking ••1234', 'Travel card'], 'labels');
+    assertEqual(getDefaultAccountId(bill({ defaultAccountId: 'acct-card' }), ACCOUNTS), 'acct-card', 'default account');
+    assertEqual(getDefaultAccountId(bill({ defaultAccountId: 'acct-removed' }), ACCOUNTS), null, 'removed account ignored');
+    assertEqual(createSeriesFromBill(bill({ recurrence: 'Monthly', defaultAccountId: 'acct-card' })).defaultAccountId,
+        'acct-card', 'recurring bills keep their default account');
+});
+
+test('should record payments from an account', () => {
+    paycheckManager.updateSettings(SETTINGS);
+    billStore.setBills([bill()], [], { recordHistory: false });
+
+    assert(billActionHandlers.recordPayment('power', { amount: 40, date: '2027-01-02', accountId: 'acct-checking' }), 'recorded');
+    const payment = stored().paymentHistory[0];
+    assertEqual([payment.accountId, payment.method], ['acct-checking', 'Joint checking ••1234'], 'account and its label kept');
+
+    assert(billActionHandlers.refundPayment('power', payment.id, { amount: 10, date: '2027-01-03' }), 'refunded');
+    assertEqual(stored().paymentHistory[1].accountId, 'acct-checking', 'refund goes back to the account');
+
+    assert(!billActionHandlers.recordPayment('power', { amount: 5, date: '2027-01-04', accountId: 'acct-removed' }), 'unknown account refused');
+    assert(billActionHandlers.recordPayment('power', { amount: 5, date: '2027-01-04', method: 'Cash' }), 'other methods still work');
+    assertEqual(stored().paymentHistory[2].accountId, undefined, 'no account on cash payments');
+});
+
+test('should report what each account pays and still owes per pay period', () => {
+    paycheckManager.updateSettings(SETTINGS);
+    const bills = [
+        bill({
+            balance: 40,
+            defaultAccountId: 'acct-card',
+            paymentHistory: [
+                { id: 'p1', date: '2027-01-02', amount: 60, accountId: 'acct-checking' },
+                { id: 'p2', date: '2027-01-03', amount: 25, accountId: 'acct-card', voided: { at: '2027-01-03', reason: 'Typo' } }
+            ]
+        }),
+        bill({ id: 'rent', name: 'Rent', dueDate: '2027-01-20', amountDue: 900, balance: 900 }),
+        bill({ id: 'water', name: 'Water', dueDate: '2027-01-06', isPaid: true, balance: 0,
+            paymentHistory: [{ id: 'p3', date: '2027-01-16', amount: 30, accountId: 'acct-card' }] })
+    ];
+
+    const [first, second] = calculateAccountOutflows(bills, ACCOUNTS, PAYCHECKS);
+    assertEqual(first.rows, [
+        { accountId: 'acct-checking', label: 'Joint checking ••1234', paid: 60, planned: 0 },
+        { accountId: 'acct-card', label: 'Travel card', paid: 0, planned: 40 }
+    ], 'paid and still owed per account, voided payment left out');
+    assertEqual(first.total, 100, 'period total');
+    assertEqual(second.rows, [
+        { accountId: 'acct-card', label: 'Travel card', paid: 30, planned: 0 },
+        { accountId: null, label: 'No account', paid: 0, planned: 900 }
+    ], 'payments by payment date; bills without an account listed separately');
+    assertEqual(calculateAccountOutflows(bills, ACCOUNTS, []), [], 'no periods without paychecks');
+});
+
+console.log(`\n📊 Payment Accounts Test Results: ${testsPassed} passed, ${testsFailed} failed\n`);
+export { testsPassed, testsFailed };
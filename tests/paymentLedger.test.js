@@ -0,0 +1,198 @@
+/**
+ * Payment Ledger Unit Tests
+ * Tests editing, voiding and refunding payments and how the balance, paid state and
+ * recurring cycle follow
+ */
+
+import { billStore } from '../src/store/BillStore.js';
+import {
+    getNetPaid,
+    getRefundableAmount,
+    editPayment,
+    voidPayment,
+    refundPayment
+} from '../src/utils/paymentLedger.js';
+import { getRemainingBalance } from '../src/utils/billHelpers.js';
+import { billActionHandlers } from '../src/handlers/billActionHandlers.js';
+
+// Notifications need a document; nothing is rendered in these tests
+const element = () => ({ style: {}, remove() {}, addEventListener() {}, querySelector: element });
+global.document = {
+    createElement: element,
+    body: { appendChild() {} }
+};
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(`Assertion failed: ${message}`);
+    }
+}
+
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+function assertThrows(fn, text, message) {
+    try {
+        fn();
+    } catch (error) {
+        assert(error.message.includes(text), `${message} (got "${error.message}")`);
+        return;
+    }
+    throw new Error(`Expected an error. ${message}`);
+}
+
+function test(description, testFn) {
+    try {
+        testFn();
+        console.log(`✅ ${description}`);
+        testsPassed++;
+    } catch (error) {
+        console.error(`❌ ${description}: ${error.message}`);
+        testsFailed++;
+    }
+}
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+const HISTORY = [
+    { id: 'p1', date: '2026-10-01', amount: 40, method: 'Cash' },
+    { id: 'p2', date: '2026-10-05', amount: 60, method: 'Check' }
+];
+
+const bill = (extra = {}) => ({
+    id: 'power',
+    name: 'Power',
+    category: 'Utilities',
+    dueDate: '2026-10-15',
+    amountDue: 100,
+    balance: 100,
+    isPaid: false,
+    recurrence: 'One-time',
+    paymentHistory: [],
+    ...extra
+});
+
+const stored = () => billStore.getAll().find(b => b.id === 'power');
+
+console.log('🧾 Running Payment Ledger Tests...\n');
+
+test('should edit a payment and log the changed fields', () => {
+    const { paymentHistory, audit } = editPayment(HISTORY, 'p1', { amount: '45', notes: 'Typo' }, NOW);
+
+    assertEqual(paymentHistory[0].amount, 45, 'amount updated');
+    assertEqual(HISTORY[0].amount, 40, 'original history untouched');
+    assertEqual(audit, {
+        at: NOW.toISOString(),
+        action: 'payment-edited',
+        paymentId: 'p1',
+        changes: { amount: { from: 40, to: 45 }, notes: { from: null, to: 'Typo' } }
+    }, 'audit entry');
+    assertEqual(editPayment(HISTORY, 'p1', { amount: 40 }, NOW).audit, null, 'no audit entry without changes');
+    assertThrows(() => editPayment(HISTORY, 'p1', { date: '10/01/2026' }), 'date', 'invalid date rejected');
+});
+
+test('should keep voided payments but stop counting them', () => {
+    assertThrows(() => voidPayment(HISTORY, 'p2', '  '), 'why', 'reason required');
+
+    const { paymentHistory, audit } = voidPayment(HISTORY, 'p2', 'Duplicate', NOW);
+    assertEqual(paymentHistory.length, 2, 'entry kept');
+    assertEqual(paymentHistory[1].voided, { at: NOW.toISOString(), reason: 'Duplicate' }, 'void recorded');
+    assertEqual(getNetPaid(paymentHistory), 40, 'voided entry not counted');
+    assertEqual([audit.action, audit.amount, audit.reason], ['payment-voided', 60, 'Duplicate'], 'audit entry');
+    assertThrows(() => editPayment(paymentHistory, 'p2', { amount: 1 }), 'Voided', 'voided entries cannot be edited');
+});
+
+test('should add refunds as reversal entries up to the amount paid', () => {
+    const { paymentHistory, refund } = refundPayment(HISTORY, 'p2', { amount: 25, date: '2026-10-10', reason: 'Overcharged' }, NOW);
+
+    assertEqual([refund.type, refund.refundOf, refund.amount, refund.notes], ['refund', 'p2', 25, 'Overcharged'], 'refund entry');
+    assertEqual(getNetPaid(paymentHistory), 75, 'refund counts against the total paid');
+    assertEqual(getRefundableAmount(paymentHistory, 'p2'), 35, 'rest of the payment can still be refunded');
+    assertThrows(() => refundPayment(paymentHistory, 'p2', { amount: 36, date: '2026-10-11' }), 'larger', 'no refund beyond the payment');
+    assertThrows(() => voidPayment(paymentHistory, 'p2', 'Mistake'), 'refunds first', 'refunded payments are not voided');
+    assertThrows(() => editPayment(paymentHistory, 'p2', { amount: 20 }), 'cannot be lower', 'amount stays above its refunds');
+});
+
+test('should take each payment off the balance only once', () => {
+    billStore.setBills([bill()], [], { recordHistory: false });
+
+    billActionHandlers.recordPayment('power', { amount: 30, date: '2026-10-01' });
+    billActionHandlers.recordPayment('power', { amount: 20, date: '2026-10-02' });
+
+    assertEqual([stored().balance, stored().isPaid], [50, false], 'balance after two payments');
+    assertEqual(getRemainingBalance(stored()), 50, 'remaining balance matches');
+    assertEqual(stored().auditLog.map(a => a.action), ['payment-recorded', 'payment-recorded'], 'payments logged');
+});
+
+test('should recalculate the balance when payments are edited, voided or refunded', () => {
+    billStore.setBills([bill({ balance: 0, isPaid: true, paymentHistory: HISTORY.map(p => ({ ...p })) })], [], { recordHistory: false });
+
+    assert(billActionHandlers.voidPayment('power', 'p2', 'Duplicate'), 'voided');
+    assertEqual([stored().balance, stored().isPaid, stored().lastPaymentDate], [60, false, '2026-10-01'], 'unpaid again after void');
+
+    assert(billActionHandlers.editPayment('power', 'p1', { amount: 100 }), 'edited');
+    assertEqual([stored().balance, stored().isPaid], [0, true], 'paid after the correction');
+
+    assert(billActionHandlers.refundPayment('power', 'p1', { amount: 10, date: '2026-10-20', reason: 'Credit' }), 'refunded');
+    assertEqual([stored().balance, stored().isPaid], [10, false], 'refund reopens the balance');
+    assertEqual(stored().auditLog.map(a => a.action), ['payment-voided', 'payment-edited', 'payment-refunded'], 'every change logged');
+
+    assert(!billActionHandlers.voidPayment('power', 'missing', 'Typo'), 'unknown payment rejected');
+});
+
+test('should measure an edited or voided overpayment against the amount owed', () => {
+    billStore.setBills([bill()], [], { recordHistory: false });
+
+    billActionHandlers.recordPayment('power', { amount: 120, date: '2026-10-01' });
+    assertEqual([stored().balance, stored().isPaid], [0, true], 'overpaid bill stops at zero');
+
+    const paymentId = stored().paymentHistory[0].id;
+    assert(billActionHandlers.editPayment('power', paymentId, { amount: 50 }), 'edited');
+    assertEqual([stored().balance, stored().isPaid], [50, false], 'half of the $100 still owed');
+
+    assert(billActionHandlers.editPayment('power', paymentId, { amount: 120 }), 'overpaid again');
+    assert(billActionHandlers.voidPayment('power', paymentId, 'Bounced'), 'voided');
+    assertEqual([stored().balance, stored().isPaid], [100, false], 'owes the $100, not the overpayment');
+});
+
+test('should measure payments against an edited balance', () => {
+    billStore.setBills([bill()], [], { recordHistory: false });
+    billActionHandlers.recordPayment('power', { amount: 120, date: '2026-10-01' });
+
+    billStore.update({ ...stored(), balance: 30, isPaid: false });
+    billActionHandlers.recordPayment('power', { amount: 10, date: '2026-10-02' });
+    assertEqual(stored().balance, 20, 'the entered balance replaces the stored amount owed');
+});
+
+test('should move a recurring bill back when a payment no longer covers its cycle', () => {
+    billStore.setBills([bill({ recurrence: 'Monthly' })], [], { recordHistory: false });
+
+    billActionHandlers.recordPayment('power', { amount: 100, date: '2026-10-14' });
+    assertEqual([stored().dueDate, stored().isPaid], ['2026-11-15', true], 'moved to the next cycle when paid');
+
+    const paymentId = stored().paymentHistory[0].id;
+    billActionHandlers.voidPayment('power', paymentId, 'Bounced');
+    assertEqual([stored().dueDate, stored().isPaid, stored().balance], ['2026-10-15', false, 100], 'back to the unpaid cycle');
+
+    billActionHandlers.recordPayment('power', { amount: 100, date: '2026-10-16' });
+    assertEqual(stored().dueDate, '2026-11-15', 'paid again moves it forward once');
+});
+
+test('should keep a planned pay date with the cycle it was planned for', () => {
+    billStore.setBills([bill({ recurrence: 'Monthly', plannedPayDate: '2026-10-09' })], [], { recordHistory: false });
+
+    billActionHandlers.recordPayment('power', { amount: 100, date: '2026-10-09' });
+    assertEqual([stored().dueDate, stored().plannedPayDate], ['2026-11-15', undefined], 'next cycle follows its due date');
+
+    billActionHandlers.voidPayment('power', stored().paymentHistory[0].id, 'Bounced');
+    assertEqual([stored().dueDate, stored().plannedPayDate], ['2026-10-15', '2026-10-09'], 'planned date back with its cycle');
+});
+
+console.log(`\n📊 Payment Ledger Test Results: ${testsPassed} passed, ${testsFailed} failed\n`);
+export { testsPassed, testsFailed };
@@ -0,0 +1,208 @@
+/**
+ * Recurrence Rule Unit Tests
+ * Tests rule expansion, RRULE parsing/formatting and series generation with custom rules
+ */
+
+import {
+    expandRule,
+    listOccurrences,
+    getNextOccurrence,
+    parseRRule,
+    formatRRule,
+    fromRRule,
+    toRRule,
+    describeRecurrence,
+    alignToRule,
+    validateRecurrenceRule
+} from '../src/utils/recurrence.js';
+import { createLocalDate } from '../src/utils/dates.js';
+import { paycheckManager } from '../src/utils/paycheckManager.js';
+
+function formatDateString(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(`Assertion failed: ${message}`);
+    }
+}
+
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+function test(description, testFn) {
+    try {
+        testFn();
+        console.log(`✅ ${description}`);
+        testsPassed++;
+    } catch (error) {
+        console.error(`❌ ${description}: ${error.message}`);
+        testsFailed++;
+    }
+}
+
+function expand(rule, start, end) {
+    return expandRule(rule, createLocalDate(start), createLocalDate(end)).map(formatDateString);
+}
+
+console.log('🔁 Running Recurrence Rule Tests...\n');
+
+test('should repeat quarterly on the start day, clamped to month end', () => {
+    assertEqual(
+        expand({ freq: 'MONTHLY', interval: 3 }, '2026-11-30', '2027-12-01'),
+        ['2026-11-30', '2027-02-28', '2027-05-30', '2027-08-30', '2027-11-30'],
+        'every third month'
+    );
+});
+
+test('should repeat every 4 weeks', () => {
+    assertEqual(
+        expand({ freq: 'WEEKLY', interval: 4 }, '2026-10-19', '2027-01-01'),
+        ['2026-10-19', '2026-11-16', '2026-12-14'],
+        '28 days apart'
+    );
+});
+
+test('should find the last business day of each month', () => {
+    assertEqual(
+        expand({ freq: 'MONTHLY', byDay: ['MO', 'TU', 'WE', 'TH', 'FR'], bySetPos: -1 }, '2026-10-01', '2027-03-01'),
+        ['2026-10-30', '2026-11-30', '2026-12-31', '2027-01-29', '2027-02-26'],
+        'weekends skipped'
+    );
+});
+
+test('should support numbered weekdays and weekly weekday lists', () => {
+    assertEqual(
+        expand({ freq: 'MONTHLY', byDay: ['2TU'] }, '2026-10-01', '2026-12-31'),
+        ['2026-10-13', '2026-11-10', '2026-12-08'],
+        'second Tuesday'
+    );
+    assertEqual(
+        expand({ freq: 'WEEKLY', interval: 2, byDay: ['MO', 'TH'] }, '2026-10-20', '2026-11-10'),
+        ['2026-10-22', '2026-11-02', '2026-11-05'],
+        'Mondays and Thursdays every other week'
+    );
+});
+
+test('should stop after count occurrences or on the until date', () => {
+    assertEqual(
+        expand({ freq: 'MONTHLY', count: 3 }, '2026-10-15', '2030-01-01'),
+        ['2026-10-15', '2026-11-15', '2026-12-15'],
+        'three payments'
+    );
+    assertEqual(
+        expand({ freq: 'MONTHLY', interval: 6, until: '2027-10-15' }, '2026-10-15', '2030-01-01'),
+        ['2026-10-15', '2027-04-15', '2027-10-15'],
+        'until is inclusive'
+    );
+});
+
+test('should keep simple presets on their existing schedule', () => {
+    const dates = listOccurrences({ recurrence: 'Bi-weekly' }, createLocalDate('2026-10-02'), createLocalDate('2026-11-01'))
+        .map(formatDateString);
+    assertEqual(dates, ['2026-10-02', '2026-10-16', '2026-10-30'], 'every 14 days');
+    assertEqual(listOccurrences({ recurrence: 'One-time' }, createLocalDate('2026-10-02'), createLocalDate('2027-01-01')).length, 1,
+        'one-time bills have a single occurrence');
+});
+
+test('should find the next occurrence counting from the series start', () => {
+    const item = { recurrence: 'Custom', recurrenceRule: { freq: 'MONTHLY', count: 2 } };
+    const start = createLocalDate('2026-10-05');
+    assertEqual(formatDateString(getNextOccurrence(item, start, start)), '2026-11-05', 'second payment');
+    assertEqual(getNextOccurrence(item, createLocalDate('2026-11-05'), start), null, 'no third payment');
+});
+
+test('should keep finding occurrences of series started years ago', () => {
+    const item = { recurrence: 'Custom', recurrenceRule: { freq: 'WEEKLY', byDay: ['MO', 'TU', 'WE', 'TH', 'FR'] } };
+    const start = createLocalDate('2021-01-04');
+    assertEqual(formatDateString(getNextOccurrence(item, createLocalDate('2026-10-19'), start)), '2026-10-20',
+        'more than 1000 earlier occurrences do not end the series');
+    assertEqual(formatDateString(getNextOccurrence(item, createLocalDate('2026-10-23'), start)), '2026-10-26', 'skips the weekend');
+});
+
+test('should parse and format RRULE strings', () => {
+    const rule = parseRRule('RRULE:FREQ=MONTHLY;INTERVAL=6;BYMONTHDAY=-1;UNTIL=20281231T235959Z');
+    assertEqual(rule, { freq: 'MONTHLY', interval: 6, byMonthDay: [-1], until: '2028-12-31' }, 'parsed rule');
+    assertEqual(formatRRule(rule), 'FREQ=MONTHLY;INTERVAL=6;BYMONTHDAY=-1;UNTIL=20281231', 'round trip');
+    assertEqual(toRRule({ recurrence: 'Bi-weekly' }), 'FREQ=WEEKLY;INTERVAL=2', 'preset exported as RRULE');
+    assertEqual(toRRule({ recurrence: 'One-time' }), null, 'one-time bills have no RRULE');
+});
+
+test('should map imported RRULEs to presets when they match', () => {
+    assertEqual(fromRRule('FREQ=YEARLY'), { recurrence: 'Yearly' }, 'plain yearly');
+    assertEqual(fromRRule('FREQ=WEEKLY;INTERVAL=4'), {
+        recurrence: 'Custom',
+        recurrenceRule: { freq: 'WEEKLY', interval: 4 }
+    }, 'every 4 weeks is custom');
+});
+
+test('should reject unsupported or invalid RRULEs', () => {
+    const rejects = text => {
+        try {
+            parseRRule(text);
+            return false;
+        } catch (error) {
+            return true;
+        }
+    };
+    assert(rejects('FREQ=HOURLY'), 'hourly is not supported');
+    assert(rejects('FREQ=YEARLY;BYMONTH=3'), 'BYMONTH is not supported');
+    assert(rejects('FREQ=MONTHLY;COUNT=3;UNTIL=20270101'), 'count and until together');
+    assert(validateRecurrenceRule({ freq: 'WEEKLY', byDay: ['1MO'] }).length > 0, 'numbered weekday in weekly rule');
+});
+
+test('should describe custom rules for display', () => {
+    assertEqual(describeRecurrence({ recurrence: 'Custom', recurrenceRule: { freq: 'MONTHLY', interval: 3 } }), 'Quarterly', 'preset name');
+    assertEqual(
+        describeRecurrence({ recurrence: 'Custom', recurrenceRule: { freq: 'MONTHLY', byDay: ['MO', 'TU', 'WE', 'TH', 'FR'], bySetPos: -1, count: 36 } }),
+        'Last business day of the month, 36 times',
+        'preset with count'
+    );
+    assertEqual(describeRecurrence({ recurrence: 'Custom', recurrenceRule: { freq: 'MONTHLY', byDay: ['1FR'] } }),
+        'Monthly on the first Friday', 'numbered weekday');
+    assertEqual(describeRecurrence({ recurrence: 'Monthly' }), 'Monthly', 'presets unchanged');
+});
+
+test('should align a start date to the first matching occurrence', () => {
+    assertEqual(alignToRule({ freq: 'MONTHLY', byDay: ['MO', 'TU', 'WE', 'TH', 'FR'], bySetPos: -1 }, '2026-10-19'), '2026-10-30',
+        'moved to last business day');
+});
+
+test('should generate series instances from a custom rule and honor its count', () => {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    paycheckManager.updateSettings({
+        startDate: formatDateString(today),
+        frequency: 'weekly',
+        payPeriodsToShow: 10
+    });
+
+    const series = {
+        seriesId: 'loan',
+        name: 'Loan',
+        category: 'Debt',
+        amountDue: 250,
+        recurrence: 'Custom',
+        recurrenceRule: { freq: 'WEEKLY', interval: 2, count: 3 },
+        startDate: formatDateString(today),
+        endDate: null,
+        excludedDates: []
+    };
+    const generated = paycheckManager.generateRecurringBillInstances(series, []);
+
+    assertEqual(generated.length, 3, 'stops after three payments');
+    assert(generated.every(b => b.recurrence === 'Custom' && b.recurrenceRule.interval === 2), 'instances keep the rule');
+});
+
+console.log(`\n📊 Recurrence Test Results: ${testsPassed} passed, ${testsFailed} failed\n`);
+export { testsPassed, testsFailed };
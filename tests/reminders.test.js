@@ -0,0 +1,119 @@
+/**
+ * Reminders Unit Tests
+ * Tests reminder rules (global, category and bill overrides) and when reminders are due
+ */
+
+import {
+    DEFAULT_REMINDER_SETTINGS,
+    resolveReminderRule,
+    getDueReminders,
+    parseReminderChoice,
+    reminderChoiceValue
+} from '../src/utils/reminders.js';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(`Assertion failed: ${message}`);
+    }
+}
+
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+function test(description, testFn) {
+    try {
+        testFn();
+        console.log(`✅ ${description}`);
+        testsPassed++;
+    } catch (error) {
+        console.error(`❌ ${description}: ${error.message}`);
+        testsFailed++;
+    }
+}
+
+const TODAY = new Date(2026, 9, 19, 9, 0);
+const SETTINGS = { ...DEFAULT_REMINDER_SETTINGS, enabled: true, daysBefore: 3 };
+
+function bill(id, dueDate, extra = {}) {
+    return { id, name: id, category: 'Utilities', dueDate, amountDue: 50, isPaid: false, ...extra };
+}
+
+const kinds = reminders => reminders.map(r => `${r.billId}:${r.kind}`);
+
+console.log('🔔 Running Reminder Tests...\n');
+
+test('should remind before, on and after the due date', () => {
+    const reminders = getDueReminders([
+        bill('soon', '2026-10-21'),
+        bill('today', '2026-10-19'),
+        bill('late', '2026-10-16'),
+        bill('later', '2026-10-30'),
+        bill('paid', '2026-10-19', { isPaid: true })
+    ], SETTINGS, TODAY);
+
+    assertEqual(kinds(reminders), ['soon:before', 'today:due', 'late:overdue'], 'one reminder per unpaid bill in range');
+    assertEqual(reminders[0].title, 'soon is due in 2 days', 'days left in the title');
+    assertEqual(reminders[2].body, '$50.00 due 2026-10-16 (3 days ago)', 'overdue body');
+});
+
+test('should mention the planned pay date next to the due date', () => {
+    const reminders = getDueReminders([bill('rent', '2026-10-21', { plannedPayDate: '2026-10-16' })], SETTINGS, TODAY);
+    assertEqual(reminders[0].body, '$50.00 due 2026-10-21, planned for 2026-10-16', 'both dates in the body');
+    assertEqual(kinds(reminders), ['rent:before'], 'timed from the due date');
+});
+
+test('should show nothing while reminders are off', () => {
+    assertEqual(getDueReminders([bill('today', '2026-10-19')], DEFAULT_REMINDER_SETTINGS, TODAY), [], 'disabled by default');
+});
+
+test('should layer category and bill overrides over the defaults', () => {
+    const settings = { ...SETTINGS, categories: { Rent: { daysBefore: 7 }, Fun: { enabled: false } } };
+
+    assertEqual(resolveReminderRule(bill('a', '2026-10-25', { category: 'Rent' }), settings).daysBefore, 7, 'category lead time');
+    assert(!resolveReminderRule(bill('b', '2026-10-19', { category: 'Fun' }), settings).enabled, 'category turned off');
+    assert(resolveReminderRule(bill('c', '2026-10-19', { category: 'Fun', reminder: { enabled: true } }), settings).enabled, 'bill wins over category');
+
+    const reminders = getDueReminders([
+        bill('rent', '2026-10-25', { category: 'Rent' }),
+        bill('fun', '2026-10-19', { category: 'Fun' }),
+        bill('quiet', '2026-10-19', { reminder: { enabled: false } })
+    ], settings, TODAY);
+    assertEqual(kinds(reminders), ['rent:before'], 'overrides applied');
+});
+
+test('should show each reminder once and repeat overdue ones daily', () => {
+    const bills = [bill('today', '2026-10-19'), bill('late', '2026-10-16')];
+    const first = getDueReminders(bills, SETTINGS, TODAY);
+    const sent = Object.fromEntries(first.map(r => [r.key, TODAY.getTime()]));
+
+    assertEqual(getDueReminders(bills, SETTINGS, TODAY, { sent }), [], 'nothing new the same day');
+    const tomorrow = new Date(2026, 9, 20, 9, 0);
+    assertEqual(kinds(getDueReminders(bills, SETTINGS, tomorrow, { sent })), ['today:overdue', 'late:overdue'], 'overdue again the next day');
+});
+
+test('should hold back snoozed bills until the snooze ends', () => {
+    const bills = [bill('today', '2026-10-19')];
+    const snoozedUntil = { today: TODAY.getTime() + 60 * 60 * 1000 };
+
+    assertEqual(getDueReminders(bills, SETTINGS, TODAY, { snoozedUntil }), [], 'snoozed');
+    const later = new Date(TODAY.getTime() + 2 * 60 * 60 * 1000);
+    assertEqual(kinds(getDueReminders(bills, SETTINGS, later, { snoozedUntil })), ['today:due'], 'back after the snooze');
+});
+
+test('should convert between form choices and overrides', () => {
+    assertEqual(parseReminderChoice(''), null, 'default');
+    assertEqual(parseReminderChoice('off'), { enabled: false }, 'off');
+    assertEqual(parseReminderChoice('7'), { enabled: true, daysBefore: 7 }, 'days before');
+    ['', 'off', '7'].forEach(value => {
+        assertEqual(reminderChoiceValue(parseReminderChoice(value)), value, `round trip of "${value}"`);
+    });
+});
+
+console.log(`\n📊 Reminder Test Results: ${testsPassed} passed, ${testsFailed} failed\n`);
+export { testsPassed, testsFailed };
@@ -0,0 +1,137 @@
+/**
+ * Restore Point Unit Tests
+ * Tests taking restore points, retention, previews and rolling the store back
+ */
+
+import { billStore } from '../src/store/BillStore.js';
+import {
+    createRestorePoint,
+    isDailyRestorePointDue,
+    selectExpiredRestorePoints,
+    compareRestorePoint
+} from '../src/utils/restorePoints.js';
+import { RESTORE_POINTS } from '../src/utils/constants.js';
+import { CURRENT_SCHEMA_VERSION } from '../src/utils/schema.js';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(`Assertion failed: ${message}`);
+    }
+}
+
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+function test(description, testFn) {
+    try {
+        testFn();
+        console.log(`✅ ${description}`);
+        testsPassed++;
+    } catch (error) {
+        console.error(`❌ ${description}: ${error.message}`);
+        testsFailed++;
+    }
+}
+
+function bill(id, name, extra = {}) {
+    return {
+        id,
+        name,
+        category: 'Utilities',
+        dueDate: '2026-11-01',
+        amountDue: 100,
+        balance: 100,
+        isPaid: false,
+        recurrence: 'One-time',
+        paymentHistory: [],
+        ...extra
+    };
+}
+
+const NOW = new Date('2026-10-19T12:00:00');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Restore point taken a number of days before NOW
+ */
+const pointAt = (reason, daysAgo) => createRestorePoint(reason, { bills: [] }, new Date(NOW.getTime() - daysAgo * DAY_MS));
+
+console.log('🕘 Running Restore Point Tests...\n');
+
+test('should copy the data into the restore point', () => {
+    const bills = [bill('a', 'Water')];
+    const point = createRestorePoint('import', { bills, series: [] }, NOW);
+    bills[0].name = 'Changed';
+
+    assertEqual(point.data.bills[0].name, 'Water', 'later changes do not reach the copy');
+    assertEqual([point.reason, point.billCount, point.schemaVersion], ['import', 1, CURRENT_SCHEMA_VERSION], 'metadata');
+    assertEqual(point.createdAt, NOW.toISOString(), 'timestamp');
+});
+
+test('should take one daily restore point per local day', () => {
+    assert(isDailyRestorePointDue([], NOW), 'due without restore points');
+    assert(isDailyRestorePointDue([pointAt('import', 0)], NOW), 'operation restore points do not count');
+    assert(!isDailyRestorePointDue([pointAt('daily', 0)], NOW), 'not due twice a day');
+    assert(isDailyRestorePointDue([pointAt('daily', 1)], NOW), 'due the next day');
+});
+
+test('should expire operation restore points by count and age', () => {
+    const recent = Array.from({ length: RESTORE_POINTS.MAX_OPERATION_POINTS + 2 }, (_, i) => pointAt('import', i / 24));
+    const old = pointAt('bulk-delete', RESTORE_POINTS.OPERATION_RETENTION_DAYS + 1);
+    const expired = selectExpiredRestorePoints([...recent, old], NOW);
+
+    assertEqual(expired.sort(), [recent[recent.length - 2].id, recent[recent.length - 1].id, old.id].sort(),
+        'oldest beyond the limit and those past the age limit');
+});
+
+test('should thin daily restore points to one per week', () => {
+    const daily = Array.from({ length: 60 }, (_, i) => pointAt('daily', i));
+    const expired = new Set(selectExpiredRestorePoints(daily, NOW));
+    const kept = daily.filter(point => !expired.has(point.id));
+
+    assertEqual(kept.slice(0, RESTORE_POINTS.DAILY_POINTS_KEPT).map(p => p.id),
+        daily.slice(0, RESTORE_POINTS.DAILY_POINTS_KEPT).map(p => p.id), 'newest days kept');
+    assertEqual(kept.length, RESTORE_POINTS.DAILY_POINTS_KEPT + RESTORE_POINTS.WEEKLY_POINTS_KEPT, 'one per week after that');
+    assert(!kept.includes(daily[59]), 'oldest dropped');
+});
+
+test('should preview what a roll back changes', () => {
+    const point = [bill('a', 'Water'), bill('b', 'Power'), bill('c', 'Gas')];
+    const current = [bill('a', 'Water', { updatedAt: '2026-10-19T00:00:00Z' }), bill('b', 'Power', { amountDue: 80 }), bill('d', 'Phone')];
+    const { restored, removed, changed } = compareRestorePoint(point, current);
+
+    assertEqual(restored.map(b => b.id), ['c'], 'deleted since');
+    assertEqual(removed.map(b => b.id), ['d'], 'added since');
+    assertEqual(changed.map(b => b.id), ['b'], 'edited since (updatedAt ignored)');
+});
+
+test('should roll the store back as one undoable action', () => {
+    billStore.trash = [];
+    billStore.tombstones = [];
+    billStore.setBills([bill('a', 'Water'), bill('b', 'Power')], [], { recordHistory: false });
+    billStore.clearHistory();
+    const point = createRestorePoint('import', { bills: billStore.getAll(), series: [] }, NOW);
+
+    billStore.update({ ...billStore.getAll()[0], amountDue: 250 });
+    billStore.delete('b');
+    billStore.add(bill('c', 'Phone'));
+
+    billStore.rollBack(point.data, 'Roll back');
+
+    assertEqual(billStore.getAll().map(b => [b.id, b.amountDue]), [['a', 100], ['b', 100]], 'bills as in the restore point');
+    assert(billStore.getAll()[1].restoredAt, 'bill deleted since is stamped for sync');
+    assertEqual(billStore.getTrash().map(b => b.id), ['c'], 'bill added since moved to the trash');
+    assertEqual(billStore.getTombstones().map(t => t.id), ['c'], 'only the trashed bill has a tombstone');
+
+    billStore.undo();
+    assertEqual(billStore.getAll().map(b => b.id).sort(), ['a', 'c'], 'undo returns to the state before the roll back');
+});
+
+console.log(`\n📊 Restore Point Test Results: ${testsPassed} passed, ${testsFailed} failed\n`);
+export { testsPassed, testsFailed };
@@ -0,0 +1,120 @@
+/**
+ * Schema Migration Unit Tests
+ * Tests each migration step and upgrading bills from older schema versions
+ */
+
+import {
+    MIGRATIONS,
+    CURRENT_SCHEMA_VERSION,
+    getSchemaVersion,
+    migrateBill,
+    migrateBills
+} from '../src/utils/schema.js';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(`Assertion failed: ${message}`);
+    }
+}
+
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+function test(description, testFn) {
+    try {
+        testFn();
+        console.log(`✅ ${description}`);
+        testsPassed++;
+    } catch (error) {
+        console.error(`❌ ${description}: ${error.message}`);
+        testsFailed++;
+    }
+}
+
+const migration = version => MIGRATIONS.find(m => m.version === version);
+
+// A bill saved before payment histories, paid with the old toggle
+const LEGACY_BILL = {
+    id: 'rent',
+    name: 'Rent',
+    category: 'Housing',
+    dueDate: '2026-11-01',
+    amountDue: 1500,
+    balance: 0,
+    isPaid: true,
+    lastPaymentDate: '2026-10-30',
+    recurrence: 'monthly'
+};
+
+console.log('🗂️ Running Schema Migration Tests...\n');
+
+test('should list migrations in order ending at the current version', () => {
+    const versions = MIGRATIONS.map(m => m.version);
+    assertEqual(versions, versions.map((_, index) => index + 1), 'versions count up from 1');
+    assertEqual(CURRENT_SCHEMA_VERSION, versions[versions.length - 1], 'current version is the last migration');
+});
+
+test('1: should convert the paid toggle to a payment history', () => {
+    const migrated = migration(1).migrate(LEGACY_BILL);
+    assertEqual(migrated.paymentHistory, [{
+        id: 'legacy_rent',
+        date: '2026-10-30',
+        amount: 1500,
+        method: 'Legacy Toggle',
+        notes: 'Migrated from toggle'
+    }], 'toggle payment recorded');
+    assert(!('paymentHistory' in LEGACY_BILL), 'original bill untouched');
+
+    const unpaid = migration(1).migrate({ ...LEGACY_BILL, isPaid: false });
+    assertEqual(unpaid.paymentHistory, [], 'unpaid bills get an empty history');
+
+    const current = { ...LEGACY_BILL, paymentHistory: [{ id: 'p1', date: '2026-10-01', amount: 10 }] };
+    assert(migration(1).migrate(current) === current, 'bills with a history are left alone');
+});
+
+test('2: should use canonical recurrence names', () => {
+    assertEqual(migration(2).migrate({ recurrence: 'bi-weekly' }).recurrence, 'Bi-weekly', 'lowercase name');
+    assertEqual(migration(2).migrate({ recurrence: 'annually' }).recurrence, 'Yearly', 'alias');
+    const current = { recurrence: 'Monthly' };
+    assert(migration(2).migrate(current) === current, 'canonical names are left alone');
+});
+
+test('should run every migration after the saved version', () => {
+    const migrated = migrateBill(LEGACY_BILL, 0);
+    assertEqual(migrated.paymentHistory.length, 1, 'version 1 applied');
+    assertEqual(migrated.recurrence, 'Monthly', 'version 2 applied');
+
+    const fromOne = migrateBill(LEGACY_BILL, 1);
+    assert(!('paymentHistory' in fromOne), 'version 1 skipped for version 1 data');
+    assertEqual(fromOne.recurrence, 'Monthly', 'version 2 applied');
+
+    const { bills, changed } = migrateBills([LEGACY_BILL, migrated], 0);
+    assertEqual(changed, 1, 'only the legacy bill changed');
+    assert(bills[1] === migrated, 'current bills kept as they are');
+});
+
+test('should refuse data from a newer version', () => {
+    let threw = false;
+    try {
+        migrateBill(LEGACY_BILL, CURRENT_SCHEMA_VERSION + 1);
+    } catch (error) {
+        threw = true;
+        assert(error.message.includes('newer version'), 'explains why');
+    }
+    assert(threw, 'newer schema throws');
+});
+
+test('should read the schema version of backups', () => {
+    assertEqual(getSchemaVersion({ schemaVersion: 2, bills: [] }), 2, 'current backups');
+    assertEqual(getSchemaVersion({ version: '1.0', bills: [] }), 1, 'backups from before schema versions');
+    assertEqual(getSchemaVersion({ bills: [] }), 0, 'unversioned files');
+});
+
+console.log(`\n📊 Schema Migration Test Results: ${testsPassed} passed, ${testsFailed} failed\n`);
+export { testsPassed, testsFailed };
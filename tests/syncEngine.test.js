@@ -0,0 +1,164 @@
+/**
+ * Sync Engine Unit Tests
+ * Tests offline queue deduplication, replay, retries and connectivity handling
+ */
+
+import { SyncEngine, dedupeQueuedTransactions } from '../src/services/syncEngine.js';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(`Assertion failed: ${message}`);
+    }
+}
+
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+async function test(description, testFn) {
+    try {
+        await testFn();
+        console.log(`✅ ${description}`);
+        testsPassed++;
+    } catch (error) {
+        console.error(`❌ ${description}: ${error.message}`);
+        testsFailed++;
+    }
+}
+
+/**
+ * In-memory stand-in for the IndexedDB offline queue
+ */
+function createQueue(items = []) {
+    let nextId = 1;
+    const entries = items.map(item => ({ id: nextId++, ...item }));
+    return {
+        entries,
+        add: (item) => entries.push({ id: nextId++, ...item }),
+        getAll: async () => entries.map(entry => ({ ...entry })),
+        remove: async (id) => {
+            const index = entries.findIndex(entry => entry.id === id);
+            if (index !== -1) entries.splice(index, 1);
+        }
+    };
+}
+
+const NO_DELAY = { initialDelay: 0, maxDelay: 0 };
+const summary = operations => operations.map(op => `${op.action}:${op.billId}`);
+
+console.log('📡 Running Sync Engine Tests...\n');
+
+await test('should collapse queued changes to one operation per bill', () => {
+    const operations = dedupeQueuedTransactions([
+        { id: 1, action: 'add', data: { id: 'a', amountDue: 10 } },
+        { id: 2, action: 'update', data: { id: 'b' } },
+        { id: 3, action: 'update', data: { id: 'a', amountDue: 20 } },
+        { id: 4, action: 'delete', data: { ids: ['b', 'c'] } },
+        { id: 5, action: 'purge', data: { ids: ['c'] } }
+    ]);
+
+    assertEqual(summary(operations), ['add:a', 'delete:b', 'delete:c'], 'latest change per bill, in order');
+    assertEqual(operations[0].data.amountDue, 20, 'add carries the latest bill');
+    assertEqual(operations[1].queueIds, [2, 4], 'covered queue items tracked');
+});
+
+await test('should replay the queue and empty it', async () => {
+    const queue = createQueue([
+        { action: 'update', data: { id: 'a' } },
+        { action: 'update', data: { id: 'a' } }
+    ]);
+    const engine = new SyncEngine({ queue });
+    let replayed = null;
+
+    const done = await engine.start({ replay: async (operations) => { replayed = operations; return true; }, target: null });
+
+    assert(done, 'flush succeeded');
+    assertEqual(summary(replayed), ['update:a'], 'deduplicated operations replayed');
+    assertEqual(queue.entries, [], 'queue emptied');
+    assertEqual(engine.pendingCount, 0, 'nothing pending');
+});
+
+await test('should retry a failing replay with backoff', async () => {
+    const queue = createQueue([{ action: 'add', data: { id: 'a' } }]);
+    const engine = new SyncEngine({ queue });
+    let attempts = 0;
+
+    const done = await engine.start({
+        replay: async () => {
+            attempts++;
+            if (attempts < 3) throw new Error('network down');
+            return true;
+        },
+        retry: NO_DELAY,
+        target: null
+    });
+
+    assert(done, 'succeeded on the third attempt');
+    assertEqual(attempts, 3, 'retried');
+    assertEqual(queue.entries, [], 'queue emptied');
+});
+
+await test('should keep the queue when the replay keeps failing or is postponed', async () => {
+    const queue = createQueue([{ action: 'add', data: { id: 'a' } }]);
+    const engine = new SyncEngine({ queue });
+
+    assert(!(await engine.start({ replay: async () => { throw new Error('down'); }, retry: { ...NO_DELAY, maxAttempts: 2 }, target: null })), 'failed');
+    assertEqual(queue.entries.length, 1, 'kept after failure');
+    assertEqual(engine.pendingCount, 1, 'still pending');
+
+    assert(!(await engine.start({ replay: async () => false, target: null })), 'postponed');
+    assertEqual(queue.entries.length, 1, 'kept when postponed');
+});
+
+await test('should wait for the device to come back online', async () => {
+    const queue = createQueue([{ action: 'update', data: { id: 'a' } }]);
+    const engine = new SyncEngine({ queue });
+    const target = new EventTarget();
+    const states = [];
+    let replays = 0;
+    engine.subscribe((count, online) => states.push([count, online]));
+    engine.online = false;
+
+    await engine.start({ replay: async () => { replays++; return true; }, target });
+    assertEqual(replays, 0, 'nothing replayed offline');
+    assertEqual(states.pop(), [1, false], 'pending count shown while offline');
+
+    target.dispatchEvent(new Event('online'));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    assertEqual(replays, 1, 'replayed when back online');
+    assertEqual(states.pop(), [0, true], 'counter cleared');
+    engine.stop();
+});
+
+await test('should replay changes queued during a replay afterwards', async () => {
+    const queue = createQueue([{ action: 'update', data: { id: 'a' } }]);
+    const engine = new SyncEngine({ queue });
+    const batches = [];
+
+    await engine.start({
+        replay: async (operations) => {
+            batches.push(summary(operations));
+            if (batches.length === 1) {
+                queue.add({ action: 'update', data: { id: 'b' } });
+                engine.flush();
+            }
+            return true;
+        },
+        target: null
+    });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    assertEqual(batches, [['update:a'], ['update:b']], 'second batch replayed after the first');
+    assertEqual(queue.entries, [], 'queue emptied');
+});
+
+console.log(`\n📊 Sync Engine Test Results: ${testsPassed} passed, ${testsFailed} failed\n`);
+export { testsPassed, testsFailed };
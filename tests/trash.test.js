@@ -0,0 +1,169 @@
+/**
+ * Trash Unit Tests
+ * Tests soft delete, restore, purge, auto-purge and tombstone handling for cloud sync
+ */
+
+import { billStore } from '../src/store/BillStore.js';
+import { mergeTombstones, isDeletedBy, isExpired, pruneTombstones } from '../src/utils/trash.js';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(`Assertion failed: ${message}`);
+    }
+}
+
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+function test(description, testFn) {
+    try {
+        testFn();
+        console.log(`✅ ${description}`);
+        testsPassed++;
+    } catch (error) {
+        console.error(`❌ ${description}: ${error.message}`);
+        testsFailed++;
+    }
+}
+
+function bill(id, name, extra = {}) {
+    return {
+        id,
+        name,
+        category: 'Utilities',
+        dueDate: '2026-11-01',
+        amountDue: 100,
+        balance: 100,
+        isPaid: false,
+        recurrence: 'One-time',
+        ...extra
+    };
+}
+
+/**
+ * Start each test from a known list of bills with an empty trash
+ */
+function reset(bills = [], series = []) {
+    billStore.trash = [];
+    billStore.tombstones = [];
+    billStore.setBills(bills, series, { recordHistory: false });
+    billStore.clearHistory();
+}
+
+const ids = list => list.map(b => b.id);
+
+console.log('🗑️  Running Trash Tests...\n');
+
+test('should move deleted bills to the trash with their payment history', () => {
+    const payments = [{ id: 'p1', amount: 40, date: '2026-10-01' }];
+    reset([bill('a', 'Water', { paymentHistory: payments }), bill('b', 'Power')]);
+    billStore.delete('a');
+
+    assertEqual(ids(billStore.getAll()), ['b'], 'bill removed from the list');
+    assertEqual(ids(billStore.getTrash()), ['a'], 'bill in the trash');
+    assert(billStore.getTrash()[0].deletedAt, 'deletedAt set');
+    assertEqual(billStore.getTrash()[0].paymentHistory, payments, 'payment history kept');
+    assertEqual(ids(billStore.getTombstones()), ['a'], 'tombstone recorded');
+});
+
+test('should trash several bills as one undoable action', () => {
+    reset([bill('a', 'Water'), bill('b', 'Power'), bill('c', 'Phone')]);
+    billStore.deleteMany(['a', 'c'], 'Delete 2 bills');
+
+    assertEqual(ids(billStore.getTrash()), ['a', 'c'], 'both trashed');
+    assertEqual(billStore.undo(), 'Delete 2 bills', 'one history entry');
+    assertEqual(ids(billStore.getAll()), ['a', 'b', 'c'], 'bills back in place');
+    assertEqual(billStore.getTrash(), [], 'trash emptied by undo');
+    assertEqual(billStore.getTombstones(), [], 'tombstones removed by undo');
+});
+
+test('should restore a recurring occurrence and stop excluding its date', () => {
+    const series = { seriesId: 'rent', name: 'Rent', recurrence: 'Monthly', startDate: '2026-10-01', excludedDates: [] };
+    reset([bill('oct', 'Rent', { recurrence: 'Monthly', seriesId: 'rent', originalDueDate: '2026-10-01', dueDate: '2026-10-01' })], [series]);
+
+    billStore.delete('oct');
+    assertEqual(billStore.getSeries('rent').excludedDates, ['2026-10-01'], 'date excluded while trashed');
+
+    assert(billStore.restore('oct'), 'restored');
+    assertEqual(ids(billStore.getAll()), ['oct'], 'bill back');
+    assert(billStore.getAll()[0].restoredAt && !billStore.getAll()[0].deletedAt, 'restoredAt replaces deletedAt');
+    assertEqual(billStore.getSeries('rent').excludedDates, [], 'date no longer excluded');
+    assertEqual(billStore.getTombstones(), [], 'tombstone removed');
+});
+
+test('should keep tombstones when bills are purged', () => {
+    reset([bill('a', 'Water'), bill('b', 'Power')]);
+    billStore.deleteMany(['a', 'b']);
+    billStore.purge(['a']);
+
+    assertEqual(ids(billStore.getTrash()), ['b'], 'only the other bill left');
+    assertEqual(ids(billStore.getTombstones()), ['a', 'b'], 'purged bill still has a tombstone');
+
+    billStore.purge();
+    assertEqual(billStore.getTrash(), [], 'trash emptied');
+    assertEqual(billStore.undo(), 'Empty trash', 'emptying is undoable');
+    assertEqual(ids(billStore.getTrash()), ['b'], 'trash back after undo');
+});
+
+test('should purge trash past the retention period', () => {
+    reset();
+    billStore.trash = [
+        { ...bill('old', 'Old'), deletedAt: '2026-08-01T00:00:00.000Z' },
+        { ...bill('new', 'New'), deletedAt: '2026-10-15T00:00:00.000Z' }
+    ];
+    const now = new Date('2026-10-19T00:00:00.000Z');
+
+    assertEqual(billStore.purgeExpired(0, now), 0, 'zero keeps everything');
+    assertEqual(billStore.purgeExpired(30, now), 1, 'one bill purged');
+    assertEqual(ids(billStore.getTrash()), ['new'], 'recent bill kept');
+    assert(!billStore.canUndo(), 'auto-purge is not in undo history');
+});
+
+test('should trash local bills deleted on another device when applying a sync', () => {
+    reset([bill('a', 'Water'), bill('b', 'Power'), bill('c', 'Phone')]);
+    billStore.delete('a');
+    const undoCount = billStore.history.undo.length;
+
+    const changed = billStore.applySyncResult({
+        bills: [bill('b', 'Power', { version: 2 })],
+        tombstones: [{ id: 'a', deletedAt: '2026-10-18T00:00:00.000Z' }, { id: 'c', deletedAt: '2026-10-18T00:00:00.000Z' }]
+    });
+
+    assert(changed, 'store changed');
+    assertEqual(ids(billStore.getAll()), ['b'], 'only the surviving bill left');
+    assertEqual(billStore.getAll()[0].version, 2, 'cloud version kept');
+    assertEqual(ids(billStore.getTrash()).sort(), ['a', 'c'], 'remote delete restorable here');
+    assertEqual(billStore.history.undo.length, undoCount, 'sync changes are not undoable');
+    assert(!billStore.applySyncResult({ bills: billStore.getAll(), tombstones: billStore.getTombstones() }), 'no-op sync does not notify');
+});
+
+test('should let a restore win over an older tombstone', () => {
+    const tombstone = { id: 'a', deletedAt: '2026-10-18T00:00:00.000Z' };
+    assert(!isDeletedBy(bill('a', 'Water', { restoredAt: '2026-10-19T00:00:00.000Z' }), tombstone), 'restored later');
+    assert(isDeletedBy(bill('a', 'Water'), tombstone), 'never restored');
+    assert(!isDeletedBy(bill('a', 'Water'), undefined), 'no tombstone');
+});
+
+test('should merge tombstones and expire old ones', () => {
+    const merged = mergeTombstones(
+        [{ id: 'a', deletedAt: '2026-10-01T00:00:00.000Z' }],
+        [{ id: 'a', deletedAt: '2026-10-05T00:00:00.000Z' }, { id: 'b', deletedAt: '2025-01-01T00:00:00.000Z' }, { id: 'bad' }]
+    );
+    assertEqual(merged, [
+        { id: 'a', deletedAt: '2026-10-05T00:00:00.000Z' },
+        { id: 'b', deletedAt: '2025-01-01T00:00:00.000Z' }
+    ], 'latest delete kept, invalid entries dropped');
+
+    const now = new Date('2026-10-19T00:00:00.000Z');
+    assertEqual(ids(pruneTombstones(merged, now)), ['a'], 'year-old tombstone pruned');
+    assert(!isExpired({ deletedAt: 'not a date' }, 30, now), 'unreadable dates never expire');
+});
+
+console.log(`\n📊 Trash Test Results: ${testsPassed} passed, ${testsFailed} failed\n`);
+export { testsPassed, testsFailed };
@@ -346,6 +346,13 @@ test('validateRecurrence: should reject empty recurrence', () => {
     assert(!result.isValid, 'Should reject empty recurrence');
 });
 
+test('validateRecurrence: should require a valid rule for custom recurrence', () => {
+    assert(validateRecurrence('Custom', { freq: 'MONTHLY', interval: 3 }).isValid, 'Should accept quarterly rule');
+    assert(!validateRecurrence('Custom').isValid, 'Should reject custom without rule');
+    assert(!validateRecurrence('Custom', { freq: 'MONTHLY', count: 3, until: '2027-01-01' }).isValid,
+        'Should reject count combined with until');
+});
+
 // ============================================================================
 // validatePaymentSettings() Tests
 // ============================================================================
@@ -385,6 +392,47 @@ test('validatePaymentSettings: should reject invalid frequency', () => {
     assert(result.errors.some(e => e.includes('Frequency')), 'Should mention frequency error');
 });
 
+test('validatePaymentSettings: should reject negative net pay', () => {
+    const settings = {
+        startDate: '2099-02-15',
+        frequency: 'bi-weekly',
+        payPeriodsToShow: 6,
+        netPay: -100
+    };
+    const result = validatePaymentSettings(settings);
+    assert(!result.isValid, 'Should reject negative net pay');
+    assert(result.errors.some(e => e.includes('Net pay')), 'Should mention net pay error');
+});
+
+test('validatePaymentSettings: should reject malformed paycheck overrides', () => {
+    const settings = {
+        startDate: '2099-02-15',
+        frequency: 'bi-weekly',
+        payPeriodsToShow: 6,
+        payOverrides: { '02/15/2026': 1500, '2026-03-01': 'lots' }
+    };
+    const result = validatePaymentSettings(settings);
+    assert(!result.isValid, 'Should reject malformed overrides');
+    assert(result.errors.filter(e => e.includes('override')).length === 2, 'Should report each bad override');
+});
+
+test('validatePaymentSettings: should check semi-monthly and custom schedule options', () => {
+    const errorsFor = (options) => validatePaymentSettings({
+        startDate: '2099-02-15',
+        payPeriodsToShow: 6,
+        ...options
+    }).errors.filter(e => !e.includes('Start date'));
+
+    assert(errorsFor({ frequency: 'semi-monthly', semiMonthlyDays: [15, 31] }).length === 0, 'Should accept semi-monthly days');
+    assert(errorsFor({ frequency: 'custom', customRule: { week: -1, weekday: 5 }, businessDayAdjust: 'previous' }).length === 0,
+        'Should accept last-Friday rule');
+    assert(errorsFor({ frequency: 'semi-monthly', semiMonthlyDays: [0, 40] }).some(e => e.includes('Semi-monthly')),
+        'Should reject out-of-range pay days');
+    assert(errorsFor({ frequency: 'custom' }).some(e => e.includes('Custom schedule')), 'Should require a custom rule');
+    assert(errorsFor({ frequency: 'monthly', businessDayAdjust: 'next' }).some(e => e.includes('Business day')),
+        'Should reject unknown business day adjustment');
+});
+
 test('validatePaymentSettings: should reject missing startDate', () => {
     const settings = {
         frequency: 'bi-weekly',
@@ -1,6 +1,77 @@
 import { defineConfig } from 'vite'
+import { createHash } from 'node:crypto'
+import { readdirSync, readFileSync, writeFileSync, existsSync } from 'node:fs'
+import { join, relative, resolve } from 'node:path'
+
+const SERVICE_WORKER = 'service-worker.js'
+// Replaced in the built service worker with the hashed manifest file name
+const MANIFEST_PLACEHOLDER = 'const PRECACHE_MANIFEST_URL = null;'
+
+const listFiles = (dir) => readdirSync(dir, { withFileTypes: true }).flatMap(entry =>
+  entry.isDirectory() ? listFiles(join(dir, entry.name)) : [join(dir, entry.name)]
+)
+
+/**
+ * Emits precache-manifest.<hash>.json listing every built file (and public file) the
+ * service worker should precache, and points the built service worker at it. The
+ * service worker file changes with every build that changes a file, which is what
+ * makes browsers install the new version.
+ */
+const precacheManifest = () => {
+  let config
+  let manifestFileName = null
+
+  return {
+    name: 'precache-manifest',
+    apply: 'build',
+    configResolved(resolvedConfig) {
+      config = resolvedConfig
+    },
+    generateBundle(options, bundle) {
+      const builtFiles = Object.values(bundle)
+        .map(file => file.fileName)
+        .filter(fileName => !fileName.endsWith('.map'))
+      const publicFiles = config.publicDir && existsSync(config.publicDir)
+        ? listFiles(config.publicDir)
+          .map(file => relative(config.publicDir, file).split('\\').join('/'))
+          .filter(fileName => fileName !== SERVICE_WORKER)
+        : []
+
+      const files = ['/', ...[...builtFiles, ...publicFiles].sort().map(fileName => `${config.base}${fileName}`)]
+      // Built files carry content hashes; public files are hashed by content here
+      const hash = createHash('sha256')
+      hash.update(files.join('\n'))
+      publicFiles.forEach(fileName => hash.update(readFileSync(join(config.publicDir, fileName))))
+      Object.values(bundle)
+        .filter(file => file.type === 'asset' && file.fileName.endsWith('.html'))
+        .forEach(file => hash.update(file.source))
+      const version = hash.digest('hex').slice(0, 12)
+
+      manifestFileName = `precache-manifest.${version}.json`
+      this.emitFile({
+        type: 'asset',
+        fileName: manifestFileName,
+        source: JSON.stringify({ version, files }, null, 2)
+      })
+    },
+    closeBundle() {
+      const workerPath = resolve(config.root, config.build.outDir, SERVICE_WORKER)
+      if (!manifestFileName || !existsSync(workerPath)) return
+      const source = readFileSync(workerPath, 'utf8')
+      if (!source.includes(MANIFEST_PLACEHOLDER)) {
+        this.warn(`${SERVICE_WORKER} has no precache manifest placeholder`)
+        return
+      }
+      writeFileSync(workerPath, source.replace(
+        MANIFEST_PLACEHOLDER,
+        `const PRECACHE_MANIFEST_URL = '${config.base}${manifestFileName}';`
+      ))
+    }
+  }
+}
 
 export default defineConfig({
+  plugins: [precacheManifest()],
   server: {
     port: 3000,
     strictPort: false,